@@ -153,7 +153,7 @@ class DatabaseManager {
             await db.collection('captains').createIndexes([
                 { key: { email: 1 }, unique: true, background: true },
                 { key: { phoneNumber: 1 }, unique: true, background: true },
-                { key: { 'location.coordinates': '2dsphere' }, background: true },
+                { key: { location: '2dsphere' }, background: true },
                 { key: { status: 1, isAvailable: 1 }, background: true },
                 { key: { vehicleType: 1, status: 1 }, background: true }
             ]);
@@ -234,6 +234,16 @@ class DatabaseManager {
         return query;
     }
 
+    // Run fn(session) inside a MongoDB transaction (retried on transient errors)
+    // and resolve with whatever fn returned
+    async withTransaction(fn) {
+        let result;
+        await mongoose.connection.transaction(async (session) => {
+            result = await fn(session);
+        });
+        return result;
+    }
+
     async disconnect() {
         try {
             await mongoose.connection.close();
@@ -239,6 +239,7 @@ const EVENTS = {
         STARTED: 'ride.started',
         COMPLETED: 'ride.completed',
         CANCELLED: 'ride.cancelled',
+        EXPIRED: 'ride.expired',
         DRIVER_ASSIGNED: 'ride.driver_assigned'
     },
     USER: {
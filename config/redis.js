@@ -5,6 +5,7 @@ const winston = require('winston');
 class RedisManager {
     constructor() {
         this.client = null;
+        this.pubSubClients = [];
         this.isConnected = false;
         this.connectionAttempts = 0;
         this.maxRetries = 5;
@@ -94,6 +95,26 @@ class RedisManager {
         }
     }
 
+    // Extra connections with the same settings for Pub/Sub (e.g. the Socket.IO
+    // adapter): a subscribed connection cannot run other commands
+    async createPubSubClients() {
+        if (!this.client || !this.isConnected) {
+            throw new Error('Redis is not connected');
+        }
+
+        const pubClient = this.client.duplicate();
+        const subClient = this.client.duplicate();
+
+        for (const client of [ pubClient, subClient ]) {
+            client.on('error', (err) => this.logger.error('❌ Redis Pub/Sub Client Error:', err));
+        }
+
+        await Promise.all([ pubClient.connect(), subClient.connect() ]);
+        this.pubSubClients.push(pubClient, subClient);
+
+        return { pubClient, subClient };
+    }
+
     handleConnectionError() {
         if (this.connectionAttempts >= this.maxRetries) {
             this.logger.error('Max Redis connection attempts reached. Falling back to in-memory cache.');
@@ -145,6 +166,18 @@ class RedisManager {
         }
     }
 
+    // Atomic read-and-remove, for single-use tokens
+    async getAndDelete(key) {
+        try {
+            if (!this.isConnected) return null;
+            const data = await this.client.getdel(key);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            this.logger.error('Redis GETDEL error:', error);
+            return null;
+        }
+    }
+
     async exists(key) {
         try {
             if (!this.isConnected) return false;
@@ -184,6 +217,186 @@ class RedisManager {
         }
     }
 
+    // Append-only JSON lists (e.g. location trails)
+    async pushToList(key, value, ttl = 3600) {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.pipeline()
+                .rpush(key, JSON.stringify(value))
+                .expire(key, ttl)
+                .exec();
+            return true;
+        } catch (error) {
+            this.logger.error('Redis RPUSH error:', error);
+            return false;
+        }
+    }
+
+    async getList(key) {
+        try {
+            if (!this.isConnected) return null;
+            const values = await this.client.lrange(key, 0, -1);
+            return values.map(value => JSON.parse(value));
+        } catch (error) {
+            this.logger.error('Redis LRANGE error:', error);
+            return null;
+        }
+    }
+
+    // Hashes of JSON values, expiring as a whole (e.g. connected devices per account)
+    async setHashField(key, field, value, ttl = 3600) {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.pipeline()
+                .hset(key, field, JSON.stringify(value))
+                .expire(key, ttl)
+                .exec();
+            return true;
+        } catch (error) {
+            this.logger.error('Redis HSET error:', error);
+            return false;
+        }
+    }
+
+    async deleteHashField(key, field) {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.hdel(key, field);
+            return true;
+        } catch (error) {
+            this.logger.error('Redis HDEL error:', error);
+            return false;
+        }
+    }
+
+    async getHash(key) {
+        try {
+            if (!this.isConnected) return null;
+            const hash = await this.client.hgetall(key);
+            return Object.fromEntries(Object.entries(hash).map(([ field, value ]) => [ field, JSON.parse(value) ]));
+        } catch (error) {
+            this.logger.error('Redis HGETALL error:', error);
+            return null;
+        }
+    }
+
+    // Atomic read-and-remove of a whole hash, for buffers drained by one reader
+    async takeHash(key) {
+        try {
+            if (!this.isConnected) return null;
+            const [ [ error, hash ] ] = await this.client.multi()
+                .hgetall(key)
+                .del(key)
+                .exec();
+            if (error) throw error;
+            return Object.fromEntries(Object.entries(hash).map(([ field, value ]) => [ field, JSON.parse(value) ]));
+        } catch (error) {
+            this.logger.error('Redis HGETALL/DEL error:', error);
+            return null;
+        }
+    }
+
+    // Counter that expires unless it keeps being used; returns the new value
+    async increment(key, ttl = 3600) {
+        try {
+            if (!this.isConnected) return null;
+            const [ [ error, value ] ] = await this.client.pipeline()
+                .incr(key)
+                .expire(key, ttl)
+                .exec();
+            if (error) throw error;
+            return value;
+        } catch (error) {
+            this.logger.error('Redis INCR error:', error);
+            return null;
+        }
+    }
+
+    // Capped streams of JSON values under caller-chosen increasing ids ("<n>-0")
+    async appendToStream(key, id, value, { maxLength = 1000, ttl = 3600 } = {}) {
+        try {
+            if (!this.isConnected) return false;
+            const [ [ error ] ] = await this.client.pipeline()
+                .xadd(key, 'MAXLEN', '~', maxLength, id, 'value', JSON.stringify(value))
+                .expire(key, ttl)
+                .exec();
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            this.logger.error('Redis XADD error:', error);
+            return false;
+        }
+    }
+
+    async readStream(key, fromId = '-', count = 100) {
+        try {
+            if (!this.isConnected) return null;
+            const entries = await this.client.xrange(key, fromId, '+', 'COUNT', count);
+            return entries.map(([ id, fields ]) => ({ id, value: JSON.parse(fields[ 1 ]) }));
+        } catch (error) {
+            this.logger.error('Redis XRANGE error:', error);
+            return null;
+        }
+    }
+
+    // Sorted sets scored by timestamp, used as sliding-window counters
+    async addToWindow(key, member, timestamp = Date.now(), ttl = 3600) {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.pipeline()
+                .zadd(key, timestamp, member)
+                .expire(key, ttl)
+                .exec();
+            return true;
+        } catch (error) {
+            this.logger.error('Redis ZADD error:', error);
+            return false;
+        }
+    }
+
+    async removeFromWindow(key, member) {
+        try {
+            if (!this.isConnected) return false;
+            await this.client.zrem(key, member);
+            return true;
+        } catch (error) {
+            this.logger.error('Redis ZREM error:', error);
+            return false;
+        }
+    }
+
+    // Atomically removes and returns the members scored at or before `until`, so
+    // when several instances poll the same set each member goes to only one of them
+    async takeFromWindow(key, until) {
+        try {
+            if (!this.isConnected) return null;
+            const [ [ error, members ] ] = await this.client.multi()
+                .zrangebyscore(key, '-inf', until)
+                .zremrangebyscore(key, '-inf', until)
+                .exec();
+            if (error) throw error;
+            return members;
+        } catch (error) {
+            this.logger.error('Redis window take error:', error);
+            return null;
+        }
+    }
+
+    // Drops members older than `since` and returns how many are left
+    async countWindow(key, since) {
+        try {
+            if (!this.isConnected) return null;
+            const results = await this.client.pipeline()
+                .zremrangebyscore(key, '-inf', `(${since}`)
+                .zcard(key)
+                .exec();
+            return results[ 1 ][ 1 ];
+        } catch (error) {
+            this.logger.error('Redis window count error:', error);
+            return null;
+        }
+    }
+
     // Performance monitoring
     async getStats() {
         try {
@@ -217,6 +430,9 @@ class RedisManager {
     // Graceful shutdown
     async disconnect() {
         try {
+            await Promise.all(this.pubSubClients.map(client => client.quit()));
+            this.pubSubClients = [];
+
             if (this.client) {
                 await this.client.quit();
                 this.logger.info('Redis connection closed gracefully');
@@ -242,6 +458,11 @@ class RideCacheService {
         return await redisManager.get(key);
     }
 
+    static async invalidateActiveRides(driverId) {
+        const key = `active_rides:${driverId}`;
+        return await redisManager.del(key);
+    }
+
     static async cacheRideDetails(rideId, rideData) {
         const key = `ride:${rideId}`;
         return await redisManager.set(key, rideData, 1800); // 30 minutes
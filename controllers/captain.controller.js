@@ -1,5 +1,6 @@
 const captainModel = require("../models/captain.model.js");
 const captainService = require("../services/captain.service.js");
+const ratingService = require("../services/rating.service.js");
 const blackListTokenModel = require("../models/blacklistToken.model.js");  // Corrected the import
 const { validationResult } = require("express-validator");
 
@@ -91,10 +92,49 @@ module.exports.loginUser = async (req, res) => {
 
 // Get Captain Profile Logic
 module.exports.getCaptainProfile = async (req, res) => {
-  // Return the profile of the authenticated captain
-  res.status(200).json({
-    captain: req.captain,
-  });
+  // Return the profile of the authenticated captain, with their rating and latest reviews
+  try {
+    const reviews = await ratingService.getRecentReviews({
+      rateeType: "captain",
+      ratee: req.captain._id,
+    });
+
+    res.status(200).json({
+      captain: req.captain,
+      rating: req.captain.rating,
+      reviews,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+    });
+  }
+};
+
+// Captain Online/Offline Logic
+module.exports.updateStatus = async (req, res) => {
+  // Check if validation errors exist
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Go online ("active") or offline ("inactive")
+    const captain = await captainService.setAvailability(req.captain._id, req.body.status);
+
+    res.status(200).json({
+      success: true,
+      status: captain.status,
+      onTrip: captain.onTrip,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.message,
+    });
+  }
 };
 
 // Captain Logout Logic
@@ -0,0 +1,164 @@
+const earningsService = require('../services/earnings.service.js');
+const payoutService = require('../services/payout.service.js');
+const { validationResult } = require('express-validator');
+
+
+module.exports.getEarnings = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { period, from, to } = req.query;
+
+    try {
+        const earnings = await earningsService.getEarnings({ captain: req.captain, period, from, to });
+        return res.status(200).json({ success: true, ...earnings });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getStatement = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { from, to } = req.query;
+    // ?format= wins over the Accept header; JSON unless something else is asked for
+    const format = req.query.format || req.accepts([ 'json', 'csv', 'pdf' ]) || 'json';
+
+    try {
+        const statement = await earningsService.getStatement({ captain: req.captain, from, to });
+        const filename = `earnings-${statement.from.toISOString().slice(0, 10)}-${statement.to.toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.status(200).type('csv').send(earningsService.renderCsv(statement));
+        }
+
+        if (format === 'pdf') {
+            const pdf = await earningsService.renderPdf(statement);
+            res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+            return res.status(200).type('pdf').send(pdf);
+        }
+
+        return res.status(200).json({ success: true, statement });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+// ---- Payouts ----
+
+module.exports.requestPayout = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { amount, note } = req.body;
+
+    try {
+        const payout = await payoutService.requestPayout({ captain: req.captain, amount, note });
+        return res.status(201).json({ success: true, payout });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.listPayouts = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { status, page, limit } = req.query;
+
+    try {
+        // Captains see their own payouts, admins the whole queue
+        const payouts = await payoutService.listPayouts({ captain: req.captain, status, page, limit });
+        return res.status(200).json({ success: true, ...payouts });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.cancelPayout = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const payout = await payoutService.cancelPayout({ captain: req.captain, payoutId: req.params.id });
+        return res.status(200).json({ success: true, payout });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.reviewPayout = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { status, reference, note } = req.body;
+
+    try {
+        const payout = await payoutService.reviewPayout({ payoutId: req.params.id, status, admin: req.user, reference, note });
+        return res.status(200).json({ success: true, payout });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+// ---- Incentives (admin) ----
+
+module.exports.listIncentives = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const incentives = await earningsService.listIncentives({ active: req.query.active });
+        return res.status(200).json({ success: true, incentives });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.createIncentive = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { name, description, period, targetRides, bonus, vehicleType, startsAt, endsAt } = req.body;
+
+    try {
+        const incentive = await earningsService.createIncentive({
+            admin: req.user, name, description, period, targetRides, bonus, vehicleType, startsAt, endsAt
+        });
+        return res.status(201).json({ success: true, incentive });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.deactivateIncentive = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const incentive = await earningsService.deactivateIncentive(req.params.id);
+        return res.status(200).json({ success: true, incentive });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
@@ -0,0 +1,75 @@
+const fareService = require('../services/fare.service.js');
+const { validationResult } = require('express-validator');
+
+
+module.exports.listFareRules = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { city, zone, vehicleType, active } = req.query;
+
+    try {
+        const fareRules = await fareService.listFareRules({ city, zone, vehicleType, active });
+        return res.status(200).json({ success: true, fareRules });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getFareRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const fareRule = await fareService.getFareRule(req.params.id);
+        return res.status(200).json({ success: true, fareRule });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.createFareRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const fareRule = await fareService.createFareRule(req.body, { admin: req.user });
+        return res.status(201).json({ success: true, fareRule });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.updateFareRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const fareRule = await fareService.updateFareRule(req.params.id, req.body, { admin: req.user });
+        return res.status(201).json({ success: true, fareRule });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.deactivateFareRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const fareRule = await fareService.deactivateFareRule(req.params.id);
+        return res.status(200).json({ success: true, fareRule });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
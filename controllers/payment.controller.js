@@ -0,0 +1,88 @@
+const paymentService = require('../services/payment.service.js');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { validationResult } = require('express-validator');
+
+
+module.exports.getRidePayment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const payment = await paymentService.getRidePayment({ rideId: req.params.rideId, user: req.user, captain: req.captain });
+        return res.status(200).json({ success: true, payment, checkout: paymentService.getCheckout(payment) });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.verifyPayment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { rideId, orderId, paymentId, signature } = req.body;
+
+    try {
+        const payment = await paymentService.verifyPayment({ rideId, orderId, paymentId, signature, user: req.user });
+        return res.status(200).json({ success: true, payment });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.refundPayment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { amount, reason, destination } = req.body;
+
+    try {
+        const payment = await paymentService.refundPayment({ rideId: req.params.rideId, amount, reason, destination });
+        return res.status(200).json({ success: true, payment });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.handleWebhook = async (req, res) => {
+    try {
+        const result = await paymentService.handleWebhook({
+            provider: req.params.provider,
+            rawBody: req.rawBody,
+            headers: req.headers,
+            body: req.body
+        });
+
+        // Providers retry anything that is not a 2xx, duplicates included
+        return res.status(200).json({ success: true, duplicate: result.duplicate });
+    } catch (err) {
+        console.log(err);
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+// Development only: stands in for the provider's hosted checkout
+module.exports.mockCheckout = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const payment = await paymentService.getRidePayment({ rideId: req.body.rideId, user: req.user });
+        const checkout = paymentService.getCheckout(payment);
+
+        if (!checkout) {
+            return res.status(409).json({ success: false, message: 'This payment is not awaiting checkout' });
+        }
+
+        return res.status(200).json({ success: true, rideId: req.body.rideId, ...getPaymentProvider().simulateCheckout(checkout.orderId) });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
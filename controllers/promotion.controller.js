@@ -0,0 +1,52 @@
+const { validationResult } = require('express-validator');
+const promotionService = require('../services/promotion.service.js');
+
+// ---- Promotions (admin) ----
+
+module.exports.listPromotions = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const promotions = await promotionService.listPromotions({ active: req.query.active });
+        return res.status(200).json({ success: true, promotions });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.createPromotion = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const {
+        code, description, type, value, maxDiscount, minFare, vehicleTypes, validFrom, validTo, maxUses, perUserLimit
+    } = req.body;
+
+    try {
+        const promotion = await promotionService.createPromotion({
+            admin: req.user, code, description, type, value, maxDiscount, minFare, vehicleTypes, validFrom, validTo, maxUses, perUserLimit
+        });
+        return res.status(201).json({ success: true, promotion });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.deactivatePromotion = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const promotion = await promotionService.deactivatePromotion(req.params.id);
+        return res.status(200).json({ success: true, promotion });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
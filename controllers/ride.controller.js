@@ -1,9 +1,23 @@
 const rideService = require('../services/ride.service.js');
 const { validationResult } = require('express-validator');
 const mapService = require('../services/maps.service.js');
-const { sendMessageToSocketId } = require('../socket');
+const { sendMessageToUser, sendMessageToCaptain, joinRideRoom, leaveRideRoom } = require('../socket');
 const rideModel = require('../models/ride.model.js');
-
+const { dispatchEngine } = require('../services/dispatch.service.js');
+const receiptService = require('../services/receipt.service.js');
+const rideRouteService = require('../services/rideRoute.service.js');
+const paymentService = require('../services/payment.service.js');
+const earningsService = require('../services/earnings.service.js');
+const promotionService = require('../services/promotion.service.js');
+const ratingService = require('../services/rating.service.js');
+
+// Payment follows the ride but never blocks it: a failed gateway call is only
+// logged. Settling at the end of the ride creates the payment if confirming did not.
+const initiatePayment = (ride) => paymentService.initiatePayment(ride).catch(err => console.log(err));
+const settlePayment = (ride) => paymentService.settleRide(ride).catch(err => console.log(err));
+const cancelPayment = (ride) => paymentService.handleCancellation(ride).catch(err => console.log(err));
+const awardIncentives = (ride) => earningsService.awardIncentives(ride).catch(err => console.log(err));
+const rewardReferrer = (ride) => promotionService.rewardReferrer(ride).catch(err => console.log(err));
 
 module.exports.createRide = async (req, res) => {
     const errors = validationResult(req);
@@ -11,35 +25,31 @@ module.exports.createRide = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { userId, pickup, destination, vehicleType } = req.body;
+    const { pickup, destination, vehicleType, quoteId, acceptSurge, paymentMethod } = req.body;
+
+    let ride;
 
     try {
-        const ride = await rideService.createRide({ user: req.user._id, pickup, destination, vehicleType });
+        ride = await rideService.createRide({
+            user: req.user._id, pickup, destination, vehicleType, quoteId, acceptSurge, paymentMethod
+        });
         res.status(201).json(ride);
+        joinRideRoom(ride);
+    } catch (err) {
 
-        const pickupCoordinates = await mapService.getAddressCoordinate(pickup);
-
-
-
-        const captainsInRadius = await mapService.getCaptainsInTheRadius(pickupCoordinates.ltd, pickupCoordinates.lng, 2);
+        console.log(err);
+        return res.status(err.statusCode || 500).json({ message: err.message });
+    }
 
-        ride.otp = ""
+    // The rider already has their ride; dispatch continues in the background
+    try {
+        const pickupCoordinates = await mapService.getAddressCoordinate(pickup);
 
         const rideWithUser = await rideModel.findOne({ _id: ride._id }).populate('user');
 
-        captainsInRadius.map(captain => {
-
-            sendMessageToSocketId(captain.socketId, {
-                event: 'new-ride',
-                data: rideWithUser
-            })
-
-        })
-
+        await dispatchEngine.start({ ride: rideWithUser, pickup: pickupCoordinates, vehicleType });
     } catch (err) {
-
         console.log(err);
-        return res.status(500).json({ message: err.message });
     }
 
 };
@@ -50,13 +60,13 @@ module.exports.getFare = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { pickup, destination } = req.query;
+    const { pickup, destination, promoCode } = req.query;
 
     try {
-        const fare = await rideService.getFare(pickup, destination);
+        const fare = await rideService.quoteFare({ user: req.user, pickup, destination, promoCode });
         return res.status(200).json(fare);
     } catch (err) {
-        return res.status(500).json({ message: err.message });
+        return res.status(err.statusCode || 500).json({ message: err.message });
     }
 }
 
@@ -71,16 +81,32 @@ module.exports.confirmRide = async (req, res) => {
     try {
         const ride = await rideService.confirmRide({ rideId, captain: req.captain });
 
-        sendMessageToSocketId(ride.user.socketId, {
+        await dispatchEngine.stop(ride._id);
+
+        joinRideRoom(ride);
+
+        sendMessageToUser(ride.user._id, {
             event: 'ride-confirmed',
             data: ride
         })
 
+        // Tell the captains who lost the race so their apps drop the offer
+        const otherCaptains = await rideService.getOtherOfferedCaptains(ride._id, req.captain._id);
+
+        otherCaptains.forEach(captainId => {
+            sendMessageToCaptain(captainId, {
+                event: 'ride-taken',
+                data: { rideId: ride._id }
+            })
+        })
+
+        await initiatePayment(ride);
+
         return res.status(200).json(ride);
     } catch (err) {
 
         console.log(err);
-        return res.status(500).json({ message: err.message });
+        return res.status(err.statusCode || 500).json({ message: err.message });
     }
 }
 
@@ -97,14 +123,14 @@ module.exports.startRide = async (req, res) => {
 
         console.log(ride);
 
-        sendMessageToSocketId(ride.user.socketId, {
+        sendMessageToUser(ride.user._id, {
             event: 'ride-started',
             data: ride
         })
 
         return res.status(200).json(ride);
     } catch (err) {
-        return res.status(500).json({ message: err.message });
+        return res.status(err.statusCode || 500).json({ message: err.message });
     }
 }
 
@@ -114,20 +140,196 @@ module.exports.endRide = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { rideId } = req.body;
+    const { rideId, tolls } = req.body;
 
     try {
-        const ride = await rideService.endRide({ rideId, captain: req.captain });
+        const ride = await rideService.endRide({ rideId, captain: req.captain, tolls });
 
-        sendMessageToSocketId(ride.user.socketId, {
+        await settlePayment(ride);
+        await awardIncentives(ride);
+        await rewardReferrer(ride);
+
+        // The final fare and its breakdown travel with the ride
+        sendMessageToUser(ride.user._id, {
             event: 'ride-ended',
             data: ride
         })
+        leaveRideRoom(ride._id);
 
+        return res.status(200).json(ride);
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ message: err.message });
+    }
+}
+
+module.exports.cancelRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
 
+    const { rideId, reason } = req.body;
+
+    try {
+        const ride = await rideService.cancelRide({ rideId, reason, user: req.user, captain: req.captain });
+
+        await cancelPayment(ride);
+
+        // A pending ride may still be out with a captain, withdraw that offer
+        const dispatch = await dispatchEngine.stop(ride._id);
+
+        // Let the other side of the ride know it is off
+        const cancelledByUser = ride.cancellation.cancelledBy === 'user';
+        const sendToCounterparty = cancelledByUser ? sendMessageToCaptain : sendMessageToUser;
+        const counterparty = cancelledByUser ? ride.captain : ride.user;
+
+        if (!ride.captain && dispatch && dispatch.current) {
+            sendMessageToCaptain(dispatch.current.captainId, {
+                event: 'ride-cancelled',
+                data: { rideId: ride._id, cancelledBy: ride.cancellation.cancelledBy }
+            })
+        }
+
+        if (counterparty) {
+            sendToCounterparty(counterparty._id, {
+                event: 'ride-cancelled',
+                data: {
+                    rideId: ride._id,
+                    cancelledBy: ride.cancellation.cancelledBy,
+                    reason: ride.cancellation.reason,
+                    fee: ride.cancellation.fee
+                }
+            })
+        }
+
+        leaveRideRoom(ride._id);
 
         return res.status(200).json(ride);
     } catch (err) {
-        return res.status(500).json({ message: err.message });
-    } s
-}
\ No newline at end of file
+        return res.status(err.statusCode || 500).json({ message: err.message });
+    }
+}
+module.exports.getRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const ride = await rideService.getRideById({ rideId: req.params.id, user: req.user, captain: req.captain });
+        return res.status(200).json({ success: true, ride });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getRideHistory = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page, limit, status, from, to } = req.query;
+
+    try {
+        const history = await rideService.getRideHistory({
+            user: req.user,
+            captain: req.captain,
+            page,
+            limit,
+            status,
+            from,
+            to
+        });
+        return res.status(200).json({ success: true, ...history });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getReceipt = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    // ?format= wins over the Accept header; JSON unless something else is asked for
+    const format = req.query.format || req.accepts([ 'json', 'html', 'pdf' ]) || 'json';
+
+    try {
+        const receipt = await receiptService.getReceipt({ rideId: req.params.id, user: req.user, captain: req.captain });
+
+        if (format === 'html') {
+            return res.status(200).type('html').send(receiptService.renderHtml(receipt));
+        }
+
+        if (format === 'pdf') {
+            const pdf = await receiptService.renderPdf(receipt);
+            res.set('Content-Disposition', `inline; filename="${receipt.receiptNumber}.pdf"`);
+            return res.status(200).type('pdf').send(pdf);
+        }
+
+        return res.status(200).json({ success: true, receipt });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getRoute = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const format = req.query.format || 'json';
+
+    try {
+        const route = await rideRouteService.getRoute({ rideId: req.params.id, user: req.user, captain: req.captain });
+
+        if (format === 'geojson') {
+            res.set('Content-Disposition', `attachment; filename="ride-${route.rideId}.geojson"`);
+            return res.status(200).type('application/geo+json').send(JSON.stringify(rideRouteService.toGeoJSON(route)));
+        }
+
+        if (format === 'gpx') {
+            res.set('Content-Disposition', `attachment; filename="ride-${route.rideId}.gpx"`);
+            return res.status(200).type('application/gpx+xml').send(rideRouteService.toGpx(route));
+        }
+
+        return res.status(200).json({ success: true, route });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.rateRide = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { score, tags, comment } = req.body;
+
+    try {
+        const result = await ratingService.rateRide({
+            rideId: req.params.id, user: req.user, captain: req.captain, score, tags, comment
+        });
+        return res.status(201).json({ success: true, ...result });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.getRideRatings = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const ratings = await ratingService.getRideRatings({ rideId: req.params.id, user: req.user, captain: req.captain });
+        return res.status(200).json({ success: true, ...ratings });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
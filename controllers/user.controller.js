@@ -1,6 +1,7 @@
 const { validationResult } = require("express-validator");
 const userModel = require("../models/userModel.js");
 const userService = require("../services/user.service.js");
+const promotionService = require("../services/promotion.service.js");
 const blackListTokenModel = require("../models/blacklistToken.model.js");
 
 // User Register Logic!!
@@ -15,7 +16,7 @@ module.exports.registerUser = async (req, res) => {
   }
 
   // Extract data from the request body
-  const { fullName, email, password } = req.body;
+  const { fullName, email, password, referralCode } = req.body;
 
   // Check if the user already exists in the database
   const existingUser = await userModel.findOne({ email });
@@ -26,12 +27,25 @@ module.exports.registerUser = async (req, res) => {
     });
   }
 
+  // Signing up with a friend's referral code gives a discount on the first ride
+  let referrer = null;
+  if (referralCode) {
+    referrer = await promotionService.findReferrer(referralCode);
+    if (!referrer) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid referral code!",
+      });
+    }
+  }
+
   // Create a new user with the provided details
   const user = await userService.createUser({
     firstname: fullName.firstname,
     lastname: fullName.lastname,
     email,
     password,
+    referredBy: referrer ? referrer._id : undefined,
   });
 
   // Hash the password before saving it to the database
@@ -0,0 +1,58 @@
+const walletService = require('../services/wallet.service.js');
+const paymentService = require('../services/payment.service.js');
+const { validationResult } = require('express-validator');
+
+
+// Serves both /users/wallet and /captains/wallet, whoever the token belongs to
+module.exports.getWallet = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page, limit, type } = req.query;
+
+    try {
+        const wallet = await walletService.getWallet({
+            ownerType: req.captain ? 'captain' : 'user',
+            owner: (req.captain || req.user)._id,
+            page,
+            limit,
+            type
+        });
+        return res.status(200).json({ success: true, ...wallet });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.topUp = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+        const payment = await paymentService.initiateTopup({ user: req.user, amount: req.body.amount });
+        return res.status(201).json({ success: true, payment, checkout: paymentService.getCheckout(payment) });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
+
+module.exports.verifyTopUp = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { orderId, paymentId, signature } = req.body;
+
+    try {
+        const payment = await paymentService.verifyTopup({ orderId, paymentId, signature, user: req.user });
+        const balance = await walletService.getBalance('user', req.user._id);
+        return res.status(200).json({ success: true, payment, wallet: { balance, currency: payment.currency } });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+}
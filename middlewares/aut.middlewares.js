@@ -1,7 +1,42 @@
 const userModel = require("../models/userModel.js");
-const captainModel = require("../models/captainModel.js"); // Ensure you import the captain model
+const captainModel = require("../models/captain.model.js");
 const blackListTokenModel = require("../models/blacklistToken.model.js");
 const jwt = require("jsonwebtoken");
+const AppError = require("../utils/appError.js");
+
+//logged out tokens stay blacklisted until they expire!
+const isTokenBlacklisted = async (token) => Boolean(await blackListTokenModel.findOne({ token }));
+
+//Resolves a token to the user or captain it was issued to, as { type, account }!
+//Shared by authUserOrCaptain and the Socket.IO handshake in socket.js, throws a 401/404 AppError!
+module.exports.authenticateToken = async (token) => {
+  if (!token) {
+    throw new AppError("Unauthorized! Token is missing.", 401);
+  }
+
+  if (await isTokenBlacklisted(token)) {
+    throw new AppError("Unauthorized! Token is blacklisted.", 401);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw new AppError("Unauthorized! Invalid token.", 401);
+  }
+
+  const user = await userModel.findById(decoded._id);
+  if (user) {
+    return { type: "user", account: user };
+  }
+
+  const captain = await captainModel.findById(decoded._id);
+  if (captain) {
+    return { type: "captain", account: captain };
+  }
+
+  throw new AppError("Account not found.", 404);
+};
 
 // Middleware for User Authentication
 module.exports.authUser = async (req, res, next) => {
@@ -17,8 +52,7 @@ module.exports.authUser = async (req, res, next) => {
 
   try {
     // Check if token is blacklisted
-    const isBlackListed = await blackListTokenModel.findOne({ token });
-    if (isBlackListed) {
+    if (await isTokenBlacklisted(token)) {
       return res.status(401).json({
         message: "Unauthorized! Token is blacklisted.",
       });
@@ -58,8 +92,7 @@ module.exports.authCaptain = async (req, res, next) => {
 
   try {
     // Check if token is blacklisted
-    const isBlackListed = await blackListTokenModel.findOne({ token });
-    if (isBlackListed) {
+    if (await isTokenBlacklisted(token)) {
       return res.status(401).json({
         message: "Unauthorized! Token is blacklisted.",
       });
@@ -84,3 +117,41 @@ module.exports.authCaptain = async (req, res, next) => {
     });
   }
 };
+
+// Middleware for routes shared by riders and captains (e.g. cancelling a ride)
+// Attaches req.user or req.captain depending on whose token was presented
+module.exports.authUserOrCaptain = async (req, res, next) => {
+  // Get token from cookies or headers
+  const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
+
+  try {
+    const { type, account } = await module.exports.authenticateToken(token);
+
+    if (type === "user") {
+      req.user = account;
+    } else {
+      req.captain = account;
+    }
+    return next();
+  } catch (err) {
+    if (!err.statusCode) {
+      console.error("Error during authentication:", err);
+    }
+    return res.status(err.statusCode || 401).json({
+      message: err.statusCode ? err.message : "Unauthorized! Invalid token.",
+    });
+  }
+};
+
+// Middleware for Admin-only routes (e.g. managing fare rules)
+// Authenticates the user as usual, then requires the admin role
+module.exports.authAdmin = async (req, res, next) => {
+  return module.exports.authUser(req, res, () => {
+    if (req.user.role !== "admin") {
+      return res.status(403).json({
+        message: "Forbidden! Admin access required.",
+      });
+    }
+    next();
+  });
+};
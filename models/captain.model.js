@@ -26,16 +26,34 @@ const captainSchema = new mongoose.Schema({
     required: true,
     select: false,
   },
-  socketId: {
-    type: String,
-  },
 
+  //online/offline as chosen by the captain (or forced offline after a lost socket)!
   status: {
     type: String,
     enum: ["active", "inactive"],
     default: "inactive",
   },
 
+  //true while the captain has an accepted or ongoing ride!
+  onTrip: {
+    type: Boolean,
+    default: false,
+  },
+
+  //average of the latest ratings from riders, kept up to date by rating.service!
+  //dispatch offers rides to low-rated captains last!
+  rating: {
+    average: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+
   vehicle: {
     color: {
       type: String,
@@ -59,16 +77,22 @@ const captainSchema = new mongoose.Schema({
     },
   },
 
+  // GeoJSON Point, coordinates are [longitude, latitude]
   location: {
-    ltd: {
-      type: Number,
+    type: {
+      type: String,
+      enum: ["Point"],
     },
-    lng: {
-      type: Number,
+    coordinates: {
+      type: [Number],
+      default: undefined,
     },
   },
 });
 
+//2dsphere index backing the nearby captain search in maps.service!
+captainSchema.index({ location: "2dsphere" });
+
 //method to generate an authentication token!
 //after the user create an account it will generate the auth token for the particular user for the authentication//unique!
 //and we can get it from the headers or the cookies!
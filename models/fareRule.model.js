@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Pricing for one vehicle type in a city (optionally narrowed to a zone inside
+// it). Rules are never edited in place: a change is saved as the next version
+// of the same city/zone/vehicle type, so every ride can point at exactly what
+// priced it. See services/fare.service.js for how a rule is picked.
+
+const DEFAULT_CITY = 'default';
+
+const fareRuleSchema = new mongoose.Schema({
+    city: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    zone: {
+        type: String,
+        lowercase: true,
+        trim: true,
+    },
+    vehicleType: {
+        type: String,
+        enum: [ 'auto', 'car', 'moto' ],
+        required: true,
+    },
+
+    // Area the rule applies to, matched against the pickup point.
+    // Only the 'default' city (the fallback everywhere else) goes without one.
+    serviceArea: {
+        type: {
+            type: String,
+            enum: [ 'Polygon', 'MultiPolygon' ],
+        },
+        coordinates: {
+            type: Array,
+            default: undefined,
+        },
+    },
+
+    baseFare: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    perKmRate: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    perMinuteRate: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    minimumFare: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    bookingFee: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // Standing still during the trip beyond the free allowance is billed per minute at this rate
+    waitingRatePerMinute: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    freeWaitingMinutes: {
+        type: Number,
+        default: 3,
+        min: 0,
+    },
+
+    effectiveFrom: {
+        type: Date,
+        default: Date.now,
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+})
+
+fareRuleSchema.pre('validate', function (next) {
+    if (this.city !== DEFAULT_CITY && !(this.serviceArea && this.serviceArea.type)) {
+        this.invalidate('serviceArea', 'A service area is required for every city except the default');
+    }
+    next();
+});
+
+fareRuleSchema.index({ city: 1, zone: 1, vehicleType: 1, version: -1 }, { unique: true });
+fareRuleSchema.index({ serviceArea: '2dsphere' });
+
+const fareRuleModel = mongoose.model('fareRule', fareRuleSchema);
+
+module.exports = fareRuleModel;
+module.exports.DEFAULT_CITY = DEFAULT_CITY;
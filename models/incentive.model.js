@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A bonus paid to captains who complete a number of rides within a day or a
+// week (in EARNINGS_TIMEZONE), e.g. "20 rides this week, earn 500". Each captain
+// earns it at most once per period. Awarded by services/earnings.service.js.
+const incentiveSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    period: {
+        type: String,
+        enum: [ 'daily', 'weekly' ],
+        required: true,
+    },
+    targetRides: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    bonus: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // Limits the incentive to one vehicle type, all types when unset
+    vehicleType: {
+        type: String,
+        enum: [ 'auto', 'car', 'moto' ],
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now,
+    },
+    endsAt: {
+        type: Date,
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+})
+
+incentiveSchema.index({ active: 1, startsAt: 1 });
+
+module.exports = mongoose.model('incentive', incentiveSchema);
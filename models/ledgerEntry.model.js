@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A single line of a ledger transaction: a signed amount booked against one
+// account (positive credits it, negative debits it). Entries are append-only;
+// a mistake is corrected by posting a reversing transaction, never by editing.
+const ledgerEntrySchema = new mongoose.Schema({
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ledgerTransaction',
+        required: true,
+    },
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'walletAccount',
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    // Account balance right after this entry, for statements
+    balanceAfter: {
+        type: Number,
+        required: true,
+    },
+    // Copied from the transaction so history can be filtered without a join
+    type: {
+        type: String,
+        required: true,
+    },
+    description: {
+        type: String,
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+const IMMUTABLE = 'Ledger entries are immutable, post a reversing transaction instead';
+
+const immutable = function (next) {
+    next(new Error(IMMUTABLE));
+};
+
+[ 'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete' ].forEach(operation => {
+    ledgerEntrySchema.pre(operation, immutable);
+});
+
+ledgerEntrySchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error(IMMUTABLE));
+    }
+    next();
+});
+
+module.exports = mongoose.model('ledgerEntry', ledgerEntrySchema);
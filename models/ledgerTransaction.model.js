@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One balanced movement of money: its ledger entries sum to zero. The key makes
+// posting idempotent, e.g. a ride is settled into the ledger exactly once no
+// matter how many times settlement is attempted.
+const ledgerTransactionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    type: {
+        type: String,
+        enum: [ 'ride_settlement', 'topup', 'refund', 'cancellation', 'incentive', 'payout', 'referral', 'adjustment' ],
+        required: true,
+    },
+    description: {
+        type: String,
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'payment',
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+module.exports = mongoose.model('ledgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Transactional outbox: events are written in the same MongoDB transaction as the
+// state change they describe, then relayed to Kafka by services/outbox.service.js
+const outboxEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    topic: {
+        type: String,
+        required: true,
+    },
+    // Kafka message key, the aggregate id so events for one ride share a partition
+    key: {
+        type: String,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: [ 'pending', 'published', 'failed' ],
+        default: 'pending',
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    lastError: {
+        type: String,
+    },
+    // Earliest time the relay may (re)try the event, pushed back after failures
+    availableAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lockedUntil: {
+        type: Date,
+    },
+    publishedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true
+});
+
+outboxEventSchema.index({ status: 1, availableAt: 1, createdAt: 1 });
+// Published events are only kept around for a week for debugging
+outboxEventSchema.index({ publishedAt: 1 }, {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: 'published' }
+});
+
+module.exports = mongoose.model('outboxEvent', outboxEventSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One payment per ride. Cash and wallet payments are settled when the ride
+// completes; online payments go through the gateway order created when the
+// ride is confirmed and are captured once the provider's signature checks out.
+// Wallet top-ups are online payments without a ride.
+// Managed by services/payment.service.js.
+const paymentSchema = new mongoose.Schema({
+    purpose: {
+        type: String,
+        enum: [ 'ride', 'topup' ],
+        default: 'ride',
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+        required: function () {
+            return this.purpose === 'ride';
+        },
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    method: {
+        type: String,
+        enum: [ 'cash', 'online', 'wallet' ],
+        required: true,
+    },
+    provider: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: [ 'pending', 'created', 'captured', 'failed', 'refunded', 'cancelled' ],
+        default: 'pending',
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+    },
+
+    // Gateway references (online only)
+    orderId: {
+        type: String,
+    },
+    paymentId: {
+        type: String,
+    },
+    // Orders re-issued for a new amount; the rider may still pay one of them
+    previousOrders: [ {
+        _id: false,
+        orderId: String,
+        amount: Number,
+    } ],
+
+    refunds: [ {
+        _id: false,
+        refundId: String,
+        amount: Number,
+        reason: String,
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    } ],
+    refundedAmount: {
+        type: Number,
+        default: 0,
+    },
+
+    failureReason: {
+        type: String,
+    },
+    capturedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true
+})
+
+paymentSchema.index({ ride: 1 }, { unique: true, partialFilterExpression: { ride: { $exists: true } } });
+paymentSchema.index({ orderId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ 'previousOrders.orderId': 1 }, { sparse: true });
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('payment', paymentSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A captain's request to withdraw wallet earnings to their bank account.
+//
+//   requested ──admin──> approved ──admin──> paid
+//       │                   └──admin──> rejected
+//       ├──admin──> rejected
+//       └──captain──> cancelled
+//
+// The amount is held in the ledger from the request until the payout is paid,
+// rejected or cancelled. Managed by services/payout.service.js.
+const payoutSchema = new mongoose.Schema({
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'captain',
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+    },
+    status: {
+        type: String,
+        enum: [ 'requested', 'approved', 'paid', 'rejected', 'cancelled' ],
+        default: 'requested',
+    },
+    note: {
+        type: String,
+    },
+
+    // Filled in by the admin reviewing the payout
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reviewNote: {
+        type: String,
+    },
+    // Bank transfer reference, once paid
+    reference: {
+        type: String,
+    },
+
+    approvedAt: Date,
+    paidAt: Date,
+    rejectedAt: Date,
+    cancelledAt: Date,
+}, {
+    timestamps: true
+})
+
+payoutSchema.index({ captain: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+// At most one payout in progress per captain, even when two requests race
+payoutSchema.index({ captain: 1 }, {
+    unique: true,
+    partialFilterExpression: { status: { $in: [ 'requested', 'approved' ] } }
+});
+
+module.exports = mongoose.model('payout', payoutSchema);
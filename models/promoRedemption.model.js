@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A discount taken by a ride: a promo code or the referral welcome discount.
+// Released when the ride is cancelled or expires, so the rider can use it again.
+const promoRedemptionSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: [ 'promo', 'referral' ],
+        required: true,
+    },
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'promotion',
+    },
+    code: {
+        type: String,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+        required: true,
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    status: {
+        type: String,
+        enum: [ 'applied', 'released' ],
+        default: 'applied',
+    },
+}, {
+    timestamps: true
+})
+
+promoRedemptionSchema.index({ promotion: 1, user: 1, status: 1 });
+promoRedemptionSchema.index({ user: 1, source: 1, status: 1 });
+promoRedemptionSchema.index({ ride: 1 });
+
+module.exports = mongoose.model('promoRedemption', promoRedemptionSchema);
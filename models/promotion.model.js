@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A promo code riders can enter when asking for a fare. Percentage discounts
+// can be capped with maxDiscount; flat discounts never exceed the fare.
+// usedCount counts rides currently holding a redemption (cancelled and expired
+// rides give theirs back). Applied by services/promotion.service.js.
+const promotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    type: {
+        type: String,
+        enum: [ 'percentage', 'flat' ],
+        required: true,
+    },
+    // Percent off for 'percentage', amount off for 'flat'
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    maxDiscount: {
+        type: Number,
+        min: 0,
+    },
+    minFare: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // Empty means every vehicle type
+    vehicleTypes: {
+        type: [ {
+            type: String,
+            enum: [ 'auto', 'car', 'moto' ],
+        } ],
+        default: [],
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now,
+    },
+    validTo: {
+        type: Date,
+    },
+    // Across all riders, unlimited when unset
+    maxUses: {
+        type: Number,
+        min: 1,
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1,
+    },
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+})
+
+promotionSchema.pre('validate', function (next) {
+    if (this.type === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'A percentage discount cannot exceed 100');
+    }
+    if (this.validTo && this.validFrom && this.validTo <= this.validFrom) {
+        this.invalidate('validTo', 'validTo must be after validFrom');
+    }
+    next();
+});
+
+module.exports = mongoose.model('promotion', promotionSchema);
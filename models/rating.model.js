@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One side's rating of the other for a completed ride: the rider rating the
+// captain, or the captain rating the rider. Each side rates a ride at most once.
+const ratingSchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+        required: true,
+    },
+    raterType: {
+        type: String,
+        enum: [ 'user', 'captain' ],
+        required: true,
+    },
+    rater: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    rateeType: {
+        type: String,
+        enum: [ 'user', 'captain' ],
+        required: true,
+    },
+    ratee: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    score: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: {
+            validator: Number.isInteger,
+            message: 'Score must be a whole number',
+        },
+    },
+    tags: {
+        type: [ String ],
+        default: [],
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+ratingSchema.index({ ride: 1, raterType: 1 }, { unique: true });
+// Latest ratings received, for the rolling average and profile reviews
+ratingSchema.index({ rateeType: 1, ratee: 1, createdAt: -1 });
+
+module.exports = mongoose.model('rating', ratingSchema);
@@ -4,7 +4,7 @@ const mongoose = require('mongoose');
 const rideSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'user',
+        ref: 'User',
         required: true
     },
     captain: {
@@ -23,10 +23,42 @@ const rideSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    vehicleType: {
+        type: String,
+        enum: [ 'auto', 'car', 'moto' ],
+    },
+
+    // The fare rule version that priced the ride (version 0: built-in defaults)
+    fareRule: {
+        rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'fareRule',
+        },
+        version: {
+            type: Number,
+        },
+        city: {
+            type: String,
+        },
+        zone: {
+            type: String,
+        },
+    },
+
+    // Surge the quoted fare included and the geohash cell it was measured in
+    surge: {
+        multiplier: {
+            type: Number,
+            default: 1,
+        },
+        cell: {
+            type: String,
+        },
+    },
 
     status: {
         type: String,
-        enum: [ 'pending', 'accepted', "ongoing", 'completed', 'cancelled' ],
+        enum: [ 'pending', 'accepted', "ongoing", 'completed', 'cancelled', 'expired' ],
         default: 'pending',
     },
 
@@ -38,6 +70,78 @@ const rideSchema = new mongoose.Schema({
         type: Number,
     }, // in meters
 
+    // Final fare as computed at the end of the trip (services/fare.service.js)
+    fareBreakdown: {
+        baseFare: Number,
+        distanceFare: Number,
+        timeFare: Number,
+        waitingFare: Number,
+        minimumFareAdjustment: Number,
+        surgeMultiplier: Number,
+        surgeAmount: Number,
+        bookingFee: Number,
+        tolls: {
+            type: [ {
+                _id: false,
+                name: String,
+                amount: Number,
+            } ],
+            default: undefined,
+        },
+        tollsTotal: Number,
+        rounding: Number,
+        total: Number,
+        distance: Number, // in meters
+        duration: Number, // in seconds
+        waitingTime: Number, // in seconds
+        distanceSource: {
+            type: String,
+            enum: [ 'trail', 'estimate' ],
+        },
+        estimatedFare: Number,
+        fareRule: {
+            rule: mongoose.Schema.Types.ObjectId,
+            version: Number,
+            city: String,
+            zone: String,
+        },
+    },
+
+    // Promo code or referral discount taken off the fare; `fare` is what the rider
+    // pays after it. Percentage terms are kept so the final fare is discounted alike.
+    discounts: {
+        type: [ {
+            _id: false,
+            source: {
+                type: String,
+                enum: [ 'promo', 'referral' ],
+            },
+            promotion: mongoose.Schema.Types.ObjectId,
+            code: String,
+            label: String,
+            type: {
+                type: String,
+                enum: [ 'percentage', 'flat' ],
+            },
+            value: Number,
+            maxDiscount: Number,
+            amount: Number,
+        } ],
+        default: undefined,
+    },
+
+    // Split of the final fare between the captain and the platform, fixed at completion
+    earnings: {
+        commissionRate: Number,
+        commission: Number,
+        captainEarning: Number,
+    },
+
+    paymentMethod: {
+        type: String,
+        enum: [ 'cash', 'online', 'wallet' ],
+        default: 'cash',
+    },
     paymentID: {
         type: String,
     },
@@ -53,6 +157,57 @@ const rideSchema = new mongoose.Schema({
         select: false,
         required: true,
     },
+
+    // Captains the ride was offered to, so the losers can be told it was taken
+    offeredCaptains: {
+        type: [ {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'captain',
+        } ],
+        select: false,
+    },
+
+    // Stamped by services/rideStateMachine.service.js on each transition
+    acceptedAt: {
+        type: Date,
+    },
+
+    startedAt: {
+        type: Date,
+    },
+
+    completedAt: {
+        type: Date,
+    },
+
+    cancelledAt: {
+        type: Date,
+    },
+
+    expiredAt: {
+        type: Date,
+    },
+
+    cancellation: {
+        cancelledBy: {
+            type: String,
+            enum: [ 'user', 'captain' ],
+        },
+        reason: {
+            type: String,
+            maxlength: 500,
+        },
+        fee: {
+            type: Number,
+            default: 0,
+        },
+    },
+}, {
+    timestamps: true
 })
 
+// Ride history lookups for riders and captains, newest first
+rideSchema.index({ user: 1, createdAt: -1 });
+rideSchema.index({ captain: 1, createdAt: -1 });
+
 module.exports = mongoose.model('ride', rideSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// The path a completed ride actually took, kept compact: coordinates as an
+// encoded polyline, and for each point the seconds since the first one and the
+// speed (m/s) it was reached at, in the same order.
+const rideRouteSchema = new mongoose.Schema({
+    ride: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ride',
+        required: true,
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'captain',
+    },
+    polyline: {
+        type: String,
+        default: '',
+    },
+    offsets: {
+        type: [ Number ],
+        default: [],
+    },
+    speeds: {
+        type: [ Number ],
+        default: [],
+    },
+    startedAt: {
+        type: Date,
+    },
+    endedAt: {
+        type: Date,
+    },
+    // Meters travelled and seconds spent standing still along the recorded points
+    distance: {
+        type: Number,
+        default: 0,
+    },
+    waitingTime: {
+        type: Number,
+        default: 0,
+    },
+}, {
+    timestamps: true
+})
+
+rideRouteSchema.index({ ride: 1 }, { unique: true });
+
+module.exports = mongoose.model('rideRoute', rideRouteSchema);
@@ -25,9 +25,34 @@ const userSchema = new mongoose.Schema({
     required: true, // Password is mandatory
     select: false, // Exclude password field by default in queries
   },
-  socketId: {
+  //code this user shares with friends, issued at registration!!
+  referralCode: {
     type: String,
-    default: null, // Default value for socketId
+    unique: true,
+    sparse: true,
+  },
+  //who referred this user, gets a reward after their first ride!!
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  //average of the latest ratings from captains, kept up to date by rating.service!!
+  rating: {
+    average: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  //admins manage pricing (fare rules)! never set from the register route!!
+  role: {
+    type: String,
+    enum: ["user", "admin"],
+    default: "user",
   },
 });
 
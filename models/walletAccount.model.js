@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// An account in the double-entry ledger. Riders and captains each get a wallet
+// account; money coming from or going to the outside world is booked against
+// system accounts (see SYSTEM_ACCOUNTS in services/wallet.service.js).
+//
+// `balance` is a cache kept in step with the ledger entries in the same
+// transaction; the entries are the source of truth and the balance can always
+// be derived from them again.
+const walletAccountSchema = new mongoose.Schema({
+    ownerType: {
+        type: String,
+        enum: [ 'user', 'captain', 'system' ],
+        required: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    // 'wallet' for riders and captains, the account name for system accounts
+    code: {
+        type: String,
+        required: true,
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+    },
+    balance: {
+        type: Number,
+        default: 0,
+    },
+    // Whether debits may take the balance below zero
+    allowNegative: {
+        type: Boolean,
+        default: false,
+    },
+}, {
+    timestamps: true
+})
+
+walletAccountSchema.index({ ownerType: 1, owner: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('walletAccount', walletAccountSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Provider webhook deliveries already handled. Providers retry until they get a
+// 2xx, so the same event can arrive several times; the unique index makes the
+// second insert fail and the delivery is acknowledged without being re-applied.
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    eventId: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+    },
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'payment',
+    },
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// Retries stop after a few days, no need to remember deliveries for longer
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('webhookEvent', webhookEventSchema);
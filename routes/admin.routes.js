@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, param } = require('express-validator');
+const fareRuleController = require('../controllers/fareRule.controller.js');
+const earningsController = require('../controllers/earnings.controller.js');
+const promotionController = require('../controllers/promotion.controller.js');
+const authMiddleware = require('../middlewares/aut.middlewares.js');
+
+const VEHICLE_TYPES = [ 'auto', 'car', 'moto' ];
+
+// Pricing fields shared by creating a rule and saving a new version of one
+const pricingValidators = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('baseFare').isFloat({ min: 0 }).withMessage('Invalid base fare').toFloat(),
+        field('perKmRate').isFloat({ min: 0 }).withMessage('Invalid per km rate').toFloat(),
+        field('perMinuteRate').isFloat({ min: 0 }).withMessage('Invalid per minute rate').toFloat(),
+        body('minimumFare').optional().isFloat({ min: 0 }).withMessage('Invalid minimum fare').toFloat(),
+        body('bookingFee').optional().isFloat({ min: 0 }).withMessage('Invalid booking fee').toFloat(),
+        body('waitingRatePerMinute').optional().isFloat({ min: 0 }).withMessage('Invalid waiting rate').toFloat(),
+        body('freeWaitingMinutes').optional().isFloat({ min: 0 }).withMessage('Invalid free waiting minutes').toFloat(),
+        body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective from date').toDate(),
+        body('serviceArea').optional().isObject().withMessage('Service area must be a GeoJSON polygon'),
+        body('serviceArea.type').optional().isIn([ 'Polygon', 'MultiPolygon' ]).withMessage('Service area must be a GeoJSON polygon'),
+        body('serviceArea.coordinates').optional().isArray({ min: 1 }).withMessage('Invalid service area coordinates')
+    ];
+};
+
+router.get('/fare-rules',
+    authMiddleware.authAdmin,
+    query('city').optional().isString(),
+    query('zone').optional().isString(),
+    query('vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+    query('active').optional().isBoolean().withMessage('Invalid active flag').toBoolean(),
+    fareRuleController.listFareRules
+)
+
+router.get('/fare-rules/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid fare rule id'),
+    fareRuleController.getFareRule
+)
+
+router.post('/fare-rules',
+    authMiddleware.authAdmin,
+    body('city').isString().trim().isLength({ min: 2 }).withMessage('Invalid city'),
+    body('zone').optional().isString().trim().isLength({ min: 2 }).withMessage('Invalid zone'),
+    body('vehicleType').isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+    ...pricingValidators(false),
+    fareRuleController.createFareRule
+)
+
+// Saves the changes as the next version of the rule
+router.put('/fare-rules/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid fare rule id'),
+    ...pricingValidators(true),
+    fareRuleController.updateFareRule
+)
+
+router.delete('/fare-rules/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid fare rule id'),
+    fareRuleController.deactivateFareRule
+)
+
+router.get('/payouts',
+    authMiddleware.authAdmin,
+    query('status').optional().isIn([ 'requested', 'approved', 'paid', 'rejected', 'cancelled' ]).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Invalid page').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt(),
+    earningsController.listPayouts
+)
+
+router.patch('/payouts/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid payout id'),
+    body('status').isIn([ 'approved', 'paid', 'rejected' ]).withMessage('Status must be approved, paid or rejected'),
+    body('reference').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid transfer reference'),
+    body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters'),
+    earningsController.reviewPayout
+)
+
+router.get('/incentives',
+    authMiddleware.authAdmin,
+    query('active').optional().isBoolean().withMessage('Invalid active flag').toBoolean(),
+    earningsController.listIncentives
+)
+
+router.post('/incentives',
+    authMiddleware.authAdmin,
+    body('name').isString().trim().isLength({ min: 3, max: 100 }).withMessage('Invalid name'),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+    body('period').isIn([ 'daily', 'weekly' ]).withMessage('Period must be daily or weekly'),
+    body('targetRides').isInt({ min: 1 }).withMessage('Invalid target rides').toInt(),
+    body('bonus').isFloat({ min: 0 }).withMessage('Invalid bonus').toFloat(),
+    body('vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+    body('startsAt').optional().isISO8601().withMessage('Invalid start date').toDate(),
+    body('endsAt').optional().isISO8601().withMessage('Invalid end date').toDate(),
+    earningsController.createIncentive
+)
+
+router.delete('/incentives/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid incentive id'),
+    earningsController.deactivateIncentive
+)
+
+router.get('/promotions',
+    authMiddleware.authAdmin,
+    query('active').optional().isBoolean().withMessage('Invalid active flag').toBoolean(),
+    promotionController.listPromotions
+)
+
+router.post('/promotions',
+    authMiddleware.authAdmin,
+    body('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,32}$/).withMessage('Code must be 3-32 letters, digits, - or _'),
+    body('description').optional().isString().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+    body('type').isIn([ 'percentage', 'flat' ]).withMessage('Type must be percentage or flat'),
+    body('value').isFloat({ min: 0 }).withMessage('Invalid discount value').toFloat(),
+    body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Invalid maximum discount').toFloat(),
+    body('minFare').optional().isFloat({ min: 0 }).withMessage('Invalid minimum fare').toFloat(),
+    body('vehicleTypes').optional().isArray().withMessage('Vehicle types must be a list'),
+    body('vehicleTypes.*').isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+    body('validFrom').optional().isISO8601().withMessage('Invalid start date').toDate(),
+    body('validTo').optional().isISO8601().withMessage('Invalid end date').toDate(),
+    body('maxUses').optional().isInt({ min: 1 }).withMessage('Invalid maximum uses').toInt(),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Invalid per user limit').toInt(),
+    promotionController.createPromotion
+)
+
+router.delete('/promotions/:id',
+    authMiddleware.authAdmin,
+    param('id').isMongoId().withMessage('Invalid promotion id'),
+    promotionController.deactivatePromotion
+)
+
+
+module.exports = router;
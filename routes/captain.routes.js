@@ -1,8 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const captainController = require("../controllers/captain.controller");
-const { body } = require("express-validator");
+const { body, query, param } = require("express-validator");
 const authMiddleware = require("../middlewares/aut.middlewares");
+const walletController = require("../controllers/wallet.controller");
+const earningsController = require("../controllers/earnings.controller");
 
 //on this register Route these are the validationS!!!
 
@@ -50,6 +52,83 @@ router.get(
   captainController.getCaptainProfile//controller!!
 );
 
+//Online/Offline Toggle!!
+router.patch(
+  "/status",
+  authMiddleware.authCaptain,
+  [
+    body("status")
+      .isIn(["active", "inactive"])
+      .withMessage("Status must be either active or inactive"),
+  ],
+  captainController.updateStatus
+);
+
+//Wallet: earnings credited per ride, commission owed on cash rides!!
+router.get(
+  "/wallet",
+  authMiddleware.authCaptain,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Invalid page").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50").toInt(),
+    query("type").optional().isIn(["ride_settlement", "topup", "refund", "cancellation", "incentive", "payout", "referral", "adjustment"]).withMessage("Invalid transaction type"),
+  ],
+  walletController.getWallet
+);
+
+//Earnings per day or week: fares, commission, incentives!!
+router.get(
+  "/earnings",
+  authMiddleware.authCaptain,
+  [
+    query("period").optional().isIn(["daily", "weekly"]).withMessage("Period must be daily or weekly"),
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+  ],
+  earningsController.getEarnings
+);
+
+//Downloadable statement (json, csv or pdf)!!
+router.get(
+  "/earnings/statement",
+  authMiddleware.authCaptain,
+  [
+    query("from").optional().isISO8601().withMessage("Invalid from date"),
+    query("to").optional().isISO8601().withMessage("Invalid to date"),
+    query("format").optional().isIn(["json", "csv", "pdf"]).withMessage("Format must be json, csv or pdf"),
+  ],
+  earningsController.getStatement
+);
+
+//Payouts from the wallet to the bank!!
+router.post(
+  "/payouts",
+  authMiddleware.authCaptain,
+  [
+    body("amount").isFloat({ gt: 0 }).withMessage("Invalid payout amount").toFloat(),
+    body("note").optional().isString().isLength({ max: 500 }).withMessage("Note must be at most 500 characters"),
+  ],
+  earningsController.requestPayout
+);
+
+router.get(
+  "/payouts",
+  authMiddleware.authCaptain,
+  [
+    query("status").optional().isIn(["requested", "approved", "paid", "rejected", "cancelled"]).withMessage("Invalid status"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Invalid page").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50").toInt(),
+  ],
+  earningsController.listPayouts
+);
+
+router.post(
+  "/payouts/:id/cancel",
+  authMiddleware.authCaptain,
+  [param("id").isMongoId().withMessage("Invalid payout id")],
+  earningsController.cancelPayout
+);
+
 //Logout Validations !!!(Get)
 router.get(
   "/logout",
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const paymentController = require('../controllers/payment.controller.js');
+const authMiddleware = require('../middlewares/aut.middlewares.js');
+const { getPaymentProvider } = require('../services/paymentProviders');
+
+
+router.get('/ride/:rideId',
+    authMiddleware.authUserOrCaptain,
+    param('rideId').isMongoId().withMessage('Invalid ride id'),
+    paymentController.getRidePayment
+)
+
+router.post('/verify',
+    authMiddleware.authUser,
+    body('rideId').isMongoId().withMessage('Invalid ride id'),
+    body('orderId').isString().notEmpty().withMessage('Order id is required'),
+    body('paymentId').isString().notEmpty().withMessage('Payment id is required'),
+    body('signature').isString().notEmpty().withMessage('Signature is required'),
+    paymentController.verifyPayment
+)
+
+router.post('/ride/:rideId/refund',
+    authMiddleware.authAdmin,
+    param('rideId').isMongoId().withMessage('Invalid ride id'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Invalid refund amount').toFloat(),
+    body('destination').optional().isIn([ 'source', 'wallet' ]).withMessage('Destination must be source or wallet'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    paymentController.refundPayment
+)
+
+// Called by the provider, authenticated by its signature instead of a token
+router.post('/webhook/:provider',
+    paymentController.handleWebhook
+)
+
+if (getPaymentProvider().name === 'mock' && process.env.NODE_ENV !== 'production') {
+    router.post('/mock/checkout',
+        authMiddleware.authUser,
+        body('rideId').isMongoId().withMessage('Invalid ride id'),
+        paymentController.mockCheckout
+    )
+}
+
+
+module.exports = router;
@@ -1,9 +1,10 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const rideController = require('../controllers/ride.controller.js');
-const authMiddleware = require('../middlewares/auth.middleware.js');
+const authMiddleware = require('../middlewares/aut.middlewares.js');
+const { RIDE_STATUS } = require('../services/rideStateMachine.service.js');
 
 
 router.post('/create',
@@ -11,6 +12,9 @@ router.post('/create',
     body('pickup').isString().isLength({ min: 3 }).withMessage('Invalid pickup address'),
     body('destination').isString().isLength({ min: 3 }).withMessage('Invalid destination address'),
     body('vehicleType').isString().isIn([ 'auto', 'car', 'moto' ]).withMessage('Invalid vehicle type'),
+    body('quoteId').isString().notEmpty().withMessage('Fare quote is required'),
+    body('acceptSurge').optional().isBoolean().withMessage('acceptSurge must be a boolean').toBoolean(),
+    body('paymentMethod').optional().isIn([ 'cash', 'online', 'wallet' ]).withMessage('Payment method must be cash, online or wallet'),
     rideController.createRide
 )
 
@@ -18,6 +22,7 @@ router.get('/get-fare',
     authMiddleware.authUser,
     query('pickup').isString().isLength({ min: 3 }).withMessage('Invalid pickup address'),
     query('destination').isString().isLength({ min: 3 }).withMessage('Invalid destination address'),
+    query('promoCode').optional().isString().trim().isLength({ min: 3, max: 32 }).withMessage('Invalid promo code'),
     rideController.getFare
 )
 
@@ -37,9 +42,66 @@ router.get('/start-ride',
 router.post('/end-ride',
     authMiddleware.authCaptain,
     body('rideId').isMongoId().withMessage('Invalid ride id'),
+    body('tolls').optional().isArray({ max: 20 }).withMessage('Tolls must be a list of at most 20 entries'),
+    body('tolls.*.name').optional().isString().trim().isLength({ max: 100 }).withMessage('Invalid toll name'),
+    body('tolls.*.amount').isFloat({ min: 0, max: 10000 }).withMessage('Invalid toll amount').toFloat(),
     rideController.endRide
 )
 
+router.post('/cancel',
+    authMiddleware.authUserOrCaptain,
+    body('rideId').isMongoId().withMessage('Invalid ride id'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    rideController.cancelRide
+)
+
+router.get('/get-ride/:id',
+    authMiddleware.authUserOrCaptain,
+    param('id').isMongoId().withMessage('Invalid ride id'),
+    rideController.getRide
+)
+
+router.get('/history',
+    authMiddleware.authUserOrCaptain,
+    query('page').optional().isInt({ min: 1 }).withMessage('Invalid page').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt(),
+    query('status').optional().isIn(Object.values(RIDE_STATUS)).withMessage('Invalid status'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    rideController.getRideHistory
+)
+
+router.get('/:id/receipt',
+    authMiddleware.authUserOrCaptain,
+    param('id').isMongoId().withMessage('Invalid ride id'),
+    query('format').optional().isIn([ 'json', 'html', 'pdf' ]).withMessage('Format must be json, html or pdf'),
+    rideController.getReceipt
+)
+
+// Rider, captain or an admin; the JSON form carries an encoded polyline for the app
+router.get('/:id/route',
+    authMiddleware.authUserOrCaptain,
+    param('id').isMongoId().withMessage('Invalid ride id'),
+    query('format').optional().isIn([ 'json', 'geojson', 'gpx' ]).withMessage('Format must be json, geojson or gpx'),
+    rideController.getRoute
+)
+
+router.post('/:id/rating',
+    authMiddleware.authUserOrCaptain,
+    param('id').isMongoId().withMessage('Invalid ride id'),
+    body('score').isInt({ min: 1, max: 5 }).withMessage('Score must be between 1 and 5').toInt(),
+    body('tags').optional().isArray({ max: 5 }).withMessage('At most 5 tags'),
+    body('tags.*').isString().withMessage('Invalid tag'),
+    body('comment').optional().isString().trim().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters'),
+    rideController.rateRide
+)
+
+router.get('/:id/rating',
+    authMiddleware.authUserOrCaptain,
+    param('id').isMongoId().withMessage('Invalid ride id'),
+    rideController.getRideRatings
+)
+
 
 
 module.exports = router;
@@ -1,8 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const { body } = require("express-validator"); // Middleware for validating request body
+const { body, query } = require("express-validator"); // Middleware for validating request body
 const userController = require("../controllers/user.controller"); // Import user controller functions
 const authMiddleware = require("../middlewares/aut.middlewares");
+const walletController = require("../controllers/wallet.controller");
 
 // Route for user registration
 router.post(
@@ -24,6 +25,13 @@ router.post(
     body("password")
       .isLength({ min: 6 })
       .withMessage("Password must be at least 6 characters"),
+    // Optional code from the friend who referred this user
+    body("referralCode")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 4, max: 16 })
+      .withMessage("Invalid referral code"),
   ],
   userController.registerUser // Controller function to handle user registration
 );
@@ -51,5 +59,38 @@ router.get("/profile", authMiddleware.authUser, userController.getUserProfile);
 //to get the logout seen!
 router.get("/logout", authMiddleware.authUser, userController.logoutUser);
 
+// Wallet balance and ledger history
+router.get(
+  "/wallet",
+  authMiddleware.authUser,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Invalid page").toInt(),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50").toInt(),
+    query("type").optional().isIn(["ride_settlement", "topup", "refund", "cancellation", "incentive", "payout", "referral", "adjustment"]).withMessage("Invalid transaction type"),
+  ],
+  walletController.getWallet
+);
+
+// Top-ups are paid online, the wallet is credited once the payment is captured
+router.post(
+  "/wallet/topup",
+  authMiddleware.authUser,
+  [
+    body("amount").isFloat({ min: 1 }).withMessage("Invalid top-up amount").toFloat(),
+  ],
+  walletController.topUp
+);
+
+router.post(
+  "/wallet/topup/verify",
+  authMiddleware.authUser,
+  [
+    body("orderId").isString().notEmpty().withMessage("Order id is required"),
+    body("paymentId").isString().notEmpty().withMessage("Payment id is required"),
+    body("signature").isString().notEmpty().withMessage("Signature is required"),
+  ],
+  walletController.verifyTopUp
+);
+
 // Export the router for use in other parts of the application
 module.exports = router;
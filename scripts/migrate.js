@@ -0,0 +1,47 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Runs every migration in scripts/migrations that has not been applied yet, in
+// filename order, and records applied ones in the `migrations` collection.
+// Each migration exports { description, up(db) } where db is the native driver Db.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function run() {
+    const connectionString = process.env.DB_CONNECT || 'mongodb://localhost:27017/cab_booking_enhanced';
+    await mongoose.connect(connectionString);
+
+    const db = mongoose.connection.db;
+    const applied = db.collection('migrations');
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort();
+
+    for (const file of files) {
+        const name = path.basename(file, '.js');
+
+        if (await applied.findOne({ name })) {
+            continue;
+        }
+
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        console.log(`▶️  ${name}: ${migration.description}`);
+
+        await migration.up(db);
+        await applied.insertOne({ name, appliedAt: new Date() });
+
+        console.log(`✅ ${name} applied`);
+    }
+}
+
+run()
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+        console.error('❌ Migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
@@ -0,0 +1,47 @@
+// Captains used to store location as { ltd, lng }, which neither the 2dsphere
+// index nor $nearSphere understand. Rewrite them as GeoJSON Points.
+const BATCH_SIZE = 500;
+
+const isValidCoordinate = (ltd, lng) =>
+    Number.isFinite(ltd) && Number.isFinite(lng) && Math.abs(ltd) <= 90 && Math.abs(lng) <= 180;
+
+module.exports = {
+    description: 'Convert captain locations from { ltd, lng } to GeoJSON Points',
+
+    async up(db) {
+        const captains = db.collection('captains');
+        const cursor = captains.find({ 'location.ltd': { $exists: true } });
+
+        let operations = [];
+
+        for await (const captain of cursor) {
+            const { ltd, lng } = captain.location;
+
+            // Unusable legacy values are dropped; the captain app reports a fresh position on reconnect
+            const update = isValidCoordinate(ltd, lng)
+                ? { $set: { location: { type: 'Point', coordinates: [ lng, ltd ] } } }
+                : { $unset: { location: '' } };
+
+            operations.push({ updateOne: { filter: { _id: captain._id }, update } });
+
+            if (operations.length === BATCH_SIZE) {
+                await captains.bulkWrite(operations);
+                operations = [];
+            }
+        }
+
+        if (operations.length) {
+            await captains.bulkWrite(operations);
+        }
+
+        // The old index pointed at location.coordinates, which never existed
+        const indexes = await captains.indexes();
+        for (const index of indexes) {
+            if (index.key[ 'location.coordinates' ]) {
+                await captains.dropIndex(index.name);
+            }
+        }
+
+        await captains.createIndex({ location: '2dsphere' }, { background: true });
+    }
+};
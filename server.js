@@ -12,16 +12,22 @@ const winston = require("winston");
 const { connectDB } = require("./config/db.js");
 const { redisManager } = require("./config/redis.js");
 const { kafkaManager } = require("./config/kafka.js");
+const { outboxRelay } = require("./services/outbox.service.js");
+const { dispatchEngine } = require("./services/dispatch.service.js");
+const { initializeSocket, closeSocket } = require("./socket.js");
 
 // Import routes
 const userRoutes = require("./routes/user.routes.js");
 const captainRoutes = require("./routes/captain.routes.js");
 const mapsRoutes = require('./routes/maps.routes');
 const rideRoutes = require('./routes/ride.routes');
+const adminRoutes = require('./routes/admin.routes');
+const paymentRoutes = require('./routes/payment.routes');
 
 // Import enhanced middlewares
 const errorHandler = require('./middlewares/errorHandler');
 const performanceMonitor = require('./middlewares/performanceMonitor');
+const mapService = require('./services/maps.service.js');
 
 // Initialize environment configuration
 dotenv.config();
@@ -180,6 +186,8 @@ app.use(`${API_VERSION}/users`, userRoutes);
 app.use(`${API_VERSION}/captains`, captainRoutes);
 app.use(`${API_VERSION}/maps`, mapsRoutes);
 app.use(`${API_VERSION}/rides`, rideLimiter, rideRoutes);
+app.use(`${API_VERSION}/admin`, adminRoutes);
+app.use(`${API_VERSION}/payments`, paymentRoutes);
 
 // Auth routes with specific rate limiting
 app.use(`${API_VERSION}/auth`, authLimiter);
@@ -197,7 +205,8 @@ app.get('/metrics', async (req, res) => {
             requests: {
                 total: req.requestCount || 0,
                 active: req.activeRequests || 0
-            }
+            },
+            mapsCache: mapService.getCacheStats()
         };
 
         res.json(metrics);
@@ -243,6 +252,12 @@ async function initializeServices() {
         } catch (error) {
             logger.warn('⚠️ Kafka connection failed, continuing without events:', error.message);
         }
+
+        // Relay outbox events to Kafka; they stay queued in MongoDB while Kafka is unavailable
+        outboxRelay.start();
+
+        // Move on ride offers whose timer was lost with the instance that made them
+        dispatchEngine.startSweeping();
         
         return true;
     } catch (error) {
@@ -261,14 +276,23 @@ async function gracefulShutdown(signal) {
             logger.info('🔌 HTTP server closed');
         });
         
+        // Let an in-flight drain finish while MongoDB is still up, otherwise events
+        // it already published stay pending and are published again
+        await outboxRelay.stop();
+        dispatchEngine.stopSweeping();
+
+        // Disconnect sockets, write buffered captain locations and drop this instance
+        // from the presence registry while MongoDB and Redis are up
+        await closeSocket();
+
         // Close database connection
         const { dbManager } = require('./config/db');
         await dbManager.disconnect();
-        
+
         // Close Redis connection
         await redisManager.disconnect();
         
-        // Close Kafka connections
+        // Close Kafka connections, the relay no longer publishes
         await kafkaManager.disconnect();
         
         logger.info('✅ Graceful shutdown completed');
@@ -284,7 +308,7 @@ const PORT = process.env.PORT || 6000;
 let server;
 
 initializeServices()
-    .then(() => {
+    .then(async () => {
         server = app.listen(PORT, () => {
             logger.info(`🌟 Enhanced Cab Booking Server is running on port ${PORT}`);
             logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -296,6 +320,9 @@ initializeServices()
             logger.info(`🧪 Test Coverage: 100% for ride features`);
         });
 
+        // Socket.IO shares the HTTP server, and Redis with the other instances
+        await initializeSocket(server);
+
         // Handle server errors
         server.on('error', (error) => {
             logger.error('❌ Server error:', error);
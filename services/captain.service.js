@@ -1,4 +1,9 @@
 const captainModel = require("../models/captain.model.js");
+const { dbManager } = require("../config/db.js");
+const { redisManager } = require("../config/redis.js");
+const { EVENTS } = require("../config/kafka.js");
+const outboxService = require("./outbox.service.js");
+const AppError = require("../utils/appError.js");
 
 //this is the creation of the Captains if there is no Captain!
 //Creation Service!!
@@ -40,3 +45,106 @@ module.exports.createCaptain = async ({
 
   return captain;
 };
+
+//Availability = online (status "active") and not already on a trip!
+//every change is published as driver.availability_changed through the outbox
+const isAvailable = (captain) => captain.status === "active" && !captain.onTrip;
+
+const enqueueAvailabilityChange = (captain, reason, session) =>
+  outboxService.enqueue(
+    EVENTS.DRIVER.AVAILABILITY_CHANGED,
+    {
+      aggregateType: "captain",
+      aggregateId: captain._id,
+      data: {
+        captainId: String(captain._id),
+        status: captain.status,
+        onTrip: captain.onTrip,
+        available: isAvailable(captain),
+        vehicleType: captain.vehicle && captain.vehicle.vehicleType,
+        reason,
+      },
+    },
+    { session }
+  );
+
+//status/onTrip are read on every location update, so they are cached in Redis!
+//rewritten on every change; short-lived in case that change's transaction rolls back
+const AVAILABILITY_CACHE_TTL_SECONDS = 30;
+
+const availabilityKey = (captainId) => `captain_availability:${captainId}`;
+
+const cacheAvailability = (captain) =>
+  redisManager.set(
+    availabilityKey(captain._id),
+    { _id: String(captain._id), status: captain.status, onTrip: Boolean(captain.onTrip) },
+    AVAILABILITY_CACHE_TTL_SECONDS
+  );
+
+//{ _id, status, onTrip }, from the cache or else MongoDB!
+module.exports.getAvailability = async (captainId) => {
+  const cached = await redisManager.get(availabilityKey(captainId));
+  if (cached) {
+    return cached;
+  }
+
+  const captain = await captainModel.findById(captainId).select("status onTrip").lean();
+  if (captain) {
+    await cacheAvailability(captain);
+  }
+
+  return captain;
+};
+
+//Going online/offline from the app (or from the socket disconnect grace timer)!
+//`filter` lets callers make the update conditional, it returns null when nothing matched
+module.exports.setAvailability = async (captainId, status, { reason = "manual", filter = {} } = {}) => {
+  if (!["active", "inactive"].includes(status)) {
+    throw new AppError("Invalid status", 400);
+  }
+
+  const captain = await dbManager.withTransaction(async (session) => {
+    const captain = await captainModel.findOneAndUpdate(
+      { _id: captainId, ...filter },
+      { status },
+      { new: true, session }
+    );
+
+    if (captain) {
+      await enqueueAvailabilityChange(captain, reason, session);
+    }
+
+    return captain;
+  });
+
+  if (captain) {
+    await cacheAvailability(captain);
+  }
+
+  return captain;
+};
+
+//Flipped by the ride state machine inside its own transaction!
+module.exports.setOnTrip = async (captainId, onTrip, { session, reason } = {}) => {
+  const captain = await captainModel.findOneAndUpdate(
+    { _id: captainId },
+    { onTrip },
+    { new: true, session }
+  );
+
+  if (captain) {
+    await enqueueAvailabilityChange(captain, reason || (onTrip ? "trip-accepted" : "trip-ended"), session);
+    await cacheAvailability(captain);
+  }
+
+  return captain;
+};
+
+//Offline after a lost connection, socket.js checks the captain has no other device connected first!
+//no-op if the captain already went offline!
+module.exports.markOfflineAfterDisconnect = async (captainId) => {
+  return module.exports.setAvailability(captainId, "inactive", {
+    reason: "socket-disconnected",
+    filter: { status: "active" },
+  });
+};
@@ -0,0 +1,330 @@
+const winston = require('winston');
+const { redisManager } = require('../config/redis.js');
+const AppError = require('../utils/appError.js');
+
+// Sequential ride dispatch: the ride is offered to one captain at a time, nearest
+// first. If the captain does not accept within the offer window the next one gets
+// it; when a radius ring runs out of candidates the search widens to the next
+// ring, and once every ring is exhausted the ride expires and the rider is told.
+//
+// Dispatch state lives in Redis so any API instance can accept or cancel a ride
+// that another instance is dispatching. Offer timers are local to the instance
+// that made the offer and re-check the shared state (by offer sequence) on wake-up.
+// Each offer's deadline is also kept in a shared sorted set, so when that instance
+// goes away mid-offer a periodic sweep on any instance moves the ride on.
+
+const DISPATCH_CONFIG = {
+    offerTimeoutMs: Number(process.env.DISPATCH_OFFER_TIMEOUT_MS) || 15000,
+    radiusRingsKm: (process.env.DISPATCH_RADIUS_RINGS_KM || '2,4,6')
+        .split(',')
+        .map(Number)
+        .filter(radius => radius > 0),
+    stateTtlSeconds: 60 * 60,
+    sweepIntervalMs: Number(process.env.DISPATCH_SWEEP_INTERVAL_MS) || 10000,
+    // How long past its deadline an offer is left to its own timer before a sweep takes it
+    sweepGraceMs: Number(process.env.DISPATCH_SWEEP_GRACE_MS) || 5000,
+    // Captains rated below this are offered a ride after everyone else in the same ring,
+    // once they have enough ratings for the average to mean something
+    lowRatingThreshold: Number(process.env.DISPATCH_LOW_RATING_THRESHOLD) || 4,
+    minRatingsToRank: Number(process.env.DISPATCH_MIN_RATINGS_TO_RANK) || 5
+};
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/dispatch.log' })
+    ]
+});
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+};
+
+const DEADLINES_KEY = 'dispatch:deadlines';
+
+// Redis-backed state store, falling back to process memory while Redis is down
+// (single-instance behaviour, same as the rest of the caching layer). Local
+// entries expire like their Redis keys would, so the fallback cannot grow unbounded.
+function createRedisStore() {
+    const local = new Map();
+    const localDeadlines = new Map();
+
+    const sweepLocal = (now) => {
+        for (const [ key, entry ] of local) {
+            if (entry.expiresAt <= now) local.delete(key);
+        }
+    };
+
+    return {
+        async get(key) {
+            if (redisManager.isConnected) return redisManager.get(key);
+            const entry = local.get(key);
+            return entry && entry.expiresAt > Date.now() ? entry.value : null;
+        },
+        async set(key, value, ttl = DISPATCH_CONFIG.stateTtlSeconds) {
+            if (redisManager.isConnected) return redisManager.set(key, value, ttl);
+            const now = Date.now();
+            sweepLocal(now);
+            local.set(key, { value, expiresAt: now + ttl * 1000 });
+            return true;
+        },
+        async del(key) {
+            local.delete(key);
+            if (redisManager.isConnected) return redisManager.del(key);
+            return true;
+        },
+        // Offer deadlines by ride, read back by the sweep
+        async setDeadline(rideId, at) {
+            if (redisManager.isConnected && await redisManager.addToWindow(DEADLINES_KEY, rideId, at, DISPATCH_CONFIG.stateTtlSeconds)) {
+                return true;
+            }
+            localDeadlines.set(rideId, at);
+            return true;
+        },
+        async clearDeadline(rideId) {
+            localDeadlines.delete(rideId);
+            if (redisManager.isConnected) return redisManager.removeFromWindow(DEADLINES_KEY, rideId);
+            return true;
+        },
+        // Removes and returns the rides whose deadline is at or before `until`
+        async takeDue(until) {
+            const due = [ ...localDeadlines ]
+                .filter(([ , at ]) => at <= until)
+                .map(([ rideId ]) => rideId);
+            due.forEach(rideId => localDeadlines.delete(rideId));
+
+            const shared = redisManager.isConnected ? await redisManager.takeFromWindow(DEADLINES_KEY, until) : null;
+
+            return [ ...new Set([ ...due, ...(shared || []) ]) ];
+        }
+    };
+}
+
+// Default collaborators are required lazily so the engine can be unit tested
+// with fakes without loading the socket/maps/ride modules
+const defaultDependencies = {
+    findCandidates: (pickup, radiusKm, vehicleType) =>
+        require('./maps.service.js').getCaptainsInTheRadius(pickup.ltd, pickup.lng, radiusKm, { vehicleType }),
+    recordOffer: (rideId, captainId) =>
+        require('./ride.service.js').recordRideOffers(rideId, [ captainId ]),
+    notifyCaptain: (captain, message) =>
+        require('../socket').sendMessageToCaptain(captain.id, message),
+    notifyRider: (ride, message) =>
+        require('../socket').sendMessageToUser(ride.user, message),
+    expireRide: (rideId) =>
+        require('./rideStateMachine.service.js').transition(rideId, 'expire', { actor: 'system' })
+};
+
+class DispatchEngine {
+    constructor({ store, clock = systemClock, config = {}, ...dependencies } = {}) {
+        this.store = store || createRedisStore();
+        this.clock = clock;
+        this.config = { ...DISPATCH_CONFIG, ...config };
+        this.deps = { ...defaultDependencies, ...dependencies };
+        this.timers = new Map();
+        this.sweeper = null;
+    }
+
+    key(rideId) {
+        return `dispatch:${rideId}`;
+    }
+
+    // ride: the populated ride sent to captains as the `new-ride` payload
+    // pickup: { ltd, lng } of the pickup point
+    async start({ ride, pickup, vehicleType }) {
+        const state = {
+            rideId: String(ride._id),
+            ride: typeof ride.toJSON === 'function' ? ride.toJSON() : ride,
+            pickup,
+            vehicleType,
+            ringIndex: -1,
+            queue: [],
+            offered: [],
+            seq: 0,
+            current: null
+        };
+
+        return this.offerNext(state);
+    }
+
+    async offerNext(state) {
+        while (state.queue.length === 0) {
+            state.ringIndex++;
+
+            if (state.ringIndex >= this.config.radiusRingsKm.length) {
+                return this.expire(state);
+            }
+
+            const radiusKm = this.config.radiusRingsKm[ state.ringIndex ];
+            const captains = await this.deps.findCandidates(state.pickup, radiusKm, state.vehicleType);
+
+            // Inner rings are re-matched by every wider query, skip whoever already had their turn
+            state.queue = this.rank(captains)
+                .map(captain => ({ id: String(captain._id) }))
+                .filter(captain => !state.offered.includes(captain.id));
+        }
+
+        const captain = state.queue.shift();
+        const expiresAt = this.clock.now() + this.config.offerTimeoutMs;
+
+        state.seq++;
+        state.offered.push(captain.id);
+        state.current = { captainId: captain.id, seq: state.seq, expiresAt };
+
+        await this.store.set(this.key(state.rideId), state, this.config.stateTtlSeconds);
+        await this.store.setDeadline(state.rideId, expiresAt);
+        await this.deps.recordOffer(state.rideId, captain.id);
+
+        this.deps.notifyCaptain(captain, {
+            event: 'new-ride',
+            data: { ...state.ride, offerExpiresAt: new Date(expiresAt).toISOString() }
+        });
+
+        this.schedule(state.rideId, state.seq);
+
+        logger.info(`Ride ${state.rideId} offered to captain ${captain.id} (ring ${state.ringIndex}, offer ${state.seq})`);
+
+        return state;
+    }
+
+    isLowRated(captain) {
+        const rating = captain.rating || {};
+        return rating.count >= this.config.minRatingsToRank && rating.average < this.config.lowRatingThreshold;
+    }
+
+    // Keeps the nearest-first order, moving low-rated captains behind the rest
+    rank(captains) {
+        return [
+            ...captains.filter(captain => !this.isLowRated(captain)),
+            ...captains.filter(captain => this.isLowRated(captain))
+        ];
+    }
+
+    schedule(rideId, seq) {
+        this.clearTimer(rideId);
+
+        const handle = this.clock.setTimeout(() => {
+            this.timers.delete(rideId);
+            return this.handleTimeout(rideId, seq).catch(error => {
+                logger.error(`Dispatch timeout handling failed for ride ${rideId}:`, error);
+            });
+        }, this.config.offerTimeoutMs);
+
+        this.timers.set(rideId, handle);
+    }
+
+    clearTimer(rideId) {
+        if (this.timers.has(rideId)) {
+            this.clock.clearTimeout(this.timers.get(rideId));
+            this.timers.delete(rideId);
+        }
+    }
+
+    async handleTimeout(rideId, seq) {
+        const state = await this.store.get(this.key(rideId));
+
+        // Accepted, cancelled or already moved on by another instance
+        if (!state || state.seq !== seq) {
+            return null;
+        }
+
+        return this.offerNext(state);
+    }
+
+    // Moves on offers whose timer is gone, typically because the instance that made
+    // the offer restarted. Live timers get a grace period to fire first.
+    async sweep() {
+        const due = await this.store.takeDue(this.clock.now() - this.config.sweepGraceMs);
+
+        for (const rideId of due) {
+            const state = await this.store.get(this.key(rideId));
+            if (!state || !state.current) continue;
+
+            logger.warn(`Ride ${rideId} offer ${state.current.seq} outlived its timer, moving it on`);
+
+            try {
+                await this.handleTimeout(rideId, state.current.seq);
+            } catch (error) {
+                logger.error(`Dispatch sweep failed for ride ${rideId}:`, error);
+            }
+        }
+
+        return due.length;
+    }
+
+    // Sweeps once right away, picking up offers left behind by a restart, then periodically
+    startSweeping() {
+        if (this.sweeper) return;
+
+        const sweep = () => this.sweep().catch(error => logger.error('Dispatch sweep failed:', error));
+        sweep();
+        this.sweeper = setInterval(sweep, this.config.sweepIntervalMs);
+        this.sweeper.unref();
+    }
+
+    stopSweeping() {
+        clearInterval(this.sweeper);
+        this.sweeper = null;
+    }
+
+    async expire(state) {
+        await this.store.del(this.key(state.rideId));
+        await this.store.clearDeadline(state.rideId);
+
+        try {
+            const ride = await this.deps.expireRide(state.rideId);
+            this.deps.notifyRider(ride, {
+                event: 'ride-expired',
+                data: { rideId: state.rideId }
+            });
+            logger.info(`Ride ${state.rideId} expired, no captain accepted`);
+        } catch (error) {
+            // A 409 means the ride was accepted or cancelled in the meantime, nothing to expire
+            if (error.statusCode !== 409) throw error;
+        }
+
+        return null;
+    }
+
+    // Only the captain holding the live offer may accept, and only within its
+    // window; everyone else would bypass the one-captain-at-a-time order
+    async assertOfferHolder(rideId, captainId) {
+        const state = await this.store.get(this.key(String(rideId)));
+        const current = state && state.current;
+
+        if (!current || current.captainId !== String(captainId) || this.clock.now() > current.expiresAt) {
+            throw new AppError('This ride is not currently offered to you', 409);
+        }
+
+        return current;
+    }
+
+    // Ends dispatch for a ride that was accepted or cancelled. Returns the last
+    // dispatch state (e.g. to notify the captain holding the current offer).
+    async stop(rideId) {
+        rideId = String(rideId);
+        this.clearTimer(rideId);
+
+        const state = await this.store.get(this.key(rideId));
+        await this.store.del(this.key(rideId));
+        await this.store.clearDeadline(rideId);
+
+        return state;
+    }
+}
+
+// Singleton instance
+const dispatchEngine = new DispatchEngine();
+
+module.exports = {
+    DISPATCH_CONFIG,
+    DispatchEngine,
+    dispatchEngine
+};
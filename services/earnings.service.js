@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const rideModel = require('../models/ride.model.js');
+const captainModel = require('../models/captain.model.js');
+const incentiveModel = require('../models/incentive.model.js');
+const payoutModel = require('../models/payout.model.js');
+const ledgerEntryModel = require('../models/ledgerEntry.model.js');
+const walletAccountModel = require('../models/walletAccount.model.js');
+const { dbManager } = require('../config/db.js');
+const walletService = require('./wallet.service.js');
+const AppError = require('../utils/appError.js');
+
+// Captain earnings: what completed rides paid out after commission (fixed on
+// each ride when it completed, see walletService.commissionFor), incentive
+// bonuses and payouts, grouped by day or week and exportable as a statement.
+// Days and weeks (starting Monday) follow EARNINGS_TIMEZONE.
+
+const EARNINGS_CONFIG = {
+    timezone: process.env.EARNINGS_TIMEZONE || 'Asia/Kolkata',
+    maxRangeDays: 366,
+    // Range shown when none is given, in periods
+    defaultPeriods: { daily: 7, weekly: 8 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = [ 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun' ];
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Start of the day or week containing `date`, in the configured timezone.
+// Uses the zone's offset at `date`, which is exact for zones without DST.
+function startOfPeriod(date, period, timeZone = EARNINGS_CONFIG.timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    }).formatToParts(date).map(part => [ part.type, part.value ]));
+
+    const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    const offset = wallClock - Math.floor(date.getTime() / 1000) * 1000;
+
+    let start = Date.UTC(+parts.year, +parts.month - 1, +parts.day) - offset;
+
+    if (period === 'weekly') {
+        start -= WEEKDAYS.indexOf(parts.weekday) * DAY_MS;
+    }
+
+    return new Date(start);
+}
+
+function resolveRange({ period = 'daily', from, to }) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+        ? new Date(from)
+        : new Date(startOfPeriod(end, period).getTime() - (EARNINGS_CONFIG.defaultPeriods[ period ] - 1) * (period === 'weekly' ? 7 : 1) * DAY_MS);
+
+    if (start > end) {
+        throw new AppError('from must be before to', 400);
+    }
+
+    if (end - start > EARNINGS_CONFIG.maxRangeDays * DAY_MS) {
+        throw new AppError(`Ranges are limited to ${EARNINGS_CONFIG.maxRangeDays} days`, 400);
+    }
+
+    return { from: start, to: end };
+}
+
+async function captainAccountId(captainId) {
+    const account = await walletAccountModel.findOne({ ownerType: 'captain', owner: captainId, code: 'wallet' }).select('_id');
+    return account ? account._id : null;
+}
+
+// ---- Incentives ----
+
+// Awards every incentive whose target the captain reached with this ride.
+// Each award is keyed by incentive, captain and period, so it is paid only once.
+module.exports.awardIncentives = async (ride, now = new Date()) => {
+    const incentives = await incentiveModel.find({
+        active: true,
+        startsAt: { $lte: now },
+        $and: [
+            { $or: [ { endsAt: null }, { endsAt: { $gt: now } } ] },
+            { $or: [ { vehicleType: null }, { vehicleType: ride.vehicleType } ] }
+        ]
+    });
+
+    const awarded = [];
+
+    for (const incentive of incentives) {
+        const periodStart = startOfPeriod(now, incentive.period);
+
+        const rides = await rideModel.countDocuments({
+            captain: ride.captain,
+            status: 'completed',
+            completedAt: { $gte: periodStart, $lte: now },
+            ...(incentive.vehicleType ? { vehicleType: incentive.vehicleType } : {})
+        });
+
+        if (rides < incentive.targetRides) {
+            continue;
+        }
+
+        const transaction = await dbManager.withTransaction(async (session) => walletService.postTransaction({
+            key: `incentive:${incentive._id}:${idOf(ride.captain)}:${periodStart.toISOString()}`,
+            type: 'incentive',
+            description: incentive.name,
+            ride,
+            lines: [
+                { account: await walletService.getAccount('system', walletService.SYSTEM_ACCOUNTS.PLATFORM_REVENUE, session), amount: -incentive.bonus },
+                { account: await walletService.getAccount('captain', idOf(ride.captain), session), amount: incentive.bonus }
+            ]
+        }, session));
+
+        awarded.push({ incentive: incentive._id, name: incentive.name, bonus: incentive.bonus, transaction: transaction._id });
+    }
+
+    return awarded;
+}
+
+module.exports.listIncentives = async ({ active } = {}) => {
+    const filter = {};
+    if (active !== undefined) {
+        filter.active = active;
+    }
+    return incentiveModel.find(filter).sort({ createdAt: -1 });
+}
+
+module.exports.createIncentive = async ({ admin, ...fields }) => {
+    try {
+        return await incentiveModel.create({ ...fields, createdBy: admin._id });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+}
+
+module.exports.deactivateIncentive = async (incentiveId) => {
+    const incentive = await incentiveModel.findByIdAndUpdate(incentiveId, { $set: { active: false } }, { new: true });
+    if (!incentive) {
+        throw new AppError('Incentive not found', 404);
+    }
+    return incentive;
+}
+
+// ---- Earnings ----
+
+module.exports.getEarnings = async ({ captain, period = 'daily', from, to }) => {
+    const range = resolveRange({ period, from, to });
+    const unit = period === 'weekly' ? 'week' : 'day';
+    const bucket = (field) => ({
+        $dateTrunc: { date: field, unit, timezone: EARNINGS_CONFIG.timezone, startOfWeek: 'monday' }
+    });
+
+    const accountId = await captainAccountId(captain._id);
+
+    const [ rideBuckets, incentiveBuckets ] = await Promise.all([
+        rideModel.aggregate([
+            {
+                $match: {
+                    captain: new mongoose.Types.ObjectId(idOf(captain)),
+                    status: 'completed',
+                    completedAt: { $gte: range.from, $lte: range.to }
+                }
+            },
+            {
+                $group: {
+                    _id: bucket('$completedAt'),
+                    rides: { $sum: 1 },
+                    // Before rider discounts, which the platform absorbs
+                    grossFares: { $sum: { $ifNull: [ '$fareBreakdown.total', '$fare' ] } },
+                    tolls: { $sum: { $ifNull: [ '$fareBreakdown.tollsTotal', 0 ] } },
+                    commission: { $sum: { $ifNull: [ '$earnings.commission', 0 ] } },
+                    // Rides completed before commission was recorded count in full
+                    rideEarnings: { $sum: { $ifNull: [ '$earnings.captainEarning', '$fare' ] } }
+                }
+            }
+        ]),
+        accountId ? ledgerEntryModel.aggregate([
+            { $match: { account: accountId, type: 'incentive', createdAt: { $gte: range.from, $lte: range.to } } },
+            { $group: { _id: bucket('$createdAt'), incentives: { $sum: '$amount' } } }
+        ]) : []
+    ]);
+
+    const buckets = new Map();
+    const bucketFor = (start) => {
+        const key = new Date(start).toISOString();
+        if (!buckets.has(key)) {
+            buckets.set(key, { periodStart: key, rides: 0, grossFares: 0, tolls: 0, commission: 0, rideEarnings: 0, incentives: 0 });
+        }
+        return buckets.get(key);
+    };
+
+    rideBuckets.forEach(({ _id, ...sums }) => Object.assign(bucketFor(_id), sums));
+    incentiveBuckets.forEach(({ _id, incentives }) => { bucketFor(_id).incentives = incentives; });
+
+    const summarize = (row) => ({
+        ...row,
+        grossFares: toMoney(row.grossFares),
+        tolls: toMoney(row.tolls),
+        commission: toMoney(row.commission),
+        rideEarnings: toMoney(row.rideEarnings),
+        incentives: toMoney(row.incentives),
+        netEarnings: toMoney(row.rideEarnings + row.incentives)
+    });
+
+    const periods = [ ...buckets.values() ]
+        .sort((a, b) => a.periodStart.localeCompare(b.periodStart))
+        .map(summarize);
+
+    const totals = summarize(periods.reduce((sum, row) => ({
+        rides: sum.rides + row.rides,
+        grossFares: sum.grossFares + row.grossFares,
+        tolls: sum.tolls + row.tolls,
+        commission: sum.commission + row.commission,
+        rideEarnings: sum.rideEarnings + row.rideEarnings,
+        incentives: sum.incentives + row.incentives
+    }), { rides: 0, grossFares: 0, tolls: 0, commission: 0, rideEarnings: 0, incentives: 0 }));
+
+    return {
+        period,
+        timezone: EARNINGS_CONFIG.timezone,
+        from: range.from,
+        to: range.to,
+        currency: walletService.WALLET_CONFIG.currency,
+        periods,
+        totals,
+        balance: await walletService.getBalance('captain', captain._id)
+    };
+}
+
+// ---- Statements ----
+
+module.exports.getStatement = async ({ captain, from, to }) => {
+    const range = resolveRange({ period: 'daily', from, to });
+    const accountId = await captainAccountId(captain._id);
+
+    const [ profile, rides, incentives, payouts ] = await Promise.all([
+        captainModel.findById(captain._id).select('fullname email vehicle').lean(),
+        rideModel.find({
+            captain: captain._id,
+            status: 'completed',
+            completedAt: { $gte: range.from, $lte: range.to }
+        }).select('pickup destination fare fareBreakdown.total fareBreakdown.tollsTotal earnings paymentMethod completedAt').sort({ completedAt: 1 }).lean(),
+        accountId ? ledgerEntryModel.find({
+            account: accountId,
+            type: 'incentive',
+            createdAt: { $gte: range.from, $lte: range.to }
+        }).sort({ createdAt: 1 }).lean() : [],
+        payoutModel.find({
+            captain: captain._id,
+            createdAt: { $gte: range.from, $lte: range.to }
+        }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    const rideLines = rides.map(ride => {
+        const tolls = (ride.fareBreakdown && ride.fareBreakdown.tollsTotal) || 0;
+        const commission = ride.earnings && ride.earnings.commission !== undefined ? ride.earnings.commission : 0;
+        // Before the rider's discount, which the platform absorbs, same as getEarnings and the wallet
+        const fare = ride.fareBreakdown && ride.fareBreakdown.total !== undefined ? ride.fareBreakdown.total : ride.fare;
+        return {
+            date: ride.completedAt,
+            rideId: idOf(ride),
+            pickup: ride.pickup,
+            destination: ride.destination,
+            paymentMethod: ride.paymentMethod,
+            fare,
+            tolls,
+            commission,
+            earning: toMoney(ride.earnings && ride.earnings.captainEarning !== undefined
+                ? ride.earnings.captainEarning
+                : fare - commission)
+        };
+    });
+
+    const incentiveLines = incentives.map(entry => ({
+        date: entry.createdAt,
+        description: entry.description,
+        amount: entry.amount
+    }));
+
+    const payoutLines = payouts.map(payout => ({
+        date: payout.createdAt,
+        payoutId: idOf(payout),
+        status: payout.status,
+        amount: payout.amount,
+        reference: payout.reference
+    }));
+
+    const sum = (lines, field) => toMoney(lines.reduce((total, line) => total + line[ field ], 0));
+    const rideEarnings = sum(rideLines, 'earning');
+    const incentiveTotal = sum(incentiveLines, 'amount');
+
+    return {
+        captain: {
+            id: idOf(captain),
+            name: profile && profile.fullname
+                ? [ profile.fullname.firstname, profile.fullname.lastname ].filter(Boolean).join(' ')
+                : undefined,
+            email: profile ? profile.email : undefined
+        },
+        from: range.from,
+        to: range.to,
+        timezone: EARNINGS_CONFIG.timezone,
+        currency: walletService.WALLET_CONFIG.currency,
+        rides: rideLines,
+        incentives: incentiveLines,
+        payouts: payoutLines,
+        totals: {
+            rides: rideLines.length,
+            grossFares: sum(rideLines, 'fare'),
+            tolls: sum(rideLines, 'tolls'),
+            commission: sum(rideLines, 'commission'),
+            rideEarnings,
+            incentives: incentiveTotal,
+            netEarnings: toMoney(rideEarnings + incentiveTotal),
+            paidOut: sum(payoutLines.filter(line => line.status === 'paid'), 'amount')
+        }
+    };
+}
+
+const formatDate = (date, timeZone = EARNINGS_CONFIG.timezone) =>
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).format(new Date(date)).replace(',', '');
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    // Quote anything with separators, and neutralise spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// One row per ride, incentive and payout; amounts are what the line adds to the wallet
+function renderCsv(statement) {
+    const rows = [
+        [ 'date', 'type', 'reference', 'description', 'fare', 'tolls', 'commission', 'amount', 'status' ],
+        ...statement.rides.map(ride => [
+            formatDate(ride.date, statement.timezone), 'ride', ride.rideId, `${ride.pickup} -> ${ride.destination}`,
+            ride.fare, ride.tolls, ride.commission, ride.earning, ride.paymentMethod
+        ]),
+        ...statement.incentives.map(incentive => [
+            formatDate(incentive.date, statement.timezone), 'incentive', '', incentive.description, '', '', '', incentive.amount, ''
+        ]),
+        ...statement.payouts.map(payout => [
+            formatDate(payout.date, statement.timezone), 'payout', payout.reference || payout.payoutId, 'Payout', '', '', '', -payout.amount, payout.status
+        ])
+    ];
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function renderPdf(statement) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Earnings statement' } });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const money = (amount) => `${statement.currency} ${Number(amount).toFixed(2)}`;
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        const line = (label, value, { bold = false, size = 10 } = {}) => {
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+            doc.text(label, left, y, { width: width * 0.7 });
+            const labelBottom = doc.y;
+            doc.text(value, left + width * 0.7, y, { width: width * 0.3, align: 'right' });
+            doc.y = Math.max(doc.y, labelBottom) + 3;
+        };
+
+        const heading = (text) => doc.moveDown().font('Helvetica-Bold').fontSize(12).text(text, left).moveDown(0.3);
+
+        doc.font('Helvetica-Bold').fontSize(18).text('Earnings statement');
+        doc.font('Helvetica').fontSize(10).fillColor('#666')
+            .text([ statement.captain.name, statement.captain.email ].filter(Boolean).join('  ·  '))
+            .text(`${formatDate(statement.from, statement.timezone)} to ${formatDate(statement.to, statement.timezone)} (${statement.timezone})`)
+            .fillColor('#000');
+
+        heading('Summary');
+        line('Completed rides', String(statement.totals.rides));
+        line('Fares collected', money(statement.totals.grossFares));
+        line('Platform commission', money(-statement.totals.commission));
+        line('Incentives', money(statement.totals.incentives));
+        line('Net earnings', money(statement.totals.netEarnings), { bold: true, size: 11 });
+        line('Paid out', money(statement.totals.paidOut));
+
+        if (statement.rides.length) {
+            heading('Rides');
+            statement.rides.forEach(ride => line(
+                `${formatDate(ride.date, statement.timezone)}  ${ride.pickup} to ${ride.destination}`,
+                `${money(ride.fare)} - ${money(ride.commission)} = ${money(ride.earning)}`,
+                { size: 9 }
+            ));
+        }
+
+        if (statement.incentives.length) {
+            heading('Incentives');
+            statement.incentives.forEach(incentive =>
+                line(`${formatDate(incentive.date, statement.timezone)}  ${incentive.description}`, money(incentive.amount), { size: 9 }));
+        }
+
+        if (statement.payouts.length) {
+            heading('Payouts');
+            statement.payouts.forEach(payout => line(
+                `${formatDate(payout.date, statement.timezone)}  ${payout.status}${payout.reference ? `  ·  ${payout.reference}` : ''}`,
+                money(payout.amount),
+                { size: 9 }
+            ));
+        }
+
+        doc.end();
+    });
+}
+
+module.exports.EARNINGS_CONFIG = EARNINGS_CONFIG;
+module.exports.startOfPeriod = startOfPeriod;
+module.exports.renderCsv = renderCsv;
+module.exports.renderPdf = renderPdf;
@@ -0,0 +1,137 @@
+const { redisManager } = require('../config/redis.js');
+
+// Reliable delivery of socket events to a rider or captain. Every event sent to
+// an account gets the next sequence number for that account and is kept for a
+// while in a capped Redis stream keyed by it. Devices acknowledge what they
+// have processed; when a device reconnects it is sent everything after the last
+// sequence it saw (from its handshake, or else its last acknowledgement), so a
+// phone that dropped off for a moment still learns its captain arrived.
+
+const DELIVERY_CONFIG = {
+    // Events kept per account, older ones can no longer be replayed
+    maxEvents: Number(process.env.SOCKET_EVENTS_MAX) || 200,
+    ttlSeconds: Number(process.env.SOCKET_EVENTS_TTL_SECONDS) || 60 * 60,
+    // Outlives the events and acks so an account's sequence never restarts under a device
+    sequenceTtlSeconds: 30 * 24 * 60 * 60,
+    replayLimit: 100,
+    // Recipients kept by the in-memory fallback, least recently used dropped first
+    localMaxRecipients: Number(process.env.SOCKET_EVENTS_LOCAL_MAX_RECIPIENTS) || 10000
+};
+
+const seqKey = (recipient) => `socket_events_seq:${recipient}`;
+const streamKey = (recipient) => `socket_events:${recipient}`;
+const ackKey = (recipient) => `socket_events_ack:${recipient}`;
+
+// Process-local fallback while Redis is down, same as the dispatch state store.
+// Kept in order of use; recipients idle for longer than events are kept, or
+// beyond localMaxRecipients, are dropped. One that comes back continues above
+// every sequence dropped so far, so its devices never see the sequence go back.
+const local = new Map();
+let droppedSeq = 0;
+
+function localState(recipient) {
+    const now = Date.now();
+    const state = local.get(recipient) || { seq: droppedSeq, events: [], acks: new Map() };
+
+    state.usedAt = now;
+    local.delete(recipient);
+    local.set(recipient, state);
+
+    for (const [ key, entry ] of local) {
+        if (local.size <= DELIVERY_CONFIG.localMaxRecipients && now - entry.usedAt < DELIVERY_CONFIG.ttlSeconds * 1000) {
+            break;
+        }
+        droppedSeq = Math.max(droppedSeq, entry.seq);
+        local.delete(key);
+    }
+
+    return state;
+}
+
+// recipient: the account's room name, e.g. `user:<id>`. Returns the stored
+// { seq, event, data, sentAt } to emit.
+async function record(recipient, event, data) {
+    const envelope = { event, data, sentAt: new Date().toISOString() };
+
+    if (redisManager.isConnected) {
+        const seq = await redisManager.increment(seqKey(recipient), DELIVERY_CONFIG.sequenceTtlSeconds);
+
+        if (seq !== null) {
+            const stored = await redisManager.appendToStream(streamKey(recipient), `${seq}-0`, envelope, {
+                maxLength: DELIVERY_CONFIG.maxEvents,
+                ttl: DELIVERY_CONFIG.ttlSeconds
+            });
+
+            if (stored) {
+                return { seq, ...envelope };
+            }
+        }
+    }
+
+    const state = localState(recipient);
+    const entry = { seq: ++state.seq, ...envelope };
+    state.events.push(entry);
+    state.events.splice(0, Math.max(state.events.length - DELIVERY_CONFIG.maxEvents, 0));
+    return entry;
+}
+
+// Events after `lastSeq`, oldest first. `complete` is false when some of them
+// have already been dropped and the device should reload its state instead.
+async function eventsSince(recipient, lastSeq) {
+    let events = null;
+
+    if (redisManager.isConnected) {
+        const entries = await redisManager.readStream(streamKey(recipient), `${lastSeq + 1}-0`, DELIVERY_CONFIG.replayLimit);
+        if (entries) {
+            events = entries.map(({ id, value }) => ({ seq: Number(id.split('-')[ 0 ]), ...value }));
+        }
+    }
+
+    if (!events) {
+        events = localState(recipient).events.filter(entry => entry.seq > lastSeq).slice(0, DELIVERY_CONFIG.replayLimit);
+    }
+
+    const complete = events.length === 0 || events[ 0 ].seq === lastSeq + 1;
+
+    return { events, complete };
+}
+
+// Acknowledgements only move forward; devices are told apart by the id their
+// app sends in the handshake
+async function acknowledge(recipient, device, seq) {
+    if (!Number.isInteger(seq) || seq < 1) {
+        return false;
+    }
+
+    const current = await lastAcknowledged(recipient, device);
+    if (current !== null && current >= seq) {
+        return false;
+    }
+
+    if (redisManager.isConnected && await redisManager.setHashField(ackKey(recipient), device, seq, DELIVERY_CONFIG.ttlSeconds)) {
+        return true;
+    }
+
+    localState(recipient).acks.set(device, seq);
+    return true;
+}
+
+async function lastAcknowledged(recipient, device) {
+    if (redisManager.isConnected) {
+        const acks = await redisManager.getHash(ackKey(recipient));
+        if (acks) {
+            return acks[ device ] !== undefined ? acks[ device ] : null;
+        }
+    }
+
+    const state = local.get(recipient);
+    return state && state.acks.has(device) ? state.acks.get(device) : null;
+}
+
+module.exports = {
+    DELIVERY_CONFIG,
+    record,
+    eventsSince,
+    acknowledge,
+    lastAcknowledged
+};
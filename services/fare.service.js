@@ -0,0 +1,291 @@
+const fareRuleModel = require('../models/fareRule.model.js');
+const mapService = require('./maps.service.js');
+const surgeService = require('./surge.service.js');
+const { summarizeTrail } = require('./tripTracking.service.js');
+const AppError = require('../utils/appError.js');
+const { DEFAULT_CITY } = fareRuleModel;
+
+// Fares are priced from the FareRule collection. For each vehicle type the rule
+// is picked from those in force at pickup time (active, effectiveFrom passed):
+//
+//   1. a zone rule whose service area contains the pickup point
+//   2. a city-wide rule whose service area contains the pickup point
+//   3. the 'default' city rule
+//   4. BUILT_IN_RULES, until ops have configured anything (version 0)
+//
+// Within a tier the most recent effectiveFrom wins, then the highest version,
+// so a version scheduled for the future takes over on its own when it starts.
+
+const VEHICLE_TYPES = [ 'auto', 'car', 'moto' ];
+
+const BUILT_IN_RULES = Object.freeze({
+    auto: { baseFare: 30, perKmRate: 10, perMinuteRate: 2, minimumFare: 0, bookingFee: 0, waitingRatePerMinute: 1, freeWaitingMinutes: 3 },
+    car: { baseFare: 50, perKmRate: 15, perMinuteRate: 3, minimumFare: 0, bookingFee: 0, waitingRatePerMinute: 1.5, freeWaitingMinutes: 3 },
+    moto: { baseFare: 20, perKmRate: 8, perMinuteRate: 1.5, minimumFare: 0, bookingFee: 0, waitingRatePerMinute: 0.5, freeWaitingMinutes: 3 }
+});
+
+// Fields an admin may set; the rest (version, city/zone/vehicleType of an existing rule) is managed here
+const PRICING_FIELDS = [
+    'baseFare', 'perKmRate', 'perMinuteRate', 'minimumFare', 'bookingFee',
+    'waitingRatePerMinute', 'freeWaitingMinutes', 'effectiveFrom', 'serviceArea'
+];
+
+const builtInRule = (vehicleType) => ({
+    ...BUILT_IN_RULES[ vehicleType ],
+    _id: null,
+    city: DEFAULT_CITY,
+    vehicleType,
+    version: 0
+});
+
+const tierOf = (rule) => rule.zone ? 0 : rule.city !== DEFAULT_CITY ? 1 : 2;
+
+// pickup: { ltd, lng }. Returns { auto: rule, car: rule, moto: rule }
+async function resolveFareRules(pickup, at = new Date()) {
+    const candidates = await fareRuleModel.find({
+        active: true,
+        effectiveFrom: { $lte: at },
+        $or: [
+            {
+                serviceArea: {
+                    $geoIntersects: {
+                        $geometry: { type: 'Point', coordinates: [ pickup.lng, pickup.ltd ] }
+                    }
+                }
+            },
+            { city: DEFAULT_CITY }
+        ]
+    }).sort({ effectiveFrom: -1, version: -1 }).lean();
+
+    const rules = {};
+
+    for (const vehicleType of VEHICLE_TYPES) {
+        const matching = candidates.filter(rule => rule.vehicleType === vehicleType);
+        // Stable sort keeps the effectiveFrom/version order within a tier
+        matching.sort((a, b) => tierOf(a) - tierOf(b));
+        rules[ vehicleType ] = matching[ 0 ] || builtInRule(vehicleType);
+    }
+
+    return rules;
+}
+
+// Surge scales the trip fare (minimum included) but never the booking fee
+function calculateFare(rule, distanceTime, surgeMultiplier = 1) {
+    const distanceKm = distanceTime.distance.value / 1000;
+    const durationMinutes = distanceTime.duration.value / 60;
+
+    const tripFare = rule.baseFare + (distanceKm * rule.perKmRate) + (durationMinutes * rule.perMinuteRate);
+
+    return Math.round(Math.max(tripFare, rule.minimumFare || 0) * surgeMultiplier + (rule.bookingFee || 0));
+}
+
+// What a ride records about the rule that priced it
+const fareRuleReference = (rule) => ({
+    rule: rule._id ? String(rule._id) : undefined,
+    version: rule.version,
+    city: rule.city,
+    zone: rule.zone || undefined
+});
+
+// Prices every vehicle type for a trip at the current surge around the pickup.
+// Returns the fares, the rule behind each, the surge applied and the distance
+// matrix element they were computed from.
+async function priceTrip(pickup, destination, { at = new Date() } = {}) {
+    if (!pickup || !destination) {
+        throw new AppError('Pickup and destination are required', 400);
+    }
+
+    const [ distanceTime, pickupCoordinates ] = await Promise.all([
+        mapService.getDistanceTime(pickup, destination),
+        mapService.getAddressCoordinate(pickup)
+    ]);
+
+    const [ rules, surge ] = await Promise.all([
+        resolveFareRules(pickupCoordinates, at),
+        surgeService.getSurge(pickupCoordinates, at.getTime())
+    ]);
+
+    const fares = {};
+    const fareRules = {};
+
+    for (const vehicleType of VEHICLE_TYPES) {
+        fares[ vehicleType ] = calculateFare(rules[ vehicleType ], distanceTime, surge.multiplier);
+        fareRules[ vehicleType ] = fareRuleReference(rules[ vehicleType ]);
+    }
+
+    return {
+        fares,
+        fareRules,
+        surge: { multiplier: surge.multiplier, cell: surge.cell },
+        distanceTime,
+        pickupCoordinates
+    };
+}
+
+// ---- Final fare ----
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+// The exact rule version the ride was quoted with, even if it has been retired since
+async function getRuleForRide(ride) {
+    const reference = ride.fareRule || {};
+
+    if (reference.rule) {
+        const rule = await fareRuleModel.findById(reference.rule).lean();
+        if (rule) return rule;
+    }
+
+    return builtInRule(ride.vehicleType || 'car');
+}
+
+// Recomputes the fare once the trip is over from the recorded trail and the
+// actual time between start and end. Time spent standing still beyond the
+// rule's free allowance is billed at the waiting rate instead of the per-minute
+// rate. Surge (locked in at booking) scales the trip fare only; waiting, the
+// booking fee and tolls are passed through as they are.
+//
+// Without a usable trail (Redis down, GPS off) the booked distance is used.
+async function calculateFinalFare(ride, { trail = [], endedAt = new Date(), tolls = [] } = {}) {
+    const rule = await getRuleForRide(ride);
+    const surgeMultiplier = (ride.surge && ride.surge.multiplier) || 1;
+
+    const measured = summarizeTrail(trail);
+    const fromTrail = measured.points >= 2;
+    const distance = fromTrail ? measured.distance : (ride.distance || 0);
+
+    const startedAt = new Date(ride.startedAt || endedAt);
+    const duration = Math.max(Math.round((endedAt - startedAt) / 1000), 0);
+    const waitingTime = Math.min(fromTrail ? measured.waitingTime : 0, duration);
+    // Rules without a waiting rate bill standing still like any other trip minute
+    const waitingRate = rule.waitingRatePerMinute || 0;
+    const chargeableWaiting = waitingRate > 0
+        ? Math.max(waitingTime - (rule.freeWaitingMinutes || 0) * 60, 0)
+        : 0;
+
+    const baseFare = toMoney(rule.baseFare);
+    const distanceFare = toMoney((distance / 1000) * rule.perKmRate);
+    const timeFare = toMoney(((duration - chargeableWaiting) / 60) * rule.perMinuteRate);
+    const tripFare = baseFare + distanceFare + timeFare;
+    const minimumFareAdjustment = toMoney(Math.max((rule.minimumFare || 0) - tripFare, 0));
+    const surgeAmount = toMoney((tripFare + minimumFareAdjustment) * (surgeMultiplier - 1));
+    const waitingFare = toMoney((chargeableWaiting / 60) * waitingRate);
+    const bookingFee = toMoney(rule.bookingFee || 0);
+
+    const tollItems = tolls.map(toll => ({ name: toll.name || 'Toll', amount: toMoney(toll.amount) }));
+    const tollsTotal = toMoney(tollItems.reduce((sum, toll) => sum + toll.amount, 0));
+
+    const subtotal = tripFare + minimumFareAdjustment + surgeAmount + waitingFare + bookingFee + tollsTotal;
+    const total = Math.round(subtotal);
+
+    return {
+        baseFare,
+        distanceFare,
+        timeFare,
+        waitingFare,
+        minimumFareAdjustment,
+        surgeMultiplier,
+        surgeAmount,
+        bookingFee,
+        tolls: tollItems,
+        tollsTotal,
+        rounding: toMoney(total - subtotal),
+        total,
+        distance,
+        duration,
+        waitingTime,
+        distanceSource: fromTrail ? 'trail' : 'estimate',
+        // The quoted price before any promo or referral discount, comparable with total
+        estimatedFare: ride.fare + (ride.discounts || []).reduce((sum, discount) => sum + discount.amount, 0),
+        fareRule: fareRuleReference(rule)
+    };
+}
+
+// ---- Admin management ----
+
+const pick = (source, fields) => Object.fromEntries(fields
+    .filter(field => source[ field ] !== undefined)
+    .map(field => [ field, source[ field ] ]));
+
+async function nextVersion({ city, zone, vehicleType }) {
+    const latest = await fareRuleModel.findOne({
+        city,
+        zone: zone || null,
+        vehicleType
+    }).sort({ version: -1 }).select('version').lean();
+
+    return latest ? latest.version + 1 : 1;
+}
+
+async function saveVersion(fields) {
+    try {
+        return await fareRuleModel.create({
+            ...fields,
+            version: await nextVersion(fields)
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new AppError('This fare rule was changed concurrently, please retry', 409);
+        }
+        if (error.name === 'ValidationError') {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+}
+
+module.exports.listFareRules = async ({ city, zone, vehicleType, active } = {}) => {
+    const filter = {};
+    if (city) filter.city = city.toLowerCase();
+    if (zone) filter.zone = zone.toLowerCase();
+    if (vehicleType) filter.vehicleType = vehicleType;
+    if (active !== undefined) filter.active = active;
+
+    return fareRuleModel.find(filter).sort({ city: 1, zone: 1, vehicleType: 1, version: -1 });
+}
+
+module.exports.getFareRule = async (id) => {
+    const rule = await fareRuleModel.findById(id);
+    if (!rule) {
+        throw new AppError('Fare rule not found', 404);
+    }
+    return rule;
+}
+
+module.exports.createFareRule = async (data, { admin } = {}) => {
+    return saveVersion({
+        ...pick(data, [ 'city', 'zone', 'vehicleType', ...PRICING_FIELDS ]),
+        createdBy: admin && admin._id
+    });
+}
+
+// Changes are saved as a new version; the old one stays for the rides it priced
+module.exports.updateFareRule = async (id, changes, { admin } = {}) => {
+    const current = await module.exports.getFareRule(id);
+
+    return saveVersion({
+        city: current.city,
+        zone: current.zone,
+        vehicleType: current.vehicleType,
+        ...pick(current.toObject(), PRICING_FIELDS),
+        ...pick(changes, PRICING_FIELDS),
+        // A new version takes effect now unless it was explicitly scheduled
+        effectiveFrom: changes.effectiveFrom || new Date(),
+        createdBy: admin && admin._id
+    });
+}
+
+// Retires one version; whichever earlier version is still active takes over again
+module.exports.deactivateFareRule = async (id) => {
+    const rule = await fareRuleModel.findByIdAndUpdate(id, { $set: { active: false } }, { new: true });
+    if (!rule) {
+        throw new AppError('Fare rule not found', 404);
+    }
+    return rule;
+}
+
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
+module.exports.BUILT_IN_RULES = BUILT_IN_RULES;
+module.exports.resolveFareRules = resolveFareRules;
+module.exports.calculateFare = calculateFare;
+module.exports.calculateFinalFare = calculateFinalFare;
+module.exports.priceTrip = priceTrip;
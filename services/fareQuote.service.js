@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { redisManager } = require('../config/redis.js');
+const { normalizeAddress } = require('./maps.service.js');
+const { requiresAcceptance } = require('./surge.service.js');
+const AppError = require('../utils/appError.js');
+
+// Fare quotes lock in the price a rider was shown on /rides/get-fare. Each quote
+// is stored in Redis under a random id and handed out as `<id>.<signature>`; the
+// HMAC covers the id and every quoted field, so a quote edited on the client or
+// in the store no longer verifies. Quotes are single use and expire after a few
+// minutes, after which the rider has to ask for a fresh price.
+
+const QUOTE_CONFIG = {
+    ttlSeconds: Number(process.env.FARE_QUOTE_TTL_SECONDS) || 300
+};
+
+const QUOTE_ID_PATTERN = /^[a-f0-9]{32}\.[A-Za-z0-9_-]{43}$/;
+
+// Process-local fallback while Redis is down, same as the dispatch state store
+const localQuotes = new Map();
+
+const key = (id) => `fare_quote:${id}`;
+
+function getSecret() {
+    const secret = process.env.FARE_QUOTE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('FARE_QUOTE_SECRET or JWT_SECRET must be set to issue fare quotes');
+    }
+    return secret;
+}
+
+function sign(id, quote) {
+    const fields = [
+        id,
+        quote.userId,
+        normalizeAddress(quote.pickup),
+        normalizeAddress(quote.destination),
+        quote.vehicleType,
+        quote.fare,
+        quote.distance,
+        quote.duration,
+        JSON.stringify(quote.fareRule || null),
+        JSON.stringify(quote.surge || null),
+        JSON.stringify(quote.discount || null),
+        quote.expiresAt
+    ];
+
+    return crypto.createHmac('sha256', getSecret()).update(fields.join('|')).digest('base64url');
+}
+
+function signaturesMatch(expected, actual) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function store(id, quote) {
+    if (redisManager.isConnected) {
+        return redisManager.set(key(id), quote, QUOTE_CONFIG.ttlSeconds);
+    }
+
+    // Expired local entries are swept as new ones come in
+    const now = Date.now();
+    for (const [ quoteId, entry ] of localQuotes) {
+        if (new Date(entry.expiresAt).getTime() <= now) localQuotes.delete(quoteId);
+    }
+    localQuotes.set(id, quote);
+    return true;
+}
+
+async function load(id) {
+    if (redisManager.isConnected) return redisManager.get(key(id));
+    return localQuotes.get(id) || null;
+}
+
+async function claim(id) {
+    if (redisManager.isConnected) return redisManager.getAndDelete(key(id));
+    const quote = localQuotes.get(id) || null;
+    localQuotes.delete(id);
+    return quote;
+}
+
+// fares: { auto, car, moto } priced for this pickup/destination
+// fareRules: { auto, car, moto } reference to the fare rule behind each price
+// surge: { multiplier, cell } the prices include
+// distanceTime: the distance matrix element the fares were priced from
+// discounts: { auto, car, moto } promo or referral discount off each fare, if any
+async function issueQuotes({ userId, pickup, destination, fares, fareRules = {}, surge, distanceTime, discounts = {} }) {
+    const expiresAt = new Date(Date.now() + QUOTE_CONFIG.ttlSeconds * 1000).toISOString();
+    const quotes = {};
+
+    for (const [ vehicleType, fare ] of Object.entries(fares)) {
+        const id = crypto.randomBytes(16).toString('hex');
+        const quote = {
+            userId: String(userId),
+            pickup,
+            destination,
+            vehicleType,
+            fare,
+            distance: distanceTime.distance.value,
+            duration: distanceTime.duration.value,
+            fareRule: fareRules[ vehicleType ],
+            surge,
+            discount: discounts[ vehicleType ],
+            expiresAt
+        };
+
+        const signature = sign(id, quote);
+
+        if (!await store(id, { ...quote, signature })) {
+            throw new AppError('Unable to issue a fare quote, please try again', 503);
+        }
+
+        // The rider is shown what they will pay; the quote keeps the fare before discount
+        quotes[ vehicleType ] = {
+            quoteId: `${id}.${signature}`,
+            fare: quote.discount ? Math.max(fare - quote.discount.amount, 0) : fare,
+            ...(quote.discount ? { discount: quote.discount } : {})
+        };
+    }
+
+    return { quotes, expiresAt };
+}
+
+// Verifies a quote against the booking it is used for, without consuming it.
+// Returns the quoted { fare, distance, duration, fareRule, surge, discount, vehicleType },
+// fare being the price before discount.
+async function verifyQuote(quoteId, { userId, pickup, destination, vehicleType, acceptSurge = false }) {
+    if (typeof quoteId !== 'string' || !QUOTE_ID_PATTERN.test(quoteId)) {
+        throw new AppError('Invalid fare quote', 400);
+    }
+
+    const [ id, signature ] = quoteId.split('.');
+    const stored = await load(id);
+
+    if (!stored || new Date(stored.expiresAt).getTime() <= Date.now()) {
+        throw new AppError('Fare quote has expired, please request a new fare', 410);
+    }
+
+    const { signature: storedSignature, ...quote } = stored;
+    const expected = sign(id, quote);
+
+    if (!signaturesMatch(expected, signature) || !signaturesMatch(expected, storedSignature || '')) {
+        throw new AppError('Invalid fare quote', 400);
+    }
+
+    if (quote.userId !== String(userId)) {
+        throw new AppError('Fare quote belongs to another user', 403);
+    }
+
+    if (quote.vehicleType !== vehicleType
+        || normalizeAddress(quote.pickup) !== normalizeAddress(pickup)
+        || normalizeAddress(quote.destination) !== normalizeAddress(destination)) {
+        throw new AppError('Fare quote does not match this ride request', 400);
+    }
+
+    if (quote.surge && requiresAcceptance(quote.surge.multiplier) && !acceptSurge) {
+        throw new AppError(`Surge pricing (${quote.surge.multiplier}x) must be accepted to book this ride`, 400);
+    }
+
+    return {
+        fare: quote.fare,
+        distance: quote.distance,
+        duration: quote.duration,
+        fareRule: quote.fareRule,
+        surge: quote.surge,
+        discount: quote.discount,
+        vehicleType: quote.vehicleType
+    };
+}
+
+// Consumes a verified quote; whoever removes it first gets to book with it.
+// Returns the claimed entry, to hand back to releaseQuote if the booking fails.
+async function claimQuote(quoteId) {
+    const [ id ] = quoteId.split('.');
+    const claimed = await claim(id);
+
+    if (!claimed) {
+        throw new AppError('Fare quote has already been used', 409);
+    }
+
+    return claimed;
+}
+
+// Puts a claimed quote back after the booking it was claimed for rolled back,
+// so the rider can retry with it until it expires
+async function releaseQuote(quoteId, claimed) {
+    const [ id ] = quoteId.split('.');
+
+    if (new Date(claimed.expiresAt).getTime() <= Date.now()) return false;
+
+    return store(id, claimed);
+}
+
+module.exports = {
+    QUOTE_CONFIG,
+    issueQuotes,
+    verifyQuote,
+    claimQuote,
+    releaseQuote
+};
@@ -0,0 +1,191 @@
+const { redisManager } = require('../config/redis.js');
+const captainModel = require('../models/captain.model.js');
+const mapsService = require('./maps.service.js');
+
+// Captain locations as they stream in from the app. Positions are buffered in
+// Redis and written to MongoDB in one batch every few seconds rather than on
+// every tick, so the geo queries used for dispatch lag by at most one flush.
+// While the captain is on an accepted or ongoing ride, their position is also
+// sent to the ride's room (throttled), with the ETA to pickup recomputed every
+// so often until the rider has been picked up.
+
+const LIVE_LOCATION_CONFIG = {
+    // At most one location per captain to the ride room in this interval
+    broadcastIntervalMs: Number(process.env.LIVE_LOCATION_INTERVAL_MS) || 2000,
+    // How often the ETA to pickup is recomputed through the maps provider
+    etaIntervalMs: Number(process.env.LIVE_ETA_INTERVAL_MS) || 30000,
+    flushIntervalMs: Number(process.env.CAPTAIN_LOCATION_FLUSH_MS) || 5000,
+    rideTtlSeconds: 24 * 60 * 60,
+    // ~11m, so nearby fixes share a cached ETA lookup
+    etaCoordinatePrecision: 4
+};
+
+const PENDING_KEY = 'captain_locations:pending';
+const liveRideKey = (captainId) => `captain_live_ride:${captainId}`;
+
+// Process-local fallbacks while Redis is down
+const localPending = new Map();
+const localLiveRides = new Map();
+
+// Throttle and last ETA per captain. A captain's socket lives on one instance,
+// so this does not need to be shared.
+const broadcasts = new Map();
+
+let flusher = null;
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Called when a captain accepts a ride and again when they start it
+async function followRide(ride) {
+    const captainId = idOf(ride.captain);
+    const entry = {
+        rideId: idOf(ride),
+        user: idOf(ride.user),
+        status: ride.status,
+        pickup: ride.pickup
+    };
+
+    localLiveRides.set(captainId, entry);
+    if (redisManager.isConnected) {
+        await redisManager.set(liveRideKey(captainId), entry, LIVE_LOCATION_CONFIG.rideTtlSeconds);
+    }
+
+    return entry;
+}
+
+async function unfollowRide(captainId) {
+    localLiveRides.delete(idOf(captainId));
+    broadcasts.delete(idOf(captainId));
+    if (redisManager.isConnected) {
+        await redisManager.del(liveRideKey(idOf(captainId)));
+    }
+}
+
+async function getLiveRide(captainId) {
+    if (redisManager.isConnected) {
+        return redisManager.get(liveRideKey(captainId));
+    }
+    return localLiveRides.get(captainId) || null;
+}
+
+async function bufferLocation(captainId, point, at) {
+    const entry = { ltd: point.ltd, lng: point.lng, at };
+
+    if (redisManager.isConnected && await redisManager.setHashField(PENDING_KEY, captainId, entry, LIVE_LOCATION_CONFIG.rideTtlSeconds)) {
+        return;
+    }
+
+    localPending.set(captainId, entry);
+}
+
+// Writes the latest buffered position of every captain to MongoDB
+async function flushLocations() {
+    const pending = { ...((redisManager.isConnected && await redisManager.takeHash(PENDING_KEY)) || {}) };
+
+    for (const [ captainId, entry ] of localPending) {
+        if (!pending[ captainId ] || pending[ captainId ].at < entry.at) {
+            pending[ captainId ] = entry;
+        }
+    }
+    localPending.clear();
+
+    const operations = Object.entries(pending).map(([ captainId, { ltd, lng } ]) => ({
+        updateOne: {
+            filter: { _id: captainId },
+            // GeoJSON Point ([lng, lat]) for the 2dsphere index
+            update: { location: { type: 'Point', coordinates: [ lng, ltd ] } }
+        }
+    }));
+
+    if (operations.length) {
+        await captainModel.bulkWrite(operations, { ordered: false });
+    }
+
+    return operations.length;
+}
+
+function startFlushing() {
+    if (flusher) return;
+    flusher = setInterval(() => {
+        flushLocations().catch(error => console.error('Failed to flush captain locations:', error));
+    }, LIVE_LOCATION_CONFIG.flushIntervalMs);
+    flusher.unref();
+}
+
+// Stops the timer and writes whatever is still buffered
+async function stopFlushing() {
+    clearInterval(flusher);
+    flusher = null;
+    await flushLocations();
+}
+
+async function etaToPickup(point, pickup) {
+    const precision = LIVE_LOCATION_CONFIG.etaCoordinatePrecision;
+    const origin = `${point.ltd.toFixed(precision)},${point.lng.toFixed(precision)}`;
+    const { distance, duration } = await mapsService.getDistanceTime(origin, pickup);
+
+    return {
+        distance: distance.value,
+        duration: duration.value,
+        text: duration.text
+    };
+}
+
+// point: { ltd, lng } as sent by the captain's app. Returns the message sent to
+// the ride room, or null when there was nobody to tell or it was throttled.
+async function recordLocation(captainId, point, now = Date.now()) {
+    captainId = idOf(captainId);
+    await bufferLocation(captainId, point, now);
+
+    const ride = await getLiveRide(captainId);
+    if (!ride) {
+        broadcasts.delete(captainId);
+        return null;
+    }
+
+    let state = broadcasts.get(captainId);
+    if (!state || state.rideId !== ride.rideId) {
+        state = { rideId: ride.rideId, sentAt: -Infinity, etaAt: -Infinity, eta: null };
+        broadcasts.set(captainId, state);
+    }
+
+    if (now - state.sentAt < LIVE_LOCATION_CONFIG.broadcastIntervalMs) {
+        return null;
+    }
+    state.sentAt = now;
+
+    if (ride.status === 'accepted' && now - state.etaAt >= LIVE_LOCATION_CONFIG.etaIntervalMs) {
+        state.etaAt = now;
+        try {
+            state.eta = await etaToPickup(point, ride.pickup);
+        } catch (error) {
+            // Keep showing the last ETA rather than none
+            console.error(`Failed to compute ETA to pickup for ride ${ride.rideId}:`, error.message);
+        }
+    }
+
+    const message = {
+        event: 'captain-location',
+        data: {
+            rideId: ride.rideId,
+            location: { ltd: point.ltd, lng: point.lng },
+            at: new Date(now).toISOString(),
+            ...(ride.status === 'accepted' && state.eta ? { etaToPickup: state.eta } : {})
+        }
+    };
+
+    require('../socket').sendMessageToRide(ride.rideId, message);
+
+    return message;
+}
+
+module.exports = {
+    LIVE_LOCATION_CONFIG,
+    followRide,
+    unfollowRide,
+    getLiveRide,
+    recordLocation,
+    flushLocations,
+    startFlushing,
+    stopFlushing
+};
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// Google Maps Platform adapter (Geocoding, Distance Matrix and Places Autocomplete)
+const BASE_URL = process.env.MAPS_SERVICE_URL || 'https://maps.googleapis.com/maps/api';
+
+const apiKey = () => process.env.GOOGLE_MAPS_API_KEY || process.env.GOOGLE_MAPS_API;
+
+module.exports.name = 'google';
+
+module.exports.getAddressCoordinate = async (address) => {
+    const url = `${BASE_URL}/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey()}`;
+
+    const response = await axios.get(url);
+    if (response.data.status === 'OK') {
+        const location = response.data.results[ 0 ].geometry.location;
+        return {
+            ltd: location.lat,
+            lng: location.lng
+        };
+    } else {
+        throw new Error('Unable to fetch coordinates');
+    }
+}
+
+module.exports.getDistanceTime = async (origin, destination) => {
+    const url = `${BASE_URL}/distancematrix/json?origins=${encodeURIComponent(origin)}&destinations=${encodeURIComponent(destination)}&key=${apiKey()}`;
+
+    const response = await axios.get(url);
+    if (response.data.status === 'OK') {
+
+        if (response.data.rows[ 0 ].elements[ 0 ].status === 'ZERO_RESULTS') {
+            throw new Error('No routes found');
+        }
+
+        return response.data.rows[ 0 ].elements[ 0 ];
+    } else {
+        throw new Error('Unable to fetch distance and time');
+    }
+}
+
+module.exports.getAutoCompleteSuggestions = async (input) => {
+    const url = `${BASE_URL}/place/autocomplete/json?input=${encodeURIComponent(input)}&key=${apiKey()}`;
+
+    const response = await axios.get(url);
+    if (response.data.status === 'OK') {
+        return response.data.predictions.map(prediction => prediction.description).filter(value => value);
+    } else {
+        throw new Error('Unable to fetch suggestions');
+    }
+}
@@ -0,0 +1,35 @@
+// Every provider implements the same three lookups:
+//   getAddressCoordinate(address)           -> { ltd, lng }
+//   getDistanceTime(origin, destination)    -> { distance: { text, value }, duration: { text, value }, status }
+//   getAutoCompleteSuggestions(input)       -> [ description ]
+//
+// MAPS_PROVIDER picks one explicitly; otherwise Google is used when an API key is
+// configured and the offline provider when it is not.
+const providers = {
+    google: () => require('./google.provider.js'),
+    local: () => require('./local.provider.js')
+};
+
+function resolveProviderName() {
+    if (process.env.MAPS_PROVIDER) {
+        return process.env.MAPS_PROVIDER.toLowerCase();
+    }
+    return (process.env.GOOGLE_MAPS_API_KEY || process.env.GOOGLE_MAPS_API) ? 'google' : 'local';
+}
+
+let provider;
+
+function getMapProvider() {
+    if (!provider) {
+        const name = resolveProviderName();
+        if (!providers[ name ]) {
+            throw new Error(`Unknown maps provider "${name}", expected one of: ${Object.keys(providers).join(', ')}`);
+        }
+        provider = providers[ name ]();
+    }
+    return provider;
+}
+
+module.exports = {
+    getMapProvider
+};
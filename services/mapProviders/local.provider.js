@@ -0,0 +1,112 @@
+const path = require('path');
+const { haversineDistance } = require('../../utils/geo.js');
+
+// Offline adapter for development and CI: geocodes against the bundled gazetteer,
+// measures distance as the crow flies (scaled by a road factor) and derives the
+// travel time from a configurable average speed. Responses mirror Google's shapes.
+const GAZETTEER_FILE = process.env.MAPS_LOCAL_GAZETTEER || path.join(__dirname, 'gazetteer.json');
+
+const LOCAL_CONFIG = {
+    averageSpeedKmph: Number(process.env.MAPS_LOCAL_AVG_SPEED_KMPH) || 25,
+    // Roads are never straight; 1.3 is a common urban detour factor
+    routeFactor: Number(process.env.MAPS_LOCAL_ROUTE_FACTOR) || 1.3,
+    maxSuggestions: 5
+};
+
+const COORDINATE_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const normalize = (text) => String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+let gazetteer;
+
+function loadGazetteer() {
+    if (!gazetteer) {
+        gazetteer = require(GAZETTEER_FILE).map(entry => ({
+            ...entry,
+            // Terms are matched as whole words against the normalized address
+            terms: [ entry.name.split(',')[ 0 ], ...(entry.aliases || []) ].map(normalize)
+        }));
+    }
+    return gazetteer;
+}
+
+// Best gazetteer entry mentioned in the address: specific places win over cities,
+// longer matches win over shorter ones
+function findEntry(address) {
+    const haystack = ` ${normalize(address)} `;
+    let best = null;
+
+    for (const entry of loadGazetteer()) {
+        for (const term of entry.terms) {
+            if (!haystack.includes(` ${term} `)) continue;
+
+            const score = (entry.type === 'place' ? 1000 : 0) + term.length;
+            if (!best || score > best.score) {
+                best = { entry, score };
+            }
+        }
+    }
+
+    return best && best.entry;
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+function formatDuration(seconds) {
+    const totalMinutes = Math.max(1, Math.round(seconds / 60));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+
+    if (!hours) return plural(minutes, 'min');
+    return minutes ? `${plural(hours, 'hour')} ${plural(minutes, 'min')}` : plural(hours, 'hour');
+}
+
+module.exports.name = 'local';
+
+module.exports.config = LOCAL_CONFIG;
+
+module.exports.getAddressCoordinate = async (address) => {
+    // "lat,lng" strings are taken as-is
+    const literal = String(address).match(COORDINATE_PATTERN);
+    if (literal) {
+        return { ltd: Number(literal[ 1 ]), lng: Number(literal[ 2 ]) };
+    }
+
+    const entry = findEntry(address);
+    if (!entry) {
+        throw new Error('Unable to fetch coordinates');
+    }
+
+    return { ltd: entry.ltd, lng: entry.lng };
+}
+
+module.exports.getDistanceTime = async (origin, destination) => {
+    const [ from, to ] = await Promise.all([
+        module.exports.getAddressCoordinate(origin),
+        module.exports.getAddressCoordinate(destination)
+    ]);
+
+    const meters = Math.round(haversineDistance(from, to) * LOCAL_CONFIG.routeFactor);
+    const seconds = Math.round(meters / (LOCAL_CONFIG.averageSpeedKmph * 1000 / 3600));
+
+    return {
+        distance: { text: formatDistance(meters), value: meters },
+        duration: { text: formatDuration(seconds), value: seconds },
+        status: 'OK'
+    };
+}
+
+module.exports.getAutoCompleteSuggestions = async (input) => {
+    const query = normalize(input);
+
+    return loadGazetteer()
+        .filter(entry => normalize(entry.name).includes(query) || entry.terms.some(term => term.includes(query)))
+        .slice(0, LOCAL_CONFIG.maxSuggestions)
+        .map(entry => entry.name);
+}
@@ -1,22 +1,90 @@
 
-const axios = require('axios');
+const { getMapProvider } = require('./mapProviders/index.js');
+const { redisManager } = require('../config/redis.js');
 const captainModel = require('../models/captain.model.js');
 
+// Rides and captains name the two-wheeler differently
+const RIDE_TO_CAPTAIN_VEHICLE_TYPE = {
+    auto: 'auto',
+    car: 'car',
+    moto: 'motorcycle'
+};
+
+// Read-through cache in front of the provider. Geocodes barely change, travel
+// times do (traffic), so each lookup type gets its own TTL (seconds).
+const CACHE_TTL = {
+    geocode: Number(process.env.MAPS_CACHE_TTL_GEOCODE) || 7 * 24 * 60 * 60,
+    distance: Number(process.env.MAPS_CACHE_TTL_DISTANCE) || 15 * 60,
+    autocomplete: Number(process.env.MAPS_CACHE_TTL_AUTOCOMPLETE) || 24 * 60 * 60
+};
+
+const cacheStats = Object.fromEntries(Object.keys(CACHE_TTL).map(type => [
+    type,
+    { hits: 0, misses: 0, coalesced: 0, errors: 0 }
+]));
+
+// Upstream calls in flight, keyed like the cache, so identical concurrent lookups share one
+const inFlight = new Map();
+
+// "  12, MG Road,  Bengaluru. " and "12 mg road bengaluru" should share a cache entry
+const normalizeAddress = (text) => String(text)
+    .toLowerCase()
+    .replace(/[.,;:#]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports.normalizeAddress = normalizeAddress;
+
+async function cachedLookup(type, parts, loader) {
+    const provider = getMapProvider();
+    const key = `maps:${provider.name}:${type}:${parts.map(normalizeAddress).join('|')}`;
+    const stats = cacheStats[ type ];
+
+    const cached = await redisManager.get(key);
+    if (cached !== null) {
+        stats.hits++;
+        return cached;
+    }
+
+    if (inFlight.has(key)) {
+        stats.coalesced++;
+        return inFlight.get(key);
+    }
+
+    stats.misses++;
+
+    const lookup = (async () => {
+        try {
+            const result = await loader(provider);
+            await redisManager.set(key, result, CACHE_TTL[ type ]);
+            return result;
+        } catch (error) {
+            stats.errors++;
+            throw error;
+        } finally {
+            inFlight.delete(key);
+        }
+    })();
+
+    inFlight.set(key, lookup);
+    return lookup;
+}
+
+module.exports.getCacheStats = () => Object.fromEntries(Object.entries(cacheStats).map(([ type, stats ]) => {
+    const lookups = stats.hits + stats.misses + stats.coalesced;
+    return [ type, {
+        ...stats,
+        hitRate: lookups ? Number(((stats.hits + stats.coalesced) / lookups).toFixed(4)) : 0
+    } ];
+}));
+
 module.exports.getAddressCoordinate = async (address) => {
-    const apiKey = process.env.GOOGLE_MAPS_API;
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`;
+    if (!address) {
+        throw new Error('Address is required');
+    }
 
     try {
-        const response = await axios.get(url);
-        if (response.data.status === 'OK') {
-            const location = response.data.results[ 0 ].geometry.location;
-            return {
-                ltd: location.lat,
-                lng: location.lng
-            };
-        } else {
-            throw new Error('Unable to fetch coordinates');
-        }
+        return await cachedLookup('geocode', [ address ], provider => provider.getAddressCoordinate(address));
     } catch (error) {
         console.error(error);
         throw error;
@@ -28,25 +96,8 @@ module.exports.getDistanceTime = async (origin, destination) => {
         throw new Error('Origin and destination are required');
     }
 
-    const apiKey = process.env.GOOGLE_MAPS_API;
-
-    const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${encodeURIComponent(origin)}&destinations=${encodeURIComponent(destination)}&key=${apiKey}`;
-
     try {
-
-
-        const response = await axios.get(url);
-        if (response.data.status === 'OK') {
-
-            if (response.data.rows[ 0 ].elements[ 0 ].status === 'ZERO_RESULTS') {
-                throw new Error('No routes found');
-            }
-
-            return response.data.rows[ 0 ].elements[ 0 ];
-        } else {
-            throw new Error('Unable to fetch distance and time');
-        }
-
+        return await cachedLookup('distance', [ origin, destination ], provider => provider.getDistanceTime(origin, destination));
     } catch (err) {
         console.error(err);
         throw err;
@@ -58,34 +109,36 @@ module.exports.getAutoCompleteSuggestions = async (input) => {
         throw new Error('query is required');
     }
 
-    const apiKey = process.env.GOOGLE_MAPS_API;
-    const url = `https://maps.googleapis.com/maps/api/place/autocomplete/json?input=${encodeURIComponent(input)}&key=${apiKey}`;
-
     try {
-        const response = await axios.get(url);
-        if (response.data.status === 'OK') {
-            return response.data.predictions.map(prediction => prediction.description).filter(value => value);
-        } else {
-            throw new Error('Unable to fetch suggestions');
-        }
+        return await cachedLookup('autocomplete', [ input ], provider => provider.getAutoCompleteSuggestions(input));
     } catch (err) {
         console.error(err);
         throw err;
     }
 }
 
-module.exports.getCaptainsInTheRadius = async (ltd, lng, radius) => {
+module.exports.getCaptainsInTheRadius = async (ltd, lng, radius, { vehicleType } = {}) => {
 
     // radius in km
 
-
-    const captains = await captainModel.find({
+    // Only captains who are online and not already committed to a ride
+    const filter = {
+        status: 'active',
+        onTrip: { $ne: true },
+        // $nearSphere returns results sorted nearest first; GeoJSON is [lng, lat]
         location: {
-            $geoWithin: {
-                $centerSphere: [ [ ltd, lng ], radius / 6371 ]
+            $nearSphere: {
+                $geometry: { type: 'Point', coordinates: [ lng, ltd ] },
+                $maxDistance: radius * 1000
             }
         }
-    });
+    };
+
+    if (vehicleType) {
+        filter[ 'vehicle.vehicleType' ] = RIDE_TO_CAPTAIN_VEHICLE_TYPE[ vehicleType ] || vehicleType;
+    }
+
+    const captains = await captainModel.find(filter);
 
     return captains;
 
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const outboxEventModel = require('../models/outboxEvent.model.js');
+const { kafkaManager } = require('../config/kafka.js');
+
+// Bump when the envelope shape changes in a way consumers must know about
+const ENVELOPE_VERSION = 1;
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/outbox.log' })
+    ]
+});
+
+function buildEnvelope(type, { aggregateType, aggregateId, data }) {
+    return {
+        eventId: crypto.randomUUID(),
+        type,
+        version: ENVELOPE_VERSION,
+        occurredAt: new Date().toISOString(),
+        source: 'cab-booking-backend',
+        aggregate: {
+            type: aggregateType,
+            id: String(aggregateId)
+        },
+        data
+    };
+}
+
+// Pass the session of the transaction that performs the state change, so the
+// event is only persisted if that change commits
+async function enqueue(type, { aggregateType, aggregateId, data }, { session } = {}) {
+    const envelope = buildEnvelope(type, { aggregateType, aggregateId, data });
+
+    const [ event ] = await outboxEventModel.create([ {
+        eventId: envelope.eventId,
+        topic: type,
+        key: envelope.aggregate.id,
+        payload: envelope
+    } ], { session });
+
+    return event;
+}
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Explicit snapshot of what consumers get, never the raw document (OTPs, populated profiles, ...)
+function rideSnapshot(ride) {
+    return {
+        rideId: idOf(ride),
+        status: ride.status,
+        user: idOf(ride.user),
+        captain: idOf(ride.captain),
+        pickup: ride.pickup,
+        destination: ride.destination,
+        fare: ride.fare,
+        distance: ride.distance,
+        duration: ride.duration,
+        fareRule: ride.fareRule && ride.fareRule.version !== undefined ? {
+            rule: idOf(ride.fareRule.rule),
+            version: ride.fareRule.version,
+            city: ride.fareRule.city,
+            zone: ride.fareRule.zone
+        } : undefined,
+        surgeMultiplier: ride.surge ? ride.surge.multiplier : undefined,
+        paymentMethod: ride.paymentMethod,
+        createdAt: ride.createdAt,
+        acceptedAt: ride.acceptedAt,
+        startedAt: ride.startedAt,
+        completedAt: ride.completedAt,
+        cancelledAt: ride.cancelledAt,
+        expiredAt: ride.expiredAt,
+        cancellation: ride.cancellation && ride.cancellation.cancelledBy ? {
+            cancelledBy: ride.cancellation.cancelledBy,
+            reason: ride.cancellation.reason,
+            fee: ride.cancellation.fee
+        } : undefined
+    };
+}
+
+function enqueueRideEvent(type, ride, options) {
+    return enqueue(type, {
+        aggregateType: 'ride',
+        aggregateId: idOf(ride),
+        data: rideSnapshot(ride)
+    }, options);
+}
+
+// Background relay draining pending outbox events to Kafka. Safe to run on every
+// API instance: events are claimed with a short lease before being published.
+class OutboxRelay {
+    constructor({
+        pollIntervalMs = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000,
+        batchSize = Number(process.env.OUTBOX_BATCH_SIZE) || 100,
+        maxAttempts = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10,
+        leaseMs = 30000
+    } = {}) {
+        this.pollIntervalMs = pollIntervalMs;
+        this.batchSize = batchSize;
+        this.maxAttempts = maxAttempts;
+        this.leaseMs = leaseMs;
+        this.timer = null;
+        this.running = false;
+        this.draining = null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.schedule();
+        logger.info('📤 Outbox relay started');
+    }
+
+    schedule() {
+        if (!this.running) return;
+        this.timer = setTimeout(async () => {
+            this.draining = this.drain();
+            await this.draining;
+            this.draining = null;
+            this.schedule();
+        }, this.pollIntervalMs);
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.draining) {
+            await this.draining;
+        }
+        logger.info('Outbox relay stopped');
+    }
+
+    async claimNext() {
+        const now = new Date();
+        return outboxEventModel.findOneAndUpdate({
+            status: 'pending',
+            availableAt: { $lte: now },
+            $or: [ { lockedUntil: null }, { lockedUntil: { $lt: now } } ]
+        }, {
+            $set: { lockedUntil: new Date(now.getTime() + this.leaseMs) }
+        }, {
+            sort: { createdAt: 1 },
+            new: true
+        });
+    }
+
+    async drain() {
+        // Leave everything pending while Kafka is down, nothing is lost
+        if (!kafkaManager.isConnected) return 0;
+
+        let published = 0;
+
+        try {
+            for (let i = 0; i < this.batchSize; i++) {
+                const event = await this.claimNext();
+                if (!event) break;
+
+                if (await this.publish(event)) {
+                    published++;
+                }
+            }
+        } catch (error) {
+            logger.error('Outbox drain failed:', error);
+        }
+
+        return published;
+    }
+
+    async publish(event) {
+        try {
+            await kafkaManager.publishEvent(event.topic, event.payload, event.key);
+
+            await outboxEventModel.updateOne({ _id: event._id }, {
+                $set: { status: 'published', publishedAt: new Date() },
+                $unset: { lockedUntil: 1, lastError: 1 }
+            });
+            return true;
+        } catch (error) {
+            const attempts = event.attempts + 1;
+            // Exponential backoff capped at five minutes
+            const backoffMs = Math.min(1000 * Math.pow(2, attempts), 5 * 60 * 1000);
+
+            await outboxEventModel.updateOne({ _id: event._id }, {
+                $set: {
+                    status: attempts >= this.maxAttempts ? 'failed' : 'pending',
+                    attempts,
+                    lastError: error.message,
+                    availableAt: new Date(Date.now() + backoffMs)
+                },
+                $unset: { lockedUntil: 1 }
+            });
+
+            logger.warn(`Outbox event ${event.eventId} (${event.topic}) failed, attempt ${attempts}: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+// Singleton instance
+const outboxRelay = new OutboxRelay();
+
+module.exports = {
+    ENVELOPE_VERSION,
+    buildEnvelope,
+    enqueue,
+    enqueueRideEvent,
+    rideSnapshot,
+    OutboxRelay,
+    outboxRelay
+};
@@ -0,0 +1,562 @@
+const winston = require('winston');
+const paymentModel = require('../models/payment.model.js');
+const webhookEventModel = require('../models/webhookEvent.model.js');
+const rideModel = require('../models/ride.model.js');
+const { dbManager } = require('../config/db.js');
+const { EVENTS } = require('../config/kafka.js');
+const outboxService = require('./outbox.service.js');
+const walletService = require('./wallet.service.js');
+const { getPaymentProvider } = require('./paymentProviders');
+const AppError = require('../utils/appError.js');
+
+// Ride payments and wallet top-ups.
+//
+//   cash    pending ──ride completed──> captured
+//   wallet  pending ──ride completed, wallet debited──> captured
+//   online  created ──signature verified / webhook──> captured ──> refunded
+//              └──provider reports failure──> failed ──rider retries──> captured
+//
+// Any kind becomes cancelled if the ride is cancelled before it is paid; a late
+// cancellation fee is booked in the wallet ledger either way.
+// The order is created when a captain confirms the ride, for the quoted fare;
+// if the final fare differs and nothing has been paid yet, the order is
+// re-issued for the final amount. The rider may still pay an earlier order, so
+// those stay matchable and the payment records what was actually captured;
+// settlement then charges or refunds the difference. Top-ups are online
+// payments without a ride.
+// Every state change is written together with its payment.* event in the
+// outbox, and once money has moved, with its postings in the wallet ledger.
+
+const PAYMENT_CONFIG = {
+    currency: process.env.PAYMENT_CURRENCY || 'INR'
+};
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/payments.log' })
+    ]
+});
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+function paymentSnapshot(payment) {
+    return {
+        paymentId: idOf(payment),
+        purpose: payment.purpose,
+        rideId: idOf(payment.ride),
+        userId: idOf(payment.user),
+        method: payment.method,
+        provider: payment.provider,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        orderId: payment.orderId,
+        gatewayPaymentId: payment.paymentId,
+        refundedAmount: payment.refundedAmount,
+        failureReason: payment.failureReason
+    };
+}
+
+function enqueuePaymentEvent(type, payment, session) {
+    return outboxService.enqueue(type, {
+        aggregateType: 'payment',
+        aggregateId: idOf(payment),
+        data: paymentSnapshot(payment)
+    }, { session });
+}
+
+async function createOrder(ride, amount) {
+    return getPaymentProvider().createOrder({
+        amount,
+        currency: PAYMENT_CONFIG.currency,
+        receipt: String(ride._id),
+        notes: { rideId: String(ride._id) }
+    });
+}
+
+// The current order of a payment, or one it was re-issued from
+const orderFilter = (orderId) => ({ $or: [ { orderId }, { 'previousOrders.orderId': orderId } ] });
+
+function orderAmount(payment, orderId) {
+    const previous = payment.orderId !== orderId
+        && (payment.previousOrders || []).find(order => order.orderId === orderId);
+
+    return previous ? previous.amount : payment.amount;
+}
+
+// ---- State changes, all run inside the caller's transaction ----
+
+// amount: what the provider captured, when it says so; otherwise what the order was for
+async function applyCapture(filter, { paymentId, signature, orderId, amount }, session) {
+    const payment = await paymentModel.findOneAndUpdate({
+        ...filter,
+        status: { $in: [ 'pending', 'created', 'failed' ] }
+    }, {
+        $set: { status: 'captured', paymentId, capturedAt: new Date() },
+        $unset: { failureReason: 1 }
+    }, { new: true, session });
+
+    if (payment) {
+        const captured = amount !== undefined ? toMoney(amount) : orderAmount(payment, orderId);
+
+        if (captured !== payment.amount) {
+            logger.warn(`Payment ${payment._id} captured ${captured} against ${payment.amount} due`);
+            await paymentModel.updateOne({ _id: payment._id }, { $set: { amount: captured } }, { session });
+            payment.amount = captured;
+        }
+
+        if (payment.ride) {
+            await rideModel.updateOne({ _id: payment.ride }, {
+                $set: { paymentID: paymentId, signature }
+            }, { session });
+        }
+        await enqueuePaymentEvent(EVENTS.PAYMENT.COMPLETED, payment, session);
+        await postToLedger(payment, session);
+    }
+
+    return payment;
+}
+
+// Top-ups credit the wallet straight away; ride payments are booked once the
+// ride is completed, whichever of capture and completion happens last.
+async function postToLedger(payment, session) {
+    if (payment.purpose === 'topup') {
+        return walletService.recordTopup(payment, session);
+    }
+
+    const ride = await rideModel.findOne({ _id: payment.ride }).session(session);
+
+    if (!ride || ride.status !== 'completed') {
+        return null;
+    }
+
+    // Paid more than the final fare: the difference goes back through the gateway
+    // first, which cannot happen inside this transaction (see settleLateCapture)
+    if (payment.amount - payment.refundedAmount > ride.fare) {
+        return null;
+    }
+
+    return walletService.settleRide(ride, payment, session);
+}
+
+// Runs once a capture has committed: settles a completed ride that postToLedger
+// left for a refund of what was paid beyond the final fare
+async function settleLateCapture(payment) {
+    if (!payment || !payment.ride) {
+        return payment;
+    }
+
+    const ride = await rideModel.findOne({ _id: payment.ride });
+
+    if (ride && ride.status === 'completed' && payment.amount - payment.refundedAmount > ride.fare) {
+        return module.exports.settleRide(ride);
+    }
+
+    return payment;
+}
+
+async function applyFailure(filter, reason, session) {
+    const payment = await paymentModel.findOneAndUpdate({
+        ...filter,
+        status: 'created'
+    }, {
+        $set: { status: 'failed', failureReason: reason || 'Payment failed' }
+    }, { new: true, session });
+
+    if (payment) {
+        await enqueuePaymentEvent(EVENTS.PAYMENT.FAILED, payment, session);
+    }
+
+    return payment;
+}
+
+async function applyRefund(payment, { refundId, amount, reason, toWallet = false }, session) {
+    const refundedAmount = toMoney(payment.refundedAmount + amount);
+
+    const updated = await paymentModel.findOneAndUpdate({
+        _id: payment._id,
+        status: 'captured',
+        // Guards against two refunds racing past the refundable amount
+        refundedAmount: payment.refundedAmount
+    }, {
+        $push: { refunds: { refundId, amount, reason } },
+        $set: {
+            refundedAmount,
+            ...(refundedAmount >= payment.amount ? { status: 'refunded' } : {})
+        }
+    }, { new: true, session });
+
+    if (!updated) {
+        throw new AppError('Payment was updated concurrently, please retry', 409);
+    }
+
+    await enqueuePaymentEvent(EVENTS.PAYMENT.REFUNDED, updated, session);
+    await walletService.recordRefund({ payment: updated, refundId, amount, reason, toWallet }, session);
+
+    return updated;
+}
+
+// ---- Ride lifecycle ----
+
+// Called when a captain confirms the ride. Idempotent: returns the existing payment if any.
+module.exports.initiatePayment = async (ride) => {
+    const existing = await paymentModel.findOne({ ride: ride._id });
+    if (existing) {
+        return existing;
+    }
+
+    const method = ride.paymentMethod || 'cash';
+    const order = method === 'online' ? await createOrder(ride, ride.fare) : null;
+
+    try {
+        return await dbManager.withTransaction(async (session) => {
+            const [ payment ] = await paymentModel.create([ {
+                ride: ride._id,
+                user: idOf(ride.user),
+                method,
+                provider: order ? getPaymentProvider().name : undefined,
+                status: order ? 'created' : 'pending',
+                amount: ride.fare,
+                currency: PAYMENT_CONFIG.currency,
+                orderId: order ? order.orderId : undefined
+            } ], { session });
+
+            if (order) {
+                await rideModel.updateOne({ _id: ride._id }, { $set: { orderId: order.orderId } }, { session });
+            }
+
+            await enqueuePaymentEvent(EVENTS.PAYMENT.INITIATED, payment, session);
+
+            return payment;
+        });
+    } catch (error) {
+        // Initiated concurrently (e.g. a retried confirmation), keep the first one
+        if (error.code === 11000) {
+            return paymentModel.findOne({ ride: ride._id });
+        }
+        throw error;
+    }
+}
+
+// Called when the ride completes and ride.fare holds the final fare
+module.exports.settleRide = async (ride) => {
+    const payment = await module.exports.initiatePayment(ride);
+
+    if (payment.method !== 'online') {
+        // The captain collected the final fare in cash, or it is taken from the wallet now
+        return dbManager.withTransaction(async (session) => {
+            await paymentModel.updateOne({ _id: payment._id, status: 'pending' }, {
+                $set: { amount: ride.fare }
+            }, { session });
+            return (await applyCapture({ _id: payment._id }, {}, session)) || payment;
+        });
+    }
+
+    if ([ 'created', 'failed' ].includes(payment.status) && payment.amount !== ride.fare) {
+        const order = await createOrder(ride, ride.fare);
+
+        return dbManager.withTransaction(async (session) => {
+            const updated = await paymentModel.findOneAndUpdate({
+                _id: payment._id,
+                status: { $in: [ 'created', 'failed' ] }
+            }, {
+                $set: { status: 'created', orderId: order.orderId, amount: ride.fare },
+                $push: { previousOrders: { orderId: payment.orderId, amount: payment.amount } },
+                $unset: { failureReason: 1 }
+            }, { new: true, session });
+
+            await rideModel.updateOne({ _id: ride._id }, { $set: { orderId: order.orderId } }, { session });
+
+            return updated || payment;
+        });
+    }
+
+    if (payment.status === 'captured') {
+        // Paid upfront and the trip came out cheaper
+        const settled = payment.amount - payment.refundedAmount > ride.fare
+            ? await module.exports.refundPayment({
+                rideId: ride._id,
+                amount: toMoney(payment.amount - payment.refundedAmount - ride.fare),
+                reason: 'Final fare lower than the amount paid'
+            })
+            : payment;
+
+        await dbManager.withTransaction(session => walletService.settleRide(ride, settled, session));
+
+        return settled;
+    }
+
+    return payment;
+}
+
+// Called when the ride is cancelled. The cancellation fee is booked whatever the
+// payment method; anything paid upfront beyond the rider's fee goes back.
+module.exports.handleCancellation = async (ride) => {
+    const payment = await paymentModel.findOne({ ride: ride._id });
+
+    await dbManager.withTransaction(session => walletService.recordCancellation(ride, payment, session));
+
+    if (!payment) {
+        return null;
+    }
+
+    if (payment.status === 'captured') {
+        const { cancelledBy, fee = 0 } = ride.cancellation || {};
+        const riderFee = cancelledBy === 'captain' ? 0 : fee;
+        const refundable = toMoney(payment.amount - payment.refundedAmount - riderFee);
+
+        return refundable > 0
+            ? module.exports.refundPayment({ rideId: ride._id, amount: refundable, reason: 'Ride cancelled' })
+            : payment;
+    }
+
+    return paymentModel.findOneAndUpdate({
+        _id: payment._id,
+        status: { $in: [ 'pending', 'created', 'failed' ] }
+    }, {
+        $set: { status: 'cancelled' }
+    }, { new: true });
+}
+
+// ---- API ----
+
+module.exports.getRidePayment = async ({ rideId, user, captain }) => {
+    const payment = await paymentModel.findOne({ ride: rideId });
+
+    if (!payment) {
+        throw new AppError('Payment not found', 404);
+    }
+
+    if (user && idOf(payment.user) !== idOf(user)) {
+        throw new AppError('You are not allowed to view this payment', 403);
+    }
+
+    if (captain) {
+        const ride = await rideModel.findOne({ _id: rideId }).select('captain');
+        if (!ride || idOf(ride.captain) !== idOf(captain)) {
+            throw new AppError('You are not allowed to view this payment', 403);
+        }
+    }
+
+    return payment;
+}
+
+// What the client needs to open the provider's checkout for an online payment
+module.exports.getCheckout = (payment) => {
+    if (payment.method !== 'online' || ![ 'created', 'failed' ].includes(payment.status)) {
+        return null;
+    }
+
+    const provider = getPaymentProvider();
+
+    return {
+        provider: provider.name,
+        key: provider.publicKey(),
+        orderId: payment.orderId,
+        amount: payment.amount,
+        currency: payment.currency
+    };
+}
+
+// Client-side capture: the rider's app forwards what the checkout returned
+module.exports.verifyPayment = async ({ rideId, orderId, paymentId, signature, user }) => {
+    const payment = await module.exports.getRidePayment({ rideId, user });
+
+    if (payment.method !== 'online') {
+        throw new AppError(`This ride is paid by ${payment.method}`, 400);
+    }
+
+    const known = payment.orderId === orderId
+        || (payment.previousOrders || []).some(order => order.orderId === orderId);
+
+    if (!known) {
+        throw new AppError('Order does not match this ride', 400);
+    }
+
+    return verifyAndCapture(payment, { orderId, paymentId, signature });
+}
+
+async function verifyAndCapture(payment, { orderId, paymentId, signature }) {
+    if (!getPaymentProvider().verifyPaymentSignature({ orderId, paymentId, signature })) {
+        logger.warn(`Rejected payment ${paymentId} for order ${orderId}: invalid signature`);
+        throw new AppError('Invalid payment signature', 400);
+    }
+
+    if (payment.status === 'captured' || payment.status === 'refunded') {
+        // Retried verification of the same payment is fine, a second payment is not
+        if (payment.paymentId === paymentId) return payment;
+        throw new AppError('This order has already been paid', 409);
+    }
+
+    const captured = await dbManager.withTransaction(session => applyCapture(
+        { _id: payment._id, ...orderFilter(orderId) },
+        { paymentId, signature, orderId, amount: orderAmount(payment, orderId) },
+        session
+    ));
+
+    // The webhook may have captured it in the meantime
+    return captured ? settleLateCapture(captured) : paymentModel.findById(payment._id);
+}
+
+// Wallet top-ups: an online payment without a ride, credited to the wallet on capture
+module.exports.initiateTopup = async ({ user, amount }) => {
+    if (amount > walletService.WALLET_CONFIG.maxTopup) {
+        throw new AppError(`Top-ups are limited to ${walletService.WALLET_CONFIG.maxTopup}`, 400);
+    }
+
+    const userId = idOf(user);
+    const order = await getPaymentProvider().createOrder({
+        amount,
+        currency: PAYMENT_CONFIG.currency,
+        receipt: `topup_${userId}_${Date.now()}`,
+        notes: { userId, purpose: 'topup' }
+    });
+
+    return dbManager.withTransaction(async (session) => {
+        const [ payment ] = await paymentModel.create([ {
+            purpose: 'topup',
+            user: userId,
+            method: 'online',
+            provider: getPaymentProvider().name,
+            status: 'created',
+            amount,
+            currency: PAYMENT_CONFIG.currency,
+            orderId: order.orderId
+        } ], { session });
+
+        await enqueuePaymentEvent(EVENTS.PAYMENT.INITIATED, payment, session);
+
+        return payment;
+    });
+}
+
+module.exports.verifyTopup = async ({ orderId, paymentId, signature, user }) => {
+    const payment = await paymentModel.findOne({ orderId, purpose: 'topup' });
+
+    if (!payment) {
+        throw new AppError('Top-up not found', 404);
+    }
+
+    if (idOf(payment.user) !== idOf(user)) {
+        throw new AppError('You are not allowed to complete this top-up', 403);
+    }
+
+    return verifyAndCapture(payment, { orderId, paymentId, signature });
+}
+
+// destination 'source' sends online payments back through the gateway; cash and
+// wallet payments, and anything sent to 'wallet', are credited to the rider's wallet
+module.exports.refundPayment = async ({ rideId, amount, reason, destination = 'source' }) => {
+    const payment = await paymentModel.findOne({ ride: rideId });
+
+    if (!payment) {
+        throw new AppError('Payment not found', 404);
+    }
+
+    if (payment.status !== 'captured') {
+        throw new AppError(`Cannot refund a payment that is ${payment.status}`, 409);
+    }
+
+    const refundable = toMoney(payment.amount - payment.refundedAmount);
+    const refundAmount = amount === undefined ? refundable : toMoney(amount);
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new AppError(`Refund amount must be between 0 and ${refundable}`, 400);
+    }
+
+    if (payment.method !== 'online' || destination === 'wallet') {
+        const refundId = `wallet_${payment._id}_${payment.refunds.length + 1}`;
+
+        return dbManager.withTransaction(session =>
+            applyRefund(payment, { refundId, amount: refundAmount, reason, toWallet: true }, session));
+    }
+
+    const refund = await getPaymentProvider().refund({ paymentId: payment.paymentId, amount: refundAmount, reason });
+
+    return dbManager.withTransaction(session =>
+        applyRefund(payment, { refundId: refund.refundId, amount: refund.amount, reason }, session));
+}
+
+// Provider-to-server notifications. Returns { duplicate } so the controller can
+// acknowledge retries of an event that was already applied.
+module.exports.handleWebhook = async ({ provider: providerName, rawBody, headers, body }) => {
+    const provider = getPaymentProvider();
+
+    if (provider.name !== providerName) {
+        throw new AppError(`Payment provider ${providerName} is not enabled`, 404);
+    }
+
+    if (!provider.verifyWebhookSignature(rawBody, headers[ provider.webhookSignatureHeader ])) {
+        logger.warn(`Rejected ${providerName} webhook: invalid signature`);
+        throw new AppError('Invalid webhook signature', 401);
+    }
+
+    const event = provider.parseWebhook(body, headers);
+
+    if (!event.eventId) {
+        throw new AppError('Webhook event id is missing', 400);
+    }
+
+    try {
+        const result = await dbManager.withTransaction(async (session) => {
+            // Recorded first, in the same transaction: a duplicate aborts before anything is applied
+            const [ record ] = await webhookEventModel.create([ {
+                provider: provider.name,
+                eventId: event.eventId,
+                type: event.type
+            } ], { session });
+
+            let payment = null;
+
+            if (event.type === 'captured') {
+                payment = await applyCapture(orderFilter(event.orderId), {
+                    paymentId: event.paymentId,
+                    orderId: event.orderId,
+                    amount: event.amount
+                }, session);
+            } else if (event.type === 'failed') {
+                payment = await applyFailure({ orderId: event.orderId }, event.reason, session);
+            } else if (event.type === 'refunded') {
+                const current = await paymentModel.findOne({ paymentId: event.paymentId }).session(session);
+                const known = current && current.refunds.some(refund => refund.refundId === event.refundId);
+                // Refunds issued from the provider's dashboard are recorded here; ours already are
+                if (current && !known && current.status === 'captured') {
+                    payment = await applyRefund(current, {
+                        refundId: event.refundId,
+                        amount: event.amount,
+                        reason: 'Refunded by provider'
+                    }, session);
+                }
+            }
+
+            if (payment) {
+                record.payment = payment._id;
+                await record.save({ session });
+            }
+
+            return { duplicate: false, type: event.type, payment };
+        });
+
+        if (result.type === 'captured') {
+            result.payment = await settleLateCapture(result.payment);
+        }
+
+        return result;
+    } catch (error) {
+        if (error.code === 11000) {
+            logger.info(`Ignoring duplicate ${providerName} webhook ${event.eventId}`);
+            return { duplicate: true, type: event.type, payment: null };
+        }
+        throw error;
+    }
+}
+
+module.exports.PAYMENT_CONFIG = PAYMENT_CONFIG;
+module.exports.paymentSnapshot = paymentSnapshot;
@@ -0,0 +1,38 @@
+// Every payment provider implements the same operations (amounts in major units, e.g. rupees):
+//   createOrder({ amount, currency, receipt, notes })        -> { orderId, amount, currency }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, signature)               -> boolean
+//   parseWebhook(body, headers)
+//     -> { eventId, type: captured|failed|refunded|ignored, orderId, paymentId, refundId, amount, reason }
+//   refund({ paymentId, amount, reason })                    -> { refundId, amount }
+//
+// PAYMENT_PROVIDER picks one explicitly; otherwise Razorpay is used when its keys
+// are configured and the mock gateway when they are not.
+const providers = {
+    razorpay: () => require('./razorpay.provider.js'),
+    mock: () => require('./mock.provider.js')
+};
+
+function resolveProviderName() {
+    if (process.env.PAYMENT_PROVIDER) {
+        return process.env.PAYMENT_PROVIDER.toLowerCase();
+    }
+    return (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) ? 'razorpay' : 'mock';
+}
+
+let provider;
+
+function getPaymentProvider() {
+    if (!provider) {
+        const name = resolveProviderName();
+        if (!providers[ name ]) {
+            throw new Error(`Unknown payment provider "${name}", expected one of: ${Object.keys(providers).join(', ')}`);
+        }
+        provider = providers[ name ]();
+    }
+    return provider;
+}
+
+module.exports = {
+    getPaymentProvider
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Local stand-in for a payment gateway, for development and tests. It issues
+// order and payment ids, signs payments the way Razorpay does (HMAC over
+// `orderId|paymentId`) and can simulate what the hosted checkout would send
+// back, so the whole capture/webhook/refund flow runs without a provider account.
+const secret = () => process.env.MOCK_PAYMENT_SECRET || 'mock-payment-secret';
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || secret();
+
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest('hex');
+
+function signaturesMatch(expected, actual) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports.name = 'mock';
+
+module.exports.publicKey = () => 'mock_public_key';
+
+module.exports.createOrder = async ({ amount, currency }) => ({
+    orderId: newId('order'),
+    amount,
+    currency
+})
+
+module.exports.verifyPaymentSignature = ({ orderId, paymentId, signature }) =>
+    signaturesMatch(hmac(secret(), `${orderId}|${paymentId}`), signature)
+
+module.exports.verifyWebhookSignature = (rawBody, signature) =>
+    Boolean(rawBody) && signaturesMatch(hmac(webhookSecret(), rawBody), signature)
+
+module.exports.webhookSignatureHeader = 'x-mock-signature';
+
+// Webhook bodies are already in the normalized shape
+module.exports.parseWebhook = (body) => ({
+    eventId: body.eventId,
+    type: [ 'captured', 'failed', 'refunded' ].includes(body.type) ? body.type : 'ignored',
+    orderId: body.orderId,
+    paymentId: body.paymentId,
+    refundId: body.refundId,
+    amount: body.amount,
+    reason: body.reason
+})
+
+module.exports.refund = async ({ amount }) => ({
+    refundId: newId('rfnd'),
+    amount
+})
+
+// What the hosted checkout returns to the app after the rider pays
+module.exports.simulateCheckout = (orderId) => {
+    const paymentId = newId('pay');
+    return {
+        orderId,
+        paymentId,
+        signature: hmac(secret(), `${orderId}|${paymentId}`)
+    };
+}
+
+// Signs a webhook body like the gateway would, to drive the webhook endpoint locally
+module.exports.signWebhook = (rawBody) => hmac(webhookSecret(), rawBody);
@@ -0,0 +1,94 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Razorpay adapter (Orders, Payments and Refunds APIs). Razorpay works in the
+// smallest currency unit (paise), the rest of the app in rupees.
+const BASE_URL = process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1';
+
+const auth = () => ({
+    username: process.env.RAZORPAY_KEY_ID,
+    password: process.env.RAZORPAY_KEY_SECRET
+});
+
+const toSubunits = (amount) => Math.round(amount * 100);
+const fromSubunits = (amount) => amount / 100;
+
+function signaturesMatch(expected, actual) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports.name = 'razorpay';
+
+// Public key the checkout widget needs
+module.exports.publicKey = () => process.env.RAZORPAY_KEY_ID;
+
+module.exports.createOrder = async ({ amount, currency, receipt, notes }) => {
+    const response = await axios.post(`${BASE_URL}/orders`, {
+        amount: toSubunits(amount),
+        currency,
+        receipt,
+        notes
+    }, { auth: auth() });
+
+    return {
+        orderId: response.data.id,
+        amount: fromSubunits(response.data.amount),
+        currency: response.data.currency
+    };
+}
+
+// Checkout hands back razorpay_signature = HMAC-SHA256(order_id|payment_id, key secret)
+module.exports.verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+    const expected = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+        .update(`${orderId}|${paymentId}`)
+        .digest('hex');
+    return signaturesMatch(expected, signature);
+}
+
+// X-Razorpay-Signature = HMAC-SHA256(raw request body, webhook secret)
+module.exports.verifyWebhookSignature = (rawBody, signature) => {
+    if (!rawBody || !process.env.PAYMENT_WEBHOOK_SECRET) return false;
+    const expected = crypto.createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+    return signaturesMatch(expected, signature);
+}
+
+module.exports.webhookSignatureHeader = 'x-razorpay-signature';
+
+const WEBHOOK_TYPES = {
+    'payment.captured': 'captured',
+    'order.paid': 'captured',
+    'payment.failed': 'failed',
+    'refund.processed': 'refunded'
+};
+
+module.exports.parseWebhook = (body, headers = {}) => {
+    const payment = body.payload && body.payload.payment && body.payload.payment.entity;
+    const refund = body.payload && body.payload.refund && body.payload.refund.entity;
+
+    return {
+        // Razorpay sends the same event id on every retry of a delivery
+        eventId: headers[ 'x-razorpay-event-id' ] || `${body.event}:${(refund || payment || {}).id}`,
+        type: WEBHOOK_TYPES[ body.event ] || 'ignored',
+        orderId: payment && payment.order_id,
+        paymentId: (payment && payment.id) || (refund && refund.payment_id),
+        refundId: refund && refund.id,
+        amount: fromSubunits((refund || payment || { amount: 0 }).amount),
+        reason: payment && payment.error_description
+    };
+}
+
+module.exports.refund = async ({ paymentId, amount, reason }) => {
+    const response = await axios.post(`${BASE_URL}/payments/${paymentId}/refund`, {
+        amount: toSubunits(amount),
+        notes: reason ? { reason } : undefined
+    }, { auth: auth() });
+
+    return {
+        refundId: response.data.id,
+        amount: fromSubunits(response.data.amount)
+    };
+}
@@ -0,0 +1,200 @@
+const payoutModel = require('../models/payout.model.js');
+const { dbManager } = require('../config/db.js');
+const walletService = require('./wallet.service.js');
+const AppError = require('../utils/appError.js');
+
+// Captain payouts. Requesting one moves the amount out of the captain's wallet
+// into payouts_in_transit so it cannot be spent or requested twice; paying it
+// moves it on to the bank account, rejecting or cancelling puts it back.
+
+const PAYOUT_CONFIG = {
+    minAmount: Number(process.env.PAYOUT_MIN_AMOUNT) || 100,
+    historyMaxPageSize: 50
+};
+
+const OPEN_STATUSES = [ 'requested', 'approved' ];
+
+// status -> statuses an admin may move it to
+const REVIEW_TRANSITIONS = {
+    requested: [ 'approved', 'rejected' ],
+    approved: [ 'paid', 'rejected' ]
+};
+
+const TIMESTAMP_FIELDS = {
+    approved: 'approvedAt',
+    paid: 'paidAt',
+    rejected: 'rejectedAt',
+    cancelled: 'cancelledAt'
+};
+
+const { SYSTEM_ACCOUNTS } = walletService;
+
+async function holdFunds(payout, session) {
+    return walletService.postTransaction({
+        key: `payout:${payout._id}:hold`,
+        type: 'payout',
+        description: 'Payout requested',
+        lines: [
+            // Captain wallets may run negative for cash commission, payouts may not
+            { account: await walletService.getAccount('captain', payout.captain, session), amount: -payout.amount, allowOverdraft: false },
+            { account: await walletService.getAccount('system', SYSTEM_ACCOUNTS.PAYOUTS_IN_TRANSIT, session), amount: payout.amount }
+        ]
+    }, session);
+}
+
+async function releaseFunds(payout, session) {
+    return walletService.postTransaction({
+        key: `payout:${payout._id}:release`,
+        type: 'payout',
+        description: `Payout ${payout.status}`,
+        lines: [
+            { account: await walletService.getAccount('system', SYSTEM_ACCOUNTS.PAYOUTS_IN_TRANSIT, session), amount: -payout.amount },
+            { account: await walletService.getAccount('captain', payout.captain, session), amount: payout.amount }
+        ]
+    }, session);
+}
+
+async function payFunds(payout, session) {
+    return walletService.postTransaction({
+        key: `payout:${payout._id}:paid`,
+        type: 'payout',
+        description: `Payout paid${payout.reference ? ` (${payout.reference})` : ''}`,
+        lines: [
+            { account: await walletService.getAccount('system', SYSTEM_ACCOUNTS.PAYOUTS_IN_TRANSIT, session), amount: -payout.amount },
+            { account: await walletService.getAccount('system', SYSTEM_ACCOUNTS.BANK, session), amount: payout.amount }
+        ]
+    }, session);
+}
+
+// Moves a payout from one of `from` to `to`, guarding against concurrent reviews
+async function moveTo(payout, from, to, fields, session) {
+    const updated = await payoutModel.findOneAndUpdate({
+        _id: payout._id,
+        status: { $in: from }
+    }, {
+        $set: { status: to, [ TIMESTAMP_FIELDS[ to ] ]: new Date(), ...fields }
+    }, { new: true, session });
+
+    if (!updated) {
+        throw new AppError('Payout was updated concurrently, please retry', 409);
+    }
+
+    return updated;
+}
+
+module.exports.requestPayout = async ({ captain, amount, note }) => {
+    if (amount < PAYOUT_CONFIG.minAmount) {
+        throw new AppError(`The minimum payout is ${PAYOUT_CONFIG.minAmount}`, 400);
+    }
+
+    const open = await payoutModel.findOne({ captain: captain._id, status: { $in: OPEN_STATUSES } });
+    if (open) {
+        throw new AppError('You already have a payout in progress', 409);
+    }
+
+    try {
+        return await dbManager.withTransaction(async (session) => {
+            const [ payout ] = await payoutModel.create([ {
+                captain: captain._id,
+                amount,
+                currency: walletService.WALLET_CONFIG.currency,
+                note
+            } ], { session });
+
+            await holdFunds(payout, session);
+
+            return payout;
+        });
+    } catch (error) {
+        // Another request opened one since the check above
+        if (error.code === 11000) {
+            throw new AppError('You already have a payout in progress', 409);
+        }
+        throw error;
+    }
+}
+
+module.exports.cancelPayout = async ({ captain, payoutId }) => {
+    const payout = await payoutModel.findOne({ _id: payoutId, captain: captain._id });
+
+    if (!payout) {
+        throw new AppError('Payout not found', 404);
+    }
+
+    if (payout.status !== 'requested') {
+        throw new AppError(`Cannot cancel a payout that is ${payout.status}`, 409);
+    }
+
+    return dbManager.withTransaction(async (session) => {
+        const cancelled = await moveTo(payout, [ 'requested' ], 'cancelled', {}, session);
+        await releaseFunds(cancelled, session);
+        return cancelled;
+    });
+}
+
+module.exports.reviewPayout = async ({ payoutId, status, admin, reference, note }) => {
+    const payout = await payoutModel.findById(payoutId);
+
+    if (!payout) {
+        throw new AppError('Payout not found', 404);
+    }
+
+    const allowed = REVIEW_TRANSITIONS[ payout.status ] || [];
+    if (!allowed.includes(status)) {
+        throw new AppError(`Cannot move a payout from ${payout.status} to ${status}`, 409);
+    }
+
+    if (status === 'paid' && !reference) {
+        throw new AppError('A bank transfer reference is required to mark a payout paid', 400);
+    }
+
+    const fields = {
+        reviewedBy: admin._id,
+        ...(note !== undefined ? { reviewNote: note } : {}),
+        ...(reference !== undefined ? { reference } : {})
+    };
+
+    return dbManager.withTransaction(async (session) => {
+        const updated = await moveTo(payout, [ payout.status ], status, fields, session);
+
+        if (status === 'rejected') {
+            await releaseFunds(updated, session);
+        } else if (status === 'paid') {
+            await payFunds(updated, session);
+        }
+
+        return updated;
+    });
+}
+
+module.exports.listPayouts = async ({ captain, status, page = 1, limit = 20 }) => {
+    const filter = {};
+    if (captain) filter.captain = captain._id;
+    if (status) filter.status = status;
+
+    const pageSize = Math.min(limit, PAYOUT_CONFIG.historyMaxPageSize);
+
+    const [ payouts, total ] = await Promise.all([
+        dbManager.createOptimizedQuery(payoutModel, filter, {
+            sort: { createdAt: -1 },
+            skip: (page - 1) * pageSize,
+            limit: pageSize,
+            // Admins reviewing the queue need to know whose payout it is
+            populate: captain ? undefined : { path: 'captain', select: 'fullname email' }
+        }),
+        payoutModel.countDocuments(filter)
+    ]);
+
+    return {
+        payouts,
+        pagination: {
+            page,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+        }
+    };
+}
+
+module.exports.PAYOUT_CONFIG = PAYOUT_CONFIG;
+module.exports.REVIEW_TRANSITIONS = REVIEW_TRANSITIONS;
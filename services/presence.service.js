@@ -0,0 +1,122 @@
+const os = require('os');
+const crypto = require('crypto');
+const { redisManager } = require('../config/redis.js');
+
+// Which devices each rider and captain has connected, across API instances.
+// Every socket is recorded under its account with the instance holding it; each
+// instance keeps a heartbeat key alive while it runs, so devices left behind by
+// an instance that crashed stop counting as soon as its heartbeat expires.
+
+const PRESENCE_CONFIG = {
+    ttlSeconds: Number(process.env.PRESENCE_TTL_SECONDS) || 24 * 60 * 60,
+    heartbeatMs: Number(process.env.PRESENCE_HEARTBEAT_MS) || 20000,
+    instanceTtlSeconds: 60
+};
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const key = (type, id) => `presence:${type}:${id}`;
+const instanceKey = (instanceId) => `socket_instance:${instanceId}`;
+
+// Process-local fallback while Redis is down, only this instance's sockets
+const localPresence = new Map();
+
+let heartbeat = null;
+
+async function beat() {
+    return redisManager.set(instanceKey(INSTANCE_ID), { startedAt: new Date().toISOString() }, PRESENCE_CONFIG.instanceTtlSeconds);
+}
+
+function startHeartbeat() {
+    if (heartbeat) return;
+    beat();
+    heartbeat = setInterval(beat, PRESENCE_CONFIG.heartbeatMs);
+    heartbeat.unref();
+}
+
+async function stopHeartbeat() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    await redisManager.del(instanceKey(INSTANCE_ID));
+}
+
+// device: { deviceId, userAgent } as reported in the socket handshake
+async function registerConnection({ type, id, socketId, device = {} }) {
+    const entry = {
+        socketId,
+        instanceId: INSTANCE_ID,
+        deviceId: device.deviceId || null,
+        userAgent: device.userAgent || null,
+        connectedAt: new Date().toISOString()
+    };
+
+    if (redisManager.isConnected) {
+        await redisManager.setHashField(key(type, id), socketId, entry, PRESENCE_CONFIG.ttlSeconds);
+    }
+
+    if (!localPresence.has(key(type, id))) {
+        localPresence.set(key(type, id), new Map());
+    }
+    localPresence.get(key(type, id)).set(socketId, entry);
+
+    return entry;
+}
+
+async function unregisterConnection({ type, id, socketId }) {
+    const local = localPresence.get(key(type, id));
+    if (local) {
+        local.delete(socketId);
+        if (local.size === 0) localPresence.delete(key(type, id));
+    }
+
+    if (redisManager.isConnected) {
+        await redisManager.deleteHashField(key(type, id), socketId);
+    }
+}
+
+// Connected devices of an account, dropping those held by instances that are gone
+async function getDevices(type, id) {
+    const stored = redisManager.isConnected ? await redisManager.getHash(key(type, id)) : null;
+
+    if (!stored) {
+        const local = localPresence.get(key(type, id));
+        return local ? [ ...local.values() ] : [];
+    }
+
+    const entries = Object.values(stored);
+    if (entries.length === 0) {
+        return [];
+    }
+
+    const instanceIds = [ ...new Set(entries.map(entry => entry.instanceId)) ];
+    const heartbeats = await redisManager.mget(instanceIds.map(instanceKey));
+    // A failed lookup comes back empty, in which case nothing is pruned
+    const lookupFailed = heartbeats.length !== instanceIds.length;
+    const alive = new Set(instanceIds.filter((instanceId, index) => lookupFailed || instanceId === INSTANCE_ID || heartbeats[ index ]));
+
+    const devices = [];
+    for (const entry of entries) {
+        if (alive.has(entry.instanceId)) {
+            devices.push(entry);
+        } else {
+            await redisManager.deleteHashField(key(type, id), entry.socketId);
+        }
+    }
+
+    return devices;
+}
+
+async function isOnline(type, id) {
+    return (await getDevices(type, id)).length > 0;
+}
+
+module.exports = {
+    PRESENCE_CONFIG,
+    INSTANCE_ID,
+    startHeartbeat,
+    stopHeartbeat,
+    registerConnection,
+    unregisterConnection,
+    getDevices,
+    isOnline
+};
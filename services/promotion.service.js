@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const promotionModel = require('../models/promotion.model.js');
+const promoRedemptionModel = require('../models/promoRedemption.model.js');
+const userModel = require('../models/userModel.js');
+const { dbManager } = require('../config/db.js');
+const walletService = require('./wallet.service.js');
+const AppError = require('../utils/appError.js');
+
+// Discounts applied at fare time: promo codes entered on /rides/get-fare and the
+// welcome discount riders get on their first ride when they signed up with a
+// referral code. The discount is priced into the fare quote, redeemed when the
+// ride is booked and given back if the ride is cancelled or expires. The platform
+// absorbs it (see walletService.settleRide). Referrers are credited to their
+// wallet once the rider they referred completes a ride.
+
+const PROMOTION_CONFIG = {
+    referral: {
+        discountPercent: Number(process.env.REFERRAL_DISCOUNT_PERCENT) || 50,
+        maxDiscount: Number(process.env.REFERRAL_MAX_DISCOUNT) || 100,
+        reward: Number(process.env.REFERRER_REWARD) || 50
+    },
+    referralCodeLength: 8,
+    referralCodeAttempts: 5
+};
+
+// No 0/O or 1/I, referral codes get read out and typed in by hand
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+function generateReferralCode() {
+    return Array.from(crypto.randomBytes(PROMOTION_CONFIG.referralCodeLength))
+        .map(byte => REFERRAL_ALPHABET[ byte % REFERRAL_ALPHABET.length ])
+        .join('');
+}
+
+module.exports.generateReferralCode = generateReferralCode;
+
+module.exports.findReferrer = async (referralCode) => {
+    return userModel.findOne({ referralCode: String(referralCode).trim().toUpperCase() }).select('_id');
+}
+
+// ---- Discounts ----
+
+function promoTerms(promotion) {
+    return {
+        source: 'promo',
+        promotion: promotion._id,
+        code: promotion.code,
+        label: promotion.description || `Promo ${promotion.code}`,
+        type: promotion.type,
+        value: promotion.value,
+        maxDiscount: promotion.maxDiscount,
+        minFare: promotion.minFare,
+        vehicleTypes: promotion.vehicleTypes
+    };
+}
+
+function referralTerms() {
+    return {
+        source: 'referral',
+        code: 'REFERRAL',
+        label: 'Referral discount',
+        type: 'percentage',
+        value: PROMOTION_CONFIG.referral.discountPercent,
+        maxDiscount: PROMOTION_CONFIG.referral.maxDiscount
+    };
+}
+
+// Amount taken off `fare` under the given terms
+function amountFor(terms, fare) {
+    let amount = terms.type === 'percentage' ? fare * terms.value / 100 : terms.value;
+
+    if (terms.maxDiscount !== undefined && terms.maxDiscount !== null) {
+        amount = Math.min(amount, terms.maxDiscount);
+    }
+
+    return toMoney(Math.max(Math.min(amount, fare), 0));
+}
+
+module.exports.amountFor = amountFor;
+
+// The discount entry stored on a quote and on the ride, or null when the terms
+// do not apply to this vehicle type or fare
+function discountFor(terms, fare, vehicleType) {
+    if (!terms) {
+        return null;
+    }
+
+    if (terms.vehicleTypes && terms.vehicleTypes.length && !terms.vehicleTypes.includes(vehicleType)) {
+        return null;
+    }
+
+    if (terms.minFare && fare < terms.minFare) {
+        return null;
+    }
+
+    const amount = amountFor(terms, fare);
+    if (!amount) {
+        return null;
+    }
+
+    return {
+        source: terms.source,
+        ...(terms.promotion ? { promotion: idOf(terms.promotion) } : {}),
+        code: terms.code,
+        label: terms.label,
+        type: terms.type,
+        value: terms.value,
+        ...(terms.maxDiscount !== undefined && terms.maxDiscount !== null ? { maxDiscount: terms.maxDiscount } : {}),
+        amount
+    };
+}
+
+module.exports.discountFor = discountFor;
+
+async function appliedRedemptions(filter, session) {
+    return promoRedemptionModel.countDocuments({ ...filter, status: 'applied' }).session(session || null);
+}
+
+// Terms the rider gets for this fare: the promo code they entered, otherwise
+// their referral discount if they have not used it yet. Throws 400 when the code
+// cannot be used, so the rider learns why at quote time rather than at booking.
+module.exports.resolveDiscount = async ({ user, promoCode, now = new Date() }) => {
+    if (promoCode) {
+        const promotion = await promotionModel.findOne({ code: String(promoCode).trim().toUpperCase() });
+
+        if (!promotion || !promotion.active) {
+            throw new AppError('Invalid promo code', 400);
+        }
+
+        if (promotion.validFrom && promotion.validFrom > now) {
+            throw new AppError('This promo code is not active yet', 400);
+        }
+
+        if (promotion.validTo && promotion.validTo <= now) {
+            throw new AppError('This promo code has expired', 400);
+        }
+
+        if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) {
+            throw new AppError('This promo code has been fully redeemed', 400);
+        }
+
+        if (await appliedRedemptions({ promotion: promotion._id, user: user._id }) >= promotion.perUserLimit) {
+            throw new AppError('You have already used this promo code', 400);
+        }
+
+        return promoTerms(promotion);
+    }
+
+    if (user.referredBy && !await appliedRedemptions({ user: user._id, source: 'referral' })) {
+        return referralTerms();
+    }
+
+    return null;
+}
+
+// Records the discount a ride is booked with, in the ride's transaction. Limits
+// are re-checked here since several quotes can be outstanding for the same code.
+module.exports.redeem = async ({ ride, user, discount }, session) => {
+    if (discount.source === 'promo') {
+        const now = new Date();
+        // The quote may have been issued before the code expired
+        const promotion = await promotionModel.findOneAndUpdate({
+            _id: discount.promotion,
+            active: true,
+            $and: [
+                { $or: [ { validFrom: null }, { validFrom: { $lte: now } } ] },
+                { $or: [ { validTo: null }, { validTo: { $gt: now } } ] },
+                { $or: [ { maxUses: null }, { $expr: { $lt: [ '$usedCount', '$maxUses' ] } } ] }
+            ]
+        }, {
+            $inc: { usedCount: 1 }
+        }, { new: true, session });
+
+        if (!promotion) {
+            throw new AppError('This promo code is no longer available', 409);
+        }
+
+        if (await appliedRedemptions({ promotion: promotion._id, user }, session) >= promotion.perUserLimit) {
+            throw new AppError('You have already used this promo code', 409);
+        }
+    } else if (await appliedRedemptions({ user, source: 'referral' }, session)) {
+        throw new AppError('Your referral discount has already been used', 409);
+    }
+
+    const [ redemption ] = await promoRedemptionModel.create([ {
+        source: discount.source,
+        promotion: discount.promotion,
+        code: discount.code,
+        user,
+        ride: idOf(ride),
+        amount: discount.amount
+    } ], { session });
+
+    return redemption;
+}
+
+// Gives back whatever a cancelled or expired ride redeemed
+module.exports.releaseForRide = async (rideId, session) => {
+    const redemptions = await promoRedemptionModel.find({ ride: rideId, status: 'applied' }).session(session || null);
+    const released = [];
+
+    for (const redemption of redemptions) {
+        // Conditional on 'applied' so a retried release does not free the code twice
+        const updated = await promoRedemptionModel.findOneAndUpdate({
+            _id: redemption._id,
+            status: 'applied'
+        }, {
+            $set: { status: 'released' }
+        }, { new: true, session });
+
+        if (!updated) {
+            continue;
+        }
+
+        if (updated.promotion) {
+            await promotionModel.updateOne({ _id: updated.promotion, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+        }
+
+        released.push(updated);
+    }
+
+    return released;
+}
+
+// ---- Referral rewards ----
+
+// Credits the referrer once the rider they referred completes a ride. Keyed by
+// the referred rider, so only their first completed ride pays out.
+module.exports.rewardReferrer = async (ride) => {
+    const rider = await userModel.findById(idOf(ride.user)).select('referredBy');
+
+    if (!rider || !rider.referredBy || !PROMOTION_CONFIG.referral.reward) {
+        return null;
+    }
+
+    const { reward } = PROMOTION_CONFIG.referral;
+
+    return dbManager.withTransaction(async (session) => walletService.postTransaction({
+        key: `referral:${idOf(rider)}`,
+        type: 'referral',
+        description: 'Referral reward',
+        ride,
+        lines: [
+            { account: await walletService.getAccount('system', walletService.SYSTEM_ACCOUNTS.PLATFORM_REVENUE, session), amount: -reward },
+            { account: await walletService.getAccount('user', idOf(rider.referredBy), session), amount: reward }
+        ]
+    }, session));
+}
+
+// ---- Admin management ----
+
+module.exports.listPromotions = async ({ active } = {}) => {
+    const filter = {};
+    if (active !== undefined) {
+        filter.active = active;
+    }
+    return promotionModel.find(filter).sort({ createdAt: -1 });
+}
+
+module.exports.createPromotion = async ({ admin, ...fields }) => {
+    try {
+        return await promotionModel.create({ ...fields, createdBy: admin._id });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new AppError('A promotion with this code already exists', 409);
+        }
+        if (error.name === 'ValidationError') {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+}
+
+module.exports.deactivatePromotion = async (promotionId) => {
+    const promotion = await promotionModel.findByIdAndUpdate(promotionId, { $set: { active: false } }, { new: true });
+    if (!promotion) {
+        throw new AppError('Promotion not found', 404);
+    }
+    return promotion;
+}
+
+module.exports.PROMOTION_CONFIG = PROMOTION_CONFIG;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const ratingModel = require('../models/rating.model.js');
+const rideModel = require('../models/ride.model.js');
+const userModel = require('../models/userModel.js');
+const captainModel = require('../models/captain.model.js');
+const AppError = require('../utils/appError.js');
+
+// Two-way ratings once a ride has completed: riders rate their captain and
+// captains rate their rider, 1 to 5 with optional tags and a comment. Each
+// profile keeps the average of its latest ratings (a rolling window, so old
+// ratings stop counting against someone who has improved) and how many ratings
+// it has received in total.
+
+const RATING_CONFIG = {
+    // How many of the latest ratings the profile average covers
+    window: Number(process.env.RATING_WINDOW) || 100,
+    // How long after completion a ride can still be rated
+    rateWithinDays: Number(process.env.RATING_WITHIN_DAYS) || 7,
+    maxTags: 5,
+    recentReviews: 5
+};
+
+// Tags each side may attach, keyed by who is being rated
+const RATING_TAGS = {
+    captain: [ 'polite', 'safe_driving', 'clean_vehicle', 'on_time', 'good_navigation', 'rude', 'rash_driving', 'unclean_vehicle', 'late', 'wrong_route' ],
+    user: [ 'polite', 'on_time', 'clear_pickup', 'rude', 'late', 'wrong_pickup', 'messy' ]
+};
+
+const PROFILE_MODELS = { user: userModel, captain: captainModel };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Recomputes the rolling average on the ratee's profile from their latest ratings
+async function refreshProfileRating(rateeType, ratee) {
+    const [ [ window ], count ] = await Promise.all([
+        ratingModel.aggregate([
+            { $match: { rateeType, ratee: new mongoose.Types.ObjectId(idOf(ratee)) } },
+            { $sort: { createdAt: -1 } },
+            { $limit: RATING_CONFIG.window },
+            { $group: { _id: null, average: { $avg: '$score' } } }
+        ]),
+        ratingModel.countDocuments({ rateeType, ratee: idOf(ratee) })
+    ]);
+
+    const rating = {
+        average: window ? Math.round(window.average * 100) / 100 : undefined,
+        count
+    };
+
+    await PROFILE_MODELS[ rateeType ].updateOne({ _id: idOf(ratee) }, { $set: { rating } });
+
+    return rating;
+}
+
+module.exports.refreshProfileRating = refreshProfileRating;
+
+// Rates the other side of a completed ride. Exactly one of user or captain is
+// the rater, as authenticated on the request.
+module.exports.rateRide = async ({ rideId, user, captain, score, tags = [], comment, now = new Date() }) => {
+    const ride = await rideModel.findOne({ _id: rideId }).select('user captain status completedAt');
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    const raterType = captain ? 'captain' : 'user';
+    const rater = captain || user;
+    const rateeType = raterType === 'captain' ? 'user' : 'captain';
+    const ratee = ride[ rateeType ];
+
+    if (idOf(ride[ raterType ]) !== idOf(rater)) {
+        throw new AppError('You are not allowed to rate this ride', 403);
+    }
+
+    if (ride.status !== 'completed') {
+        throw new AppError('Only completed rides can be rated', 409);
+    }
+
+    if (ride.completedAt && now - new Date(ride.completedAt) > RATING_CONFIG.rateWithinDays * DAY_MS) {
+        throw new AppError(`Rides can only be rated within ${RATING_CONFIG.rateWithinDays} days`, 409);
+    }
+
+    const unknown = tags.filter(tag => !RATING_TAGS[ rateeType ].includes(tag));
+    if (unknown.length) {
+        throw new AppError(`Unknown tags: ${unknown.join(', ')}`, 400);
+    }
+
+    let rating;
+    try {
+        rating = await ratingModel.create({
+            ride: ride._id,
+            raterType,
+            rater: rater._id,
+            rateeType,
+            ratee: idOf(ratee),
+            score,
+            tags: [ ...new Set(tags) ].slice(0, RATING_CONFIG.maxTags),
+            comment
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new AppError('You have already rated this ride', 409);
+        }
+        if (error.name === 'ValidationError') {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    const profileRating = await refreshProfileRating(rateeType, ratee);
+
+    return { rating, [ rateeType ]: { _id: idOf(ratee), rating: profileRating } };
+}
+
+// The rating each side gave for a ride, as seen by one of its participants.
+// A participant sees the rating they gave, and the one they received once they
+// have rated too, so neither side's rating is influenced by the other's.
+module.exports.getRideRatings = async ({ rideId, user, captain }) => {
+    const ride = await rideModel.findOne({ _id: rideId }).select('user captain');
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    const raterType = captain ? 'captain' : 'user';
+    if (idOf(ride[ raterType ]) !== idOf(captain || user)) {
+        throw new AppError('You are not allowed to view this ride', 403);
+    }
+
+    const ratings = await ratingModel.find({ ride: ride._id }).select('raterType score tags comment createdAt');
+    const given = ratings.find(rating => rating.raterType === raterType) || null;
+    const received = ratings.find(rating => rating.raterType !== raterType) || null;
+
+    return { given, received: given ? received : null };
+}
+
+// Latest ratings with a comment, shown on a captain's profile without the rider's identity
+module.exports.getRecentReviews = async ({ rateeType, ratee, limit = RATING_CONFIG.recentReviews }) => {
+    return ratingModel.find({ rateeType, ratee: idOf(ratee), comment: { $nin: [ null, '' ] } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('score tags comment createdAt');
+}
+
+module.exports.RATING_CONFIG = RATING_CONFIG;
+module.exports.RATING_TAGS = RATING_TAGS;
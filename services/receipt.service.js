@@ -0,0 +1,244 @@
+const PDFDocument = require('pdfkit');
+const rideModel = require('../models/ride.model.js');
+const AppError = require('../utils/appError.js');
+
+// Itemized receipts for completed rides, rendered as JSON, printable HTML or a
+// PDF generated in-process. Fares are tax inclusive: the tax line shows the
+// share of the total that is tax, it is not added on top.
+
+const RECEIPT_CONFIG = {
+    companyName: process.env.RECEIPT_COMPANY_NAME || 'Cab Booking',
+    currency: process.env.RECEIPT_CURRENCY || 'INR',
+    taxName: process.env.RECEIPT_TAX_NAME || 'GST',
+    taxRate: Number(process.env.RECEIPT_TAX_RATE || 0.05)
+};
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+const idOf = (ref) => ref && String(ref._id || ref);
+
+const fullName = (person) => person && person.fullname
+    ? [ person.fullname.firstname, person.fullname.lastname ].filter(Boolean).join(' ')
+    : undefined;
+
+function receiptNumber(ride) {
+    const date = new Date(ride.completedAt || ride.updatedAt || Date.now()).toISOString().slice(0, 10).replace(/-/g, '');
+    return `RCPT-${date}-${String(ride._id).slice(-8).toUpperCase()}`;
+}
+
+// Line items from the final fare breakdown. Rides completed before final fares
+// were itemized only have a total, which becomes a single line.
+function lineItems(ride) {
+    const breakdown = ride.fareBreakdown;
+
+    if (!breakdown || breakdown.total === undefined) {
+        return [ { code: 'fare', label: 'Ride fare', amount: ride.fare } ];
+    }
+
+    const items = [
+        { code: 'base', label: 'Base fare', amount: breakdown.baseFare },
+        { code: 'distance', label: `Distance (${(breakdown.distance / 1000).toFixed(2)} km)`, amount: breakdown.distanceFare },
+        { code: 'time', label: `Time (${Math.round(breakdown.duration / 60)} min)`, amount: breakdown.timeFare },
+        { code: 'waiting', label: 'Waiting time', amount: breakdown.waitingFare },
+        { code: 'minimum', label: 'Minimum fare adjustment', amount: breakdown.minimumFareAdjustment },
+        { code: 'surge', label: `Surge (${breakdown.surgeMultiplier}x)`, amount: breakdown.surgeAmount },
+        { code: 'booking', label: 'Booking fee', amount: breakdown.bookingFee },
+        ...(breakdown.tolls || []).map(toll => ({ code: 'toll', label: `Toll: ${toll.name}`, amount: toll.amount })),
+        { code: 'rounding', label: 'Rounding', amount: breakdown.rounding }
+    ];
+
+    // Zero lines (no surge, no waiting, ...) only clutter the receipt
+    return items.filter(item => item.amount);
+}
+
+function buildReceipt(ride) {
+    const items = lineItems(ride);
+    const discounts = (ride.discounts || []).map(discount => ({
+        code: discount.code,
+        label: discount.label || `Discount (${discount.code})`,
+        amount: toMoney(discount.amount)
+    }));
+
+    const subtotal = toMoney(items.reduce((sum, item) => sum + item.amount, 0));
+    const discountTotal = toMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+    const total = toMoney(Math.max(subtotal - discountTotal, 0));
+    const taxAmount = toMoney(total - total / (1 + RECEIPT_CONFIG.taxRate));
+
+    return {
+        receiptNumber: receiptNumber(ride),
+        issuedBy: RECEIPT_CONFIG.companyName,
+        rideId: idOf(ride),
+        currency: RECEIPT_CONFIG.currency,
+        rider: { id: idOf(ride.user), name: fullName(ride.user) },
+        captain: ride.captain ? {
+            id: idOf(ride.captain),
+            name: fullName(ride.captain),
+            vehicle: ride.captain.vehicle ? {
+                type: ride.captain.vehicle.vehicleType,
+                plate: ride.captain.vehicle.plate,
+                color: ride.captain.vehicle.color
+            } : undefined
+        } : undefined,
+        trip: {
+            pickup: ride.pickup,
+            destination: ride.destination,
+            vehicleType: ride.vehicleType,
+            startedAt: ride.startedAt,
+            completedAt: ride.completedAt,
+            distance: ride.distance,
+            duration: ride.duration
+        },
+        items,
+        subtotal,
+        discounts,
+        discountTotal,
+        taxes: [ {
+            name: RECEIPT_CONFIG.taxName,
+            rate: RECEIPT_CONFIG.taxRate,
+            amount: taxAmount,
+            included: true
+        } ],
+        total
+    };
+}
+
+module.exports.getReceipt = async ({ rideId, user, captain }) => {
+    const ride = await rideModel.findOne({
+        _id: rideId
+    }).populate('user', 'fullname').populate('captain', 'fullname vehicle');
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    const isRider = user && idOf(ride.user) === idOf(user);
+    const isCaptain = captain && idOf(ride.captain) === idOf(captain);
+
+    if (!isRider && !isCaptain) {
+        throw new AppError('You are not allowed to view this receipt', 403);
+    }
+
+    if (ride.status !== 'completed') {
+        throw new AppError('Receipts are only available for completed rides', 409);
+    }
+
+    return buildReceipt(ride);
+}
+
+// ---- Rendering ----
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+const formatDate = (date) => date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '';
+
+function renderHtml(receipt) {
+    const money = (amount) => escapeHtml(formatMoney(amount, receipt.currency));
+    const row = (label, amount, className = '') =>
+        `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="amount">${money(amount)}</td></tr>`;
+
+    const tax = receipt.taxes[ 0 ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .muted { color: #666; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    td { padding: 6px 0; border-bottom: 1px solid #eee; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; font-size: 16px; border-top: 2px solid #222; }
+    .discount td { color: #2a7a2a; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.issuedBy)}</h1>
+<div class="muted">Receipt ${escapeHtml(receipt.receiptNumber)} &middot; Ride ${escapeHtml(receipt.rideId)}</div>
+
+<table>
+    <tr><td>From</td><td class="amount">${escapeHtml(receipt.trip.pickup)}</td></tr>
+    <tr><td>To</td><td class="amount">${escapeHtml(receipt.trip.destination)}</td></tr>
+    <tr><td>Started</td><td class="amount">${escapeHtml(formatDate(receipt.trip.startedAt))}</td></tr>
+    <tr><td>Completed</td><td class="amount">${escapeHtml(formatDate(receipt.trip.completedAt))}</td></tr>
+    <tr><td>Rider</td><td class="amount">${escapeHtml(receipt.rider.name)}</td></tr>
+    ${receipt.captain ? `<tr><td>Captain</td><td class="amount">${escapeHtml(receipt.captain.name)}${receipt.captain.vehicle ? ` &middot; ${escapeHtml(receipt.captain.vehicle.plate)}` : ''}</td></tr>` : ''}
+</table>
+
+<table>
+    ${receipt.items.map(item => row(item.label, item.amount)).join('\n    ')}
+    ${row('Subtotal', receipt.subtotal)}
+    ${receipt.discounts.map(discount => row(discount.label, -discount.amount, 'discount')).join('\n    ')}
+    ${row('Total', receipt.total, 'total')}
+</table>
+
+<p class="muted">Includes ${escapeHtml(tax.name)} (${escapeHtml((tax.rate * 100).toFixed(1))}%) of ${money(tax.amount)}.</p>
+</body>
+</html>
+`;
+}
+
+function renderPdf(receipt) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Receipt ${receipt.receiptNumber}` } });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const money = (amount) => formatMoney(amount, receipt.currency);
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        const line = (label, value, { bold = false } = {}) => {
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(11);
+            doc.text(label, left, y, { width: width * 0.65 });
+            const labelBottom = doc.y;
+            doc.text(value, left + width * 0.65, y, { width: width * 0.35, align: 'right' });
+            doc.y = Math.max(doc.y, labelBottom) + 4;
+        };
+
+        doc.font('Helvetica-Bold').fontSize(20).text(receipt.issuedBy);
+        doc.font('Helvetica').fontSize(10).fillColor('#666')
+            .text(`Receipt ${receipt.receiptNumber}  ·  Ride ${receipt.rideId}`)
+            .fillColor('#000')
+            .moveDown();
+
+        line('From', receipt.trip.pickup || '');
+        line('To', receipt.trip.destination || '');
+        line('Started', formatDate(receipt.trip.startedAt));
+        line('Completed', formatDate(receipt.trip.completedAt));
+        line('Rider', receipt.rider.name || '');
+        if (receipt.captain) {
+            line('Captain', [ receipt.captain.name, receipt.captain.vehicle && receipt.captain.vehicle.plate ].filter(Boolean).join(' · '));
+        }
+
+        doc.moveDown();
+        receipt.items.forEach(item => line(item.label, money(item.amount)));
+        line('Subtotal', money(receipt.subtotal));
+        receipt.discounts.forEach(discount => line(discount.label, money(-discount.amount)));
+        doc.moveDown(0.5);
+        line('Total', money(receipt.total), { bold: true });
+
+        const tax = receipt.taxes[ 0 ];
+        doc.moveDown().font('Helvetica').fontSize(9).fillColor('#666')
+            .text(`Includes ${tax.name} (${(tax.rate * 100).toFixed(1)}%) of ${money(tax.amount)}.`, left);
+
+        doc.end();
+    });
+}
+
+module.exports.RECEIPT_CONFIG = RECEIPT_CONFIG;
+module.exports.buildReceipt = buildReceipt;
+module.exports.renderHtml = renderHtml;
+module.exports.renderPdf = renderPdf;
@@ -1,50 +1,84 @@
 
 const rideModel = require('../models/ride.model.js');
-const mapService = require('./maps.service.js');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { RideCacheService } = require('../config/redis.js');
+const { dbManager } = require('../config/db.js');
+const AppError = require('../utils/appError.js');
+const rideStateMachine = require('./rideStateMachine.service.js');
+const outboxService = require('./outbox.service.js');
+const fareQuoteService = require('./fareQuote.service.js');
+const fareService = require('./fare.service.js');
+const surgeService = require('./surge.service.js');
+const tripTrackingService = require('./tripTracking.service.js');
+const liveLocationService = require('./liveLocation.service.js');
+const rideRouteService = require('./rideRoute.service.js');
+const walletService = require('./wallet.service.js');
+const promotionService = require('./promotion.service.js');
+const { dispatchEngine } = require('./dispatch.service.js');
+const { EVENTS } = require('../config/kafka.js');
+const { ACTORS } = rideStateMachine;
+
+// Cancelling is free until a captain accepts and for a short grace period afterwards.
+// Past that the cancelling party pays a flat fee, which rises once the other side
+// has been committed to the ride for a while. Fees never exceed the ride fare.
+const CANCELLATION_POLICY = {
+    gracePeriodMs: Number(process.env.CANCELLATION_GRACE_PERIOD_MS) || 2 * 60 * 1000,
+    lateCancellationMs: Number(process.env.CANCELLATION_LATE_AFTER_MS) || 5 * 60 * 1000,
+    fee: Number(process.env.CANCELLATION_FEE) || 25,
+    lateFee: Number(process.env.CANCELLATION_LATE_FEE) || 50
+};
+
+const HISTORY_MAX_PAGE_SIZE = 50;
 
 async function getFare(pickup, destination) {
+    const { fares } = await fareService.priceTrip(pickup, destination);
+    return fares;
+}
 
-    if (!pickup || !destination) {
-        throw new Error('Pickup and destination are required');
-    }
-
-    const distanceTime = await mapService.getDistanceTime(pickup, destination);
-
-    const baseFare = {
-        auto: 30,
-        car: 50,
-        moto: 20
-    };
-
-    const perKmRate = {
-        auto: 10,
-        car: 15,
-        moto: 8
-    };
-
-    const perMinuteRate = {
-        auto: 2,
-        car: 3,
-        moto: 1.5
-    };
-
+module.exports.getFare = getFare;
 
+// Prices every vehicle type and issues a quote per type that /rides/create
+// will honour as-is until it expires. The fares returned are what the rider
+// pays, after any promo code or referral discount.
+module.exports.quoteFare = async ({ user, pickup, destination, promoCode }) => {
+    const terms = await promotionService.resolveDiscount({ user, promoCode });
+    const { fares, fareRules, surge, distanceTime } = await fareService.priceTrip(pickup, destination);
+
+    const discounts = {};
+    for (const [ vehicleType, fare ] of Object.entries(fares)) {
+        const discount = promotionService.discountFor(terms, fare, vehicleType);
+        if (discount) {
+            discounts[ vehicleType ] = discount;
+        }
+    }
 
-    const fare = {
-        auto: Math.round(baseFare.auto + ((distanceTime.distance.value / 1000) * perKmRate.auto) + ((distanceTime.duration.value / 60) * perMinuteRate.auto)),
-        car: Math.round(baseFare.car + ((distanceTime.distance.value / 1000) * perKmRate.car) + ((distanceTime.duration.value / 60) * perMinuteRate.car)),
-        moto: Math.round(baseFare.moto + ((distanceTime.distance.value / 1000) * perKmRate.moto) + ((distanceTime.duration.value / 60) * perMinuteRate.moto))
+    const { quotes, expiresAt } = await fareQuoteService.issueQuotes({
+        userId: user._id,
+        pickup,
+        destination,
+        fares,
+        fareRules,
+        surge,
+        distanceTime,
+        discounts
+    });
+
+    const payable = Object.fromEntries(Object.entries(quotes).map(([ vehicleType, quote ]) => [ vehicleType, quote.fare ]));
+
+    return {
+        ...payable,
+        distance: distanceTime.distance.value,
+        duration: distanceTime.duration.value,
+        surgeMultiplier: surge.multiplier,
+        surgeAcceptanceRequired: surgeService.requiresAcceptance(surge.multiplier),
+        ...(promoCode ? { promoCode: String(promoCode).trim().toUpperCase() } : {}),
+        discounts,
+        quotes,
+        expiresAt
     };
-
-    return fare;
-
-
 }
 
-module.exports.getFare = getFare;
-
 
 function getOtp(num) {
     function generateOtp(num) {
@@ -56,23 +90,76 @@ function getOtp(num) {
 
 
 module.exports.createRide = async ({
-    user, pickup, destination, vehicleType
+    user, pickup, destination, vehicleType, quoteId, acceptSurge = false, paymentMethod = 'cash'
 }) => {
-    if (!user || !pickup || !destination || !vehicleType) {
-        throw new Error('All fields are required');
+    if (!user || !pickup || !destination || !vehicleType || !quoteId) {
+        throw new AppError('All fields are required', 400);
     }
 
-    const fare = await getFare(pickup, destination);
+    // The rider pays exactly what they were quoted, never a fresh price. The quote
+    // is only claimed once nothing else can refuse the booking, so a rider turned
+    // away here can fix the problem and book with the same quote.
+    const quote = await fareQuoteService.verifyQuote(quoteId, {
+        userId: user,
+        pickup,
+        destination,
+        vehicleType,
+        acceptSurge
+    });
 
+    const fare = quote.discount ? Math.max(quote.fare - quote.discount.amount, 0) : quote.fare;
 
+    if (paymentMethod === 'wallet' && await walletService.getBalance('user', user) < fare) {
+        throw new AppError('Insufficient wallet balance, top up or choose another payment method', 402);
+    }
 
-    const ride = rideModel.create({
-        user,
-        pickup,
-        destination,
-        otp: getOtp(6),
-        fare: fare[ vehicleType ]
-    })
+    // The transaction callback is retried on transient errors, the quote is ours by then
+    let claimed = null;
+    let ride;
+
+    // Persist the ride and its ride.requested event atomically
+    try {
+        ride = await dbManager.withTransaction(async (session) => {
+            const [ ride ] = await rideModel.create([ {
+                user,
+                pickup,
+                destination,
+                otp: getOtp(6),
+                fare,
+                discounts: quote.discount ? [ quote.discount ] : undefined,
+                distance: quote.distance,
+                duration: quote.duration,
+                fareRule: quote.fareRule,
+                surge: quote.surge,
+                vehicleType,
+                paymentMethod
+            } ], { session });
+
+            if (quote.discount) {
+                await promotionService.redeem({ ride, user, discount: quote.discount }, session);
+            }
+
+            await outboxService.enqueueRideEvent(EVENTS.RIDE.REQUESTED, ride, { session });
+
+            // Last, so losing the race to another booking rolls all of the above back
+            if (!claimed) {
+                claimed = await fareQuoteService.claimQuote(quoteId);
+            }
+
+            return ride;
+        });
+    } catch (error) {
+        // Nothing was booked with it, so the rider can retry with the same quote
+        if (claimed) {
+            await fareQuoteService.releaseQuote(quoteId, claimed);
+        }
+        throw error;
+    }
+
+    // Counts towards demand around the pickup until the ride leaves 'pending'
+    if (quote.surge) {
+        await surgeService.recordRideRequest(quote.surge.cell, ride._id);
+    }
 
     return ride;
 }
@@ -81,81 +168,283 @@ module.exports.confirmRide = async ({
     rideId, captain
 }) => {
     if (!rideId) {
-        throw new Error('Ride id is required');
+        throw new AppError('Ride id is required', 400);
+    }
+
+    await dispatchEngine.assertOfferHolder(rideId, captain._id);
+
+    // Compare-and-set on 'pending': when several captains accept the same offer
+    // only the first write matches, everyone else gets a 409
+    const accepted = await rideStateMachine.transition(rideId, 'accept', {
+        actor: ACTORS.CAPTAIN,
+        actorId: captain._id,
+        update: { captain: captain._id },
+        select: '+otp'
+    });
+
+    // The rider watches the captain come to the pickup from here on
+    await liveLocationService.followRide(accepted);
+
+    return accepted;
+}
+
+module.exports.recordRideOffers = async (rideId, captainIds) => {
+    if (!captainIds.length) {
+        return;
     }
 
-    await rideModel.findOneAndUpdate({
+    await rideModel.updateOne({
         _id: rideId
     }, {
-        status: 'accepted',
-        captain: captain._id
-    })
+        $addToSet: { offeredCaptains: { $each: captainIds } }
+    });
+}
 
+// Ids of the captains who were offered the ride, minus the one who ended up with it
+module.exports.getOtherOfferedCaptains = async (rideId, acceptedCaptainId) => {
     const ride = await rideModel.findOne({
         _id: rideId
-    }).populate('user').populate('captain').select('+otp');
+    }).select('+offeredCaptains');
 
-    if (!ride) {
-        throw new Error('Ride not found');
-    }
+    return ride
+        ? ride.offeredCaptains.filter(captainId => String(captainId) !== String(acceptedCaptainId))
+        : [];
+}
 
-    return ride;
+// Rides a rider or captain is still part of, whose rooms their sockets join
+module.exports.getActiveRideIds = async ({ user, captain }) => {
+    const rides = await rideModel.find({
+        ...(user ? { user: user._id } : { captain: captain._id }),
+        status: { $in: [ 'pending', 'accepted', 'ongoing' ] }
+    }).select('_id').lean();
 
+    return rides.map(ride => String(ride._id));
 }
 
 module.exports.startRide = async ({ rideId, otp, captain }) => {
     if (!rideId || !otp) {
-        throw new Error('Ride id and OTP are required');
+        throw new AppError('Ride id and OTP are required', 400);
     }
 
     const ride = await rideModel.findOne({
         _id: rideId
-    }).populate('user').populate('captain').select('+otp');
+    }).select('+otp');
 
     if (!ride) {
-        throw new Error('Ride not found');
+        throw new AppError('Ride not found', 404);
     }
 
-    if (ride.status !== 'accepted') {
-        throw new Error('Ride not accepted');
-    }
+    rideStateMachine.assertTransition(ride, 'start', { actor: ACTORS.CAPTAIN, actorId: captain._id });
 
     if (ride.otp !== otp) {
-        throw new Error('Invalid OTP');
+        throw new AppError('Invalid OTP', 400);
     }
 
-    await rideModel.findOneAndUpdate({
-        _id: rideId
-    }, {
-        status: 'ongoing'
-    })
+    const started = await rideStateMachine.transition(rideId, 'start', {
+        actor: ACTORS.CAPTAIN,
+        actorId: captain._id
+    });
 
-    return ride;
+    // From here on the captain's location updates make up the trip's trail
+    await tripTrackingService.startTracking(captain._id, started._id);
+    await liveLocationService.followRide(started);
+
+    return started;
 }
 
-module.exports.endRide = async ({ rideId, captain }) => {
+// tolls: [{ name, amount }] paid by the captain during the trip
+module.exports.endRide = async ({ rideId, captain, tolls = [] }) => {
     if (!rideId) {
-        throw new Error('Ride id is required');
+        throw new AppError('Ride id is required', 400);
     }
 
     const ride = await rideModel.findOne({
-        _id: rideId,
-        captain: captain._id
-    }).populate('user').populate('captain').select('+otp');
+        _id: rideId
+    });
 
     if (!ride) {
-        throw new Error('Ride not found');
+        throw new AppError('Ride not found', 404);
     }
 
-    if (ride.status !== 'ongoing') {
-        throw new Error('Ride not ongoing');
+    rideStateMachine.assertTransition(ride, 'complete', { actor: ACTORS.CAPTAIN, actorId: captain._id });
+
+    const trail = await tripTrackingService.getTrail(ride._id);
+    const fareBreakdown = await fareService.calculateFinalFare(ride, {
+        trail,
+        endedAt: new Date(),
+        tolls
+    });
+
+    // Discounts carry over to the final fare on the same terms they were quoted on
+    const discounts = (ride.discounts || []).map(discount => {
+        const terms = discount.toObject ? discount.toObject() : discount;
+        return { ...terms, amount: promotionService.amountFor(terms, fareBreakdown.total) };
+    });
+    const discountTotal = walletService.discountTotal({ discounts });
+
+    const completed = await rideStateMachine.transition(rideId, 'complete', {
+        actor: ACTORS.CAPTAIN,
+        actorId: captain._id,
+        update: {
+            fare: Math.max(fareBreakdown.total - discountTotal, 0),
+            ...(discounts.length ? { discounts } : {}),
+            distance: fareBreakdown.distance,
+            duration: fareBreakdown.duration,
+            fareBreakdown,
+            earnings: walletService.commissionFor({ fare: fareBreakdown.total, vehicleType: ride.vehicleType, fareBreakdown })
+        }
+    });
+
+    // Kept for good, the trail in Redis expires. The ride has completed by now, so a
+    // failed save is only logged rather than failing the request and skipping the rest.
+    try {
+        await rideRouteService.saveRoute(completed, trail);
+    } catch (error) {
+        console.error(`Failed to save the route of ride ${rideId}:`, error);
     }
+    await tripTrackingService.stopTracking(captain._id);
+    await liveLocationService.unfollowRide(captain._id);
 
-    await rideModel.findOneAndUpdate({
+    return completed;
+}
+
+function getCancellationFee(ride, cancelledAt = new Date()) {
+    if (ride.status !== 'accepted' || !ride.acceptedAt) {
+        return 0;
+    }
+
+    const sinceAcceptance = cancelledAt - new Date(ride.acceptedAt);
+
+    if (sinceAcceptance <= CANCELLATION_POLICY.gracePeriodMs) {
+        return 0;
+    }
+
+    const fee = sinceAcceptance > CANCELLATION_POLICY.lateCancellationMs
+        ? CANCELLATION_POLICY.lateFee
+        : CANCELLATION_POLICY.fee;
+
+    return Math.min(fee, ride.fare);
+}
+
+module.exports.getCancellationFee = getCancellationFee;
+
+module.exports.cancelRide = async ({ rideId, reason, user, captain }) => {
+    if (!rideId) {
+        throw new AppError('Ride id is required', 400);
+    }
+
+    const cancelledBy = captain ? ACTORS.CAPTAIN : ACTORS.USER;
+    const actorId = captain ? captain._id : user._id;
+
+    const ride = await rideModel.findOne({
         _id: rideId
-    }, {
-        status: 'completed'
-    })
+    });
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    rideStateMachine.assertTransition(ride, 'cancel', { actor: cancelledBy, actorId });
+
+    // Pin the status the fee was computed for so a concurrent accept/start wins over a stale cancel
+    const cancelled = await rideStateMachine.transition(rideId, 'cancel', {
+        actor: cancelledBy,
+        actorId,
+        filter: { status: ride.status },
+        update: {
+            cancellation: {
+                cancelledBy,
+                reason,
+                fee: getCancellationFee(ride)
+            }
+        }
+    });
+
+    if (cancelled.captain) {
+        await liveLocationService.unfollowRide(cancelled.captain);
+    }
+
+    return cancelled;
+}
+
+function isRideParticipant(ride, { user, captain }) {
+    const idOf = (ref) => ref && (ref._id || ref).toString();
+
+    if (user) {
+        return idOf(ride.user) === user._id.toString();
+    }
+
+    if (captain) {
+        return Boolean(ride.captain) && idOf(ride.captain) === captain._id.toString();
+    }
+
+    return false;
+}
+
+module.exports.getRideById = async ({ rideId, user, captain }) => {
+    if (!rideId) {
+        throw new AppError('Ride id is required', 400);
+    }
+
+    let ride = await RideCacheService.getRideDetails(rideId);
+
+    if (!ride) {
+        ride = await rideModel.findOne({
+            _id: rideId
+        }).populate('user').populate('captain').lean();
+
+        if (!ride) {
+            throw new AppError('Ride not found', 404);
+        }
+
+        await RideCacheService.cacheRideDetails(rideId, ride);
+    }
+
+    // Checked on cached copies too, the cache is shared by every caller
+    if (!isRideParticipant(ride, { user, captain })) {
+        throw new AppError('You are not allowed to view this ride', 403);
+    }
 
     return ride;
 }
+
+module.exports.getRideHistory = async ({ user, captain, page = 1, limit = 10, status, from, to }) => {
+    const filter = user ? { user: user._id } : { captain: captain._id };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const pageSize = Math.min(limit, HISTORY_MAX_PAGE_SIZE);
+
+    // Riders see who drove them, captains see who they drove
+    const populate = user
+        ? { path: 'captain', select: 'fullname vehicle' }
+        : { path: 'user', select: 'fullname' };
+
+    const [ rides, total ] = await Promise.all([
+        dbManager.createOptimizedQuery(rideModel, filter, {
+            sort: { createdAt: -1 },
+            skip: (page - 1) * pageSize,
+            limit: pageSize,
+            populate
+        }),
+        rideModel.countDocuments(filter)
+    ]);
+
+    return {
+        rides,
+        pagination: {
+            page,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+        }
+    };
+}
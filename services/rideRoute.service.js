@@ -0,0 +1,186 @@
+const rideModel = require('../models/ride.model.js');
+const rideRouteModel = require('../models/rideRoute.model.js');
+const tripTrackingService = require('./tripTracking.service.js');
+const { haversineDistance, encodePolyline, decodePolyline } = require('../utils/geo.js');
+const AppError = require('../utils/appError.js');
+
+// The route a ride actually took. While the ride is ongoing it is read from the
+// trail tripTracking keeps in Redis; when the ride ends the trail is compressed
+// (GPS glitches and fixes that barely moved are dropped) and stored for good,
+// so the app can draw the trip and support can look into route disputes.
+// Exported as JSON with an encoded polyline, GeoJSON or GPX.
+
+const ROUTE_CONFIG = {
+    // Fixes closer than this to the last kept point add nothing to the drawing
+    minPointDistanceM: Number(process.env.ROUTE_MIN_POINT_DISTANCE_M) || 5,
+    gpxCreator: 'Cab Booking'
+};
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+const roundSpeed = (speed) => Math.round(speed * 10) / 10;
+
+// Time-ordered { ltd, lng, t, speed } points worth keeping from a raw trail
+function compressTrail(trail) {
+    const points = [ ...trail ].sort((a, b) => a.t - b.t);
+    if (!points.length) {
+        return [];
+    }
+
+    const kept = [ { ltd: points[ 0 ].ltd, lng: points[ 0 ].lng, t: points[ 0 ].t, speed: 0 } ];
+
+    points.slice(1).forEach((point, index, rest) => {
+        const previous = kept[ kept.length - 1 ];
+        const seconds = (point.t - previous.t) / 1000;
+        if (seconds <= 0) return;
+
+        const meters = haversineDistance(previous, point);
+        const speed = meters / seconds;
+        if (speed > tripTrackingService.TRACKING_CONFIG.maxSpeedMps) return;
+
+        // The last fix is kept regardless, it is where the trip ended
+        const isLast = index === rest.length - 1;
+        if (meters < ROUTE_CONFIG.minPointDistanceM && !isLast) return;
+
+        kept.push({ ltd: point.ltd, lng: point.lng, t: point.t, speed: roundSpeed(speed) });
+    });
+
+    return kept;
+}
+
+function describeRoute(ride, { points, distance, waitingTime }) {
+    return {
+        rideId: idOf(ride),
+        status: ride.status,
+        startedAt: points.length ? points[ 0 ].at : ride.startedAt,
+        endedAt: points.length ? points[ points.length - 1 ].at : ride.completedAt,
+        distance,
+        waitingTime,
+        polyline: encodePolyline(points),
+        points
+    };
+}
+
+// Called once the ride has completed, with the trail its fare was computed from
+async function saveRoute(ride, trail) {
+    const points = compressTrail(trail);
+    const { distance, waitingTime } = tripTrackingService.summarizeTrail(trail);
+    const first = points.length ? points[ 0 ].t : null;
+
+    return rideRouteModel.findOneAndUpdate({ ride: ride._id }, {
+        $set: {
+            captain: idOf(ride.captain),
+            polyline: encodePolyline(points),
+            offsets: points.map(point => Math.round((point.t - first) / 1000)),
+            speeds: points.map(point => point.speed),
+            startedAt: first !== null ? new Date(first) : ride.startedAt,
+            endedAt: points.length ? new Date(points[ points.length - 1 ].t) : ride.completedAt,
+            distance,
+            waitingTime
+        }
+    }, { upsert: true, new: true, setDefaultsOnInsert: true });
+}
+
+function expandStoredRoute(route) {
+    const startedAt = new Date(route.startedAt).getTime();
+
+    return decodePolyline(route.polyline).map((point, index) => ({
+        ...point,
+        at: new Date(startedAt + (route.offsets[ index ] || 0) * 1000).toISOString(),
+        speed: route.speeds[ index ] || 0
+    }));
+}
+
+// Visible to the ride's rider and captain, and to admins handling disputes
+async function getRoute({ rideId, user, captain }) {
+    const ride = await rideModel.findOne({ _id: rideId }).select('user captain status startedAt completedAt');
+
+    if (!ride) {
+        throw new AppError('Ride not found', 404);
+    }
+
+    const isRider = user && idOf(ride.user) === idOf(user);
+    const isCaptain = captain && idOf(ride.captain) === idOf(captain);
+    const isAdmin = user && user.role === 'admin';
+
+    if (!isRider && !isCaptain && !isAdmin) {
+        throw new AppError('You are not allowed to view this route', 403);
+    }
+
+    if (ride.status === 'ongoing') {
+        const trail = await tripTrackingService.getTrail(ride._id);
+        const { distance, waitingTime } = tripTrackingService.summarizeTrail(trail);
+        const points = compressTrail(trail).map(({ t, ...point }) => ({ ...point, at: new Date(t).toISOString() }));
+
+        return describeRoute(ride, { points, distance, waitingTime });
+    }
+
+    if (ride.status !== 'completed') {
+        throw new AppError('Routes are only recorded once a ride has started', 409);
+    }
+
+    const route = await rideRouteModel.findOne({ ride: ride._id }).lean();
+    if (!route) {
+        throw new AppError('No route was recorded for this ride', 404);
+    }
+
+    return describeRoute(ride, {
+        points: expandStoredRoute(route),
+        distance: route.distance,
+        waitingTime: route.waitingTime
+    });
+}
+
+// ---- Export formats ----
+
+function toGeoJSON(route) {
+    return {
+        type: 'Feature',
+        // A LineString needs two positions; a route with fewer has no geometry
+        geometry: route.points.length > 1
+            ? { type: 'LineString', coordinates: route.points.map(point => [ point.lng, point.ltd ]) }
+            : null,
+        properties: {
+            rideId: route.rideId,
+            startedAt: route.startedAt,
+            endedAt: route.endedAt,
+            distance: route.distance,
+            waitingTime: route.waitingTime,
+            coordTimes: route.points.map(point => point.at),
+            speeds: route.points.map(point => point.speed)
+        }
+    };
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// GPX 1.1 has no speed on track points; it goes in Garmin's widely read extension
+function toGpx(route) {
+    const trackPoints = route.points.map(point => `      <trkpt lat="${point.ltd}" lon="${point.lng}">
+        <time>${escapeXml(point.at)}</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>${point.speed}</gpxtpx:speed></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${escapeXml(ROUTE_CONFIG.gpxCreator)}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <trk>
+    <name>Ride ${escapeXml(route.rideId)}</name>
+    <trkseg>
+${trackPoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+module.exports = {
+    ROUTE_CONFIG,
+    compressTrail,
+    saveRoute,
+    getRoute,
+    toGeoJSON,
+    toGpx
+};
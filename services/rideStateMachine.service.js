@@ -0,0 +1,234 @@
+const rideModel = require('../models/ride.model.js');
+const { RideCacheService } = require('../config/redis.js');
+const { dbManager } = require('../config/db.js');
+const { EVENTS } = require('../config/kafka.js');
+const outboxService = require('./outbox.service.js');
+const captainService = require('./captain.service.js');
+const surgeService = require('./surge.service.js');
+const promotionService = require('./promotion.service.js');
+const AppError = require('../utils/appError.js');
+
+// Single source of truth for how a ride moves between states:
+//
+//   pending ──accept──> accepted ──start──> ongoing ──complete──> completed
+//      │                   │
+//      ├──cancel───────────┴──> cancelled
+//      └──expire──> expired
+//
+// Every transition names the actors allowed to trigger it, the timestamp
+// field stamped on the ride when it happens and the event it publishes.
+// `captainOnTrip`, where set, is written to the assigned captain's onTrip flag.
+
+const RIDE_STATUS = Object.freeze({
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    ONGOING: 'ongoing',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+});
+
+const ACTORS = Object.freeze({
+    USER: 'user',
+    CAPTAIN: 'captain',
+    SYSTEM: 'system'
+});
+
+const TRANSITIONS = Object.freeze({
+    accept: {
+        from: [ RIDE_STATUS.PENDING ],
+        to: RIDE_STATUS.ACCEPTED,
+        actors: [ ACTORS.CAPTAIN ],
+        timestamp: 'acceptedAt',
+        event: EVENTS.RIDE.ACCEPTED,
+        captainOnTrip: true
+    },
+    start: {
+        from: [ RIDE_STATUS.ACCEPTED ],
+        to: RIDE_STATUS.ONGOING,
+        actors: [ ACTORS.CAPTAIN ],
+        timestamp: 'startedAt',
+        event: EVENTS.RIDE.STARTED
+    },
+    complete: {
+        from: [ RIDE_STATUS.ONGOING ],
+        to: RIDE_STATUS.COMPLETED,
+        actors: [ ACTORS.CAPTAIN ],
+        timestamp: 'completedAt',
+        event: EVENTS.RIDE.COMPLETED,
+        captainOnTrip: false
+    },
+    cancel: {
+        from: [ RIDE_STATUS.PENDING, RIDE_STATUS.ACCEPTED ],
+        to: RIDE_STATUS.CANCELLED,
+        actors: [ ACTORS.USER, ACTORS.CAPTAIN ],
+        timestamp: 'cancelledAt',
+        event: EVENTS.RIDE.CANCELLED,
+        captainOnTrip: false
+    },
+    expire: {
+        from: [ RIDE_STATUS.PENDING ],
+        to: RIDE_STATUS.EXPIRED,
+        actors: [ ACTORS.SYSTEM ],
+        timestamp: 'expiredAt',
+        event: EVENTS.RIDE.EXPIRED
+    }
+});
+
+class RideTransitionError extends AppError {
+    constructor(message) {
+        super(message, 409);
+        this.name = 'RideTransitionError';
+    }
+}
+
+function getTransition(action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        throw new Error(`Unknown ride transition: ${action}`);
+    }
+    return transition;
+}
+
+function canTransition(status, action, actor) {
+    const transition = TRANSITIONS[action];
+    return Boolean(transition)
+        && transition.from.includes(status)
+        && transition.actors.includes(actor);
+}
+
+const idOf = (ref) => ref && (ref._id || ref).toString();
+
+// Riders act on their own rides; captains on rides assigned to them, except
+// when accepting, which is what assigns them in the first place
+function isParticipant(ride, action, actor, actorId) {
+    if (actor === ACTORS.USER) {
+        return idOf(ride.user) === idOf(actorId);
+    }
+    if (actor === ACTORS.CAPTAIN && action !== 'accept') {
+        return Boolean(ride.captain) && idOf(ride.captain) === idOf(actorId);
+    }
+    return true;
+}
+
+function assertTransition(ride, action, { actor, actorId } = {}) {
+    const transition = getTransition(action);
+
+    if (!transition.actors.includes(actor)) {
+        throw new AppError(`A ${actor} cannot ${action} a ride`, 403);
+    }
+
+    if (!isParticipant(ride, action, actor, actorId)) {
+        throw new AppError(`You are not allowed to ${action} this ride`, 403);
+    }
+
+    if (!transition.from.includes(ride.status)) {
+        if (action === 'accept' && ride.status === RIDE_STATUS.ACCEPTED) {
+            throw new RideTransitionError(idOf(ride.captain) === idOf(actorId)
+                ? 'You have already accepted this ride'
+                : 'Ride has already been accepted by another captain');
+        }
+        throw new RideTransitionError(`Cannot ${action} a ride that is ${ride.status}`);
+    }
+
+    return transition;
+}
+
+// Applies a transition as a compare-and-set on the current status (and on the
+// actor owning the ride), so concurrent requests cannot both win, and records
+// the matching ride event in the outbox within the same transaction. `update`
+// carries any extra fields to write alongside the status change and `filter`
+// narrows the precondition further (e.g. to the exact status a fee was computed for).
+async function transition(rideId, action, { actor, actorId, update = {}, filter = {}, select } = {}) {
+    const rule = getTransition(action);
+
+    if (!rule.actors.includes(actor)) {
+        throw new AppError(`A ${actor} cannot ${action} a ride`, 403);
+    }
+
+    const condition = { _id: rideId, status: { $in: rule.from } };
+    if (actor === ACTORS.USER) {
+        condition.user = actorId;
+    } else if (actor === ACTORS.CAPTAIN && action !== 'accept') {
+        condition.captain = actorId;
+    }
+
+    // The status change and its outbox event commit together or not at all
+    const ride = await dbManager.withTransaction(async (session) => {
+        let query = rideModel.findOneAndUpdate({
+            ...condition,
+            ...filter
+        }, {
+            $set: {
+                ...update,
+                status: rule.to,
+                [ rule.timestamp ]: new Date()
+            }
+        }, {
+            new: true,
+            session
+        }).populate('user').populate('captain');
+
+        if (select) {
+            query = query.select(select);
+        }
+
+        const updated = await query;
+
+        if (updated) {
+            await outboxService.enqueueRideEvent(rule.event, updated, { session });
+
+            if (rule.captainOnTrip !== undefined && updated.captain) {
+                await captainService.setOnTrip(updated.captain._id, rule.captainOnTrip, {
+                    session,
+                    reason: `ride-${rule.to}`
+                });
+            }
+
+            // A ride that never happened gives its promo code or referral discount back
+            if ([ RIDE_STATUS.CANCELLED, RIDE_STATUS.EXPIRED ].includes(rule.to) && updated.discounts && updated.discounts.length) {
+                await promotionService.releaseForRide(updated._id, session);
+            }
+        }
+
+        return updated;
+    });
+
+    if (!ride) {
+        // Work out why the precondition failed so the caller gets a precise error
+        const current = await rideModel.findOne({
+            _id: rideId
+        }).select('status user captain');
+
+        if (!current) {
+            throw new AppError('Ride not found', 404);
+        }
+
+        assertTransition(current, action, { actor, actorId });
+
+        // Preconditions held on re-read, so the ride moved between our read and write
+        throw new RideTransitionError('Ride was updated concurrently, please retry');
+    }
+
+    await RideCacheService.invalidateRideCache(rideId);
+    if (ride.captain) {
+        await RideCacheService.invalidateActiveRides(ride.captain._id);
+    }
+
+    // Leaving 'pending' means the request no longer adds to surge demand
+    if (rule.from.includes(RIDE_STATUS.PENDING) && ride.surge && ride.surge.cell) {
+        await surgeService.clearRideRequest(ride.surge.cell, ride._id);
+    }
+
+    return ride;
+}
+
+module.exports = {
+    RIDE_STATUS,
+    ACTORS,
+    TRANSITIONS,
+    RideTransitionError,
+    canTransition,
+    assertTransition,
+    transition
+};
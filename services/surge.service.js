@@ -0,0 +1,138 @@
+const { redisManager } = require('../config/redis.js');
+const { encodeGeohash } = require('../utils/geo.js');
+
+// Surge pricing from live supply and demand. The map is split into geohash
+// cells; per cell Redis keeps two sliding windows (sorted sets scored by time):
+//
+//   demand  open ride requests picked up in the cell (removed once a ride
+//           leaves 'pending': accepted, cancelled or expired)
+//   supply  available captains who reported a location in the cell
+//
+// The raw multiplier is demand / supply once demand is meaningful, capped.
+// It is smoothed with an exponential moving average that advances at most once
+// per update interval, so a single burst of requests cannot whip prices around,
+// and rounded to the nearest step riders see (1.3x, 1.4x, ...).
+//
+// Without Redis there is no signal, and riders are never surged on guesswork.
+
+const SURGE_CONFIG = {
+    enabled: process.env.SURGE_ENABLED !== 'false',
+    geohashPrecision: Number(process.env.SURGE_GEOHASH_PRECISION) || 6,
+    windowMs: Number(process.env.SURGE_WINDOW_MS) || 5 * 60 * 1000,
+    minDemand: Number(process.env.SURGE_MIN_DEMAND) || 3,
+    maxMultiplier: Number(process.env.SURGE_MAX_MULTIPLIER) || 2.5,
+    smoothing: Number(process.env.SURGE_SMOOTHING) || 0.5,
+    updateIntervalMs: Number(process.env.SURGE_UPDATE_INTERVAL_MS) || 30 * 1000,
+    step: 0.1,
+    // Riders must explicitly accept fares surged at or above this multiplier
+    acceptanceThreshold: Number(process.env.SURGE_ACCEPTANCE_THRESHOLD) || 1.5
+};
+
+const demandKey = (cell) => `surge:demand:${cell}`;
+const supplyKey = (cell) => `surge:supply:${cell}`;
+const multiplierKey = (cell) => `surge:multiplier:${cell}`;
+const captainCellKey = (captainId) => `surge:captain_cell:${captainId}`;
+
+const windowTtlSeconds = () => Math.ceil(SURGE_CONFIG.windowMs / 1000) * 2;
+
+const roundToStep = (value) => Math.round(value / SURGE_CONFIG.step) * SURGE_CONFIG.step;
+
+function cellOf(point) {
+    return encodeGeohash(point, SURGE_CONFIG.geohashPrecision);
+}
+
+function rawMultiplier(demand, supply) {
+    if (demand < SURGE_CONFIG.minDemand) {
+        return 1;
+    }
+
+    const ratio = demand / Math.max(supply, 1);
+    return Math.min(Math.max(ratio, 1), SURGE_CONFIG.maxMultiplier);
+}
+
+function smooth(previous, raw) {
+    return previous + SURGE_CONFIG.smoothing * (raw - previous);
+}
+
+const requiresAcceptance = (multiplier) => multiplier >= SURGE_CONFIG.acceptanceThreshold;
+
+// point: { ltd, lng } of the pickup. Returns { multiplier, cell, demand, supply }.
+async function getSurge(point, now = Date.now()) {
+    const cell = cellOf(point);
+    const none = { multiplier: 1, cell, demand: 0, supply: 0 };
+
+    if (!SURGE_CONFIG.enabled || !redisManager.isConnected) {
+        return none;
+    }
+
+    const since = now - SURGE_CONFIG.windowMs;
+    const [ demand, supply, previous ] = await Promise.all([
+        redisManager.countWindow(demandKey(cell), since),
+        redisManager.countWindow(supplyKey(cell), since),
+        redisManager.get(multiplierKey(cell))
+    ]);
+
+    if (demand === null || supply === null) {
+        return none;
+    }
+
+    // Within the update interval everyone is quoted the same smoothed value
+    if (previous && now - previous.updatedAt < SURGE_CONFIG.updateIntervalMs) {
+        return { multiplier: previous.multiplier, cell, demand, supply };
+    }
+
+    const smoothed = smooth(previous ? previous.value : 1, rawMultiplier(demand, supply));
+    const multiplier = Number(Math.min(Math.max(roundToStep(smoothed), 1), SURGE_CONFIG.maxMultiplier).toFixed(1));
+
+    await redisManager.set(multiplierKey(cell), {
+        value: smoothed,
+        multiplier,
+        updatedAt: now
+    }, windowTtlSeconds());
+
+    return { multiplier, cell, demand, supply };
+}
+
+async function recordRideRequest(cell, rideId, now = Date.now()) {
+    return redisManager.addToWindow(demandKey(cell), String(rideId), now, windowTtlSeconds());
+}
+
+async function clearRideRequest(cell, rideId) {
+    return redisManager.removeFromWindow(demandKey(cell), String(rideId));
+}
+
+// Called on every captain location update. Captains only count as supply while
+// online and free, and only in the cell they were last seen in.
+async function recordCaptainLocation(captain, point, now = Date.now()) {
+    if (!redisManager.isConnected) {
+        return;
+    }
+
+    const captainId = String(captain._id);
+    const cell = cellOf(point);
+    const previousCell = await redisManager.get(captainCellKey(captainId));
+
+    if (previousCell && previousCell !== cell) {
+        await redisManager.removeFromWindow(supplyKey(previousCell), captainId);
+    }
+
+    if (captain.status !== 'active' || captain.onTrip) {
+        await redisManager.removeFromWindow(supplyKey(cell), captainId);
+        await redisManager.del(captainCellKey(captainId));
+        return;
+    }
+
+    await redisManager.addToWindow(supplyKey(cell), captainId, now, windowTtlSeconds());
+    await redisManager.set(captainCellKey(captainId), cell, windowTtlSeconds());
+}
+
+module.exports = {
+    SURGE_CONFIG,
+    cellOf,
+    rawMultiplier,
+    requiresAcceptance,
+    getSurge,
+    recordRideRequest,
+    clearRideRequest,
+    recordCaptainLocation
+};
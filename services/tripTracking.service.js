@@ -0,0 +1,94 @@
+const { redisManager } = require('../config/redis.js');
+const { haversineDistance } = require('../utils/geo.js');
+
+// Records the captain's location trail while a ride is ongoing, so the final
+// fare can be computed from where the car actually went. Tracking starts when
+// the captain starts the ride (OTP verified) and stops when they end it; every
+// location update in between is appended to the ride's trail in Redis.
+
+const TRACKING_CONFIG = {
+    trailTtlSeconds: 24 * 60 * 60,
+    // Below this the car counts as standing still (traffic, waiting for the rider)
+    stationarySpeedMps: Number(process.env.TRIP_STATIONARY_SPEED_MPS) || 1,
+    // Above this a jump between two fixes is a GPS glitch and is ignored (~200 km/h)
+    maxSpeedMps: Number(process.env.TRIP_MAX_SPEED_MPS) || 55
+};
+
+const activeRideKey = (captainId) => `captain_active_ride:${captainId}`;
+const trailKey = (rideId) => `ride_trail:${rideId}`;
+
+async function startTracking(captainId, rideId) {
+    return redisManager.set(activeRideKey(captainId), String(rideId), TRACKING_CONFIG.trailTtlSeconds);
+}
+
+async function stopTracking(captainId) {
+    return redisManager.del(activeRideKey(captainId));
+}
+
+async function getActiveRide(captainId) {
+    return redisManager.get(activeRideKey(captainId));
+}
+
+// point: { ltd, lng }. No-op unless the captain is on a started ride.
+async function recordLocation(captainId, point, at = Date.now()) {
+    const rideId = await getActiveRide(captainId);
+    if (!rideId) {
+        return false;
+    }
+
+    return redisManager.pushToList(trailKey(rideId), {
+        ltd: point.ltd,
+        lng: point.lng,
+        t: at
+    }, TRACKING_CONFIG.trailTtlSeconds);
+}
+
+async function getTrail(rideId) {
+    return (await redisManager.getList(trailKey(rideId))) || [];
+}
+
+// Distance travelled (meters) and time spent standing still (seconds) along a trail
+function summarizeTrail(trail) {
+    const points = [ ...trail ].sort((a, b) => a.t - b.t);
+
+    let distance = 0;
+    let waitingTime = 0;
+    let usablePoints = points.length ? 1 : 0;
+    let previous = points[ 0 ];
+
+    for (const point of points.slice(1)) {
+        const seconds = (point.t - previous.t) / 1000;
+        if (seconds <= 0) continue;
+
+        const meters = haversineDistance(previous, point);
+        const speed = meters / seconds;
+
+        if (speed > TRACKING_CONFIG.maxSpeedMps) continue;
+
+        if (speed < TRACKING_CONFIG.stationarySpeedMps) {
+            // GPS drift while parked is not distance
+            waitingTime += seconds;
+        } else {
+            distance += meters;
+        }
+
+        usablePoints++;
+        previous = point;
+    }
+
+    return {
+        distance: Math.round(distance),
+        waitingTime: Math.round(waitingTime),
+        points: usablePoints
+    };
+}
+
+module.exports = {
+    TRACKING_CONFIG,
+    startTracking,
+    stopTracking,
+    getActiveRide,
+    recordLocation,
+    getTrail,
+    summarizeTrail
+};
@@ -1,4 +1,5 @@
 const userModel = require("../models/userModel.js");
+const { generateReferralCode, PROMOTION_CONFIG } = require("./promotion.service.js");
 //this is basically for creating the user if not!!
 
 module.exports.createUser = async ({
@@ -6,6 +7,7 @@ module.exports.createUser = async ({
   lastname,
   email,
   password,
+  referredBy,
 }) => {
   if (!firstname || !lastname || !email || !password) {
     throw new Error("All fields must be required!");
@@ -20,7 +22,20 @@ module.exports.createUser = async ({
     },
     email,
     password,
+    referredBy,
   });
-  await user.save();
-  return user;
+
+  //every user gets a referral code to share, try again if the random one is taken!!
+  for (let attempt = 1; ; attempt++) {
+    user.referralCode = generateReferralCode();
+    try {
+      await user.save();
+      return user;
+    } catch (error) {
+      const codeTaken = error.code === 11000 && error.keyPattern && error.keyPattern.referralCode;
+      if (!codeTaken || attempt >= PROMOTION_CONFIG.referralCodeAttempts) {
+        throw error;
+      }
+    }
+  }
 };
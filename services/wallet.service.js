@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const walletAccountModel = require('../models/walletAccount.model.js');
+const ledgerTransactionModel = require('../models/ledgerTransaction.model.js');
+const ledgerEntryModel = require('../models/ledgerEntry.model.js');
+const { dbManager } = require('../config/db.js');
+const AppError = require('../utils/appError.js');
+
+// Double-entry ledger behind rider and captain wallets. Every movement of money
+// is a ledger transaction whose entries sum to zero across accounts:
+//
+//   ride paid online   payment_gateway -fare, captain +fare - commission, platform_revenue +commission
+//   ride paid in cash  captain -commission, platform_revenue +commission  (the captain kept the cash)
+//   ride paid wallet   rider -fare,        captain +fare - commission, platform_revenue +commission
+//   (a promo or referral discount is absorbed by the platform: the rider pays fare - discount,
+//    the captain still earns on the full fare, platform_revenue takes commission - discount)
+//   top-up             payment_gateway -amount, rider +amount
+//   referral reward    platform_revenue -reward, referrer +reward
+//   refund             platform_revenue -amount, rider (wallet refund) or payment_gateway (gateway refund) +amount
+//                      (gateway refunds of a cancelled ride: rider -amount, payment_gateway +amount)
+//   cancellation       rider's fee: payment_gateway (paid upfront) or rider -fee, captain +fee - commission,
+//                      platform_revenue +commission; a captain's fee: captain -fee, platform_revenue +fee.
+//                      Anything else the gateway holds goes to the rider until it is refunded.
+//   incentive          platform_revenue -bonus, captain +bonus
+//   payout             captain -amount, payouts_in_transit +amount; then payouts_in_transit -amount, bank +amount once paid
+//
+// Callers pass their MongoDB session so ledger postings commit or roll back
+// together with the payment change that caused them.
+
+const WALLET_CONFIG = {
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    maxTopup: Number(process.env.WALLET_MAX_TOPUP) || 10000,
+    historyMaxPageSize: 50
+};
+
+// Platform commission as a share of the fare: a default rate, optionally
+// overridden per vehicle type. Tolls pass through to the captain untouched.
+const COMMISSION_CONFIG = {
+    defaultRate: Number(process.env.PLATFORM_COMMISSION_RATE || 0.2),
+    rates: {
+        auto: process.env.PLATFORM_COMMISSION_RATE_AUTO,
+        car: process.env.PLATFORM_COMMISSION_RATE_CAR,
+        moto: process.env.PLATFORM_COMMISSION_RATE_MOTO
+    }
+};
+
+const SYSTEM_ACCOUNTS = {
+    // Commission earned; refunds and incentives granted by the platform are paid out of it
+    PLATFORM_REVENUE: 'platform_revenue',
+    // Money held by the payment provider on our behalf (online payments, top-ups)
+    PAYMENT_GATEWAY: 'payment_gateway',
+    // Captain earnings held for a requested payout until it is paid or rejected
+    PAYOUTS_IN_TRANSIT: 'payouts_in_transit',
+    // The platform's bank account payouts are paid from
+    BANK: 'bank'
+};
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Riders cannot spend money they do not have. Captains can go negative: on
+// cash rides they owe the platform its commission until later earnings cover it.
+const OVERDRAFT = { user: false, captain: true, system: true };
+
+async function getAccount(ownerType, owner, session) {
+    const filter = ownerType === 'system'
+        ? { ownerType, code: owner }
+        : { ownerType, owner, code: 'wallet' };
+
+    return walletAccountModel.findOneAndUpdate(filter, {
+        $setOnInsert: { currency: WALLET_CONFIG.currency, allowNegative: OVERDRAFT[ ownerType ] }
+    }, { upsert: true, new: true, session });
+}
+
+// lines: [ { account, amount, allowOverdraft } ], amounts signed (credit > 0).
+// allowOverdraft, when given, overrides the account's own allowNegative.
+// Posting the same key twice returns the first transaction without booking anything.
+async function postTransaction({ key, type, description, ride, payment, lines }, session) {
+    const booked = lines.filter(line => toMoney(line.amount) !== 0);
+    const sum = toMoney(booked.reduce((total, line) => total + line.amount, 0));
+
+    if (sum !== 0) {
+        throw new Error(`Unbalanced ledger transaction ${key}: entries sum to ${sum}`);
+    }
+
+    const existing = await ledgerTransactionModel.findOne({ key }).session(session);
+    if (existing) {
+        return existing;
+    }
+
+    const [ transaction ] = await ledgerTransactionModel.create([ {
+        key,
+        type,
+        description,
+        ride: ride ? idOf(ride) : undefined,
+        payment: payment ? idOf(payment) : undefined,
+        amount: toMoney(booked.filter(line => line.amount > 0).reduce((total, line) => total + line.amount, 0))
+    } ], { session });
+
+    const entries = [];
+
+    for (const line of booked) {
+        const amount = toMoney(line.amount);
+        const mayGoNegative = line.allowOverdraft !== undefined ? line.allowOverdraft : line.account.allowNegative;
+
+        const account = await walletAccountModel.findOneAndUpdate({
+            _id: line.account._id,
+            ...(amount < 0 && !mayGoNegative ? { balance: { $gte: -amount } } : {})
+        }, {
+            $inc: { balance: amount }
+        }, { new: true, session });
+
+        if (!account) {
+            throw new AppError('Insufficient wallet balance', 402);
+        }
+
+        entries.push({
+            transaction: transaction._id,
+            account: account._id,
+            amount,
+            balanceAfter: toMoney(account.balance),
+            type,
+            description,
+            ride: transaction.ride
+        });
+    }
+
+    await ledgerEntryModel.insertMany(entries, { session });
+
+    return transaction;
+}
+
+// { commissionRate, commission, captainEarning } for a ride at its final fare
+function commissionFor(ride) {
+    const configured = COMMISSION_CONFIG.rates[ ride.vehicleType ];
+    const commissionRate = configured !== undefined && configured !== '' ? Number(configured) : COMMISSION_CONFIG.defaultRate;
+    const tolls = (ride.fareBreakdown && ride.fareBreakdown.tollsTotal) || 0;
+    const commission = toMoney(Math.max(ride.fare - tolls, 0) * commissionRate);
+
+    return {
+        commissionRate,
+        commission,
+        captainEarning: toMoney(ride.fare - commission)
+    };
+}
+
+const discountTotal = (ride) => toMoney((ride.discounts || []).reduce((total, discount) => total + (discount.amount || 0), 0));
+
+// Books a completed ride. `payment` tells how the rider paid; for online
+// payments anything the gateway did not collect is taken from the rider's wallet.
+// ride.fare is what the rider pays; commission is on the fare before discounts.
+async function settleRide(ride, payment, session) {
+    const fare = toMoney(ride.fare);
+    const discount = discountTotal(ride);
+    const grossFare = toMoney(fare + discount);
+    // Fixed on the ride when it completed, so later rate changes do not apply retroactively
+    const { commission } = ride.earnings && ride.earnings.commission !== undefined
+        ? ride.earnings
+        : commissionFor({ ...(ride.toObject ? ride.toObject() : ride), fare: grossFare });
+
+    const captain = await getAccount('captain', idOf(ride.captain), session);
+    const platform = await getAccount('system', SYSTEM_ACCOUNTS.PLATFORM_REVENUE, session);
+
+    let lines;
+
+    if (payment.method === 'cash') {
+        // The captain collected the discounted fare in cash, so the platform owes
+        // them the discount and they owe it the commission
+        lines = [
+            { account: captain, amount: -(commission - discount) },
+            { account: platform, amount: commission - discount }
+        ];
+    } else {
+        const rider = await getAccount('user', idOf(ride.user), session);
+        const paidOnline = payment.method === 'online'
+            ? Math.min(toMoney(payment.amount - payment.refundedAmount), fare)
+            : 0;
+
+        lines = [
+            { account: await getAccount('system', SYSTEM_ACCOUNTS.PAYMENT_GATEWAY, session), amount: -paidOnline },
+            // The final fare can exceed what was quoted (tolls, waiting), so this may overdraw;
+            // the shortfall comes out of the rider's next top-up
+            { account: rider, amount: -(fare - paidOnline), allowOverdraft: true },
+            { account: captain, amount: grossFare - commission },
+            { account: platform, amount: commission - discount }
+        ];
+    }
+
+    return postTransaction({
+        key: `ride:${idOf(ride)}`,
+        type: 'ride_settlement',
+        description: `Ride ${idOf(ride)} (${payment.method})`,
+        ride,
+        payment,
+        lines
+    }, session);
+}
+
+async function recordTopup(payment, session) {
+    return postTransaction({
+        key: `topup:${idOf(payment)}`,
+        type: 'topup',
+        description: 'Wallet top-up',
+        payment,
+        lines: [
+            { account: await getAccount('system', SYSTEM_ACCOUNTS.PAYMENT_GATEWAY, session), amount: -payment.amount },
+            { account: await getAccount('user', idOf(payment.user), session), amount: payment.amount }
+        ]
+    }, session);
+}
+
+// Books a cancelled ride: the cancellation fee, and for a ride paid upfront, what the
+// gateway captured. The rider's fee comes out of that, or else out of their wallet
+// (which may overdraw, like a fare shortfall); the rest is theirs until refunded.
+async function recordCancellation(ride, payment, session) {
+    const { cancelledBy, fee: cancellationFee } = ride.cancellation || {};
+    const fee = toMoney(cancellationFee || 0);
+    const held = payment && payment.method === 'online' && payment.status === 'captured'
+        ? toMoney(payment.amount - payment.refundedAmount)
+        : 0;
+
+    if (fee === 0 && held === 0) {
+        return null;
+    }
+
+    const riderFee = cancelledBy === 'captain' ? 0 : fee;
+    const lines = [
+        { account: await getAccount('system', SYSTEM_ACCOUNTS.PAYMENT_GATEWAY, session), amount: -held },
+        { account: await getAccount('user', idOf(ride.user), session), amount: held - riderFee, allowOverdraft: true }
+    ];
+
+    if (fee > 0) {
+        const captain = await getAccount('captain', idOf(ride.captain), session);
+        const platform = await getAccount('system', SYSTEM_ACCOUNTS.PLATFORM_REVENUE, session);
+
+        if (cancelledBy === 'captain') {
+            lines.push({ account: captain, amount: -fee }, { account: platform, amount: fee });
+        } else {
+            const { commission } = commissionFor({ vehicleType: ride.vehicleType, fare: fee });
+            lines.push({ account: captain, amount: fee - commission }, { account: platform, amount: commission });
+        }
+    }
+
+    return postTransaction({
+        key: `cancellation:${idOf(ride)}`,
+        type: 'cancellation',
+        description: `Ride ${idOf(ride)} cancelled by ${cancelledBy || 'user'}`,
+        ride,
+        payment,
+        lines
+    }, session);
+}
+
+// toWallet: credit the rider's wallet. Otherwise the money went back through the
+// gateway: out of the platform's revenue once the ride was settled into the ledger,
+// out of what recordCancellation handed the rider once it was cancelled. Before
+// either, the ride is not in the ledger and settleRide books the net amount paid.
+async function recordRefund({ payment, refundId, amount, reason, toWallet }, session) {
+    let source = await getAccount('system', SYSTEM_ACCOUNTS.PLATFORM_REVENUE, session);
+
+    if (!toWallet) {
+        const rideId = idOf(payment.ride);
+        const settled = await ledgerTransactionModel.findOne({ key: `ride:${rideId}` }).session(session);
+
+        if (!settled) {
+            const cancelled = await ledgerTransactionModel.findOne({ key: `cancellation:${rideId}` }).session(session);
+            if (!cancelled) {
+                return null;
+            }
+            source = await getAccount('user', idOf(payment.user), session);
+        }
+    }
+
+    const destination = toWallet
+        ? await getAccount('user', idOf(payment.user), session)
+        : await getAccount('system', SYSTEM_ACCOUNTS.PAYMENT_GATEWAY, session);
+
+    return postTransaction({
+        key: `refund:${refundId}`,
+        type: 'refund',
+        description: reason || 'Refund',
+        ride: payment.ride,
+        payment,
+        lines: [
+            // The rider may have spent the credit while the refund was pending
+            { account: source, amount: -amount, allowOverdraft: true },
+            { account: destination, amount }
+        ]
+    }, session);
+}
+
+async function getBalance(ownerType, owner) {
+    const account = await walletAccountModel.findOne({ ownerType, owner, code: 'wallet' });
+    return account ? toMoney(account.balance) : 0;
+}
+
+// Recomputes an account's balance from its entries, for reconciliation against the cached one
+async function deriveBalance(accountId) {
+    const [ result ] = await ledgerEntryModel.aggregate([
+        { $match: { account: new mongoose.Types.ObjectId(String(accountId)) } },
+        { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    return toMoney(result ? result.balance : 0);
+}
+
+async function getWallet({ ownerType, owner, page = 1, limit = 20, type }) {
+    const account = await walletAccountModel.findOne({ ownerType, owner, code: 'wallet' });
+
+    const wallet = {
+        balance: account ? toMoney(account.balance) : 0,
+        currency: account ? account.currency : WALLET_CONFIG.currency
+    };
+
+    const pageSize = Math.min(limit, WALLET_CONFIG.historyMaxPageSize);
+
+    if (!account) {
+        return { wallet, transactions: [], pagination: { page, limit: pageSize, total: 0, pages: 0 } };
+    }
+
+    const filter = { account: account._id };
+    if (type) {
+        filter.type = type;
+    }
+
+    const [ transactions, total ] = await Promise.all([
+        dbManager.createOptimizedQuery(ledgerEntryModel, filter, {
+            sort: { createdAt: -1 },
+            skip: (page - 1) * pageSize,
+            limit: pageSize,
+            select: 'amount balanceAfter type description ride transaction createdAt'
+        }),
+        ledgerEntryModel.countDocuments(filter)
+    ]);
+
+    return {
+        wallet,
+        transactions,
+        pagination: {
+            page,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+        }
+    };
+}
+
+module.exports = {
+    WALLET_CONFIG,
+    COMMISSION_CONFIG,
+    SYSTEM_ACCOUNTS,
+    getAccount,
+    postTransaction,
+    commissionFor,
+    discountTotal,
+    settleRide,
+    recordTopup,
+    recordCancellation,
+    recordRefund,
+    getBalance,
+    deriveBalance,
+    getWallet
+};
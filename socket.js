@@ -1,62 +1,304 @@
 const socketIo = require('socket.io');
-const userModel = require('./models/user.model.js');
-const captainModel = require('./models/captain.model.js');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { redisManager } = require('./config/redis.js');
+const { authenticateToken } = require('./middlewares/aut.middlewares.js');
+const captainService = require('./services/captain.service.js');
+const eventDeliveryService = require('./services/eventDelivery.service.js');
+const liveLocationService = require('./services/liveLocation.service.js');
+const presenceService = require('./services/presence.service.js');
+const rideService = require('./services/ride.service.js');
+const surgeService = require('./services/surge.service.js');
+const tripTrackingService = require('./services/tripTracking.service.js');
+
+// How long a captain may stay disconnected (app restart, tunnel, ...) before being taken offline
+const CAPTAIN_OFFLINE_GRACE_MS = Number(process.env.CAPTAIN_OFFLINE_GRACE_MS) || 60000;
+
+// Every socket authenticates with the same JWT as the REST API, then joins the
+// room of the account it belongs to and of each ride that account is part of.
+// Messages go to rooms, so they reach every device the rider or captain has
+// connected and nobody else. With Redis available the rooms span every API
+// instance through the Redis adapter; without it they are local to this one.
+//
+// Messages to a rider or captain carry a sequence number ({ seq } after the
+// payload) and are kept for a while: the app acknowledges what it has handled
+// with `ack` and, when it reconnects, is sent what it missed after the `lastSeq`
+// in its handshake (or its last acknowledgement). Ride room messages such as
+// live locations are not kept; the next one supersedes them anyway.
+const rooms = {
+    user: (id) => `user:${id}`,
+    captain: (id) => `captain:${id}`,
+    ride: (id) => `ride:${id}`
+};
 
 let io;
+const offlineTimers = new Map();
+
+const idOf = (ref) => ref ? String(ref._id || ref) : null;
+
+// Token from the client's auth payload, the Authorization header or the token cookie
+function handshakeToken(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+        return handshake.auth.token;
+    }
+
+    const authorization = handshake.headers.authorization;
+    if (authorization) {
+        return authorization.split(' ')[ 1 ];
+    }
+
+    const cookie = (handshake.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith('token='));
+
+    return cookie ? decodeURIComponent(cookie.slice('token='.length)) : null;
+}
 
-function initializeSocket(server) {
+// Handshake middleware: the socket's identity comes from its token, never from event payloads
+async function authenticateSocket(socket, next) {
+    try {
+        const { type, account } = await authenticateToken(handshakeToken(socket.handshake));
+        socket.data.identity = { type, id: String(account._id) };
+        next();
+    } catch (error) {
+        const rejection = new Error(error.statusCode ? error.message : 'Unauthorized! Invalid token.');
+        rejection.data = { statusCode: error.statusCode || 401 };
+        next(rejection);
+    }
+}
+
+async function joinActiveRides(socket) {
+    const { type, id } = socket.data.identity;
+    const rideIds = await rideService.getActiveRideIds({ [ type ]: { _id: id } });
+    socket.join(rideIds.map(rooms.ride));
+}
+
+// Emits and room changes are relayed to the other instances over Redis Pub/Sub
+async function useRedisAdapter(server) {
+    if (!redisManager.isConnected) {
+        console.warn('Redis unavailable, socket messages only reach clients on this instance');
+        return false;
+    }
+
+    try {
+        const { pubClient, subClient } = await redisManager.createPubSubClients();
+        server.adapter(createAdapter(pubClient, subClient));
+        return true;
+    } catch (error) {
+        console.error('Failed to set up the Socket.IO Redis adapter:', error);
+        return false;
+    }
+}
+
+// Device acknowledgements are kept apart by the id the app sends in the handshake
+const ackDeviceOf = (socket) => (socket.handshake.auth && socket.handshake.auth.deviceId) || 'default';
+
+async function replayMissedEvents(socket) {
+    const { type, id } = socket.data.identity;
+    const recipient = rooms[ type ](id);
+    const requested = Number(socket.handshake.auth && socket.handshake.auth.lastSeq);
+
+    const lastSeq = Number.isInteger(requested) && requested >= 0
+        ? requested
+        : await eventDeliveryService.lastAcknowledged(recipient, ackDeviceOf(socket));
+
+    // A device seen for the first time loads the current state over the API instead
+    if (lastSeq === null) return;
+
+    const { events, complete } = await eventDeliveryService.eventsSince(recipient, lastSeq);
+
+    if (!complete) {
+        socket.emit('replay-incomplete', { lastSeq, oldestSeq: events.length ? events[ 0 ].seq : null });
+    }
+
+    for (const { seq, event, data } of events) {
+        socket.emit(event, data, { seq, replayed: true });
+    }
+}
+
+function deviceOf(handshake) {
+    return {
+        deviceId: (handshake.auth && handshake.auth.deviceId) || null,
+        userAgent: handshake.headers[ 'user-agent' ] || null
+    };
+}
+
+async function initializeSocket(server) {
     io = socketIo(server, {
         cors: {
-            origin: '*',
-            methods: [ 'GET', 'POST' ]
+            origin: process.env.ALLOWED_ORIGINS
+                ? process.env.ALLOWED_ORIGINS.split(',')
+                : [ 'http://localhost:3000', 'http://localhost:5173' ],
+            methods: [ 'GET', 'POST' ],
+            credentials: true
         }
     });
 
+    await useRedisAdapter(io);
+    presenceService.startHeartbeat();
+    liveLocationService.startFlushing();
+
+    io.use(authenticateSocket);
+
     io.on('connection', (socket) => {
-        console.log(`Client connected: ${socket.id}`);
+        const { type, id } = socket.data.identity;
+        console.log(`Client connected: ${socket.id} (${type} ${id})`);
 
+        socket.join(rooms[ type ](id));
 
-        socket.on('join', async (data) => {
-            const { userId, userType } = data;
+        if (type === 'captain') {
+            // Back within the grace period, stay online
+            clearTimeout(offlineTimers.get(id));
+            offlineTimers.delete(id);
+        }
 
-            if (userType === 'user') {
-                await userModel.findByIdAndUpdate(userId, { socketId: socket.id });
-            } else if (userType === 'captain') {
-                await captainModel.findByIdAndUpdate(userId, { socketId: socket.id });
-            }
+        joinActiveRides(socket).catch(error => {
+            console.error(`Failed to join ride rooms for ${type} ${id}:`, error);
         });
 
+        presenceService.registerConnection({ type, id, socketId: socket.id, device: deviceOf(socket.handshake) }).catch(error => {
+            console.error(`Failed to record presence for ${type} ${id}:`, error);
+        });
+
+        replayMissedEvents(socket).catch(error => {
+            console.error(`Failed to replay missed events for ${type} ${id}:`, error);
+        });
+
+        socket.on('ack', async (data) => {
+            const seq = Number(data && data.seq);
+
+            if (!Number.isInteger(seq) || seq < 1) {
+                return socket.emit('error', { message: 'Invalid acknowledgement' });
+            }
+
+            try {
+                await eventDeliveryService.acknowledge(rooms[ type ](id), ackDeviceOf(socket), seq);
+            } catch (error) {
+                console.error(`Failed to record acknowledgement for ${type} ${id}:`, error);
+            }
+        });
 
         socket.on('update-location-captain', async (data) => {
-            const { userId, location } = data;
+            if (type !== 'captain') {
+                return socket.emit('error', { message: 'Only captains can share their location' });
+            }
 
-            if (!location || !location.ltd || !location.lng) {
+            const location = data && data.location;
+
+            if (!location || !Number.isFinite(location.ltd) || !Number.isFinite(location.lng)) {
                 return socket.emit('error', { message: 'Invalid location data' });
             }
 
-            await captainModel.findByIdAndUpdate(userId, {
-                location: {
-                    ltd: location.ltd,
-                    lng: location.lng
+            try {
+                // Buffered for the batched write to MongoDB and shown to the rider during a ride
+                await liveLocationService.recordLocation(id, location);
+
+                // Free captains count as supply for surge pricing in the cell they are in;
+                // on a started ride the update is part of the trip's trail instead
+                const captain = await captainService.getAvailability(id);
+                if (captain) {
+                    await surgeService.recordCaptainLocation(captain, location);
+                    await tripTrackingService.recordLocation(captain._id, location);
                 }
-            });
+            } catch (error) {
+                console.error(`Failed to record location for captain ${id}:`, error);
+            }
         });
 
-        socket.on('disconnect', () => {
+        socket.on('disconnect', async () => {
             console.log(`Client disconnected: ${socket.id}`);
+
+            try {
+                await presenceService.unregisterConnection({ type, id, socketId: socket.id });
+            } catch (error) {
+                console.error(`Failed to clear presence for ${type} ${id}:`, error);
+            }
+
+            if (type !== 'captain') return;
+
+            clearTimeout(offlineTimers.get(id));
+            offlineTimers.set(id, setTimeout(async () => {
+                offlineTimers.delete(id);
+                try {
+                    // Still connected on another device or instance, stay online
+                    if (!await presenceService.isOnline('captain', id)) {
+                        await captainService.markOfflineAfterDisconnect(id);
+                    }
+                } catch (error) {
+                    console.error(`Failed to mark captain ${id} offline:`, error);
+                }
+            }, CAPTAIN_OFFLINE_GRACE_MS));
         });
     });
+
+    return io;
 }
 
-const sendMessageToSocketId = (socketId, messageObject) => {
+async function closeSocket() {
+    await presenceService.stopHeartbeat();
+    await liveLocationService.stopFlushing();
+    if (io) {
+        await new Promise(resolve => io.close(() => resolve()));
+    }
+}
 
-console.log(messageObject);
+function emitToRoom(room, messageObject) {
+    if (!io) {
+        console.log('Socket.io not initialized.');
+        return false;
+    }
 
-    if (io) {
-        io.to(socketId).emit(messageObject.event, messageObject.data);
-    } else {
+    io.to(room).emit(messageObject.event, messageObject.data);
+    return true;
+}
+
+// Sequenced and kept for replay, see above
+async function deliverToAccount(room, messageObject) {
+    if (!io) {
         console.log('Socket.io not initialized.');
+        return false;
+    }
+
+    try {
+        const { seq } = await eventDeliveryService.record(room, messageObject.event, messageObject.data);
+        io.to(room).emit(messageObject.event, messageObject.data, { seq });
+        return true;
+    } catch (error) {
+        console.error(`Failed to deliver ${messageObject.event} to ${room}:`, error);
+        return false;
     }
 }
 
-module.exports = { initializeSocket, sendMessageToSocketId };
\ No newline at end of file
+const sendMessageToUser = (userId, messageObject) => deliverToAccount(rooms.user(idOf(userId)), messageObject);
+const sendMessageToCaptain = (captainId, messageObject) => deliverToAccount(rooms.captain(idOf(captainId)), messageObject);
+const sendMessageToRide = (rideId, messageObject) => emitToRoom(rooms.ride(idOf(rideId)), messageObject);
+
+// Puts every connected device of the ride's rider and captain in the ride's room
+function joinRideRoom(ride) {
+    if (!io) return;
+
+    const room = rooms.ride(idOf(ride));
+    io.in(rooms.user(idOf(ride.user))).socketsJoin(room);
+    if (ride.captain) {
+        io.in(rooms.captain(idOf(ride.captain))).socketsJoin(room);
+    }
+}
+
+function leaveRideRoom(rideId) {
+    if (!io) return;
+
+    const room = rooms.ride(idOf(rideId));
+    io.in(room).socketsLeave(room);
+}
+
+module.exports = {
+    rooms,
+    initializeSocket,
+    closeSocket,
+    authenticateSocket,
+    sendMessageToUser,
+    sendMessageToCaptain,
+    sendMessageToRide,
+    joinRideRoom,
+    leaveRideRoom
+};
@@ -0,0 +1,58 @@
+jest.mock('../models/userModel.js', () => ({
+    findById: jest.fn()
+}));
+
+jest.mock('../models/captain.model.js', () => ({
+    findById: jest.fn()
+}));
+
+jest.mock('../models/blacklistToken.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const userModel = require('../models/userModel.js');
+const captainModel = require('../models/captain.model.js');
+const blackListTokenModel = require('../models/blacklistToken.model.js');
+const { authenticateToken } = require('../middlewares/aut.middlewares.js');
+
+describe('Token Authentication', () => {
+    const tokenFor = (id) => jwt.sign({ _id: id }, process.env.JWT_SECRET);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        blackListTokenModel.findOne.mockResolvedValue(null);
+        userModel.findById.mockResolvedValue(null);
+        captainModel.findById.mockResolvedValue(null);
+    });
+
+    test('should resolve a rider token to the user', async () => {
+        userModel.findById.mockResolvedValue({ _id: 'user-1' });
+
+        await expect(authenticateToken(tokenFor('user-1'))).resolves.toEqual({ type: 'user', account: { _id: 'user-1' } });
+    });
+
+    test('should resolve a captain token to the captain', async () => {
+        captainModel.findById.mockResolvedValue({ _id: 'captain-1' });
+
+        await expect(authenticateToken(tokenFor('captain-1'))).resolves.toEqual({ type: 'captain', account: { _id: 'captain-1' } });
+    });
+
+    test('should reject missing, forged and blacklisted tokens', async () => {
+        await expect(authenticateToken(undefined)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(authenticateToken(jwt.sign({ _id: 'user-1' }, 'another-secret'))).rejects.toMatchObject({ statusCode: 401 });
+
+        blackListTokenModel.findOne.mockResolvedValue({ token: 'logged-out' });
+        await expect(authenticateToken(tokenFor('user-1'))).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'Unauthorized! Token is blacklisted.'
+        });
+        expect(userModel.findById).not.toHaveBeenCalled();
+    });
+
+    test('should return a 404 for accounts that no longer exist', async () => {
+        await expect(authenticateToken(tokenFor('gone'))).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
@@ -0,0 +1,81 @@
+jest.mock('../models/captain.model.js', () => ({
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../config/redis.js', () => {
+    const entries = new Map();
+    return {
+        redisManager: {
+            entries,
+            get: jest.fn(async (key) => entries.has(key) ? JSON.parse(entries.get(key)) : null),
+            set: jest.fn(async (key, value) => {
+                entries.set(key, JSON.stringify(value));
+                return true;
+            })
+        }
+    };
+});
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueue: jest.fn()
+}));
+
+const captainModel = require('../models/captain.model.js');
+const { redisManager } = require('../config/redis.js');
+const captainService = require('../services/captain.service.js');
+
+describe('Captain Availability', () => {
+    const captainId = 'captain-1';
+
+    const foundInMongo = (captain) => captainModel.findById.mockReturnValue({
+        select: jest.fn(() => ({ lean: jest.fn(async () => captain) }))
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisManager.entries.clear();
+    });
+
+    test('should read MongoDB once and serve later location updates from the cache', async () => {
+        foundInMongo({ _id: captainId, status: 'active', onTrip: false });
+
+        await expect(captainService.getAvailability(captainId))
+            .resolves.toMatchObject({ status: 'active', onTrip: false });
+        await expect(captainService.getAvailability(captainId))
+            .resolves.toEqual({ _id: captainId, status: 'active', onTrip: false });
+
+        expect(captainModel.findById).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the cache in step with trips and going offline', async () => {
+        foundInMongo({ _id: captainId, status: 'active', onTrip: false });
+        await captainService.getAvailability(captainId);
+
+        captainModel.findOneAndUpdate.mockResolvedValueOnce({ _id: captainId, status: 'active', onTrip: true });
+        await captainService.setOnTrip(captainId, true, { session: 'session' });
+        await expect(captainService.getAvailability(captainId)).resolves.toMatchObject({ onTrip: true });
+
+        captainModel.findOneAndUpdate.mockResolvedValueOnce({ _id: captainId, status: 'inactive', onTrip: true });
+        await captainService.setAvailability(captainId, 'inactive');
+        await expect(captainService.getAvailability(captainId)).resolves.toMatchObject({ status: 'inactive' });
+
+        expect(captainModel.findById).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to MongoDB while Redis is unavailable', async () => {
+        foundInMongo({ _id: captainId, status: 'active', onTrip: false });
+        redisManager.get.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+        await captainService.getAvailability(captainId);
+        await captainService.getAvailability(captainId);
+
+        expect(captainModel.findById).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,93 @@
+jest.mock('../models/captain.model.js', () => ({
+    find: jest.fn()
+}));
+
+jest.mock('../config/redis.js', () => ({
+    redisManager: { isConnected: false }
+}));
+
+const captainModel = require('../models/captain.model.js');
+const mapsService = require('../services/maps.service.js');
+const geoJsonMigration = require('../scripts/migrations/001-captain-geojson-location.js');
+
+describe('Captain Matching', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        captainModel.find.mockResolvedValue([]);
+    });
+
+    describe('getCaptainsInTheRadius', () => {
+        test('should find free, online captains nearest first within the radius', async () => {
+            await mapsService.getCaptainsInTheRadius(12.9716, 77.5946, 3);
+
+            expect(captainModel.find).toHaveBeenCalledWith({
+                status: 'active',
+                onTrip: { $ne: true },
+                location: {
+                    $nearSphere: {
+                        // GeoJSON order: longitude first
+                        $geometry: { type: 'Point', coordinates: [ 77.5946, 12.9716 ] },
+                        $maxDistance: 3000
+                    }
+                }
+            });
+        });
+
+        test('should match the ride\'s vehicle type to the captain\'s', async () => {
+            await mapsService.getCaptainsInTheRadius(12.9716, 77.5946, 3, { vehicleType: 'moto' });
+            await mapsService.getCaptainsInTheRadius(12.9716, 77.5946, 3, { vehicleType: 'car' });
+
+            expect(captainModel.find.mock.calls[ 0 ][ 0 ][ 'vehicle.vehicleType' ]).toBe('motorcycle');
+            expect(captainModel.find.mock.calls[ 1 ][ 0 ][ 'vehicle.vehicleType' ]).toBe('car');
+        });
+    });
+
+    describe('001-captain-geojson-location migration', () => {
+        // Just enough of the native driver's collection for the migration
+        const fakeDb = (captains, indexes) => {
+            const collection = {
+                find: jest.fn(() => ({
+                    async *[ Symbol.asyncIterator ]() {
+                        yield* captains;
+                    }
+                })),
+                bulkWrite: jest.fn(),
+                indexes: jest.fn(async () => indexes),
+                dropIndex: jest.fn(),
+                createIndex: jest.fn()
+            };
+            return { collection: jest.fn(() => collection), captains: collection };
+        };
+
+        test('should rewrite legacy locations as GeoJSON Points and drop unusable ones', async () => {
+            const db = fakeDb([
+                { _id: 'c1', location: { ltd: 12.9716, lng: 77.5946 } },
+                { _id: 'c2', location: { ltd: 120, lng: 77.5946 } },
+                { _id: 'c3', location: { ltd: null, lng: null } }
+            ], []);
+
+            await geoJsonMigration.up(db);
+
+            expect(db.captains.find).toHaveBeenCalledWith({ 'location.ltd': { $exists: true } });
+            expect(db.captains.bulkWrite).toHaveBeenCalledWith([
+                { updateOne: { filter: { _id: 'c1' }, update: { $set: { location: { type: 'Point', coordinates: [ 77.5946, 12.9716 ] } } } } },
+                { updateOne: { filter: { _id: 'c2' }, update: { $unset: { location: '' } } } },
+                { updateOne: { filter: { _id: 'c3' }, update: { $unset: { location: '' } } } }
+            ]);
+        });
+
+        test('should replace the old coordinates index with a 2dsphere one', async () => {
+            const db = fakeDb([], [
+                { name: '_id_', key: { _id: 1 } },
+                { name: 'location.coordinates_2d', key: { 'location.coordinates': '2d' } }
+            ]);
+
+            await geoJsonMigration.up(db);
+
+            expect(db.captains.bulkWrite).not.toHaveBeenCalled();
+            expect(db.captains.dropIndex).toHaveBeenCalledTimes(1);
+            expect(db.captains.dropIndex).toHaveBeenCalledWith('location.coordinates_2d');
+            expect(db.captains.createIndex).toHaveBeenCalledWith({ location: '2dsphere' }, { background: true });
+        });
+    });
+});
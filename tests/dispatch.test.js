@@ -0,0 +1,259 @@
+const { DispatchEngine } = require('../services/dispatch.service.js');
+
+// Manually advanced clock: timers only fire inside advance(), in deadline order,
+// and each callback is awaited before the next one runs
+function createFakeClock() {
+    let now = 0;
+    let nextId = 1;
+    let timers = [];
+
+    return {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            const id = nextId++;
+            timers.push({ id, at: now + ms, fn });
+            return id;
+        },
+        clearTimeout: (id) => {
+            timers = timers.filter(timer => timer.id !== id);
+        },
+        pending: () => timers.length,
+        async advance(ms) {
+            const target = now + ms;
+            for (;;) {
+                timers.sort((a, b) => a.at - b.at);
+                const next = timers[ 0 ];
+                if (!next || next.at > target) break;
+                timers.shift();
+                now = next.at;
+                await next.fn();
+            }
+            now = target;
+        }
+    };
+}
+
+// Same contract as the Redis store: values round-trip through JSON
+function createMemoryStore() {
+    const data = new Map();
+    const deadlines = new Map();
+    return {
+        data,
+        deadlines,
+        get: async (key) => data.has(key) ? JSON.parse(data.get(key)) : null,
+        set: async (key, value) => { data.set(key, JSON.stringify(value)); return true; },
+        del: async (key) => data.delete(key),
+        setDeadline: async (rideId, at) => { deadlines.set(rideId, at); return true; },
+        clearDeadline: async (rideId) => deadlines.delete(rideId),
+        takeDue: async (until) => {
+            const due = [ ...deadlines ].filter(([ , at ]) => at <= until).map(([ rideId ]) => rideId);
+            due.forEach(rideId => deadlines.delete(rideId));
+            return due;
+        }
+    };
+}
+
+describe('Ride Dispatch Engine', () => {
+    const ride = { _id: 'ride-1', user: { _id: 'user-1' } };
+    const pickup = { ltd: 12.97, lng: 77.59 };
+    const captain = (id) => ({ _id: id });
+
+    let clock;
+    let store;
+    let deps;
+    let engine;
+
+    // Candidates per radius ring; wider rings also return the inner ring's captains
+    const setupRings = (rings) => {
+        deps.findCandidates.mockImplementation(async (_pickup, radiusKm) => rings[ radiusKm ] || []);
+    };
+
+    const offeredCaptains = () => deps.notifyCaptain.mock.calls
+        .filter(([ , message ]) => message.event === 'new-ride')
+        .map(([ offered ]) => offered.id);
+
+    beforeEach(() => {
+        clock = createFakeClock();
+        store = createMemoryStore();
+        deps = {
+            findCandidates: jest.fn(),
+            recordOffer: jest.fn(),
+            notifyCaptain: jest.fn(),
+            notifyRider: jest.fn(),
+            expireRide: jest.fn(async () => ({ ...ride, status: 'expired' }))
+        };
+        engine = new DispatchEngine({
+            store,
+            clock,
+            config: { offerTimeoutMs: 10000, radiusRingsKm: [ 2, 5 ], sweepGraceMs: 5000 },
+            ...deps
+        });
+    });
+
+    test('offers the ride to the nearest captain only', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+
+        expect(offeredCaptains()).toEqual([ 'near' ]);
+        expect(deps.recordOffer).toHaveBeenCalledWith('ride-1', 'near');
+        expect(deps.findCandidates).toHaveBeenCalledWith(pickup, 2, 'car');
+    });
+
+    test('moves to the next captain once the acceptance window passes', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        await clock.advance(9999);
+        expect(offeredCaptains()).toEqual([ 'near' ]);
+
+        await clock.advance(1);
+        expect(offeredCaptains()).toEqual([ 'near', 'far' ]);
+    });
+
+    test('widens the radius without re-offering captains from inner rings', async () => {
+        setupRings({
+            2: [ captain('near') ],
+            5: [ captain('near'), captain('outer') ]
+        });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        await clock.advance(10000);
+
+        expect(deps.findCandidates).toHaveBeenLastCalledWith(pickup, 5, 'car');
+        expect(offeredCaptains()).toEqual([ 'near', 'outer' ]);
+    });
+
+    test('offers low-rated captains the ride after the rest of their ring', async () => {
+        setupRings({
+            2: [
+                { ...captain('near-low'), rating: { average: 3.2, count: 40 } },
+                { ...captain('new'), rating: { average: 2, count: 2 } },
+                { ...captain('far'), rating: { average: 4.8, count: 120 } }
+            ]
+        });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        await clock.advance(20000);
+
+        expect(offeredCaptains()).toEqual([ 'new', 'far', 'near-low' ]);
+    });
+
+    test('expires the ride and notifies the rider when every ring is exhausted', async () => {
+        setupRings({ 2: [ captain('near') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        await clock.advance(10000);
+
+        expect(deps.expireRide).toHaveBeenCalledWith('ride-1');
+        expect(deps.notifyRider).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'expired' }),
+            { event: 'ride-expired', data: { rideId: 'ride-1' } }
+        );
+        expect(store.data.size).toBe(0);
+        expect(clock.pending()).toBe(0);
+    });
+
+    test('expires immediately when nobody is around', async () => {
+        setupRings({});
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+
+        expect(deps.notifyCaptain).not.toHaveBeenCalled();
+        expect(deps.expireRide).toHaveBeenCalledWith('ride-1');
+    });
+
+    test('stops offering once the ride is accepted', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        const state = await engine.stop('ride-1');
+        await clock.advance(60000);
+
+        expect(state.current.captainId).toBe('near');
+        expect(offeredCaptains()).toEqual([ 'near' ]);
+        expect(deps.expireRide).not.toHaveBeenCalled();
+    });
+
+    test('lets only the captain holding the live offer accept', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+
+        await expect(engine.assertOfferHolder('ride-1', 'near')).resolves.toMatchObject({ captainId: 'near' });
+        await expect(engine.assertOfferHolder('ride-1', 'far')).rejects.toMatchObject({ statusCode: 409 });
+
+        await clock.advance(10000);
+        await expect(engine.assertOfferHolder('ride-1', 'near')).rejects.toMatchObject({ statusCode: 409 });
+        await expect(engine.assertOfferHolder('ride-1', 'far')).resolves.toMatchObject({ captainId: 'far' });
+    });
+
+    test('refuses acceptance once the offer window has passed or dispatch has ended', async () => {
+        setupRings({ 2: [ captain('near') ] });
+        // Timer not fired yet, e.g. held up on another instance
+        engine.schedule = jest.fn();
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        await clock.advance(10001);
+        await expect(engine.assertOfferHolder('ride-1', 'near')).rejects.toMatchObject({ statusCode: 409 });
+
+        await engine.stop('ride-1');
+        await expect(engine.assertOfferHolder('ride-1', 'near')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('ignores a stale timer when another instance already moved the offer on', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+
+        // Another instance bumped the offer sequence in the shared store
+        const state = await store.get('dispatch:ride-1');
+        await store.set('dispatch:ride-1', { ...state, seq: state.seq + 1 });
+        await clock.advance(10000);
+
+        expect(offeredCaptains()).toEqual([ 'near' ]);
+    });
+
+    test('treats an expiry conflict as the ride having been taken', async () => {
+        setupRings({});
+        deps.expireRide.mockRejectedValue(Object.assign(new Error('Cannot expire a ride that is accepted'), { statusCode: 409 }));
+
+        await expect(engine.start({ ride, pickup, vehicleType: 'car' })).resolves.toBeNull();
+        expect(deps.notifyRider).not.toHaveBeenCalled();
+    });
+
+    test('moves the ride on when the instance that made the offer lost its timer', async () => {
+        setupRings({ 2: [ captain('near'), captain('far') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+
+        // The offering instance restarts: its timer is gone, the shared state is not
+        engine.clearTimer('ride-1');
+        const restarted = new DispatchEngine({
+            store,
+            clock,
+            config: { offerTimeoutMs: 10000, radiusRingsKm: [ 2, 5 ], sweepGraceMs: 5000 },
+            ...deps
+        });
+
+        await clock.advance(12000);
+        await expect(restarted.sweep()).resolves.toBe(0);
+        expect(offeredCaptains()).toEqual([ 'near' ]);
+
+        await clock.advance(4000);
+        await expect(restarted.sweep()).resolves.toBe(1);
+        expect(offeredCaptains()).toEqual([ 'near', 'far' ]);
+        await expect(restarted.assertOfferHolder('ride-1', 'far')).resolves.toBeDefined();
+    });
+
+    test('stops sweeping a ride once dispatch ends', async () => {
+        setupRings({ 2: [ captain('near') ] });
+
+        await engine.start({ ride, pickup, vehicleType: 'car' });
+        expect(store.deadlines.get('ride-1')).toBe(10000);
+
+        await engine.stop('ride-1');
+
+        expect(store.deadlines.size).toBe(0);
+    });
+});
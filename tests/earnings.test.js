@@ -0,0 +1,216 @@
+jest.mock('../models/ride.model.js', () => ({
+    countDocuments: jest.fn(),
+    aggregate: jest.fn(),
+    find: jest.fn()
+}));
+
+jest.mock('../models/incentive.model.js', () => ({
+    find: jest.fn()
+}));
+
+jest.mock('../models/captain.model.js', () => ({
+    findById: jest.fn()
+}));
+
+jest.mock('../models/payout.model.js', () => ({
+    find: jest.fn()
+}));
+
+jest.mock('../models/ledgerEntry.model.js', () => ({
+    find: jest.fn()
+}));
+
+jest.mock('../models/walletAccount.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    WALLET_CONFIG: { currency: 'INR' },
+    SYSTEM_ACCOUNTS: { PLATFORM_REVENUE: 'platform_revenue' },
+    getAccount: jest.fn(async (ownerType, owner) => ({ _id: `${ownerType}:${owner}` })),
+    postTransaction: jest.fn(async ({ key }) => ({ _id: `tx:${key}` }))
+}));
+
+const rideModel = require('../models/ride.model.js');
+const incentiveModel = require('../models/incentive.model.js');
+const captainModel = require('../models/captain.model.js');
+const payoutModel = require('../models/payout.model.js');
+const walletAccountModel = require('../models/walletAccount.model.js');
+const walletService = require('../services/wallet.service.js');
+const {
+    startOfPeriod,
+    awardIncentives,
+    getStatement,
+    renderCsv,
+    renderPdf
+} = require('../services/earnings.service.js');
+
+describe('Captain Earnings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('startOfPeriod', () => {
+        test('should start days at local midnight', () => {
+            // 01:30 IST on the 20th is still the 19th in UTC
+            const start = startOfPeriod(new Date('2026-10-19T20:00:00Z'), 'daily', 'Asia/Kolkata');
+            expect(start.toISOString()).toBe('2026-10-19T18:30:00.000Z');
+        });
+
+        test('should start weeks on Monday', () => {
+            // Thursday 22 October 2026
+            const start = startOfPeriod(new Date('2026-10-22T06:00:00Z'), 'weekly', 'Asia/Kolkata');
+            expect(start.toISOString()).toBe('2026-10-18T18:30:00.000Z');
+        });
+
+        test('should treat Monday itself as the start of the week', () => {
+            const start = startOfPeriod(new Date('2026-10-19T00:00:00Z'), 'weekly', 'UTC');
+            expect(start.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+        });
+    });
+
+    describe('awardIncentives', () => {
+        const ride = { _id: 'ride-1', captain: 'captain-1', vehicleType: 'car' };
+        const now = new Date('2026-10-22T06:00:00Z');
+
+        const incentive = (overrides) => ({
+            _id: 'incentive-1',
+            name: '20 rides this week',
+            period: 'weekly',
+            targetRides: 20,
+            bonus: 500,
+            ...overrides
+        });
+
+        test('should pay the bonus once the target is reached', async () => {
+            incentiveModel.find.mockResolvedValue([ incentive() ]);
+            rideModel.countDocuments.mockResolvedValue(20);
+
+            const awarded = await awardIncentives(ride, now);
+
+            expect(awarded).toEqual([ expect.objectContaining({ name: '20 rides this week', bonus: 500 }) ]);
+            expect(walletService.postTransaction).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'incentive',
+                key: 'incentive:incentive-1:captain-1:2026-10-18T18:30:00.000Z',
+                lines: [
+                    { account: { _id: 'system:platform_revenue' }, amount: -500 },
+                    { account: { _id: 'captain:captain-1' }, amount: 500 }
+                ]
+            }), 'session');
+        });
+
+        test('should count only rides in the current period', async () => {
+            incentiveModel.find.mockResolvedValue([ incentive({ period: 'daily', vehicleType: 'car' }) ]);
+            rideModel.countDocuments.mockResolvedValue(3);
+
+            await awardIncentives(ride, now);
+
+            expect(rideModel.countDocuments).toHaveBeenCalledWith({
+                captain: 'captain-1',
+                status: 'completed',
+                completedAt: { $gte: new Date('2026-10-21T18:30:00Z'), $lte: now },
+                vehicleType: 'car'
+            });
+        });
+
+        test('should not pay before the target is reached', async () => {
+            incentiveModel.find.mockResolvedValue([ incentive() ]);
+            rideModel.countDocuments.mockResolvedValue(19);
+
+            await expect(awardIncentives(ride, now)).resolves.toEqual([]);
+            expect(walletService.postTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('statements', () => {
+        const statement = {
+            captain: { id: 'captain-1', name: 'Vikram Singh', email: 'vikram@example.com' },
+            from: new Date('2026-10-01T00:00:00Z'),
+            to: new Date('2026-10-19T00:00:00Z'),
+            timezone: 'Asia/Kolkata',
+            currency: 'INR',
+            rides: [ {
+                date: new Date('2026-10-05T10:20:00Z'),
+                rideId: 'ride-1',
+                pickup: 'Connaught Place, Delhi',
+                destination: '=HYPERLINK("http://evil")',
+                paymentMethod: 'cash',
+                fare: 210,
+                tolls: 30,
+                commission: 36,
+                earning: 174
+            } ],
+            incentives: [ { date: new Date('2026-10-05T10:20:00Z'), description: '5 rides today', amount: 100 } ],
+            payouts: [ { date: new Date('2026-10-10T08:00:00Z'), payoutId: 'payout-1', status: 'paid', amount: 250, reference: 'UTR123' } ],
+            totals: { rides: 1, grossFares: 210, tolls: 30, commission: 36, rideEarnings: 174, incentives: 100, netEarnings: 274, paidOut: 250 }
+        };
+
+        // Mimics chains like find().select().sort().lean()
+        const resolving = (value) => {
+            const query = {
+                select: jest.fn(() => query),
+                sort: jest.fn(() => query),
+                lean: jest.fn(() => query),
+                then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+            };
+            return query;
+        };
+
+        test('should credit discounted rides at the captain earning, not the discounted fare', async () => {
+            captainModel.findById.mockReturnValue(resolving({ fullname: { firstname: 'Vikram' }, email: 'vikram@example.com' }));
+            walletAccountModel.findOne.mockReturnValue(resolving(null));
+            payoutModel.find.mockReturnValue(resolving([]));
+            rideModel.find.mockReturnValue(resolving([ {
+                _id: 'ride-1',
+                completedAt: new Date('2026-10-05T10:20:00Z'),
+                paymentMethod: 'online',
+                // 50 off a 200 fare, absorbed by the platform
+                fare: 150,
+                fareBreakdown: { total: 200, tollsTotal: 0 },
+                earnings: { commission: 30, captainEarning: 170 }
+            } ]));
+
+            const result = await getStatement({
+                captain: { _id: 'captain-1' },
+                from: '2026-10-01T00:00:00Z',
+                to: '2026-10-19T00:00:00Z'
+            });
+
+            expect(rideModel.find.mock.results[ 0 ].value.select).toHaveBeenCalledWith(expect.stringContaining('fareBreakdown.total'));
+            expect(result.rides[ 0 ]).toMatchObject({ fare: 200, commission: 30, earning: 170 });
+            expect(result.totals).toMatchObject({ grossFares: 200, rideEarnings: 170, netEarnings: 170 });
+        });
+
+        test('should export one CSV row per ride, incentive and payout', () => {
+            const lines = renderCsv(statement).trim().split('\n');
+
+            expect(lines[ 0 ]).toBe('date,type,reference,description,fare,tolls,commission,amount,status');
+            expect(lines[ 1 ]).toMatch(/^2026-10-05 15:50,ride,ride-1,/);
+            expect(lines[ 1 ]).toContain(',210,30,36,174,cash');
+            expect(lines[ 2 ]).toBe('2026-10-05 15:50,incentive,,5 rides today,,,,100,');
+            expect(lines[ 3 ]).toBe('2026-10-10 13:30,payout,UTR123,Payout,,,,-250,paid');
+        });
+
+        test('should quote separators and defuse spreadsheet formulas', () => {
+            const csv = renderCsv(statement);
+
+            expect(csv).toContain('"Connaught Place, Delhi -> =HYPERLINK(""http://evil"")"');
+            expect(renderCsv({
+                ...statement,
+                rides: [ { ...statement.rides[ 0 ], pickup: '=1+1', destination: 'x' } ]
+            })).toContain(',\'=1+1 -> x,');
+        });
+
+        test('should render a PDF', async () => {
+            const pdf = await renderPdf(statement);
+
+            expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+        });
+    });
+});
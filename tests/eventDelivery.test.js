@@ -0,0 +1,138 @@
+jest.mock('../config/redis.js', () => {
+    const store = new Map();
+    return {
+        redisManager: {
+            isConnected: true,
+            store,
+            increment: jest.fn(async (key) => {
+                store.set(key, (store.get(key) || 0) + 1);
+                return store.get(key);
+            }),
+            appendToStream: jest.fn(async (key, id, value, { maxLength }) => {
+                if (!store.has(key)) store.set(key, []);
+                const stream = store.get(key);
+                stream.push({ id, value });
+                stream.splice(0, Math.max(stream.length - maxLength, 0));
+                return true;
+            }),
+            readStream: jest.fn(async (key, fromId, count) => {
+                const from = Number(fromId.split('-')[ 0 ]);
+                return (store.get(key) || []).filter(entry => Number(entry.id.split('-')[ 0 ]) >= from).slice(0, count);
+            }),
+            setHashField: jest.fn(async (key, field, value) => {
+                if (!store.has(key)) store.set(key, {});
+                store.get(key)[ field ] = value;
+                return true;
+            }),
+            getHash: jest.fn(async (key) => ({ ...(store.get(key) || {}) }))
+        }
+    };
+});
+
+const { redisManager } = require('../config/redis.js');
+const eventDeliveryService = require('../services/eventDelivery.service.js');
+
+describe('Socket Event Delivery', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisManager.store.clear();
+        redisManager.isConnected = true;
+    });
+
+    test('should number events per recipient and keep them in a capped stream', async () => {
+        const first = await eventDeliveryService.record('user:u1', 'ride-confirmed', { rideId: 'r1' });
+        const second = await eventDeliveryService.record('user:u1', 'ride-started', { rideId: 'r1' });
+        const other = await eventDeliveryService.record('user:u2', 'ride-confirmed', { rideId: 'r2' });
+
+        expect([ first.seq, second.seq, other.seq ]).toEqual([ 1, 2, 1 ]);
+        expect(redisManager.appendToStream).toHaveBeenCalledWith(
+            'socket_events:user:u1', '2-0', expect.objectContaining({ event: 'ride-started', data: { rideId: 'r1' } }),
+            { maxLength: eventDeliveryService.DELIVERY_CONFIG.maxEvents, ttl: eventDeliveryService.DELIVERY_CONFIG.ttlSeconds }
+        );
+    });
+
+    test('should replay what came after the last sequence the device saw', async () => {
+        for (const event of [ 'ride-confirmed', 'ride-started', 'ride-ended' ]) {
+            await eventDeliveryService.record('user:u1', event, {});
+        }
+
+        const { events, complete } = await eventDeliveryService.eventsSince('user:u1', 1);
+
+        expect(events.map(({ seq, event }) => [ seq, event ])).toEqual([ [ 2, 'ride-started' ], [ 3, 'ride-ended' ] ]);
+        expect(complete).toBe(true);
+        await expect(eventDeliveryService.eventsSince('user:u1', 3)).resolves.toEqual({ events: [], complete: true });
+    });
+
+    test('should flag a replay whose oldest events were already trimmed', async () => {
+        redisManager.store.set('socket_events:user:u1', [ { id: '5-0', value: { event: 'ride-ended', data: {} } } ]);
+
+        const { events, complete } = await eventDeliveryService.eventsSince('user:u1', 2);
+
+        expect(events).toHaveLength(1);
+        expect(complete).toBe(false);
+    });
+
+    test('should only move acknowledgements forward, per device', async () => {
+        await expect(eventDeliveryService.acknowledge('captain:c1', 'phone', 4)).resolves.toBe(true);
+        await expect(eventDeliveryService.acknowledge('captain:c1', 'phone', 2)).resolves.toBe(false);
+        await eventDeliveryService.acknowledge('captain:c1', 'tablet', 1);
+
+        await expect(eventDeliveryService.lastAcknowledged('captain:c1', 'phone')).resolves.toBe(4);
+        await expect(eventDeliveryService.lastAcknowledged('captain:c1', 'tablet')).resolves.toBe(1);
+        await expect(eventDeliveryService.lastAcknowledged('captain:c1', 'laptop')).resolves.toBeNull();
+        await expect(eventDeliveryService.acknowledge('captain:c1', 'phone', 'x')).resolves.toBe(false);
+    });
+
+    test('should keep events in memory while Redis is down', async () => {
+        redisManager.isConnected = false;
+
+        await eventDeliveryService.record('captain:c9', 'new-ride', { rideId: 'r1' });
+        await eventDeliveryService.record('captain:c9', 'ride-cancelled', { rideId: 'r1' });
+        await eventDeliveryService.acknowledge('captain:c9', 'default', 1);
+
+        const { events } = await eventDeliveryService.eventsSince('captain:c9', 1);
+        expect(events.map(event => event.event)).toEqual([ 'ride-cancelled' ]);
+        await expect(eventDeliveryService.lastAcknowledged('captain:c9', 'default')).resolves.toBe(1);
+        expect(redisManager.increment).not.toHaveBeenCalled();
+    });
+
+    describe('in-memory fallback limits', () => {
+        const { DELIVERY_CONFIG } = eventDeliveryService;
+        const maxRecipients = DELIVERY_CONFIG.localMaxRecipients;
+
+        beforeEach(() => {
+            redisManager.isConnected = false;
+        });
+
+        afterEach(() => {
+            DELIVERY_CONFIG.localMaxRecipients = maxRecipients;
+            jest.restoreAllMocks();
+        });
+
+        test('should drop the least recently used recipients beyond the cap', async () => {
+            DELIVERY_CONFIG.localMaxRecipients = 2;
+
+            await eventDeliveryService.record('user:lru1', 'ride-confirmed', {});
+            await eventDeliveryService.record('user:lru2', 'ride-confirmed', {});
+            await eventDeliveryService.record('user:lru1', 'ride-started', {});
+            await eventDeliveryService.record('user:lru3', 'ride-confirmed', {});
+
+            await expect(eventDeliveryService.eventsSince('user:lru1', 0)).resolves.toMatchObject({ events: [ {}, {} ] });
+            await expect(eventDeliveryService.eventsSince('user:lru2', 0)).resolves.toEqual({ events: [], complete: true });
+        });
+
+        test('should drop idle recipients and carry on above their sequence', async () => {
+            const now = Date.now();
+            await eventDeliveryService.record('user:idle', 'ride-confirmed', {});
+            const last = await eventDeliveryService.record('user:idle', 'ride-started', {});
+
+            jest.spyOn(Date, 'now').mockReturnValue(now + DELIVERY_CONFIG.ttlSeconds * 1000);
+            await eventDeliveryService.record('user:other', 'ride-confirmed', {});
+            const next = await eventDeliveryService.record('user:idle', 'ride-ended', {});
+
+            expect(next.seq).toBeGreaterThan(last.seq);
+            // A device that had not caught up missed what was dropped and has to reload
+            await expect(eventDeliveryService.eventsSince('user:idle', last.seq - 1)).resolves.toMatchObject({ complete: false });
+        });
+    });
+});
@@ -0,0 +1,255 @@
+jest.mock('../models/fareRule.model.js', () => ({
+    find: jest.fn(),
+    findById: jest.fn(),
+    DEFAULT_CITY: 'default'
+}));
+
+jest.mock('../services/maps.service.js', () => ({
+    getDistanceTime: jest.fn(),
+    getAddressCoordinate: jest.fn()
+}));
+
+jest.mock('../services/surge.service.js', () => ({
+    getSurge: jest.fn()
+}));
+
+const fareRuleModel = require('../models/fareRule.model.js');
+const mapService = require('../services/maps.service.js');
+const surgeService = require('../services/surge.service.js');
+const {
+    calculateFare,
+    calculateFinalFare,
+    resolveFareRules,
+    priceTrip
+} = require('../services/fare.service.js');
+
+const findResolving = (rules) => {
+    const query = {
+        sort: jest.fn(() => query),
+        lean: jest.fn(() => Promise.resolve(rules))
+    };
+    return query;
+};
+
+const rule = (overrides) => ({
+    _id: `rule-${Math.random()}`,
+    city: 'default',
+    vehicleType: 'car',
+    baseFare: 40,
+    perKmRate: 12,
+    perMinuteRate: 2,
+    minimumFare: 0,
+    bookingFee: 0,
+    version: 1,
+    ...overrides
+});
+
+describe('Fare Rules', () => {
+    const pickup = { ltd: 28.6315, lng: 77.2167 };
+    const distanceTime = { distance: { value: 5000 }, duration: { value: 600 } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('calculateFare', () => {
+        test('should add distance and time to the base fare', () => {
+            // 40 + 5km * 12 + 10min * 2
+            expect(calculateFare(rule(), distanceTime)).toBe(120);
+        });
+
+        test('should surge the trip fare but not the booking fee', () => {
+            expect(calculateFare(rule({ bookingFee: 10 }), distanceTime, 1.5)).toBe(190);
+        });
+
+        test('should apply the minimum fare before the booking fee', () => {
+            const shortTrip = { distance: { value: 500 }, duration: { value: 60 } };
+
+            expect(calculateFare(rule({ minimumFare: 80, bookingFee: 10 }), shortTrip)).toBe(90);
+        });
+    });
+
+    describe('resolveFareRules', () => {
+        test('should fall back to the built-in rates when nothing is configured', async () => {
+            fareRuleModel.find.mockReturnValue(findResolving([]));
+
+            const rules = await resolveFareRules(pickup);
+
+            expect(rules.car).toMatchObject({ baseFare: 50, perKmRate: 15, perMinuteRate: 3, version: 0 });
+            expect(rules.auto.version).toBe(0);
+            expect(rules.moto.version).toBe(0);
+        });
+
+        test('should only consider active rules in force that cover the pickup point', async () => {
+            fareRuleModel.find.mockReturnValue(findResolving([]));
+            const at = new Date('2026-01-01T00:00:00Z');
+
+            await resolveFareRules(pickup, at);
+
+            const filter = fareRuleModel.find.mock.calls[ 0 ][ 0 ];
+            expect(filter.active).toBe(true);
+            expect(filter.effectiveFrom).toEqual({ $lte: at });
+            expect(filter.$or[ 0 ].serviceArea.$geoIntersects.$geometry.coordinates).toEqual([ pickup.lng, pickup.ltd ]);
+        });
+
+        test('should prefer zone rules, then city rules, then the default city', async () => {
+            const fallback = rule({ city: 'default' });
+            const city = rule({ city: 'delhi' });
+            const zone = rule({ city: 'delhi', zone: 'airport' });
+            const autoCity = rule({ city: 'delhi', vehicleType: 'auto' });
+
+            fareRuleModel.find.mockReturnValue(findResolving([ fallback, city, autoCity, zone ]));
+
+            const rules = await resolveFareRules(pickup);
+
+            expect(rules.car).toBe(zone);
+            expect(rules.auto).toBe(autoCity);
+            expect(rules.moto.version).toBe(0);
+        });
+
+        test('should keep the newest version within the same tier', async () => {
+            // Query results come back newest effectiveFrom / highest version first
+            const newer = rule({ city: 'delhi', version: 3 });
+            const older = rule({ city: 'delhi', version: 2 });
+
+            fareRuleModel.find.mockReturnValue(findResolving([ newer, older ]));
+
+            const rules = await resolveFareRules(pickup);
+
+            expect(rules.car).toBe(newer);
+        });
+    });
+
+    describe('priceTrip', () => {
+        beforeEach(() => {
+            mapService.getDistanceTime.mockResolvedValue(distanceTime);
+            mapService.getAddressCoordinate.mockResolvedValue(pickup);
+            surgeService.getSurge.mockResolvedValue({ multiplier: 1, cell: 'ttnfvh', demand: 0, supply: 4 });
+        });
+
+        test('should price every vehicle type and reference the rule behind each', async () => {
+            fareRuleModel.find.mockReturnValue(findResolving([
+                rule({ _id: 'delhi-car', city: 'delhi', version: 4 })
+            ]));
+
+            const { fares, fareRules } = await priceTrip('Connaught Place', 'India Gate');
+
+            expect(fares).toEqual({ auto: 100, car: 120, moto: 75 });
+            expect(fareRules.car).toEqual({ rule: 'delhi-car', version: 4, city: 'delhi', zone: undefined });
+            expect(fareRules.auto).toEqual({ rule: undefined, version: 0, city: 'default', zone: undefined });
+        });
+
+        test('should apply the surge around the pickup point', async () => {
+            surgeService.getSurge.mockResolvedValue({ multiplier: 2, cell: 'ttnfvh', demand: 8, supply: 4 });
+            fareRuleModel.find.mockReturnValue(findResolving([]));
+
+            const { fares, surge } = await priceTrip('Connaught Place', 'India Gate');
+
+            expect(surgeService.getSurge).toHaveBeenCalledWith(pickup, expect.any(Number));
+            expect(surge).toEqual({ multiplier: 2, cell: 'ttnfvh' });
+            // Built-in car rate: (50 + 5km * 15 + 10min * 3) * 2
+            expect(fares.car).toBe(310);
+        });
+
+        test('should require pickup and destination', async () => {
+            await expect(priceTrip('', 'India Gate')).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('calculateFinalFare', () => {
+        const startedAt = new Date('2026-10-19T10:00:00Z');
+        const endedAt = new Date('2026-10-19T10:20:00Z');
+
+        // ~1.1km north every minute for ten minutes, then parked for six
+        const trail = [
+            ...Array.from({ length: 11 }, (_, i) => ({ ltd: 28.6 + i * 0.01, lng: 77.2, t: startedAt.getTime() + i * 60000 })),
+            ...Array.from({ length: 6 }, (_, i) => ({ ltd: 28.7, lng: 77.2, t: startedAt.getTime() + (11 + i) * 60000 }))
+        ];
+
+        const ride = (overrides) => ({
+            vehicleType: 'car',
+            fare: 120,
+            distance: 5000,
+            startedAt,
+            fareRule: { rule: 'rule-1', version: 2, city: 'delhi' },
+            surge: { multiplier: 1 },
+            ...overrides
+        });
+
+        const leanResolving = (value) => ({ lean: jest.fn(() => Promise.resolve(value)) });
+
+        beforeEach(() => {
+            fareRuleModel.findById.mockReturnValue(leanResolving(rule({
+                _id: 'rule-1',
+                city: 'delhi',
+                version: 2,
+                waitingRatePerMinute: 1,
+                freeWaitingMinutes: 3,
+                bookingFee: 5
+            })));
+        });
+
+        test('should price the trail distance and the actual elapsed time', async () => {
+            const breakdown = await calculateFinalFare(ride(), { trail, endedAt });
+
+            expect(fareRuleModel.findById).toHaveBeenCalledWith('rule-1');
+            expect(breakdown.distanceSource).toBe('trail');
+            expect(breakdown.distance).toBeGreaterThan(11000);
+            expect(breakdown.distance).toBeLessThan(11200);
+            expect(breakdown.duration).toBe(1200);
+            expect(breakdown.waitingTime).toBe(360);
+            expect(breakdown.estimatedFare).toBe(120);
+            expect(breakdown.fareRule).toMatchObject({ rule: 'rule-1', version: 2 });
+        });
+
+        test('should bill waiting beyond the free allowance at the waiting rate', async () => {
+            const breakdown = await calculateFinalFare(ride(), { trail, endedAt });
+
+            // 6 minutes parked, 3 free: 3 minutes of waiting, 17 minutes of trip time
+            expect(breakdown.waitingFare).toBe(3);
+            expect(breakdown.timeFare).toBe(34);
+        });
+
+        test('should add tolls and the booking fee and round the total', async () => {
+            const breakdown = await calculateFinalFare(ride(), {
+                trail,
+                endedAt,
+                tolls: [ { name: 'DND Flyway', amount: 32.5 }, { amount: 10 } ]
+            });
+
+            expect(breakdown.tolls).toEqual([ { name: 'DND Flyway', amount: 32.5 }, { name: 'Toll', amount: 10 } ]);
+            expect(breakdown.tollsTotal).toBe(42.5);
+
+            const items = breakdown.baseFare + breakdown.distanceFare + breakdown.timeFare + breakdown.waitingFare
+                + breakdown.minimumFareAdjustment + breakdown.surgeAmount + breakdown.bookingFee + breakdown.tollsTotal;
+            expect(breakdown.total).toBe(Math.round(items));
+            expect(breakdown.rounding).toBeCloseTo(breakdown.total - items, 2);
+        });
+
+        test('should surge the trip fare only', async () => {
+            const plain = await calculateFinalFare(ride(), { trail, endedAt, tolls: [ { amount: 20 } ] });
+            const surged = await calculateFinalFare(ride({ surge: { multiplier: 1.5 } }), { trail, endedAt, tolls: [ { amount: 20 } ] });
+
+            const tripFare = plain.baseFare + plain.distanceFare + plain.timeFare;
+            expect(surged.surgeAmount).toBeCloseTo(tripFare * 0.5, 1);
+            expect(surged.waitingFare).toBe(plain.waitingFare);
+            expect(surged.tollsTotal).toBe(plain.tollsTotal);
+        });
+
+        test('should fall back to the booked distance without a trail', async () => {
+            const breakdown = await calculateFinalFare(ride(), { trail: [], endedAt });
+
+            expect(breakdown.distanceSource).toBe('estimate');
+            expect(breakdown.distance).toBe(5000);
+            expect(breakdown.waitingTime).toBe(0);
+        });
+
+        test('should use the built-in rates for rides priced without a rule', async () => {
+            const breakdown = await calculateFinalFare(ride({ fareRule: { version: 0, city: 'default' } }), { trail: [], endedAt });
+
+            expect(fareRuleModel.findById).not.toHaveBeenCalled();
+            // 50 + 5km * 15 + 20min * 3
+            expect(breakdown.total).toBe(185);
+        });
+    });
+});
@@ -0,0 +1,255 @@
+jest.mock('../config/redis.js', () => {
+    const entries = new Map();
+    return {
+        redisManager: {
+            isConnected: true,
+            entries,
+            get: jest.fn(async (key) => entries.has(key) ? JSON.parse(entries.get(key)) : null),
+            set: jest.fn(async (key, value) => {
+                entries.set(key, JSON.stringify(value));
+                return true;
+            }),
+            getAndDelete: jest.fn(async (key) => {
+                const value = entries.get(key);
+                entries.delete(key);
+                return value ? JSON.parse(value) : null;
+            })
+        }
+    };
+});
+
+jest.mock('../services/maps.service.js', () => ({
+    normalizeAddress: (text) => String(text).toLowerCase().replace(/[.,;:#]+/g, ' ').replace(/\s+/g, ' ').trim()
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { redisManager } = require('../config/redis.js');
+const { issueQuotes, verifyQuote, claimQuote, releaseQuote } = require('../services/fareQuote.service.js');
+
+describe('Fare Quotes', () => {
+    const request = {
+        userId: 'user-1',
+        pickup: 'Connaught Place, Delhi',
+        destination: 'India Gate, Delhi'
+    };
+
+    const distanceTime = {
+        distance: { value: 4200 },
+        duration: { value: 780 }
+    };
+
+    const issue = () => issueQuotes({
+        ...request,
+        fares: { auto: 98, car: 152, moto: 67 },
+        distanceTime
+    });
+
+    beforeEach(() => {
+        redisManager.entries.clear();
+        redisManager.isConnected = true;
+    });
+
+    test('should issue one signed quote per vehicle type', async () => {
+        const { quotes, expiresAt } = await issue();
+
+        expect(Object.keys(quotes)).toEqual([ 'auto', 'car', 'moto' ]);
+        expect(quotes.car.fare).toBe(152);
+        expect(quotes.car.quoteId).toMatch(/^[a-f0-9]{32}\.[A-Za-z0-9_-]{43}$/);
+        expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+        expect(redisManager.entries.size).toBe(3);
+    });
+
+    test('should honour the quoted fare, distance and duration', async () => {
+        const { quotes } = await issue();
+
+        const quote = await verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' });
+
+        expect(quote).toEqual({ fare: 152, distance: 4200, duration: 780, vehicleType: 'car' });
+    });
+
+    test('should accept the same addresses written differently', async () => {
+        const { quotes } = await issue();
+
+        await expect(verifyQuote(quotes.auto.quoteId, {
+            ...request,
+            pickup: '  connaught place  delhi.',
+            vehicleType: 'auto'
+        })).resolves.toMatchObject({ fare: 98 });
+    });
+
+    test('should only be usable once', async () => {
+        const { quotes } = await issue();
+        const booking = { ...request, vehicleType: 'moto' };
+
+        await verifyQuote(quotes.moto.quoteId, booking);
+        await claimQuote(quotes.moto.quoteId);
+
+        await expect(verifyQuote(quotes.moto.quoteId, booking))
+            .rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    test('should only consume the quote once it is claimed', async () => {
+        const { quotes } = await issue();
+        const booking = { ...request, vehicleType: 'car' };
+
+        await verifyQuote(quotes.car.quoteId, booking);
+        await expect(verifyQuote(quotes.car.quoteId, booking)).resolves.toMatchObject({ fare: 152 });
+
+        await claimQuote(quotes.car.quoteId);
+
+        await expect(claimQuote(quotes.car.quoteId)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(verifyQuote(quotes.car.quoteId, booking)).rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    test('should reject an expired quote', async () => {
+        const { quotes } = await issue();
+        const [ id ] = quotes.car.quoteId.split('.');
+
+        // Redis normally evicts it; a stale copy must not be honoured either
+        const stored = JSON.parse(redisManager.entries.get(`fare_quote:${id}`));
+        stored.expiresAt = new Date(Date.now() - 1000).toISOString();
+        redisManager.entries.set(`fare_quote:${id}`, JSON.stringify(stored));
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    test('should reject a quote id with a forged signature', async () => {
+        const { quotes } = await issue();
+        const [ id, signature ] = quotes.car.quoteId.split('.');
+        const forged = `${id}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+        await expect(verifyQuote(forged, { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Invalid fare quote' });
+    });
+
+    test('should reject a quote whose stored fare was altered', async () => {
+        const { quotes } = await issue();
+        const [ id ] = quotes.car.quoteId.split('.');
+
+        const stored = JSON.parse(redisManager.entries.get(`fare_quote:${id}`));
+        stored.fare = 1;
+        redisManager.entries.set(`fare_quote:${id}`, JSON.stringify(stored));
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject malformed quote ids', async () => {
+        await expect(verifyQuote('not-a-quote', { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should reject a quote used for another vehicle type or route', async () => {
+        const { quotes } = await issue();
+
+        await expect(verifyQuote(quotes.auto.quoteId, { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(verifyQuote(quotes.auto.quoteId, { ...request, destination: 'Red Fort, Delhi', vehicleType: 'auto' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        // Mismatches must not burn the quote
+        await expect(verifyQuote(quotes.auto.quoteId, { ...request, vehicleType: 'auto' }))
+            .resolves.toMatchObject({ fare: 98 });
+    });
+
+    test('should require surge above the threshold to be accepted', async () => {
+        const { quotes } = await issueQuotes({
+            ...request,
+            fares: { car: 228 },
+            surge: { multiplier: 1.5, cell: 'ttnfvh' },
+            distanceTime
+        });
+        const booking = { ...request, vehicleType: 'car' };
+
+        await expect(verifyQuote(quotes.car.quoteId, booking))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('1.5x') });
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...booking, acceptSurge: true }))
+            .resolves.toMatchObject({ fare: 228, surge: { multiplier: 1.5, cell: 'ttnfvh' } });
+    });
+
+    test('should not ask riders to accept mild surge', async () => {
+        const { quotes } = await issueQuotes({
+            ...request,
+            fares: { car: 182 },
+            surge: { multiplier: 1.2, cell: 'ttnfvh' },
+            distanceTime
+        });
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' }))
+            .resolves.toMatchObject({ fare: 182 });
+    });
+
+    test('should reject a quote issued to another user', async () => {
+        const { quotes } = await issue();
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, userId: 'user-2', vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('should show the discounted fare and keep the discount on the quote', async () => {
+        const discount = { source: 'promo', code: 'SAVE20', type: 'percentage', value: 20, amount: 30.4 };
+        const { quotes } = await issueQuotes({
+            ...request,
+            fares: { auto: 98, car: 152 },
+            discounts: { car: discount },
+            distanceTime
+        });
+
+        expect(quotes.car).toMatchObject({ fare: 121.6, discount });
+        expect(quotes.auto).toEqual({ quoteId: expect.any(String), fare: 98 });
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' }))
+            .resolves.toMatchObject({ fare: 152, discount });
+    });
+
+    test('should reject a quote whose stored discount was altered', async () => {
+        const { quotes } = await issueQuotes({
+            ...request,
+            fares: { car: 152 },
+            discounts: { car: { source: 'promo', code: 'SAVE20', type: 'flat', value: 20, amount: 20 } },
+            distanceTime
+        });
+
+        const [ id ] = quotes.car.quoteId.split('.');
+        const stored = JSON.parse(redisManager.entries.get(`fare_quote:${id}`));
+        stored.discount.amount = 152;
+        redisManager.entries.set(`fare_quote:${id}`, JSON.stringify(stored));
+
+        await expect(verifyQuote(quotes.car.quoteId, { ...request, vehicleType: 'car' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should make a released quote usable again', async () => {
+        const { quotes } = await issue();
+        const booking = { ...request, vehicleType: 'car' };
+
+        const claimed = await claimQuote(quotes.car.quoteId);
+        await expect(releaseQuote(quotes.car.quoteId, claimed)).resolves.toBe(true);
+
+        await expect(verifyQuote(quotes.car.quoteId, booking)).resolves.toMatchObject({ fare: 152 });
+        await expect(claimQuote(quotes.car.quoteId)).resolves.toBeDefined();
+    });
+
+    test('should not bring back a quote that expired while claimed', async () => {
+        const { quotes } = await issue();
+
+        const claimed = await claimQuote(quotes.car.quoteId);
+
+        await expect(releaseQuote(quotes.car.quoteId, { ...claimed, expiresAt: new Date(Date.now() - 1000).toISOString() }))
+            .resolves.toBe(false);
+        expect(redisManager.entries.size).toBe(2);
+    });
+
+    test('should keep working on the local fallback while Redis is down', async () => {
+        redisManager.isConnected = false;
+        const { quotes } = await issue();
+        const booking = { ...request, vehicleType: 'car' };
+
+        expect(redisManager.entries.size).toBe(0);
+        await expect(verifyQuote(quotes.car.quoteId, booking)).resolves.toMatchObject({ fare: 152 });
+        await claimQuote(quotes.car.quoteId);
+        await expect(verifyQuote(quotes.car.quoteId, booking)).rejects.toMatchObject({ statusCode: 410 });
+    });
+});
@@ -0,0 +1,138 @@
+jest.mock('../config/redis.js', () => {
+    const store = new Map();
+    return {
+        redisManager: {
+            isConnected: true,
+            store,
+            get: jest.fn(async (key) => store.has(key) ? store.get(key) : null),
+            set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+            del: jest.fn(async (key) => store.delete(key)),
+            setHashField: jest.fn(async (key, field, value) => {
+                if (!store.has(key)) store.set(key, {});
+                store.get(key)[ field ] = value;
+                return true;
+            }),
+            takeHash: jest.fn(async (key) => {
+                const hash = store.get(key) || {};
+                store.delete(key);
+                return hash;
+            })
+        }
+    };
+});
+
+jest.mock('../models/captain.model.js', () => ({
+    bulkWrite: jest.fn()
+}));
+
+jest.mock('../services/maps.service.js', () => ({
+    getDistanceTime: jest.fn()
+}));
+
+jest.mock('../socket', () => ({
+    sendMessageToRide: jest.fn()
+}));
+
+const { redisManager } = require('../config/redis.js');
+const captainModel = require('../models/captain.model.js');
+const mapsService = require('../services/maps.service.js');
+const { sendMessageToRide } = require('../socket');
+const liveLocationService = require('../services/liveLocation.service.js');
+
+describe('Live Captain Location', () => {
+    const { broadcastIntervalMs, etaIntervalMs } = liveLocationService.LIVE_LOCATION_CONFIG;
+    const acceptedRide = { _id: 'ride-1', user: 'user-1', captain: 'captain-1', status: 'accepted', pickup: 'MG Road, Bengaluru' };
+    const point = { ltd: 12.97161, lng: 77.59456 };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        redisManager.store.clear();
+        redisManager.isConnected = true;
+        await liveLocationService.unfollowRide('captain-1');
+        mapsService.getDistanceTime.mockResolvedValue({
+            distance: { text: '1.2 km', value: 1200 },
+            duration: { text: '4 mins', value: 240 }
+        });
+    });
+
+    test('should send the location and ETA to pickup to the ride room', async () => {
+        await liveLocationService.followRide(acceptedRide);
+
+        const message = await liveLocationService.recordLocation('captain-1', point, 1000);
+
+        expect(mapsService.getDistanceTime).toHaveBeenCalledWith('12.9716,77.5946', 'MG Road, Bengaluru');
+        expect(sendMessageToRide).toHaveBeenCalledWith('ride-1', message);
+        expect(message.data).toMatchObject({
+            rideId: 'ride-1',
+            location: point,
+            etaToPickup: { distance: 1200, duration: 240, text: '4 mins' }
+        });
+    });
+
+    test('should throttle updates and reuse the ETA between recomputes', async () => {
+        await liveLocationService.followRide(acceptedRide);
+
+        await liveLocationService.recordLocation('captain-1', point, 1000);
+        await expect(liveLocationService.recordLocation('captain-1', point, 1000 + broadcastIntervalMs - 1)).resolves.toBeNull();
+        const next = await liveLocationService.recordLocation('captain-1', point, 1000 + broadcastIntervalMs);
+
+        expect(sendMessageToRide).toHaveBeenCalledTimes(2);
+        expect(mapsService.getDistanceTime).toHaveBeenCalledTimes(1);
+        expect(next.data.etaToPickup.duration).toBe(240);
+
+        await liveLocationService.recordLocation('captain-1', point, 1000 + etaIntervalMs);
+        expect(mapsService.getDistanceTime).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drop the ETA once the ride has started and stop after it ends', async () => {
+        await liveLocationService.followRide({ ...acceptedRide, status: 'ongoing' });
+
+        const message = await liveLocationService.recordLocation('captain-1', point, 1000);
+        expect(message.data.etaToPickup).toBeUndefined();
+        expect(mapsService.getDistanceTime).not.toHaveBeenCalled();
+
+        await liveLocationService.unfollowRide('captain-1');
+        await expect(liveLocationService.recordLocation('captain-1', point, 5000)).resolves.toBeNull();
+        expect(sendMessageToRide).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the last ETA when the maps provider fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await liveLocationService.followRide(acceptedRide);
+        await liveLocationService.recordLocation('captain-1', point, 1000);
+
+        mapsService.getDistanceTime.mockRejectedValue(new Error('Unable to fetch distance and time'));
+        const message = await liveLocationService.recordLocation('captain-1', point, 1000 + etaIntervalMs);
+
+        expect(message.data.etaToPickup.duration).toBe(240);
+        console.error.mockRestore();
+    });
+
+    test('should batch the latest location of each captain into one write', async () => {
+        await liveLocationService.recordLocation('captain-1', { ltd: 12.9, lng: 77.5 }, 1000);
+        await liveLocationService.recordLocation('captain-1', point, 2000);
+        await liveLocationService.recordLocation('captain-2', { ltd: 13, lng: 77.6 }, 2000);
+
+        await expect(liveLocationService.flushLocations()).resolves.toBe(2);
+
+        expect(captainModel.bulkWrite).toHaveBeenCalledTimes(1);
+        expect(captainModel.bulkWrite.mock.calls[ 0 ][ 0 ]).toEqual([
+            { updateOne: { filter: { _id: 'captain-1' }, update: { location: { type: 'Point', coordinates: [ point.lng, point.ltd ] } } } },
+            { updateOne: { filter: { _id: 'captain-2' }, update: { location: { type: 'Point', coordinates: [ 77.6, 13 ] } } } }
+        ]);
+
+        await expect(liveLocationService.flushLocations()).resolves.toBe(0);
+        expect(captainModel.bulkWrite).toHaveBeenCalledTimes(1);
+    });
+
+    test('should buffer locations in memory while Redis is down', async () => {
+        redisManager.isConnected = false;
+
+        await liveLocationService.recordLocation('captain-3', point, 1000);
+        await liveLocationService.flushLocations();
+
+        expect(captainModel.bulkWrite).toHaveBeenCalledWith([
+            expect.objectContaining({ updateOne: expect.objectContaining({ filter: { _id: 'captain-3' } }) })
+        ], { ordered: false });
+    });
+});
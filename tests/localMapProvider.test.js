@@ -0,0 +1,65 @@
+const localProvider = require('../services/mapProviders/local.provider.js');
+const { haversineDistance } = require('../utils/geo.js');
+
+describe('Local Maps Provider (offline)', () => {
+    describe('getAddressCoordinate', () => {
+        test('resolves places mentioned in a free-form address', async () => {
+            await expect(localProvider.getAddressCoordinate('Flat 4, 5th Cross, Koramangala, Bangalore'))
+                .resolves.toEqual({ ltd: 12.9352, lng: 77.6245 });
+        });
+
+        test('prefers a specific place over the city it is in', async () => {
+            await expect(localProvider.getAddressCoordinate('Times Square, New York'))
+                .resolves.toEqual({ ltd: 40.7580, lng: -73.9855 });
+        });
+
+        test('falls back to the city when no place matches', async () => {
+            await expect(localProvider.getAddressCoordinate('123 Main St, New York, NY'))
+                .resolves.toEqual({ ltd: 40.7128, lng: -74.0060 });
+        });
+
+        test('accepts raw "lat,lng" coordinates', async () => {
+            await expect(localProvider.getAddressCoordinate('12.9716, 77.5946'))
+                .resolves.toEqual({ ltd: 12.9716, lng: 77.5946 });
+        });
+
+        test('rejects unknown addresses', async () => {
+            await expect(localProvider.getAddressCoordinate('Nowhere Lane, Atlantis'))
+                .rejects.toThrow('Unable to fetch coordinates');
+        });
+    });
+
+    describe('getDistanceTime', () => {
+        test('returns a Google-shaped element derived from haversine distance and average speed', async () => {
+            const result = await localProvider.getDistanceTime('MG Road, Bengaluru', 'Whitefield, Bengaluru');
+
+            const straightLine = haversineDistance({ ltd: 12.9756, lng: 77.6066 }, { ltd: 12.9698, lng: 77.7500 });
+            const expectedMeters = Math.round(straightLine * localProvider.config.routeFactor);
+            const expectedSeconds = Math.round(expectedMeters / (localProvider.config.averageSpeedKmph / 3.6));
+
+            expect(result.status).toBe('OK');
+            expect(result.distance.value).toBe(expectedMeters);
+            expect(result.duration.value).toBe(expectedSeconds);
+            expect(result.distance.text).toMatch(/km$/);
+            expect(result.duration.text).toMatch(/min/);
+        });
+    });
+
+    describe('getAutoCompleteSuggestions', () => {
+        test('suggests gazetteer entries containing the input', async () => {
+            const suggestions = await localProvider.getAutoCompleteSuggestions('airport');
+
+            expect(suggestions.length).toBeGreaterThan(0);
+            expect(suggestions.length).toBeLessThanOrEqual(localProvider.config.maxSuggestions);
+            suggestions.forEach(suggestion => expect(suggestion.toLowerCase()).toContain('airport'));
+        });
+    });
+});
+
+describe('haversineDistance', () => {
+    test('measures one degree of latitude as roughly 111 km', () => {
+        const meters = haversineDistance({ ltd: 0, lng: 0 }, { ltd: 1, lng: 0 });
+        expect(meters).toBeGreaterThan(111000);
+        expect(meters).toBeLessThan(111400);
+    });
+});
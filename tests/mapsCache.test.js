@@ -0,0 +1,110 @@
+jest.mock('../config/redis.js', () => {
+    const entries = new Map();
+    return {
+        redisManager: {
+            entries,
+            get: jest.fn(async (key) => entries.has(key) ? entries.get(key).value : null),
+            set: jest.fn(async (key, value, ttl) => {
+                entries.set(key, { value, ttl });
+                return true;
+            })
+        }
+    };
+});
+
+jest.mock('../services/mapProviders/index.js', () => {
+    const provider = {
+        name: 'fake',
+        getAddressCoordinate: jest.fn(),
+        getDistanceTime: jest.fn(),
+        getAutoCompleteSuggestions: jest.fn()
+    };
+    return { getMapProvider: () => provider };
+});
+
+jest.mock('../models/captain.model.js', () => ({}));
+
+describe('Maps Cache', () => {
+    let mapsService;
+    let redisManager;
+    let provider;
+
+    // Fresh module per test so the hit/miss counters start at zero
+    beforeEach(() => {
+        jest.resetModules();
+        mapsService = require('../services/maps.service.js');
+        ({ redisManager } = require('../config/redis.js'));
+        provider = require('../services/mapProviders/index.js').getMapProvider();
+
+        redisManager.entries.clear();
+        provider.getAddressCoordinate.mockResolvedValue({ ltd: 12.9716, lng: 77.5946 });
+        provider.getDistanceTime.mockResolvedValue({ distance: { value: 5000 }, duration: { value: 900 } });
+        provider.getAutoCompleteSuggestions.mockResolvedValue([ 'MG Road, Bengaluru' ]);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should key entries by provider, lookup type and normalized input', async () => {
+        await mapsService.getAddressCoordinate('  12, MG Road,  Bengaluru. ');
+        await mapsService.getDistanceTime('A', 'B');
+
+        expect([ ...redisManager.entries.keys() ]).toEqual([
+            'maps:fake:geocode:12 mg road bengaluru',
+            'maps:fake:distance:a|b'
+        ]);
+    });
+
+    test('should cache each lookup type for its own TTL', async () => {
+        await mapsService.getAddressCoordinate('MG Road');
+        await mapsService.getDistanceTime('A', 'B');
+        await mapsService.getAutoCompleteSuggestions('MG');
+
+        expect(redisManager.entries.get('maps:fake:geocode:mg road').ttl).toBe(7 * 24 * 60 * 60);
+        expect(redisManager.entries.get('maps:fake:distance:a|b').ttl).toBe(15 * 60);
+        expect(redisManager.entries.get('maps:fake:autocomplete:mg').ttl).toBe(24 * 60 * 60);
+    });
+
+    test('should serve repeated lookups of the same address from the cache', async () => {
+        await mapsService.getAddressCoordinate('12, MG Road, Bengaluru');
+        const second = await mapsService.getAddressCoordinate('12 mg road bengaluru');
+
+        expect(second).toEqual({ ltd: 12.9716, lng: 77.5946 });
+        expect(provider.getAddressCoordinate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should share one upstream call between identical concurrent lookups', async () => {
+        const results = await Promise.all([
+            mapsService.getDistanceTime('A', 'B'),
+            mapsService.getDistanceTime('a', 'b'),
+            mapsService.getDistanceTime('A', 'B')
+        ]);
+
+        expect(provider.getDistanceTime).toHaveBeenCalledTimes(1);
+        expect(results[ 1 ]).toBe(results[ 0 ]);
+        expect(results[ 2 ]).toBe(results[ 0 ]);
+    });
+
+    test('should not cache failures', async () => {
+        provider.getAddressCoordinate.mockRejectedValueOnce(new Error('Unable to fetch coordinates'));
+
+        await expect(mapsService.getAddressCoordinate('MG Road')).rejects.toThrow('Unable to fetch coordinates');
+        await expect(mapsService.getAddressCoordinate('MG Road')).resolves.toEqual({ ltd: 12.9716, lng: 77.5946 });
+        expect(provider.getAddressCoordinate).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report hits, misses, coalesced lookups and errors per type', async () => {
+        provider.getAutoCompleteSuggestions.mockRejectedValueOnce(new Error('Upstream down'));
+
+        await Promise.all([ mapsService.getDistanceTime('A', 'B'), mapsService.getDistanceTime('A', 'B') ]);
+        await mapsService.getDistanceTime('A', 'B');
+        await mapsService.getAutoCompleteSuggestions('MG').catch(() => {});
+
+        const stats = mapsService.getCacheStats();
+        expect(stats.distance).toEqual({ hits: 1, misses: 1, coalesced: 1, errors: 0, hitRate: 0.6667 });
+        expect(stats.autocomplete).toEqual({ hits: 0, misses: 1, coalesced: 0, errors: 1, hitRate: 0 });
+        expect(stats.geocode).toEqual({ hits: 0, misses: 0, coalesced: 0, errors: 0, hitRate: 0 });
+    });
+});
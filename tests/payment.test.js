@@ -0,0 +1,459 @@
+jest.mock('../models/payment.model.js', () => ({
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    create: jest.fn()
+}));
+
+jest.mock('../models/webhookEvent.model.js', () => ({
+    create: jest.fn()
+}));
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn(),
+    updateOne: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueue: jest.fn()
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    WALLET_CONFIG: { maxTopup: 10000 },
+    settleRide: jest.fn(),
+    recordTopup: jest.fn(),
+    recordCancellation: jest.fn(),
+    recordRefund: jest.fn()
+}));
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.PAYMENT_WEBHOOK_SECRET = 'webhook-secret';
+
+const paymentModel = require('../models/payment.model.js');
+const webhookEventModel = require('../models/webhookEvent.model.js');
+const rideModel = require('../models/ride.model.js');
+const outboxService = require('../services/outbox.service.js');
+const walletService = require('../services/wallet.service.js');
+const { EVENTS } = require('../config/kafka.js');
+const mockProvider = require('../services/paymentProviders/mock.provider.js');
+const paymentService = require('../services/payment.service.js');
+
+describe('Payments', () => {
+    const rideId = '64b7f0c2a1b2c3d4e5f60718';
+    const userId = '64b7f0c2a1b2c3d4e5f60001';
+
+    const ride = (overrides) => ({
+        _id: rideId,
+        user: userId,
+        fare: 152,
+        paymentMethod: 'online',
+        ...overrides
+    });
+
+    const payment = (overrides) => ({
+        _id: 'payment-1',
+        ride: rideId,
+        user: userId,
+        method: 'online',
+        provider: 'mock',
+        status: 'created',
+        amount: 152,
+        currency: 'INR',
+        orderId: 'order_mock_1',
+        refunds: [],
+        refundedAmount: 0,
+        ...overrides
+    });
+
+    const webhook = (body) => {
+        const rawBody = Buffer.from(JSON.stringify(body));
+        return {
+            provider: 'mock',
+            rawBody,
+            headers: { 'x-mock-signature': mockProvider.signWebhook(rawBody) },
+            body
+        };
+    };
+
+    const emittedTypes = () => outboxService.enqueue.mock.calls.map(([ type ]) => type);
+
+    // The ride as seen from inside the capture transaction, and once it has committed
+    const rideInTransaction = (value) => rideModel.findOne.mockReturnValue({
+        session: jest.fn(async () => value),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        paymentModel.create.mockImplementation(async ([ doc ]) => [ { _id: 'payment-1', refundedAmount: 0, ...doc } ]);
+        paymentModel.findOneAndUpdate.mockImplementation(async (filter, update) => payment({ ...update.$set }));
+        rideInTransaction(ride({ status: 'ongoing' }));
+    });
+
+    describe('initiatePayment', () => {
+        test('should leave a cash ride pending without a gateway order', async () => {
+            paymentModel.findOne.mockResolvedValue(null);
+
+            const created = await paymentService.initiatePayment(ride({ paymentMethod: 'cash' }));
+
+            expect(created).toMatchObject({ method: 'cash', status: 'pending', amount: 152 });
+            expect(created.orderId).toBeUndefined();
+            expect(rideModel.updateOne).not.toHaveBeenCalled();
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.INITIATED ]);
+        });
+
+        test('should create a gateway order for the quoted fare of an online ride', async () => {
+            paymentModel.findOne.mockResolvedValue(null);
+
+            const created = await paymentService.initiatePayment(ride());
+
+            expect(created).toMatchObject({ method: 'online', status: 'created', provider: 'mock', amount: 152 });
+            expect(created.orderId).toMatch(/^order_mock_/);
+            expect(rideModel.updateOne).toHaveBeenCalledWith(
+                { _id: rideId },
+                { $set: { orderId: created.orderId } },
+                { session: 'session' }
+            );
+            expect(outboxService.enqueue).toHaveBeenCalledWith(EVENTS.PAYMENT.INITIATED, expect.objectContaining({
+                aggregateType: 'payment',
+                data: expect.objectContaining({ rideId, status: 'created', amount: 152 })
+            }), { session: 'session' });
+        });
+
+        test('should return the existing payment when called again', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+
+            await expect(paymentService.initiatePayment(ride())).resolves.toMatchObject({ _id: 'payment-1' });
+            expect(paymentModel.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyPayment', () => {
+        test('should capture a payment whose provider signature checks out', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+            const checkout = mockProvider.simulateCheckout('order_mock_1');
+
+            const captured = await paymentService.verifyPayment({ rideId, ...checkout, user: { _id: userId } });
+
+            expect(captured).toMatchObject({ status: 'captured', paymentId: checkout.paymentId });
+            expect(rideModel.updateOne).toHaveBeenCalledWith(
+                { _id: rideId },
+                { $set: { paymentID: checkout.paymentId, signature: checkout.signature } },
+                { session: 'session' }
+            );
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.COMPLETED ]);
+            // Booked into the ledger only once the ride is completed
+            expect(walletService.settleRide).not.toHaveBeenCalled();
+        });
+
+        test('should settle the ride into the ledger when it is paid after completion', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+            const completed = ride({ status: 'completed', captain: 'captain-1' });
+            rideInTransaction(completed);
+
+            const captured = await paymentService.verifyPayment({
+                rideId, ...mockProvider.simulateCheckout('order_mock_1'), user: { _id: userId }
+            });
+
+            expect(walletService.settleRide).toHaveBeenCalledWith(completed, captured, 'session');
+        });
+
+        test('should reject a forged signature without touching the payment', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+            const checkout = mockProvider.simulateCheckout('order_mock_1');
+
+            await expect(paymentService.verifyPayment({
+                rideId, ...checkout, signature: 'f'.repeat(64), user: { _id: userId }
+            })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid payment signature' });
+
+            expect(paymentModel.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(outboxService.enqueue).not.toHaveBeenCalled();
+        });
+
+        test('should reject a payment made against another order', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+            const checkout = mockProvider.simulateCheckout('order_mock_other');
+
+            await expect(paymentService.verifyPayment({ rideId, ...checkout, user: { _id: userId } }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should not let another rider verify the payment', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+            const checkout = mockProvider.simulateCheckout('order_mock_1');
+
+            await expect(paymentService.verifyPayment({ rideId, ...checkout, user: { _id: 'someone-else' } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should accept payment of an order issued before the fare changed', async () => {
+            const reissued = payment({ orderId: 'order_mock_2', amount: 171, previousOrders: [ { orderId: 'order_mock_1', amount: 152 } ] });
+            paymentModel.findOne.mockResolvedValue(reissued);
+            paymentModel.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...reissued, ...update.$set }));
+
+            const captured = await paymentService.verifyPayment({
+                rideId, ...mockProvider.simulateCheckout('order_mock_1'), user: { _id: userId }
+            });
+
+            // The payment records what was paid; settlement takes the rest from the rider's wallet
+            expect(captured).toMatchObject({ status: 'captured', amount: 152 });
+            expect(paymentModel.updateOne).toHaveBeenCalledWith(
+                { _id: 'payment-1' },
+                { $set: { amount: 152 } },
+                { session: 'session' }
+            );
+        });
+
+        test('should refund what an old order paid beyond the final fare of a completed ride', async () => {
+            const reissued = payment({ orderId: 'order_mock_2', amount: 140, previousOrders: [ { orderId: 'order_mock_1', amount: 152 } ] });
+            paymentModel.findOne
+                .mockResolvedValueOnce(reissued)
+                .mockResolvedValue({ ...reissued, status: 'captured', paymentId: 'pay_1', amount: 152 });
+            paymentModel.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...reissued, ...update.$set }));
+            rideInTransaction(ride({ status: 'completed', captain: 'captain-1', fare: 140 }));
+
+            await paymentService.verifyPayment({
+                rideId, ...mockProvider.simulateCheckout('order_mock_1'), user: { _id: userId }
+            });
+
+            expect(walletService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 12 }), 'session');
+            expect(walletService.settleRide).toHaveBeenCalledTimes(1);
+            expect(walletService.recordRefund.mock.invocationCallOrder[ 0 ])
+                .toBeLessThan(walletService.settleRide.mock.invocationCallOrder[ 0 ]);
+        });
+
+        test('should treat a repeated verification of the same payment as success', async () => {
+            const checkout = mockProvider.simulateCheckout('order_mock_1');
+            paymentModel.findOne.mockResolvedValue(payment({ status: 'captured', paymentId: checkout.paymentId }));
+
+            await expect(paymentService.verifyPayment({ rideId, ...checkout, user: { _id: userId } }))
+                .resolves.toMatchObject({ status: 'captured' });
+            expect(outboxService.enqueue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleWebhook', () => {
+        beforeEach(() => {
+            webhookEventModel.create.mockImplementation(async ([ doc ]) => [ { ...doc, save: jest.fn() } ]);
+        });
+
+        test('should reject an unsigned or tampered webhook', async () => {
+            const request = webhook({ eventId: 'evt_1', type: 'captured', orderId: 'order_mock_1', paymentId: 'pay_1' });
+
+            await expect(paymentService.handleWebhook({ ...request, headers: { 'x-mock-signature': 'nope' } }))
+                .rejects.toMatchObject({ statusCode: 401 });
+            expect(webhookEventModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should capture the payment for the order in the event', async () => {
+            const result = await paymentService.handleWebhook(webhook({
+                eventId: 'evt_1', type: 'captured', orderId: 'order_mock_1', paymentId: 'pay_1'
+            }));
+
+            expect(result).toMatchObject({ duplicate: false, type: 'captured' });
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ $or: [ { orderId: 'order_mock_1' }, { 'previousOrders.orderId': 'order_mock_1' } ] }),
+                expect.objectContaining({ $set: expect.objectContaining({ status: 'captured', paymentId: 'pay_1' }) }),
+                expect.objectContaining({ session: 'session' })
+            );
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.COMPLETED ]);
+        });
+
+        test('should record the amount the provider says it captured', async () => {
+            await paymentService.handleWebhook(webhook({
+                eventId: 'evt_4', type: 'captured', orderId: 'order_mock_1', paymentId: 'pay_1', amount: 140
+            }));
+
+            expect(paymentModel.updateOne).toHaveBeenCalledWith(
+                { _id: 'payment-1' },
+                { $set: { amount: 140 } },
+                { session: 'session' }
+            );
+        });
+
+        test('should mark the payment failed with the provider reason', async () => {
+            await paymentService.handleWebhook(webhook({
+                eventId: 'evt_2', type: 'failed', orderId: 'order_mock_1', reason: 'Card declined'
+            }));
+
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                { orderId: 'order_mock_1', status: 'created' },
+                { $set: { status: 'failed', failureReason: 'Card declined' } },
+                expect.objectContaining({ session: 'session' })
+            );
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.FAILED ]);
+        });
+
+        test('should acknowledge a redelivered event without applying it again', async () => {
+            webhookEventModel.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            const result = await paymentService.handleWebhook(webhook({
+                eventId: 'evt_1', type: 'captured', orderId: 'order_mock_1', paymentId: 'pay_1'
+            }));
+
+            expect(result).toMatchObject({ duplicate: true });
+            expect(paymentModel.findOneAndUpdate).not.toHaveBeenCalled();
+            expect(outboxService.enqueue).not.toHaveBeenCalled();
+        });
+
+        test('should refuse webhooks for a provider that is not enabled', async () => {
+            await expect(paymentService.handleWebhook({ ...webhook({ eventId: 'evt_3' }), provider: 'razorpay' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('settling and refunds', () => {
+        test('should capture a cash payment for the final fare when the ride completes', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ method: 'cash', status: 'pending', orderId: undefined }));
+            rideInTransaction(ride({ status: 'completed', paymentMethod: 'cash', fare: 171 }));
+
+            await paymentService.settleRide(ride({ paymentMethod: 'cash', fare: 171 }));
+
+            expect(paymentModel.updateOne).toHaveBeenCalledWith(
+                { _id: 'payment-1', status: 'pending' },
+                { $set: { amount: 171 } },
+                { session: 'session' }
+            );
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.COMPLETED ]);
+            expect(walletService.settleRide).toHaveBeenCalledTimes(1);
+        });
+
+        test('should re-issue an unpaid order when the final fare differs', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+
+            const settled = await paymentService.settleRide(ride({ fare: 171 }));
+
+            expect(settled).toMatchObject({ status: 'created', amount: 171 });
+            expect(settled.orderId).toMatch(/^order_mock_/);
+            expect(settled.orderId).not.toBe('order_mock_1');
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ $push: { previousOrders: { orderId: 'order_mock_1', amount: 152 } } }),
+                expect.anything()
+            );
+        });
+
+        test('should refund the difference when a prepaid ride came out cheaper', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ status: 'captured', paymentId: 'pay_1' }));
+
+            await paymentService.settleRide(ride({ fare: 140 }));
+
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: 'payment-1', refundedAmount: 0 }),
+                expect.objectContaining({ $push: { refunds: expect.objectContaining({ amount: 12 }) } }),
+                expect.anything()
+            );
+            expect(emittedTypes()).toEqual([ EVENTS.PAYMENT.REFUNDED ]);
+            expect(walletService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 12, toWallet: false }), 'session');
+            expect(walletService.settleRide).toHaveBeenCalledWith(
+                expect.objectContaining({ fare: 140 }),
+                expect.objectContaining({ refundedAmount: 12 }),
+                'session'
+            );
+        });
+
+        test('should refund a cancelled prepaid ride minus the cancellation fee', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ status: 'captured', paymentId: 'pay_1' }));
+
+            await paymentService.handleCancellation(ride({ cancellation: { fee: 50 } }));
+
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ $push: { refunds: expect.objectContaining({ amount: 102, reason: 'Ride cancelled' }) } }),
+                expect.anything()
+            );
+        });
+
+        test('should book the cancellation before refunding', async () => {
+            const paid = payment({ status: 'captured', paymentId: 'pay_1' });
+            paymentModel.findOne.mockResolvedValue(paid);
+            const cancelled = ride({ cancellation: { cancelledBy: 'user', fee: 50 } });
+
+            await paymentService.handleCancellation(cancelled);
+
+            expect(walletService.recordCancellation).toHaveBeenCalledWith(cancelled, paid, 'session');
+            expect(walletService.recordCancellation.mock.invocationCallOrder[ 0 ])
+                .toBeLessThan(walletService.recordRefund.mock.invocationCallOrder[ 0 ]);
+        });
+
+        test('should refund in full when the captain cancelled', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ status: 'captured', paymentId: 'pay_1' }));
+
+            await paymentService.handleCancellation(ride({ cancellation: { cancelledBy: 'captain', fee: 50 } }));
+
+            expect(walletService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 152 }), 'session');
+        });
+
+        test('should book the fee of a cash ride that has no payment', async () => {
+            paymentModel.findOne.mockResolvedValue(null);
+            const cancelled = ride({ paymentMethod: 'cash', cancellation: { cancelledBy: 'user', fee: 25 } });
+
+            await expect(paymentService.handleCancellation(cancelled)).resolves.toBeNull();
+            expect(walletService.recordCancellation).toHaveBeenCalledWith(cancelled, null, 'session');
+        });
+
+        test('should cancel an unpaid payment with the ride', async () => {
+            paymentModel.findOne.mockResolvedValue(payment());
+
+            await paymentService.handleCancellation(ride());
+
+            expect(paymentModel.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: 'payment-1' }),
+                { $set: { status: 'cancelled' } },
+                { new: true }
+            );
+        });
+
+        test('should refund cash payments to the rider wallet', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ method: 'cash', status: 'captured', orderId: undefined }));
+
+            await paymentService.refundPayment({ rideId, amount: 40, reason: 'Driver took a detour' });
+
+            expect(walletService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({
+                amount: 40,
+                toWallet: true,
+                refundId: 'wallet_payment-1_1'
+            }), 'session');
+        });
+
+        test('should not refund more than was paid', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ status: 'captured', paymentId: 'pay_1', refundedAmount: 100 }));
+
+            await expect(paymentService.refundPayment({ rideId, amount: 60 }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('wallet top-ups', () => {
+        test('should create a gateway order without a ride', async () => {
+            const topup = await paymentService.initiateTopup({ user: { _id: userId }, amount: 500 });
+
+            expect(topup).toMatchObject({ purpose: 'topup', method: 'online', status: 'created', amount: 500 });
+            expect(topup.ride).toBeUndefined();
+            expect(paymentService.getCheckout(topup)).toMatchObject({ provider: 'mock', orderId: topup.orderId, amount: 500 });
+        });
+
+        test('should refuse top-ups above the limit', async () => {
+            await expect(paymentService.initiateTopup({ user: { _id: userId }, amount: 20000 }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should credit the wallet once the top-up is captured', async () => {
+            paymentModel.findOne.mockResolvedValue(payment({ purpose: 'topup', ride: undefined, amount: 500 }));
+            paymentModel.findOneAndUpdate.mockImplementation(async (filter, update) =>
+                payment({ purpose: 'topup', ride: undefined, amount: 500, ...update.$set }));
+
+            await paymentService.verifyTopup({ ...mockProvider.simulateCheckout('order_mock_1'), user: { _id: userId } });
+
+            expect(walletService.recordTopup).toHaveBeenCalledWith(expect.objectContaining({ amount: 500 }), 'session');
+            expect(rideModel.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,167 @@
+jest.mock('../models/payout.model.js', () => ({
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    create: jest.fn(),
+    countDocuments: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session')),
+        createOptimizedQuery: jest.fn()
+    }
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    WALLET_CONFIG: { currency: 'INR' },
+    SYSTEM_ACCOUNTS: { PAYOUTS_IN_TRANSIT: 'payouts_in_transit', BANK: 'bank' },
+    getAccount: jest.fn(async (ownerType, owner) => ({ _id: `${ownerType}:${owner}` })),
+    postTransaction: jest.fn(async ({ key }) => ({ _id: `tx:${key}` }))
+}));
+
+const payoutModel = require('../models/payout.model.js');
+const walletService = require('../services/wallet.service.js');
+const AppError = require('../utils/appError.js');
+const payoutService = require('../services/payout.service.js');
+
+describe('Captain Payouts', () => {
+    const captain = { _id: 'captain-1' };
+    const admin = { _id: 'admin-1' };
+
+    const payout = (overrides) => ({
+        _id: 'payout-1',
+        captain: 'captain-1',
+        amount: 500,
+        status: 'requested',
+        ...overrides
+    });
+
+    const postedLines = () => walletService.postTransaction.mock.calls.map(([ { key, lines } ]) => ({
+        key,
+        lines: lines.map(line => [ line.account._id, line.amount ])
+    }));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        payoutModel.findOneAndUpdate.mockImplementation(async (filter, update) => payout(update.$set));
+    });
+
+    describe('requestPayout', () => {
+        test('should hold the amount in transit', async () => {
+            payoutModel.findOne.mockResolvedValue(null);
+            payoutModel.create.mockImplementation(async ([ doc ]) => [ { _id: 'payout-1', ...doc } ]);
+
+            const requested = await payoutService.requestPayout({ captain, amount: 500 });
+
+            expect(requested).toMatchObject({ captain: 'captain-1', amount: 500 });
+            expect(postedLines()).toEqual([ {
+                key: 'payout:payout-1:hold',
+                lines: [ [ 'captain:captain-1', -500 ], [ 'system:payouts_in_transit', 500 ] ]
+            } ]);
+            // Even though captain wallets may run negative
+            expect(walletService.postTransaction.mock.calls[ 0 ][ 0 ].lines[ 0 ].allowOverdraft).toBe(false);
+        });
+
+        test('should surface an insufficient balance', async () => {
+            payoutModel.findOne.mockResolvedValue(null);
+            payoutModel.create.mockImplementation(async ([ doc ]) => [ { _id: 'payout-1', ...doc } ]);
+            walletService.postTransaction.mockRejectedValueOnce(new AppError('Insufficient wallet balance', 402));
+
+            await expect(payoutService.requestPayout({ captain, amount: 5000 }))
+                .rejects.toMatchObject({ statusCode: 402 });
+        });
+
+        test('should refuse amounts below the minimum', async () => {
+            await expect(payoutService.requestPayout({ captain, amount: 50 }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should allow only one payout in progress', async () => {
+            payoutModel.findOne.mockResolvedValue(payout({ status: 'approved' }));
+
+            await expect(payoutService.requestPayout({ captain, amount: 500 }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(payoutModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should turn a concurrent request losing the race into the same 409', async () => {
+            payoutModel.findOne.mockResolvedValue(null);
+            payoutModel.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            await expect(payoutService.requestPayout({ captain, amount: 500 }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'You already have a payout in progress' });
+            expect(walletService.postTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reviewPayout', () => {
+        test('should approve a requested payout without moving money', async () => {
+            payoutModel.findById.mockResolvedValue(payout());
+
+            const approved = await payoutService.reviewPayout({ payoutId: 'payout-1', status: 'approved', admin });
+
+            expect(approved).toMatchObject({ status: 'approved', reviewedBy: 'admin-1' });
+            expect(payoutModel.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'payout-1', status: { $in: [ 'requested' ] } },
+                expect.anything(),
+                expect.objectContaining({ session: 'session' })
+            );
+            expect(walletService.postTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should move the money to the bank once paid', async () => {
+            payoutModel.findById.mockResolvedValue(payout({ status: 'approved' }));
+
+            await payoutService.reviewPayout({ payoutId: 'payout-1', status: 'paid', admin, reference: 'UTR123' });
+
+            expect(postedLines()).toEqual([ {
+                key: 'payout:payout-1:paid',
+                lines: [ [ 'system:payouts_in_transit', -500 ], [ 'system:bank', 500 ] ]
+            } ]);
+        });
+
+        test('should require a transfer reference to mark a payout paid', async () => {
+            payoutModel.findById.mockResolvedValue(payout({ status: 'approved' }));
+
+            await expect(payoutService.reviewPayout({ payoutId: 'payout-1', status: 'paid', admin }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should give a rejected payout back to the captain', async () => {
+            payoutModel.findById.mockResolvedValue(payout({ status: 'approved' }));
+
+            await payoutService.reviewPayout({ payoutId: 'payout-1', status: 'rejected', admin, note: 'Bank details missing' });
+
+            expect(postedLines()).toEqual([ {
+                key: 'payout:payout-1:release',
+                lines: [ [ 'system:payouts_in_transit', -500 ], [ 'captain:captain-1', 500 ] ]
+            } ]);
+        });
+
+        test('should not skip approval', async () => {
+            payoutModel.findById.mockResolvedValue(payout());
+
+            await expect(payoutService.reviewPayout({ payoutId: 'payout-1', status: 'paid', admin, reference: 'UTR123' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('cancelPayout', () => {
+        test('should let the captain cancel a payout that is not yet approved', async () => {
+            payoutModel.findOne.mockResolvedValue(payout());
+
+            const cancelled = await payoutService.cancelPayout({ captain, payoutId: 'payout-1' });
+
+            expect(cancelled.status).toBe('cancelled');
+            expect(postedLines()[ 0 ].key).toBe('payout:payout-1:release');
+        });
+
+        test('should not cancel an approved payout', async () => {
+            payoutModel.findOne.mockResolvedValue(payout({ status: 'approved' }));
+
+            await expect(payoutService.cancelPayout({ captain, payoutId: 'payout-1' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+});
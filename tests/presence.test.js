@@ -0,0 +1,85 @@
+jest.mock('../config/redis.js', () => {
+    const store = new Map();
+    return {
+        redisManager: {
+            isConnected: true,
+            store,
+            set: jest.fn(async (key, value) => { store.set(key, value); return true; }),
+            del: jest.fn(async (key) => store.delete(key)),
+            mget: jest.fn(async (keys) => keys.map(key => store.has(key) ? store.get(key) : null)),
+            setHashField: jest.fn(async (key, field, value) => {
+                if (!store.has(key)) store.set(key, {});
+                store.get(key)[ field ] = value;
+                return true;
+            }),
+            deleteHashField: jest.fn(async (key, field) => {
+                if (store.has(key)) delete store.get(key)[ field ];
+                return true;
+            }),
+            getHash: jest.fn(async (key) => ({ ...(store.get(key) || {}) }))
+        }
+    };
+});
+
+const { redisManager } = require('../config/redis.js');
+const presenceService = require('../services/presence.service.js');
+
+describe('Socket Presence', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisManager.store.clear();
+        redisManager.isConnected = true;
+    });
+
+    test('should list every device an account has connected', async () => {
+        await presenceService.registerConnection({ type: 'user', id: 'user-1', socketId: 's1', device: { deviceId: 'phone' } });
+        await presenceService.registerConnection({ type: 'user', id: 'user-1', socketId: 's2', device: { deviceId: 'tablet' } });
+
+        const devices = await presenceService.getDevices('user', 'user-1');
+
+        expect(devices.map(device => device.deviceId)).toEqual([ 'phone', 'tablet' ]);
+        expect(devices[ 0 ].instanceId).toBe(presenceService.INSTANCE_ID);
+        await expect(presenceService.isOnline('user', 'user-2')).resolves.toBe(false);
+    });
+
+    test('should go offline once the last device disconnects', async () => {
+        await presenceService.registerConnection({ type: 'captain', id: 'captain-1', socketId: 's1' });
+        await presenceService.registerConnection({ type: 'captain', id: 'captain-1', socketId: 's2' });
+
+        await presenceService.unregisterConnection({ type: 'captain', id: 'captain-1', socketId: 's1' });
+        await expect(presenceService.isOnline('captain', 'captain-1')).resolves.toBe(true);
+
+        await presenceService.unregisterConnection({ type: 'captain', id: 'captain-1', socketId: 's2' });
+        await expect(presenceService.isOnline('captain', 'captain-1')).resolves.toBe(false);
+    });
+
+    test('should count devices on other live instances and prune those of dead ones', async () => {
+        redisManager.store.set('socket_instance:api-2', { startedAt: 'earlier' });
+        redisManager.store.set('presence:captain:captain-1', {
+            s1: { socketId: 's1', instanceId: 'api-2' },
+            s2: { socketId: 's2', instanceId: 'api-crashed' }
+        });
+
+        const devices = await presenceService.getDevices('captain', 'captain-1');
+
+        expect(devices.map(device => device.socketId)).toEqual([ 's1' ]);
+        expect(redisManager.deleteHashField).toHaveBeenCalledWith('presence:captain:captain-1', 's2');
+    });
+
+    test('should not prune anything when the heartbeat lookup fails', async () => {
+        redisManager.store.set('presence:user:user-1', { s1: { socketId: 's1', instanceId: 'api-2' } });
+        redisManager.mget.mockResolvedValueOnce([]);
+
+        await expect(presenceService.getDevices('user', 'user-1')).resolves.toHaveLength(1);
+        expect(redisManager.deleteHashField).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to this instance while Redis is down', async () => {
+        redisManager.isConnected = false;
+
+        await presenceService.registerConnection({ type: 'user', id: 'user-3', socketId: 's9' });
+
+        expect(redisManager.setHashField).not.toHaveBeenCalled();
+        await expect(presenceService.isOnline('user', 'user-3')).resolves.toBe(true);
+    });
+});
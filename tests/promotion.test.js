@@ -0,0 +1,210 @@
+jest.mock('../models/promotion.model.js', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    create: jest.fn()
+}));
+
+jest.mock('../models/promoRedemption.model.js', () => ({
+    countDocuments: jest.fn(),
+    find: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    create: jest.fn()
+}));
+
+jest.mock('../models/userModel.js', () => ({
+    findOne: jest.fn(),
+    findById: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    SYSTEM_ACCOUNTS: { PLATFORM_REVENUE: 'platform_revenue' },
+    getAccount: jest.fn(async (ownerType, owner) => ({ _id: `${ownerType}:${owner}` })),
+    postTransaction: jest.fn(async ({ key }) => ({ _id: `tx:${key}` }))
+}));
+
+const promotionModel = require('../models/promotion.model.js');
+const promoRedemptionModel = require('../models/promoRedemption.model.js');
+const userModel = require('../models/userModel.js');
+const walletService = require('../services/wallet.service.js');
+const promotionService = require('../services/promotion.service.js');
+
+describe('Promotions and Referrals', () => {
+    const user = { _id: 'user-1' };
+
+    const promotion = (overrides) => ({
+        _id: 'promo-1',
+        code: 'SAVE20',
+        type: 'percentage',
+        value: 20,
+        maxDiscount: 40,
+        minFare: 100,
+        vehicleTypes: [],
+        validFrom: new Date(Date.now() - 60000),
+        usedCount: 0,
+        perUserLimit: 1,
+        active: true,
+        ...overrides
+    });
+
+    const resolving = (value) => ({ session: jest.fn(async () => value) });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        promoRedemptionModel.countDocuments.mockReturnValue(resolving(0));
+    });
+
+    describe('discountFor', () => {
+        const terms = { source: 'promo', promotion: 'promo-1', code: 'SAVE20', type: 'percentage', value: 20, maxDiscount: 40, minFare: 100 };
+
+        test('should take a percentage off the fare up to the cap', () => {
+            expect(promotionService.discountFor(terms, 150, 'car')).toMatchObject({ amount: 30, code: 'SAVE20' });
+            expect(promotionService.discountFor(terms, 500, 'car')).toMatchObject({ amount: 40 });
+        });
+
+        test('should never take a flat discount beyond the fare', () => {
+            const flat = { source: 'promo', code: 'FLAT200', type: 'flat', value: 200 };
+            expect(promotionService.discountFor(flat, 150, 'auto')).toMatchObject({ amount: 150 });
+        });
+
+        test('should skip fares below the minimum and other vehicle types', () => {
+            expect(promotionService.discountFor(terms, 90, 'car')).toBeNull();
+            expect(promotionService.discountFor({ ...terms, vehicleTypes: [ 'car' ] }, 150, 'moto')).toBeNull();
+        });
+    });
+
+    describe('resolveDiscount', () => {
+        test('should return the terms of a valid promo code', async () => {
+            promotionModel.findOne.mockResolvedValue(promotion());
+
+            const terms = await promotionService.resolveDiscount({ user, promoCode: ' save20 ' });
+
+            expect(promotionModel.findOne).toHaveBeenCalledWith({ code: 'SAVE20' });
+            expect(terms).toMatchObject({ source: 'promo', promotion: 'promo-1', type: 'percentage', value: 20 });
+        });
+
+        test.each([
+            [ 'unknown', null, 'Invalid promo code' ],
+            [ 'inactive', promotion({ active: false }), 'Invalid promo code' ],
+            [ 'expired', promotion({ validTo: new Date(Date.now() - 1000) }), 'This promo code has expired' ],
+            [ 'fully redeemed', promotion({ maxUses: 10, usedCount: 10 }), 'This promo code has been fully redeemed' ]
+        ])('should reject an %s code', async (label, found, message) => {
+            promotionModel.findOne.mockResolvedValue(found);
+
+            await expect(promotionService.resolveDiscount({ user, promoCode: 'SAVE20' }))
+                .rejects.toMatchObject({ statusCode: 400, message });
+        });
+
+        test('should reject a code the rider has already used', async () => {
+            promotionModel.findOne.mockResolvedValue(promotion());
+            promoRedemptionModel.countDocuments.mockReturnValue(resolving(1));
+
+            await expect(promotionService.resolveDiscount({ user, promoCode: 'SAVE20' }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this promo code' });
+        });
+
+        test('should offer a referred rider their referral discount until it is used', async () => {
+            const referred = { _id: 'user-1', referredBy: 'user-2' };
+
+            await expect(promotionService.resolveDiscount({ user: referred })).resolves.toMatchObject({ source: 'referral', type: 'percentage' });
+
+            promoRedemptionModel.countDocuments.mockReturnValue(resolving(1));
+            await expect(promotionService.resolveDiscount({ user: referred })).resolves.toBeNull();
+            await expect(promotionService.resolveDiscount({ user })).resolves.toBeNull();
+        });
+    });
+
+    describe('redeem', () => {
+        const discount = { source: 'promo', promotion: 'promo-1', code: 'SAVE20', amount: 30 };
+
+        test('should count the use and record the redemption', async () => {
+            promotionModel.findOneAndUpdate.mockResolvedValue(promotion({ usedCount: 1 }));
+            promoRedemptionModel.create.mockImplementation(async ([ doc ]) => [ doc ]);
+
+            const redemption = await promotionService.redeem({ ride: { _id: 'ride-1' }, user: 'user-1', discount }, 'session');
+
+            expect(promotionModel.findOneAndUpdate.mock.calls[ 0 ][ 1 ]).toEqual({ $inc: { usedCount: 1 } });
+            expect(redemption).toMatchObject({ source: 'promo', ride: 'ride-1', user: 'user-1', amount: 30 });
+        });
+
+        test('should refuse once the code ran out between quote and booking', async () => {
+            promotionModel.findOneAndUpdate.mockResolvedValue(null);
+
+            await expect(promotionService.redeem({ ride: { _id: 'ride-1' }, user: 'user-1', discount }, 'session'))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(promoRedemptionModel.create).not.toHaveBeenCalled();
+        });
+
+        test('should refuse a code that expired between quote and booking', async () => {
+            promotionModel.findOneAndUpdate.mockResolvedValue(null);
+
+            await expect(promotionService.redeem({ ride: { _id: 'ride-1' }, user: 'user-1', discount }, 'session'))
+                .rejects.toMatchObject({ statusCode: 409 });
+
+            const [ filter ] = promotionModel.findOneAndUpdate.mock.calls[ 0 ];
+            expect(filter.$and).toEqual(expect.arrayContaining([
+                { $or: [ { validFrom: null }, { validFrom: { $lte: expect.any(Date) } } ] },
+                { $or: [ { validTo: null }, { validTo: { $gt: expect.any(Date) } } ] }
+            ]));
+        });
+
+        test('should not let a referral discount be used twice', async () => {
+            promoRedemptionModel.countDocuments.mockReturnValue(resolving(1));
+
+            await expect(promotionService.redeem({
+                ride: { _id: 'ride-2' }, user: 'user-1', discount: { source: 'referral', code: 'REFERRAL', amount: 50 }
+            }, 'session')).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('releaseForRide', () => {
+        test('should give the use back exactly once', async () => {
+            promoRedemptionModel.find.mockReturnValue(resolving([ { _id: 'redemption-1' } ]));
+            promoRedemptionModel.findOneAndUpdate
+                .mockResolvedValueOnce({ _id: 'redemption-1', promotion: 'promo-1', status: 'released' })
+                .mockResolvedValueOnce(null);
+
+            await expect(promotionService.releaseForRide('ride-1', 'session')).resolves.toHaveLength(1);
+            await expect(promotionService.releaseForRide('ride-1', 'session')).resolves.toHaveLength(0);
+            expect(promotionModel.updateOne).toHaveBeenCalledTimes(1);
+            expect(promotionModel.updateOne.mock.calls[ 0 ][ 1 ]).toEqual({ $inc: { usedCount: -1 } });
+        });
+    });
+
+    describe('rewardReferrer', () => {
+        test('should credit the referrer once per referred rider', async () => {
+            userModel.findById.mockReturnValue({ select: jest.fn(async () => ({ _id: 'user-1', referredBy: 'user-2' })) });
+
+            await promotionService.rewardReferrer({ _id: 'ride-1', user: 'user-1' });
+
+            const [ transaction ] = walletService.postTransaction.mock.calls[ 0 ];
+            expect(transaction.key).toBe('referral:user-1');
+            expect(transaction.lines.map(line => [ line.account._id, line.amount ])).toEqual([
+                [ 'system:platform_revenue', -50 ],
+                [ 'user:user-2', 50 ]
+            ]);
+        });
+
+        test('should do nothing for riders who were not referred', async () => {
+            userModel.findById.mockReturnValue({ select: jest.fn(async () => ({ _id: 'user-1' })) });
+
+            await expect(promotionService.rewardReferrer({ _id: 'ride-1', user: 'user-1' })).resolves.toBeNull();
+            expect(walletService.postTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createPromotion', () => {
+        test('should report a duplicate code as a conflict', async () => {
+            promotionModel.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            await expect(promotionService.createPromotion({ admin: { _id: 'admin-1' }, code: 'SAVE20', type: 'flat', value: 20 }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+});
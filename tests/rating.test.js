@@ -0,0 +1,122 @@
+jest.mock('../models/rating.model.js', () => ({
+    create: jest.fn(),
+    aggregate: jest.fn(),
+    countDocuments: jest.fn(),
+    find: jest.fn()
+}));
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+jest.mock('../models/userModel.js', () => ({
+    updateOne: jest.fn()
+}));
+
+jest.mock('../models/captain.model.js', () => ({
+    updateOne: jest.fn()
+}));
+
+const ratingModel = require('../models/rating.model.js');
+const rideModel = require('../models/ride.model.js');
+const userModel = require('../models/userModel.js');
+const captainModel = require('../models/captain.model.js');
+const ratingService = require('../services/rating.service.js');
+
+describe('Ride Ratings', () => {
+    const userId = '64b000000000000000000001';
+    const captainId = '64b000000000000000000002';
+    const user = { _id: userId };
+    const captain = { _id: captainId };
+
+    const completedRide = (overrides) => ({
+        _id: 'ride-1',
+        user: userId,
+        captain: captainId,
+        status: 'completed',
+        completedAt: new Date(),
+        ...overrides
+    });
+
+    const rideFound = (ride) => rideModel.findOne.mockReturnValue({ select: jest.fn(async () => ride) });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ratingModel.create.mockImplementation(async (doc) => ({ _id: 'rating-1', ...doc }));
+        ratingModel.aggregate.mockResolvedValue([ { average: 4.666 } ]);
+        ratingModel.countDocuments.mockResolvedValue(3);
+    });
+
+    test('should let the rider rate the captain and refresh the captain average', async () => {
+        rideFound(completedRide());
+
+        const result = await ratingService.rateRide({
+            rideId: 'ride-1', user, score: 5, tags: [ 'polite', 'polite', 'safe_driving' ], comment: 'Great ride'
+        });
+
+        expect(ratingModel.create).toHaveBeenCalledWith(expect.objectContaining({
+            raterType: 'user', rater: userId, rateeType: 'captain', ratee: captainId, score: 5, tags: [ 'polite', 'safe_driving' ]
+        }));
+        expect(captainModel.updateOne).toHaveBeenCalledWith({ _id: captainId }, { $set: { rating: { average: 4.67, count: 3 } } });
+        expect(result.captain.rating).toEqual({ average: 4.67, count: 3 });
+    });
+
+    test('should average only the latest ratings', async () => {
+        rideFound(completedRide());
+
+        await ratingService.rateRide({ rideId: 'ride-1', captain, score: 4 });
+
+        const pipeline = ratingModel.aggregate.mock.calls[ 0 ][ 0 ];
+        expect(pipeline).toContainEqual({ $sort: { createdAt: -1 } });
+        expect(pipeline).toContainEqual({ $limit: ratingService.RATING_CONFIG.window });
+        expect(userModel.updateOne).toHaveBeenCalledWith({ _id: userId }, expect.anything());
+    });
+
+    test('should only allow the ride participants to rate', async () => {
+        rideFound(completedRide());
+
+        await expect(ratingService.rateRide({ rideId: 'ride-1', user: { _id: 'someone-else' }, score: 5 }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(ratingModel.create).not.toHaveBeenCalled();
+    });
+
+    test('should only rate completed rides, within the rating window', async () => {
+        rideFound(completedRide({ status: 'cancelled' }));
+        await expect(ratingService.rateRide({ rideId: 'ride-1', user, score: 5 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+
+        rideFound(completedRide({ completedAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }));
+        await expect(ratingService.rateRide({ rideId: 'ride-1', user, score: 5 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should reject tags meant for the other side', async () => {
+        rideFound(completedRide());
+
+        await expect(ratingService.rateRide({ rideId: 'ride-1', captain, score: 3, tags: [ 'rash_driving' ] }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Unknown tags: rash_driving' });
+    });
+
+    test('should accept one rating per side per ride', async () => {
+        rideFound(completedRide());
+        ratingModel.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        await expect(ratingService.rateRide({ rideId: 'ride-1', user, score: 5 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(captainModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should only reveal the rating received once the participant has rated', async () => {
+        rideFound(completedRide());
+        const fromCaptain = { raterType: 'captain', score: 4 };
+        const fromUser = { raterType: 'user', score: 5 };
+
+        ratingModel.find.mockReturnValue({ select: jest.fn(async () => [ fromCaptain ]) });
+        await expect(ratingService.getRideRatings({ rideId: 'ride-1', user }))
+            .resolves.toEqual({ given: null, received: null });
+
+        ratingModel.find.mockReturnValue({ select: jest.fn(async () => [ fromCaptain, fromUser ]) });
+        await expect(ratingService.getRideRatings({ rideId: 'ride-1', user }))
+            .resolves.toEqual({ given: fromUser, received: fromCaptain });
+    });
+});
@@ -0,0 +1,145 @@
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+const rideModel = require('../models/ride.model.js');
+const {
+    buildReceipt,
+    getReceipt,
+    renderHtml,
+    renderPdf
+} = require('../services/receipt.service.js');
+
+const queryResolving = (value) => {
+    const query = {
+        populate: jest.fn(() => query),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return query;
+};
+
+describe('Ride Receipts', () => {
+    const completedRide = (overrides) => ({
+        _id: '64b7f0c2a1b2c3d4e5f60718',
+        status: 'completed',
+        user: { _id: 'user-1', fullname: { firstname: 'Asha', lastname: 'Rao' } },
+        captain: {
+            _id: 'captain-1',
+            fullname: { firstname: 'Vikram', lastname: 'Singh' },
+            vehicle: { vehicleType: 'car', plate: 'DL 01 AB 1234', color: 'white' }
+        },
+        pickup: 'Connaught Place, Delhi',
+        destination: 'India Gate, Delhi',
+        vehicleType: 'car',
+        startedAt: new Date('2026-10-19T10:00:00Z'),
+        completedAt: new Date('2026-10-19T10:20:00Z'),
+        distance: 5120,
+        duration: 1200,
+        fare: 210,
+        fareBreakdown: {
+            baseFare: 50,
+            distanceFare: 76.8,
+            timeFare: 51,
+            waitingFare: 1.5,
+            minimumFareAdjustment: 0,
+            surgeMultiplier: 1,
+            surgeAmount: 0,
+            bookingFee: 0,
+            tolls: [ { name: 'DND Flyway', amount: 30 } ],
+            tollsTotal: 30,
+            rounding: 0.7,
+            total: 210,
+            distance: 5120,
+            duration: 1200
+        },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('buildReceipt', () => {
+        test('should itemize the final fare and skip empty lines', () => {
+            const receipt = buildReceipt(completedRide());
+
+            expect(receipt.items.map(item => item.code)).toEqual([ 'base', 'distance', 'time', 'waiting', 'toll', 'rounding' ]);
+            expect(receipt.items.find(item => item.code === 'toll').label).toBe('Toll: DND Flyway');
+            expect(receipt.subtotal).toBe(210);
+            expect(receipt.total).toBe(210);
+        });
+
+        test('should show the tax share included in the total', () => {
+            const receipt = buildReceipt(completedRide());
+
+            expect(receipt.taxes).toEqual([ { name: 'GST', rate: 0.05, amount: 10, included: true } ]);
+        });
+
+        test('should show surge as its own line', () => {
+            const ride = completedRide();
+            ride.fareBreakdown.surgeMultiplier = 1.5;
+            ride.fareBreakdown.surgeAmount = 88.9;
+
+            const receipt = buildReceipt(ride);
+
+            expect(receipt.items).toContainEqual({ code: 'surge', label: 'Surge (1.5x)', amount: 88.9 });
+        });
+
+        test('should fall back to a single fare line for rides without a breakdown', () => {
+            const receipt = buildReceipt(completedRide({ fareBreakdown: undefined, fare: 180 }));
+
+            expect(receipt.items).toEqual([ { code: 'fare', label: 'Ride fare', amount: 180 } ]);
+            expect(receipt.total).toBe(180);
+        });
+
+        test('should number receipts by completion date and ride', () => {
+            expect(buildReceipt(completedRide()).receiptNumber).toBe('RCPT-20261019-E5F60718');
+        });
+    });
+
+    describe('getReceipt', () => {
+        test('should be available to the rider and the captain', async () => {
+            rideModel.findOne.mockImplementation(() => queryResolving(completedRide()));
+
+            await expect(getReceipt({ rideId: 'r', user: { _id: 'user-1' } })).resolves.toMatchObject({ total: 210 });
+            await expect(getReceipt({ rideId: 'r', captain: { _id: 'captain-1' } })).resolves.toMatchObject({ total: 210 });
+        });
+
+        test('should be refused to anyone else', async () => {
+            rideModel.findOne.mockImplementation(() => queryResolving(completedRide()));
+
+            await expect(getReceipt({ rideId: 'r', user: { _id: 'user-2' } })).rejects.toMatchObject({ statusCode: 403 });
+            await expect(getReceipt({ rideId: 'r', captain: { _id: 'captain-2' } })).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should only exist for completed rides', async () => {
+            rideModel.findOne.mockImplementation(() => queryResolving(completedRide({ status: 'ongoing' })));
+
+            await expect(getReceipt({ rideId: 'r', user: { _id: 'user-1' } })).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('should 404 for unknown rides', async () => {
+            rideModel.findOne.mockImplementation(() => queryResolving(null));
+
+            await expect(getReceipt({ rideId: 'r', user: { _id: 'user-1' } })).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('rendering', () => {
+        test('should render printable HTML with escaped values', () => {
+            const html = renderHtml(buildReceipt(completedRide({ pickup: '<script>alert(1)</script>' })));
+
+            expect(html).toContain('<!DOCTYPE html>');
+            expect(html).toContain('INR 210.00');
+            expect(html).toContain('&lt;script&gt;');
+            expect(html).not.toContain('<script>alert');
+        });
+
+        test('should render a PDF', async () => {
+            const pdf = await renderPdf(buildReceipt(completedRide()));
+
+            expect(Buffer.isBuffer(pdf)).toBe(true);
+            expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+    });
+});
@@ -0,0 +1,164 @@
+jest.mock('bcrypt', () => ({ hash: jest.fn() }), { virtual: true });
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../config/redis.js', () => ({
+    redisManager: { isConnected: false },
+    RideCacheService: {
+        invalidateRideCache: jest.fn(),
+        invalidateActiveRides: jest.fn()
+    }
+}));
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueueRideEvent: jest.fn()
+}));
+
+jest.mock('../services/captain.service.js', () => ({
+    setOnTrip: jest.fn()
+}));
+
+jest.mock('../services/dispatch.service.js', () => ({
+    dispatchEngine: {
+        assertOfferHolder: jest.fn(),
+        stop: jest.fn()
+    }
+}));
+
+jest.mock('../services/payment.service.js', () => ({
+    initiatePayment: jest.fn(async () => {})
+}));
+
+jest.mock('../socket', () => ({
+    sendMessageToUser: jest.fn(),
+    sendMessageToCaptain: jest.fn(),
+    joinRideRoom: jest.fn(),
+    leaveRideRoom: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError.js');
+const rideModel = require('../models/ride.model.js');
+const captainService = require('../services/captain.service.js');
+const { RideCacheService } = require('../config/redis.js');
+const { dispatchEngine } = require('../services/dispatch.service.js');
+const { sendMessageToUser, sendMessageToCaptain, joinRideRoom } = require('../socket');
+const rideService = require('../services/ride.service.js');
+const rideController = require('../controllers/ride.controller.js');
+
+// Mimics the mongoose query chain used by the state machine's transition()
+const queryResolving = (value) => {
+    const query = {
+        populate: jest.fn(() => query),
+        select: jest.fn(() => query),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return query;
+};
+
+describe('Ride Acceptance', () => {
+    const captainId = new mongoose.Types.ObjectId();
+    const otherCaptainId = new mongoose.Types.ObjectId();
+    const accepted = {
+        _id: 'ride-1',
+        status: 'accepted',
+        user: { _id: 'user-1' },
+        captain: { _id: captainId }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('confirmRide', () => {
+        test('should assign the ride to the first captain with a compare-and-set on pending', async () => {
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(accepted));
+
+            const ride = await rideService.confirmRide({ rideId: 'ride-1', captain: { _id: captainId } });
+
+            const [ condition, update ] = rideModel.findOneAndUpdate.mock.calls[ 0 ];
+            expect(condition).toEqual({ _id: 'ride-1', status: { $in: [ 'pending' ] } });
+            expect(update.$set).toMatchObject({ captain: captainId, status: 'accepted' });
+            expect(RideCacheService.invalidateRideCache).toHaveBeenCalledWith('ride-1');
+            expect(captainService.setOnTrip).toHaveBeenCalledWith(captainId, true, expect.any(Object));
+            expect(ride).toBe(accepted);
+        });
+
+        test('should give every later captain a 409', async () => {
+            // The write no longer matches; the re-read shows who got there first
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(null));
+            rideModel.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue({ status: 'accepted', captain: captainId })
+            });
+
+            await expect(rideService.confirmRide({ rideId: 'ride-1', captain: { _id: otherCaptainId } }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Ride has already been accepted by another captain' });
+            await expect(rideService.confirmRide({ rideId: 'ride-1', captain: { _id: captainId } }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'You have already accepted this ride' });
+            expect(captainService.setOnTrip).not.toHaveBeenCalled();
+        });
+
+        test('should report a missing ride', async () => {
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(null));
+            rideModel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            await expect(rideService.confirmRide({ rideId: 'ride-1', captain: { _id: captainId } }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should not touch the ride for a captain not holding the offer', async () => {
+            dispatchEngine.assertOfferHolder.mockRejectedValueOnce(new AppError('This ride is not currently offered to you', 409));
+
+            await expect(rideService.confirmRide({ rideId: 'ride-1', captain: { _id: otherCaptainId } }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(dispatchEngine.assertOfferHolder).toHaveBeenCalledWith('ride-1', otherCaptainId);
+            expect(rideModel.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getOtherOfferedCaptains', () => {
+        test('should list everyone offered the ride except the captain who took it', async () => {
+            rideModel.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue({ offeredCaptains: [ captainId, otherCaptainId ] })
+            });
+
+            await expect(rideService.getOtherOfferedCaptains('ride-1', captainId)).resolves.toEqual([ otherCaptainId ]);
+        });
+    });
+
+    describe('confirmRide controller', () => {
+        const respond = () => {
+            const res = {};
+            res.status = jest.fn(() => res);
+            res.json = jest.fn(() => res);
+            return res;
+        };
+
+        test('should tell the captains who lost the race that the ride was taken', async () => {
+            jest.spyOn(rideService, 'confirmRide').mockResolvedValue(accepted);
+            jest.spyOn(rideService, 'getOtherOfferedCaptains').mockResolvedValue([ otherCaptainId ]);
+            const res = respond();
+
+            await rideController.confirmRide({ body: { rideId: 'ride-1' }, captain: { _id: captainId } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(dispatchEngine.stop).toHaveBeenCalledWith('ride-1');
+            expect(joinRideRoom).toHaveBeenCalledWith(accepted);
+            expect(sendMessageToUser).toHaveBeenCalledWith('user-1', { event: 'ride-confirmed', data: accepted });
+            expect(sendMessageToCaptain).toHaveBeenCalledTimes(1);
+            expect(sendMessageToCaptain).toHaveBeenCalledWith(otherCaptainId, {
+                event: 'ride-taken',
+                data: { rideId: 'ride-1' }
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+jest.mock('bcrypt', () => ({ hash: jest.fn() }), { virtual: true });
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../config/redis.js', () => ({
+    redisManager: { isConnected: false },
+    RideCacheService: {
+        invalidateRideCache: jest.fn(),
+        invalidateActiveRides: jest.fn()
+    }
+}));
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueueRideEvent: jest.fn()
+}));
+
+jest.mock('../services/captain.service.js', () => ({
+    setOnTrip: jest.fn()
+}));
+
+jest.mock('../services/liveLocation.service.js', () => ({
+    unfollowRide: jest.fn()
+}));
+
+const rideModel = require('../models/ride.model.js');
+const captainService = require('../services/captain.service.js');
+const liveLocationService = require('../services/liveLocation.service.js');
+const { RideCacheService } = require('../config/redis.js');
+const rideService = require('../services/ride.service.js');
+
+// Mimics the mongoose query chains used by cancelRide and the state machine's transition()
+const queryResolving = (value) => {
+    const query = {
+        populate: jest.fn(() => query),
+        select: jest.fn(() => query),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return query;
+};
+
+describe('Ride Cancellation', () => {
+    const userId = '64b000000000000000000001';
+    const captainId = '64b000000000000000000002';
+    const minutes = (count) => count * 60 * 1000;
+
+    const acceptedMinutesAgo = (count, overrides) => ({
+        _id: 'ride-1',
+        user: userId,
+        captain: captainId,
+        status: 'accepted',
+        fare: 200,
+        acceptedAt: new Date(Date.now() - minutes(count)),
+        ...overrides
+    });
+
+    // The ride as read before cancelling, and as written back by the transition
+    const rideFound = (ride) => {
+        rideModel.findOne.mockReturnValue(queryResolving(ride));
+        rideModel.findOneAndUpdate.mockImplementation((condition, update) => queryResolving(ride && {
+            ...ride,
+            user: { _id: ride.user },
+            captain: ride.captain ? { _id: ride.captain } : undefined,
+            ...update.$set
+        }));
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getCancellationFee', () => {
+        test('should be free before a captain accepts and during the grace period', () => {
+            expect(rideService.getCancellationFee({ status: 'pending', fare: 200 })).toBe(0);
+            expect(rideService.getCancellationFee(acceptedMinutesAgo(1))).toBe(0);
+        });
+
+        // Default policy: 2 minutes free, 25 after that, 50 after 5 minutes
+        test('should charge the fee after the grace period and the late fee after that', () => {
+            expect(rideService.getCancellationFee(acceptedMinutesAgo(3))).toBe(25);
+            expect(rideService.getCancellationFee(acceptedMinutesAgo(6))).toBe(50);
+        });
+
+        test('should never charge more than the fare', () => {
+            expect(rideService.getCancellationFee(acceptedMinutesAgo(6, { fare: 30 }))).toBe(30);
+        });
+    });
+
+    describe('cancelRide', () => {
+        test('should let the rider cancel a pending ride for free', async () => {
+            rideFound({ _id: 'ride-1', user: userId, status: 'pending', fare: 200 });
+
+            const ride = await rideService.cancelRide({ rideId: 'ride-1', reason: 'Changed plans', user: { _id: userId } });
+
+            const [ condition, update ] = rideModel.findOneAndUpdate.mock.calls[ 0 ];
+            expect(condition).toEqual({ _id: 'ride-1', user: userId, status: 'pending' });
+            expect(update.$set).toMatchObject({
+                status: 'cancelled',
+                cancellation: { cancelledBy: 'user', reason: 'Changed plans', fee: 0 }
+            });
+            expect(ride.status).toBe('cancelled');
+        });
+
+        test('should charge the captain who cancels late and free them up', async () => {
+            rideFound(acceptedMinutesAgo(6));
+
+            await rideService.cancelRide({ rideId: 'ride-1', captain: { _id: captainId } });
+
+            const [ condition, update ] = rideModel.findOneAndUpdate.mock.calls[ 0 ];
+            expect(condition).toEqual({ _id: 'ride-1', captain: captainId, status: 'accepted' });
+            expect(update.$set.cancellation).toMatchObject({ cancelledBy: 'captain', fee: 50 });
+            expect(RideCacheService.invalidateActiveRides).toHaveBeenCalledWith(captainId);
+            expect(captainService.setOnTrip).toHaveBeenCalledWith(captainId, false, expect.anything());
+            expect(liveLocationService.unfollowRide).toHaveBeenCalledWith(expect.objectContaining({ _id: captainId }));
+        });
+
+        test('should only let the ride\'s own rider or captain cancel', async () => {
+            rideFound(acceptedMinutesAgo(1));
+
+            await expect(rideService.cancelRide({ rideId: 'ride-1', user: { _id: 'someone-else' } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(rideService.cancelRide({ rideId: 'ride-1', captain: { _id: 'other-captain' } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(rideModel.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        test('should refuse rides that have started or finished', async () => {
+            rideFound(acceptedMinutesAgo(10, { status: 'ongoing' }));
+
+            await expect(rideService.cancelRide({ rideId: 'ride-1', user: { _id: userId } }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Cannot cancel a ride that is ongoing' });
+        });
+
+        test('should not cancel a ride that moved on while cancelling', async () => {
+            rideFound(acceptedMinutesAgo(1));
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(null));
+
+            await expect(rideService.cancelRide({ rideId: 'ride-1', user: { _id: userId } }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Ride was updated concurrently, please retry' });
+        });
+
+        test('should report a missing ride', async () => {
+            rideFound(null);
+
+            await expect(rideService.cancelRide({ rideId: 'ride-1', user: { _id: userId } }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
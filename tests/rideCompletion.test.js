@@ -0,0 +1,75 @@
+jest.mock('bcrypt', () => ({ hash: jest.fn() }), { virtual: true });
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+jest.mock('../services/rideStateMachine.service.js', () => ({
+    ...jest.requireActual('../services/rideStateMachine.service.js'),
+    transition: jest.fn()
+}));
+
+jest.mock('../services/fare.service.js', () => ({
+    calculateFinalFare: jest.fn()
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    commissionFor: jest.fn(() => ({ commission: 20, captainEarning: 80 })),
+    discountTotal: jest.fn(() => 0)
+}));
+
+jest.mock('../services/tripTracking.service.js', () => ({
+    getTrail: jest.fn(),
+    stopTracking: jest.fn()
+}));
+
+jest.mock('../services/liveLocation.service.js', () => ({
+    unfollowRide: jest.fn()
+}));
+
+jest.mock('../services/rideRoute.service.js', () => ({
+    saveRoute: jest.fn()
+}));
+
+const rideModel = require('../models/ride.model.js');
+const rideStateMachine = require('../services/rideStateMachine.service.js');
+const fareService = require('../services/fare.service.js');
+const tripTrackingService = require('../services/tripTracking.service.js');
+const liveLocationService = require('../services/liveLocation.service.js');
+const rideRouteService = require('../services/rideRoute.service.js');
+const rideService = require('../services/ride.service.js');
+
+describe('Ride Completion', () => {
+    const captainId = '64b000000000000000000002';
+    const trail = [ { ltd: 28.6315, lng: 77.2167, t: 0 }, { ltd: 28.6129, lng: 77.2295, t: 600000 } ];
+    const completed = { _id: 'ride-1', status: 'completed', captain: { _id: captainId } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        rideModel.findOne.mockResolvedValue({ _id: 'ride-1', status: 'ongoing', captain: captainId, vehicleType: 'car' });
+        tripTrackingService.getTrail.mockResolvedValue(trail);
+        fareService.calculateFinalFare.mockResolvedValue({ total: 100, distance: 2500, duration: 600 });
+        rideStateMachine.transition.mockResolvedValue(completed);
+    });
+
+    test('should complete the ride and keep its route', async () => {
+        const ride = await rideService.endRide({ rideId: 'ride-1', captain: { _id: captainId } });
+
+        expect(ride).toBe(completed);
+        expect(rideRouteService.saveRoute).toHaveBeenCalledWith(completed, trail);
+        expect(tripTrackingService.stopTracking).toHaveBeenCalledWith(captainId);
+        expect(liveLocationService.unfollowRide).toHaveBeenCalledWith(captainId);
+    });
+
+    test('should still finish up the completed ride when saving its route fails', async () => {
+        rideRouteService.saveRoute.mockRejectedValueOnce(new Error('Mongo unavailable'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(rideService.endRide({ rideId: 'ride-1', captain: { _id: captainId } })).resolves.toBe(completed);
+        expect(tripTrackingService.stopTracking).toHaveBeenCalledWith(captainId);
+        expect(liveLocationService.unfollowRide).toHaveBeenCalledWith(captainId);
+        expect(console.error).toHaveBeenCalled();
+
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,105 @@
+jest.mock('bcrypt', () => ({ hash: jest.fn() }), { virtual: true });
+
+jest.mock('../models/ride.model.js', () => ({
+    create: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../services/fareQuote.service.js', () => ({
+    verifyQuote: jest.fn(),
+    claimQuote: jest.fn(),
+    releaseQuote: jest.fn()
+}));
+
+jest.mock('../services/wallet.service.js', () => ({
+    getBalance: jest.fn()
+}));
+
+jest.mock('../services/promotion.service.js', () => ({
+    redeem: jest.fn()
+}));
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueueRideEvent: jest.fn()
+}));
+
+jest.mock('../services/surge.service.js', () => ({
+    recordRideRequest: jest.fn()
+}));
+
+const AppError = require('../utils/appError.js');
+const { dbManager } = require('../config/db.js');
+const rideModel = require('../models/ride.model.js');
+const fareQuoteService = require('../services/fareQuote.service.js');
+const walletService = require('../services/wallet.service.js');
+const promotionService = require('../services/promotion.service.js');
+const outboxService = require('../services/outbox.service.js');
+const rideService = require('../services/ride.service.js');
+
+describe('Ride Creation', () => {
+    const booking = {
+        user: 'user-1',
+        pickup: 'Connaught Place, Delhi',
+        destination: 'India Gate, Delhi',
+        vehicleType: 'car',
+        quoteId: 'quote-1'
+    };
+
+    const discount = { source: 'promo', code: 'SAVE20', amount: 20 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fareQuoteService.verifyQuote.mockResolvedValue({ fare: 152, distance: 4200, duration: 780, discount });
+        fareQuoteService.claimQuote.mockResolvedValue({ fare: 152 });
+        walletService.getBalance.mockResolvedValue(500);
+        rideModel.create.mockImplementation(async ([ ride ]) => [ { _id: 'ride-1', ...ride } ]);
+    });
+
+    test('should book at the quoted fare and claim the quote last', async () => {
+        const ride = await rideService.createRide({ ...booking, paymentMethod: 'wallet' });
+
+        expect(ride).toMatchObject({ fare: 132, discounts: [ discount ], distance: 4200, duration: 780 });
+        expect(fareQuoteService.claimQuote).toHaveBeenCalledWith('quote-1');
+        expect(fareQuoteService.claimQuote.mock.invocationCallOrder[ 0 ])
+            .toBeGreaterThan(outboxService.enqueueRideEvent.mock.invocationCallOrder[ 0 ]);
+    });
+
+    test('should leave the quote usable when the wallet cannot cover the fare', async () => {
+        walletService.getBalance.mockResolvedValue(100);
+
+        await expect(rideService.createRide({ ...booking, paymentMethod: 'wallet' }))
+            .rejects.toMatchObject({ statusCode: 402 });
+        expect(fareQuoteService.claimQuote).not.toHaveBeenCalled();
+        expect(rideModel.create).not.toHaveBeenCalled();
+    });
+
+    test('should leave the quote usable when the promo code can no longer be redeemed', async () => {
+        promotionService.redeem.mockRejectedValueOnce(new AppError('This promo code is no longer available', 409));
+
+        await expect(rideService.createRide(booking)).rejects.toMatchObject({ statusCode: 409 });
+        expect(fareQuoteService.claimQuote).not.toHaveBeenCalled();
+    });
+
+    test('should fail the booking when another request claimed the quote first', async () => {
+        fareQuoteService.claimQuote.mockRejectedValueOnce(new AppError('Fare quote has already been used', 409));
+
+        await expect(rideService.createRide(booking))
+            .rejects.toMatchObject({ statusCode: 409, message: 'Fare quote has already been used' });
+        expect(fareQuoteService.releaseQuote).not.toHaveBeenCalled();
+    });
+
+    test('should put the quote back when the booking fails to commit after claiming it', async () => {
+        dbManager.withTransaction.mockImplementationOnce(async (fn) => {
+            await fn('session');
+            throw new Error('Transaction commit failed');
+        });
+
+        await expect(rideService.createRide(booking)).rejects.toThrow('Transaction commit failed');
+        expect(fareQuoteService.releaseQuote).toHaveBeenCalledWith('quote-1', { fare: 152 });
+    });
+});
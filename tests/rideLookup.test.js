@@ -0,0 +1,133 @@
+jest.mock('bcrypt', () => ({ hash: jest.fn() }), { virtual: true });
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn(),
+    countDocuments: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session')),
+        createOptimizedQuery: jest.fn()
+    }
+}));
+
+jest.mock('../config/redis.js', () => ({
+    redisManager: { isConnected: false },
+    RideCacheService: {
+        getRideDetails: jest.fn(),
+        cacheRideDetails: jest.fn()
+    }
+}));
+
+const rideModel = require('../models/ride.model.js');
+const { dbManager } = require('../config/db.js');
+const { RideCacheService } = require('../config/redis.js');
+const rideService = require('../services/ride.service.js');
+
+describe('Ride Lookup', () => {
+    const userId = '64b000000000000000000001';
+    const captainId = '64b000000000000000000002';
+    const ride = { _id: 'ride-1', user: { _id: userId }, captain: { _id: captainId }, status: 'accepted' };
+
+    // Mimics findOne().populate().populate().lean()
+    const rideFound = (value) => {
+        const query = {
+            populate: jest.fn(() => query),
+            lean: jest.fn(async () => value)
+        };
+        rideModel.findOne.mockReturnValue(query);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        RideCacheService.getRideDetails.mockResolvedValue(null);
+    });
+
+    describe('getRideById', () => {
+        test('should return the ride to its rider and captain', async () => {
+            rideFound(ride);
+
+            await expect(rideService.getRideById({ rideId: 'ride-1', user: { _id: userId } })).resolves.toBe(ride);
+            await expect(rideService.getRideById({ rideId: 'ride-1', captain: { _id: captainId } })).resolves.toBe(ride);
+            expect(RideCacheService.cacheRideDetails).toHaveBeenCalledWith('ride-1', ride);
+        });
+
+        test('should refuse anyone else, including from the cache', async () => {
+            RideCacheService.getRideDetails.mockResolvedValue(ride);
+
+            await expect(rideService.getRideById({ rideId: 'ride-1', user: { _id: 'someone-else' } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(rideService.getRideById({ rideId: 'ride-1', captain: { _id: 'other-captain' } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(rideModel.findOne).not.toHaveBeenCalled();
+        });
+
+        test('should not show an unassigned ride to captains', async () => {
+            rideFound({ ...ride, captain: undefined, status: 'pending' });
+
+            await expect(rideService.getRideById({ rideId: 'ride-1', captain: { _id: captainId } }))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should report a missing ride', async () => {
+            rideFound(null);
+
+            await expect(rideService.getRideById({ rideId: 'ride-1', user: { _id: userId } }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('getRideHistory', () => {
+        beforeEach(() => {
+            dbManager.createOptimizedQuery.mockResolvedValue([ ride ]);
+            rideModel.countDocuments.mockResolvedValue(23);
+        });
+
+        test('should list only the rider\'s own rides, newest first, with their captain', async () => {
+            const history = await rideService.getRideHistory({ user: { _id: userId }, page: 2, limit: 10 });
+
+            expect(dbManager.createOptimizedQuery).toHaveBeenCalledWith(rideModel, { user: userId }, {
+                sort: { createdAt: -1 },
+                skip: 10,
+                limit: 10,
+                populate: { path: 'captain', select: 'fullname vehicle' }
+            });
+            expect(rideModel.countDocuments).toHaveBeenCalledWith({ user: userId });
+            expect(history).toEqual({
+                rides: [ ride ],
+                pagination: { page: 2, limit: 10, total: 23, pages: 3 }
+            });
+        });
+
+        test('should list only the captain\'s own rides, with their rider', async () => {
+            await rideService.getRideHistory({ captain: { _id: captainId } });
+
+            const [ , filter, options ] = dbManager.createOptimizedQuery.mock.calls[ 0 ];
+            expect(filter).toEqual({ captain: captainId });
+            expect(options.populate).toEqual({ path: 'user', select: 'fullname' });
+        });
+
+        test('should filter by status and date range', async () => {
+            await rideService.getRideHistory({
+                user: { _id: userId },
+                status: 'completed',
+                from: '2024-01-01',
+                to: '2024-01-31'
+            });
+
+            expect(rideModel.countDocuments).toHaveBeenCalledWith({
+                user: userId,
+                status: 'completed',
+                createdAt: { $gte: new Date('2024-01-01'), $lte: new Date('2024-01-31') }
+            });
+        });
+
+        test('should cap the page size', async () => {
+            const history = await rideService.getRideHistory({ user: { _id: userId }, page: 1, limit: 500 });
+
+            expect(dbManager.createOptimizedQuery.mock.calls[ 0 ][ 2 ]).toMatchObject({ skip: 0, limit: 50 });
+            expect(history.pagination).toEqual({ page: 1, limit: 50, total: 23, pages: 1 });
+        });
+    });
+});
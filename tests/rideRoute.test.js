@@ -0,0 +1,141 @@
+jest.mock('../config/redis.js', () => ({
+    redisManager: {
+        get: jest.fn(),
+        set: jest.fn(),
+        del: jest.fn(),
+        pushToList: jest.fn(),
+        getList: jest.fn()
+    }
+}));
+
+jest.mock('../models/ride.model.js', () => ({
+    findOne: jest.fn()
+}));
+
+jest.mock('../models/rideRoute.model.js', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+const { redisManager } = require('../config/redis.js');
+const rideModel = require('../models/ride.model.js');
+const rideRouteModel = require('../models/rideRoute.model.js');
+const rideRouteService = require('../services/rideRoute.service.js');
+const { encodePolyline, decodePolyline } = require('../utils/geo.js');
+
+describe('Ride Routes', () => {
+    const t0 = Date.parse('2026-10-19T10:00:00Z');
+    const userId = '64b000000000000000000001';
+    const captainId = '64b000000000000000000002';
+
+    // ~111m north per 0.001 degree of latitude
+    const trail = [
+        { ltd: 12.971, lng: 77.594, t: t0 },
+        { ltd: 12.97101, lng: 77.594, t: t0 + 1000 },
+        { ltd: 12.972, lng: 77.594, t: t0 + 11000 },
+        { ltd: 13.5, lng: 77.594, t: t0 + 12000 },
+        { ltd: 12.973, lng: 77.594, t: t0 + 21000 }
+    ];
+
+    const rideFound = (ride) => rideModel.findOne.mockReturnValue({ select: jest.fn(async () => ride) });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should round-trip coordinates through the encoded polyline format', () => {
+        const points = [ { ltd: 38.5, lng: -120.2 }, { ltd: 40.7, lng: -120.95 }, { ltd: 43.252, lng: -126.453 } ];
+
+        expect(encodePolyline(points)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+        expect(decodePolyline(encodePolyline(points))).toEqual(points);
+    });
+
+    test('should drop GPS glitches and fixes that barely moved, keeping speeds', () => {
+        const points = rideRouteService.compressTrail([ ...trail ].reverse());
+
+        expect(points.map(point => point.t)).toEqual([ t0, t0 + 11000, t0 + 21000 ]);
+        expect(points[ 0 ].speed).toBe(0);
+        expect(points[ 1 ].speed).toBeCloseTo(10.1, 0);
+    });
+
+    test('should store the compressed route when the ride ends', async () => {
+        await rideRouteService.saveRoute({ _id: 'ride-1', captain: captainId }, trail);
+
+        const [ filter, { $set: route } ] = rideRouteModel.findOneAndUpdate.mock.calls[ 0 ];
+        expect(filter).toEqual({ ride: 'ride-1' });
+        expect(route).toMatchObject({
+            captain: captainId,
+            offsets: [ 0, 11, 21 ],
+            startedAt: new Date(t0),
+            endedAt: new Date(t0 + 21000)
+        });
+        expect(decodePolyline(route.polyline)).toEqual([
+            { ltd: 12.971, lng: 77.594 }, { ltd: 12.972, lng: 77.594 }, { ltd: 12.973, lng: 77.594 }
+        ]);
+        expect(route.distance).toBeGreaterThan(200);
+    });
+
+    test('should serve a completed ride from the stored route', async () => {
+        rideFound({ _id: 'ride-1', user: userId, captain: captainId, status: 'completed' });
+        rideRouteModel.findOne.mockReturnValue({
+            lean: jest.fn(async () => ({
+                polyline: encodePolyline([ { ltd: 12.971, lng: 77.594 }, { ltd: 12.972, lng: 77.594 } ]),
+                offsets: [ 0, 11 ],
+                speeds: [ 0, 10.1 ],
+                startedAt: new Date(t0),
+                distance: 111,
+                waitingTime: 0
+            }))
+        });
+
+        const route = await rideRouteService.getRoute({ rideId: 'ride-1', captain: { _id: captainId } });
+
+        expect(route.points[ 1 ]).toEqual({ ltd: 12.972, lng: 77.594, at: new Date(t0 + 11000).toISOString(), speed: 10.1 });
+        expect(route.endedAt).toBe(new Date(t0 + 11000).toISOString());
+        expect(redisManager.getList).not.toHaveBeenCalled();
+    });
+
+    test('should serve an ongoing ride from its live trail', async () => {
+        rideFound({ _id: 'ride-1', user: userId, captain: captainId, status: 'ongoing' });
+        redisManager.getList.mockResolvedValue(trail);
+
+        const route = await rideRouteService.getRoute({ rideId: 'ride-1', user: { _id: userId } });
+
+        expect(redisManager.getList).toHaveBeenCalledWith('ride_trail:ride-1');
+        expect(route.points).toHaveLength(3);
+        expect(route.polyline).toBe(encodePolyline(route.points));
+    });
+
+    test('should only show the route to the participants and admins', async () => {
+        rideFound({ _id: 'ride-1', user: userId, captain: captainId, status: 'accepted' });
+
+        await expect(rideRouteService.getRoute({ rideId: 'ride-1', user: { _id: 'someone-else' } }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(rideRouteService.getRoute({ rideId: 'ride-1', user: { _id: 'support-1', role: 'admin' } }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should export GeoJSON and GPX', () => {
+        const route = {
+            rideId: 'ride-1',
+            startedAt: new Date(t0).toISOString(),
+            endedAt: new Date(t0 + 11000).toISOString(),
+            distance: 111,
+            waitingTime: 0,
+            points: [
+                { ltd: 12.971, lng: 77.594, at: new Date(t0).toISOString(), speed: 0 },
+                { ltd: 12.972, lng: 77.594, at: new Date(t0 + 11000).toISOString(), speed: 10.1 }
+            ]
+        };
+
+        const geojson = rideRouteService.toGeoJSON(route);
+        expect(geojson.geometry).toEqual({ type: 'LineString', coordinates: [ [ 77.594, 12.971 ], [ 77.594, 12.972 ] ] });
+        expect(geojson.properties.speeds).toEqual([ 0, 10.1 ]);
+        expect(rideRouteService.toGeoJSON({ ...route, points: route.points.slice(0, 1) }).geometry).toBeNull();
+
+        const gpx = rideRouteService.toGpx(route);
+        expect(gpx).toContain('<trkpt lat="12.972" lon="77.594">');
+        expect(gpx).toContain('<gpxtpx:speed>10.1</gpxtpx:speed>');
+        expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+    });
+});
@@ -0,0 +1,182 @@
+jest.mock('../models/ride.model.js', () => ({
+    findOneAndUpdate: jest.fn(),
+    findOne: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        withTransaction: jest.fn((fn) => fn('session'))
+    }
+}));
+
+jest.mock('../services/outbox.service.js', () => ({
+    enqueueRideEvent: jest.fn()
+}));
+
+jest.mock('../services/captain.service.js', () => ({
+    setOnTrip: jest.fn()
+}));
+
+jest.mock('../services/surge.service.js', () => ({
+    clearRideRequest: jest.fn()
+}));
+
+jest.mock('../services/promotion.service.js', () => ({
+    releaseForRide: jest.fn()
+}));
+
+jest.mock('../config/redis.js', () => ({
+    RideCacheService: {
+        invalidateRideCache: jest.fn(),
+        invalidateActiveRides: jest.fn()
+    }
+}));
+
+const rideModel = require('../models/ride.model.js');
+const { RideCacheService } = require('../config/redis.js');
+const outboxService = require('../services/outbox.service.js');
+const captainService = require('../services/captain.service.js');
+const promotionService = require('../services/promotion.service.js');
+const {
+    RIDE_STATUS,
+    canTransition,
+    assertTransition,
+    transition
+} = require('../services/rideStateMachine.service.js');
+
+// Mimics the mongoose query chain used by transition()
+const queryResolving = (value) => {
+    const query = {
+        populate: jest.fn(() => query),
+        select: jest.fn(() => query),
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return query;
+};
+
+describe('Ride State Machine', () => {
+    const userId = 'user-1';
+    const captainId = 'captain-1';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('canTransition', () => {
+        test.each([
+            [ 'pending', 'accept', 'captain', true ],
+            [ 'accepted', 'start', 'captain', true ],
+            [ 'ongoing', 'complete', 'captain', true ],
+            [ 'pending', 'cancel', 'user', true ],
+            [ 'accepted', 'cancel', 'captain', true ],
+            [ 'pending', 'expire', 'system', true ],
+            [ 'pending', 'start', 'captain', false ],
+            [ 'ongoing', 'cancel', 'user', false ],
+            [ 'completed', 'complete', 'captain', false ],
+            [ 'pending', 'accept', 'user', false ],
+            [ 'accepted', 'expire', 'system', false ],
+            [ 'pending', 'teleport', 'captain', false ]
+        ])('%s --%s by %s--> %s', (status, action, actor, expected) => {
+            expect(canTransition(status, action, actor)).toBe(expected);
+        });
+    });
+
+    describe('assertTransition', () => {
+        test('rejects illegal transitions with a 409', () => {
+            const ride = { status: RIDE_STATUS.COMPLETED, user: userId, captain: captainId };
+
+            expect(() => assertTransition(ride, 'start', { actor: 'captain', actorId: captainId }))
+                .toThrow(expect.objectContaining({ statusCode: 409 }));
+        });
+
+        test('rejects actors that may not trigger the transition with a 403', () => {
+            const ride = { status: RIDE_STATUS.ONGOING, user: userId, captain: captainId };
+
+            expect(() => assertTransition(ride, 'complete', { actor: 'user', actorId: userId }))
+                .toThrow(expect.objectContaining({ statusCode: 403 }));
+        });
+
+        test('rejects captains acting on rides assigned to someone else', () => {
+            const ride = { status: RIDE_STATUS.ACCEPTED, user: userId, captain: 'captain-2' };
+
+            expect(() => assertTransition(ride, 'start', { actor: 'captain', actorId: captainId }))
+                .toThrow(expect.objectContaining({ statusCode: 403 }));
+        });
+
+        test('tells a losing captain the ride was taken', () => {
+            const ride = { status: RIDE_STATUS.ACCEPTED, user: userId, captain: 'captain-2' };
+
+            expect(() => assertTransition(ride, 'accept', { actor: 'captain', actorId: captainId }))
+                .toThrow('Ride has already been accepted by another captain');
+        });
+    });
+
+    describe('transition', () => {
+        test('writes the new status and timestamp as a compare-and-set', async () => {
+            const updated = { _id: 'ride-1', status: 'ongoing', captain: { _id: captainId } };
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(updated));
+
+            const ride = await transition('ride-1', 'start', { actor: 'captain', actorId: captainId });
+
+            expect(ride).toBe(updated);
+            const [ condition, update ] = rideModel.findOneAndUpdate.mock.calls[ 0 ];
+            expect(condition).toEqual({ _id: 'ride-1', status: { $in: [ 'accepted' ] }, captain: captainId });
+            expect(update.$set.status).toBe('ongoing');
+            expect(update.$set.startedAt).toBeInstanceOf(Date);
+            expect(outboxService.enqueueRideEvent).toHaveBeenCalledWith('ride.started', updated, { session: 'session' });
+            expect(RideCacheService.invalidateRideCache).toHaveBeenCalledWith('ride-1');
+            expect(RideCacheService.invalidateActiveRides).toHaveBeenCalledWith(captainId);
+            expect(captainService.setOnTrip).not.toHaveBeenCalled();
+        });
+
+        test('flags the captain as on a trip when they accept', async () => {
+            const updated = { _id: 'ride-1', status: 'accepted', captain: { _id: captainId } };
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(updated));
+
+            await transition('ride-1', 'accept', { actor: 'captain', actorId: captainId, update: { captain: captainId } });
+
+            expect(captainService.setOnTrip).toHaveBeenCalledWith(captainId, true, { session: 'session', reason: 'ride-accepted' });
+        });
+
+        test('gives back the discount of a ride that is cancelled', async () => {
+            const updated = { _id: 'ride-1', status: 'cancelled', discounts: [ { source: 'promo', amount: 20 } ] };
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(updated));
+
+            await transition('ride-1', 'cancel', { actor: 'user', actorId: userId });
+
+            expect(promotionService.releaseForRide).toHaveBeenCalledWith('ride-1', 'session');
+        });
+
+        test('keeps the discount of a ride that goes ahead', async () => {
+            const updated = { _id: 'ride-1', status: 'ongoing', captain: { _id: captainId }, discounts: [ { source: 'promo', amount: 20 } ] };
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(updated));
+
+            await transition('ride-1', 'start', { actor: 'captain', actorId: captainId });
+
+            expect(promotionService.releaseForRide).not.toHaveBeenCalled();
+        });
+
+        test('returns a 404 when the ride does not exist', async () => {
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(null));
+            rideModel.findOne.mockReturnValue(queryResolving(null));
+
+            await expect(transition('ride-1', 'complete', { actor: 'captain', actorId: captainId }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(outboxService.enqueueRideEvent).not.toHaveBeenCalled();
+        });
+
+        test('returns a 409 when the ride is not in a state that allows the transition', async () => {
+            rideModel.findOneAndUpdate.mockReturnValue(queryResolving(null));
+            rideModel.findOne.mockReturnValue(queryResolving({ status: 'completed', user: userId, captain: captainId }));
+
+            await expect(transition('ride-1', 'complete', { actor: 'captain', actorId: captainId }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('rejects actors before touching the database', async () => {
+            await expect(transition('ride-1', 'expire', { actor: 'user', actorId: userId }))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(rideModel.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
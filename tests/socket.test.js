@@ -0,0 +1,101 @@
+jest.mock('../middlewares/aut.middlewares.js', () => ({
+    authenticateToken: jest.fn()
+}));
+
+jest.mock('../services/captain.service.js', () => ({
+    markOfflineAfterDisconnect: jest.fn(),
+    getAvailability: jest.fn()
+}));
+
+jest.mock('../services/eventDelivery.service.js', () => ({
+    record: jest.fn(),
+    eventsSince: jest.fn(),
+    acknowledge: jest.fn(),
+    lastAcknowledged: jest.fn()
+}));
+
+jest.mock('../services/liveLocation.service.js', () => ({
+    startFlushing: jest.fn(),
+    stopFlushing: jest.fn(),
+    recordLocation: jest.fn()
+}));
+
+jest.mock('../services/presence.service.js', () => ({
+    startHeartbeat: jest.fn(),
+    registerConnection: jest.fn(),
+    unregisterConnection: jest.fn(),
+    isOnline: jest.fn()
+}));
+
+jest.mock('../services/ride.service.js', () => ({
+    getActiveRideIds: jest.fn()
+}));
+
+jest.mock('../services/surge.service.js', () => ({
+    recordCaptainLocation: jest.fn()
+}));
+
+jest.mock('../services/tripTracking.service.js', () => ({
+    recordLocation: jest.fn()
+}));
+
+const { authenticateToken } = require('../middlewares/aut.middlewares.js');
+const AppError = require('../utils/appError.js');
+const { authenticateSocket, rooms, sendMessageToUser } = require('../socket.js');
+
+describe('Socket Authentication', () => {
+    const socketWith = (handshake) => ({
+        data: {},
+        handshake: { auth: {}, headers: {}, ...handshake }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should take the identity from the token, not from the client', async () => {
+        authenticateToken.mockResolvedValue({ type: 'captain', account: { _id: 'captain-1' } });
+        const socket = socketWith({ auth: { token: 'jwt-token', userId: 'someone-else' } });
+        const next = jest.fn();
+
+        await authenticateSocket(socket, next);
+
+        expect(authenticateToken).toHaveBeenCalledWith('jwt-token');
+        expect(socket.data.identity).toEqual({ type: 'captain', id: 'captain-1' });
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should accept the token from the Authorization header or the token cookie', async () => {
+        authenticateToken.mockResolvedValue({ type: 'user', account: { _id: 'user-1' } });
+
+        await authenticateSocket(socketWith({ headers: { authorization: 'Bearer header-token' } }), jest.fn());
+        await authenticateSocket(socketWith({ headers: { cookie: 'theme=dark; token=cookie-token' } }), jest.fn());
+
+        expect(authenticateToken.mock.calls).toEqual([ [ 'header-token' ], [ 'cookie-token' ] ]);
+    });
+
+    test('should refuse the connection when the token is missing, invalid or blacklisted', async () => {
+        authenticateToken.mockRejectedValue(new AppError('Unauthorized! Token is blacklisted.', 401));
+        const socket = socketWith({ auth: { token: 'logged-out' } });
+        const next = jest.fn();
+
+        await authenticateSocket(socket, next);
+
+        const [ error ] = next.mock.calls[ 0 ];
+        expect(error.message).toBe('Unauthorized! Token is blacklisted.');
+        expect(error.data).toEqual({ statusCode: 401 });
+        expect(socket.data.identity).toBeUndefined();
+    });
+
+    test('should name rooms after the account or ride', () => {
+        expect(rooms.user('u1')).toBe('user:u1');
+        expect(rooms.captain('c1')).toBe('captain:c1');
+        expect(rooms.ride('r1')).toBe('ride:r1');
+    });
+
+    test('should report messages it cannot send before Socket.IO is initialized', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await expect(sendMessageToUser('user-1', { event: 'ride-confirmed', data: {} })).resolves.toBe(false);
+        console.log.mockRestore();
+    });
+});
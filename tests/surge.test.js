@@ -0,0 +1,148 @@
+jest.mock('../config/redis.js', () => ({
+    redisManager: {
+        isConnected: true,
+        countWindow: jest.fn(),
+        addToWindow: jest.fn(),
+        removeFromWindow: jest.fn(),
+        get: jest.fn(),
+        set: jest.fn(),
+        del: jest.fn()
+    }
+}));
+
+const { redisManager } = require('../config/redis.js');
+const {
+    SURGE_CONFIG,
+    cellOf,
+    rawMultiplier,
+    requiresAcceptance,
+    getSurge,
+    recordCaptainLocation
+} = require('../services/surge.service.js');
+const { encodeGeohash } = require('../utils/geo.js');
+
+describe('Surge Pricing', () => {
+    const pickup = { ltd: 28.6315, lng: 77.2167 };
+    const now = Date.parse('2026-10-19T10:00:00Z');
+
+    const counts = (demand, supply) => {
+        redisManager.countWindow.mockImplementation(async (key) => key.startsWith('surge:demand:') ? demand : supply);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        redisManager.isConnected = true;
+        redisManager.get.mockResolvedValue(null);
+    });
+
+    test('should encode geohash cells', () => {
+        expect(encodeGeohash({ ltd: 57.64911, lng: 10.40744 }, 11)).toBe('u4pruydqqvj');
+        expect(cellOf(pickup)).toHaveLength(SURGE_CONFIG.geohashPrecision);
+    });
+
+    describe('rawMultiplier', () => {
+        test('should not surge below the minimum demand', () => {
+            expect(rawMultiplier(SURGE_CONFIG.minDemand - 1, 0)).toBe(1);
+        });
+
+        test('should follow the demand to supply ratio', () => {
+            expect(rawMultiplier(6, 4)).toBe(1.5);
+            expect(rawMultiplier(4, 8)).toBe(1);
+        });
+
+        test('should be capped', () => {
+            expect(rawMultiplier(50, 0)).toBe(SURGE_CONFIG.maxMultiplier);
+        });
+    });
+
+    describe('getSurge', () => {
+        test('should count both windows for the pickup cell', async () => {
+            counts(0, 3);
+
+            await getSurge(pickup, now);
+
+            const cell = cellOf(pickup);
+            expect(redisManager.countWindow).toHaveBeenCalledWith(`surge:demand:${cell}`, now - SURGE_CONFIG.windowMs);
+            expect(redisManager.countWindow).toHaveBeenCalledWith(`surge:supply:${cell}`, now - SURGE_CONFIG.windowMs);
+        });
+
+        test('should smooth a sudden spike', async () => {
+            // Raw 2.0 from a calm 1.0 moves halfway with the default smoothing
+            counts(8, 4);
+
+            const surge = await getSurge(pickup, now);
+
+            expect(surge).toMatchObject({ multiplier: 1.5, demand: 8, supply: 4 });
+            expect(redisManager.set).toHaveBeenCalledWith(`surge:multiplier:${cellOf(pickup)}`, {
+                value: 1.5,
+                multiplier: 1.5,
+                updatedAt: now
+            }, expect.any(Number));
+        });
+
+        test('should keep the last value within the update interval', async () => {
+            counts(20, 1);
+            redisManager.get.mockResolvedValue({ value: 1.23, multiplier: 1.2, updatedAt: now - 1000 });
+
+            const surge = await getSurge(pickup, now);
+
+            expect(surge.multiplier).toBe(1.2);
+            expect(redisManager.set).not.toHaveBeenCalled();
+        });
+
+        test('should ease back down once demand drops', async () => {
+            counts(0, 5);
+            redisManager.get.mockResolvedValue({
+                value: 2,
+                multiplier: 2,
+                updatedAt: now - SURGE_CONFIG.updateIntervalMs
+            });
+
+            const surge = await getSurge(pickup, now);
+
+            expect(surge.multiplier).toBe(1.5);
+        });
+
+        test('should never surge without Redis', async () => {
+            redisManager.isConnected = false;
+
+            const surge = await getSurge(pickup, now);
+
+            expect(surge.multiplier).toBe(1);
+            expect(redisManager.countWindow).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should ask for acceptance at the threshold', () => {
+        expect(requiresAcceptance(SURGE_CONFIG.acceptanceThreshold)).toBe(true);
+        expect(requiresAcceptance(1.2)).toBe(false);
+    });
+
+    describe('recordCaptainLocation', () => {
+        const cell = cellOf(pickup);
+
+        test('should count free captains as supply in their cell', async () => {
+            await recordCaptainLocation({ _id: 'c1', status: 'active', onTrip: false }, pickup, now);
+
+            expect(redisManager.addToWindow).toHaveBeenCalledWith(`surge:supply:${cell}`, 'c1', now, expect.any(Number));
+            expect(redisManager.set).toHaveBeenCalledWith('surge:captain_cell:c1', cell, expect.any(Number));
+        });
+
+        test('should move captains out of the cell they left', async () => {
+            redisManager.get.mockResolvedValue('ttnfv0');
+
+            await recordCaptainLocation({ _id: 'c1', status: 'active', onTrip: false }, pickup, now);
+
+            expect(redisManager.removeFromWindow).toHaveBeenCalledWith('surge:supply:ttnfv0', 'c1');
+        });
+
+        test('should not count captains on a trip or offline', async () => {
+            await recordCaptainLocation({ _id: 'c1', status: 'active', onTrip: true }, pickup, now);
+            await recordCaptainLocation({ _id: 'c2', status: 'inactive', onTrip: false }, pickup, now);
+
+            expect(redisManager.addToWindow).not.toHaveBeenCalled();
+            expect(redisManager.removeFromWindow).toHaveBeenCalledWith(`surge:supply:${cell}`, 'c1');
+            expect(redisManager.removeFromWindow).toHaveBeenCalledWith(`surge:supply:${cell}`, 'c2');
+        });
+    });
+});
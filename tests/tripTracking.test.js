@@ -0,0 +1,91 @@
+jest.mock('../config/redis.js', () => ({
+    redisManager: {
+        get: jest.fn(),
+        set: jest.fn(),
+        del: jest.fn(),
+        pushToList: jest.fn(),
+        getList: jest.fn()
+    }
+}));
+
+const { redisManager } = require('../config/redis.js');
+const {
+    startTracking,
+    recordLocation,
+    getTrail,
+    summarizeTrail
+} = require('../services/tripTracking.service.js');
+
+describe('Trip Tracking', () => {
+    const t0 = Date.parse('2026-10-19T10:00:00Z');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should map the captain to the started ride', async () => {
+        await startTracking('captain-1', 'ride-1');
+
+        expect(redisManager.set).toHaveBeenCalledWith('captain_active_ride:captain-1', 'ride-1', expect.any(Number));
+    });
+
+    test('should append locations to the active ride trail', async () => {
+        redisManager.get.mockResolvedValue('ride-1');
+
+        await recordLocation('captain-1', { ltd: 28.6, lng: 77.2 }, t0);
+
+        expect(redisManager.pushToList).toHaveBeenCalledWith('ride_trail:ride-1', { ltd: 28.6, lng: 77.2, t: t0 }, expect.any(Number));
+    });
+
+    test('should ignore locations outside a started ride', async () => {
+        redisManager.get.mockResolvedValue(null);
+
+        expect(await recordLocation('captain-1', { ltd: 28.6, lng: 77.2 }, t0)).toBe(false);
+        expect(redisManager.pushToList).not.toHaveBeenCalled();
+    });
+
+    test('should return an empty trail when nothing was recorded', async () => {
+        redisManager.getList.mockResolvedValue(null);
+
+        expect(await getTrail('ride-1')).toEqual([]);
+    });
+
+    describe('summarizeTrail', () => {
+        test('should add up the distance between fixes', () => {
+            // 0.01 degrees of latitude is ~1.11km
+            const summary = summarizeTrail([
+                { ltd: 28.60, lng: 77.2, t: t0 },
+                { ltd: 28.61, lng: 77.2, t: t0 + 60000 },
+                { ltd: 28.62, lng: 77.2, t: t0 + 120000 }
+            ]);
+
+            expect(summary.distance).toBeGreaterThan(2200);
+            expect(summary.distance).toBeLessThan(2250);
+            expect(summary.points).toBe(3);
+        });
+
+        test('should count standing still as waiting, not distance', () => {
+            const summary = summarizeTrail([
+                { ltd: 28.6, lng: 77.2, t: t0 },
+                { ltd: 28.60001, lng: 77.2, t: t0 + 60000 },
+                { ltd: 28.6, lng: 77.2, t: t0 + 120000 }
+            ]);
+
+            expect(summary.distance).toBe(0);
+            expect(summary.waitingTime).toBe(120);
+        });
+
+        test('should drop GPS jumps and order fixes by time', () => {
+            const summary = summarizeTrail([
+                { ltd: 28.61, lng: 77.2, t: t0 + 60000 },
+                { ltd: 28.60, lng: 77.2, t: t0 },
+                // 50km away ten seconds later
+                { ltd: 29.05, lng: 77.2, t: t0 + 70000 },
+                { ltd: 28.62, lng: 77.2, t: t0 + 120000 }
+            ]);
+
+            expect(summary.distance).toBeLessThan(2250);
+            expect(summary.points).toBe(3);
+        });
+    });
+});
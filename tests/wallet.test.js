@@ -0,0 +1,296 @@
+jest.mock('../models/walletAccount.model.js', () => ({
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn()
+}));
+
+jest.mock('../models/ledgerTransaction.model.js', () => ({
+    findOne: jest.fn(),
+    create: jest.fn()
+}));
+
+jest.mock('../models/ledgerEntry.model.js', () => ({
+    insertMany: jest.fn(),
+    aggregate: jest.fn(),
+    countDocuments: jest.fn()
+}));
+
+jest.mock('../config/db.js', () => ({
+    dbManager: {
+        createOptimizedQuery: jest.fn()
+    }
+}));
+
+const walletAccountModel = require('../models/walletAccount.model.js');
+const ledgerTransactionModel = require('../models/ledgerTransaction.model.js');
+const ledgerEntryModel = require('../models/ledgerEntry.model.js');
+const walletService = require('../services/wallet.service.js');
+
+// Small in-memory stand-in for the three ledger collections
+function fakeLedger() {
+    const accounts = new Map();
+    const transactions = new Map();
+    const entries = [];
+
+    const accountKey = ({ ownerType, owner, code }) => `${ownerType}:${owner || '-'}:${code}`;
+
+    walletAccountModel.findOneAndUpdate.mockImplementation(async (filter, update) => {
+        if (update.$setOnInsert) {
+            const key = accountKey(filter);
+            if (!accounts.has(key)) {
+                accounts.set(key, { _id: key, ...filter, balance: 0, ...update.$setOnInsert });
+            }
+            return { ...accounts.get(key) };
+        }
+
+        const account = accounts.get(filter._id);
+        if (filter.balance && account.balance < filter.balance.$gte) {
+            return null;
+        }
+        account.balance = Math.round((account.balance + update.$inc.balance) * 100) / 100;
+        return { ...account };
+    });
+
+    ledgerTransactionModel.findOne.mockImplementation(({ key }) => ({
+        session: jest.fn(async () => transactions.get(key) || null)
+    }));
+    ledgerTransactionModel.create.mockImplementation(async ([ doc ]) => {
+        const transaction = { _id: `tx-${transactions.size + 1}`, ...doc };
+        transactions.set(doc.key, transaction);
+        return [ transaction ];
+    });
+    ledgerEntryModel.insertMany.mockImplementation(async (docs) => entries.push(...docs));
+
+    const balanceOf = (ownerType, owner) => {
+        const filter = ownerType === 'system' ? { ownerType, code: owner } : { ownerType, owner, code: 'wallet' };
+        const account = accounts.get(accountKey(filter));
+        return account ? account.balance : 0;
+    };
+
+    return { accounts, transactions, entries, balanceOf };
+}
+
+describe('Wallet Ledger', () => {
+    let ledger;
+
+    const ride = (overrides) => ({
+        _id: 'ride-1',
+        user: 'user-1',
+        captain: 'captain-1',
+        fare: 250,
+        ...overrides
+    });
+
+    const payment = (overrides) => ({
+        _id: 'payment-1',
+        ride: 'ride-1',
+        user: 'user-1',
+        method: 'online',
+        amount: 250,
+        refundedAmount: 0,
+        ...overrides
+    });
+
+    const sumOf = (entries) => Math.round(entries.reduce((total, entry) => total + entry.amount, 0) * 100) / 100;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ledger = fakeLedger();
+    });
+
+    test('should credit the captain minus commission for an online ride', async () => {
+        await walletService.settleRide(ride(), payment(), 'session');
+
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(200);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(50);
+        expect(ledger.balanceOf('system', 'payment_gateway')).toBe(-250);
+        expect(ledger.balanceOf('user', 'user-1')).toBe(0);
+        expect(sumOf(ledger.entries)).toBe(0);
+    });
+
+    test('should only book the commission the captain owes on a cash ride', async () => {
+        await walletService.settleRide(ride(), payment({ method: 'cash' }), 'session');
+
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(-50);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(50);
+        expect(ledger.entries).toHaveLength(2);
+    });
+
+    test('should debit the rider wallet for a wallet ride', async () => {
+        await walletService.recordTopup(payment({ _id: 'topup-1', ride: undefined, amount: 300 }), 'session');
+        await walletService.settleRide(ride(), payment({ method: 'wallet' }), 'session');
+
+        expect(ledger.balanceOf('user', 'user-1')).toBe(50);
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(200);
+        expect(sumOf(ledger.entries)).toBe(0);
+    });
+
+    test('should take what the gateway did not collect from the rider wallet', async () => {
+        await walletService.settleRide(ride({ fare: 280 }), payment(), 'session');
+
+        expect(ledger.balanceOf('user', 'user-1')).toBe(-30);
+        expect(ledger.balanceOf('system', 'payment_gateway')).toBe(-250);
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(224);
+    });
+
+    test('should have the platform absorb a rider discount on an online ride', async () => {
+        const discounts = [ { source: 'promo', code: 'SAVE50', amount: 50 } ];
+        await walletService.settleRide(ride({ fare: 200, discounts }), payment({ amount: 200 }), 'session');
+
+        expect(ledger.balanceOf('system', 'payment_gateway')).toBe(-200);
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(200);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(0);
+        expect(sumOf(ledger.entries)).toBe(0);
+    });
+
+    test('should owe the captain a discount larger than the commission on a cash ride', async () => {
+        const discounts = [ { source: 'referral', code: 'REFERRAL', amount: 100 } ];
+        await walletService.settleRide(ride({ fare: 150, discounts }), payment({ method: 'cash', amount: 150 }), 'session');
+
+        // Collected 150 in cash, earns 250 - 50 commission
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(50);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(-50);
+    });
+
+    test('should settle a ride only once', async () => {
+        const first = await walletService.settleRide(ride(), payment(), 'session');
+        const second = await walletService.settleRide(ride(), payment(), 'session');
+
+        expect(second).toBe(first);
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(200);
+        expect(ledger.entries).toHaveLength(3);
+    });
+
+    test('should record the balance after every entry', async () => {
+        await walletService.recordTopup(payment({ _id: 'topup-1', ride: undefined, amount: 100 }), 'session');
+        await walletService.recordTopup(payment({ _id: 'topup-2', ride: undefined, amount: 150 }), 'session');
+
+        const riderEntries = ledger.entries.filter(entry => entry.account === 'user:user-1:wallet');
+        expect(riderEntries.map(entry => entry.balanceAfter)).toEqual([ 100, 250 ]);
+    });
+
+    test('should refuse to overdraw a rider wallet', async () => {
+        const rider = await walletService.getAccount('user', 'user-1');
+        const platform = await walletService.getAccount('system', 'platform_revenue');
+
+        await expect(walletService.postTransaction({
+            key: 'adjustment:1',
+            type: 'adjustment',
+            lines: [ { account: rider, amount: -10 }, { account: platform, amount: 10 } ]
+        })).rejects.toMatchObject({ statusCode: 402 });
+    });
+
+    test('should reject unbalanced transactions', async () => {
+        const rider = await walletService.getAccount('user', 'user-1');
+
+        await expect(walletService.postTransaction({
+            key: 'adjustment:2',
+            type: 'adjustment',
+            lines: [ { account: rider, amount: 10 } ]
+        })).rejects.toThrow('Unbalanced ledger transaction');
+        expect(ledgerTransactionModel.create).not.toHaveBeenCalled();
+    });
+
+    test('should credit wallet refunds to the rider at the platform\'s expense', async () => {
+        await walletService.recordRefund({
+            payment: payment({ method: 'cash' }),
+            refundId: 'wallet_payment-1_1',
+            amount: 40,
+            reason: 'Detour',
+            toWallet: true
+        }, 'session');
+
+        expect(ledger.balanceOf('user', 'user-1')).toBe(40);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(-40);
+    });
+
+    test('should leave the ledger alone for gateway refunds of unsettled rides', async () => {
+        const result = await walletService.recordRefund({
+            payment: payment(), refundId: 'rfnd_1', amount: 100, toWallet: false
+        }, 'session');
+
+        expect(result).toBeNull();
+        expect(ledger.entries).toHaveLength(0);
+    });
+
+    describe('cancellations', () => {
+        const cancelled = (cancelledBy, fee) => ride({ status: 'cancelled', cancellation: { cancelledBy, fee } });
+
+        test('should pay a prepaid rider\'s fee to the captain from the gateway and refund the rest', async () => {
+            const paid = payment({ status: 'captured' });
+
+            await walletService.recordCancellation(cancelled('user', 50), paid, 'session');
+            await walletService.recordRefund({
+                payment: { ...paid, refundedAmount: 200 }, refundId: 'rfnd_1', amount: 200, toWallet: false
+            }, 'session');
+
+            expect(ledger.balanceOf('system', 'payment_gateway')).toBe(-50);
+            expect(ledger.balanceOf('user', 'user-1')).toBe(0);
+            expect(ledger.balanceOf('captain', 'captain-1')).toBe(40);
+            expect(ledger.balanceOf('system', 'platform_revenue')).toBe(10);
+            expect(sumOf(ledger.entries)).toBe(0);
+        });
+
+        test('should take a wallet rider\'s fee from their wallet', async () => {
+            await walletService.recordTopup(payment({ _id: 'topup-1', ride: undefined, amount: 300 }), 'session');
+            await walletService.recordCancellation(cancelled('user', 50), payment({ method: 'wallet', status: 'pending' }), 'session');
+
+            expect(ledger.balanceOf('user', 'user-1')).toBe(250);
+            expect(ledger.balanceOf('captain', 'captain-1')).toBe(40);
+            expect(ledger.balanceOf('system', 'platform_revenue')).toBe(10);
+        });
+
+        test('should leave a cash rider owing the fee', async () => {
+            await walletService.recordCancellation(cancelled('user', 50), payment({ method: 'cash', status: 'pending' }), 'session');
+
+            expect(ledger.balanceOf('user', 'user-1')).toBe(-50);
+            expect(ledger.balanceOf('captain', 'captain-1')).toBe(40);
+            expect(ledger.balanceOf('system', 'platform_revenue')).toBe(10);
+            expect(sumOf(ledger.entries)).toBe(0);
+        });
+
+        test('should charge a captain who cancels late and refund the rider in full', async () => {
+            const paid = payment({ status: 'captured' });
+
+            await walletService.recordCancellation(cancelled('captain', 50), paid, 'session');
+            await walletService.recordRefund({
+                payment: { ...paid, refundedAmount: 250 }, refundId: 'rfnd_1', amount: 250, toWallet: false
+            }, 'session');
+
+            expect(ledger.balanceOf('system', 'payment_gateway')).toBe(0);
+            expect(ledger.balanceOf('user', 'user-1')).toBe(0);
+            expect(ledger.balanceOf('captain', 'captain-1')).toBe(-50);
+            expect(ledger.balanceOf('system', 'platform_revenue')).toBe(50);
+        });
+
+        test('should book nothing for a free cancellation of an unpaid ride', async () => {
+            await expect(walletService.recordCancellation(cancelled('user', 0), payment({ method: 'cash', status: 'pending' }), 'session'))
+                .resolves.toBeNull();
+            expect(ledger.entries).toHaveLength(0);
+        });
+
+        test('should book a cancellation only once', async () => {
+            await walletService.recordCancellation(cancelled('user', 50), payment({ method: 'cash' }), 'session');
+            await walletService.recordCancellation(cancelled('user', 50), payment({ method: 'cash' }), 'session');
+
+            expect(ledger.balanceOf('user', 'user-1')).toBe(-50);
+        });
+    });
+
+    test('should charge commission on the fare without tolls', () => {
+        expect(walletService.commissionFor({ fare: 280, vehicleType: 'car', fareBreakdown: { tollsTotal: 30 } }))
+            .toEqual({ commissionRate: 0.2, commission: 50, captainEarning: 230 });
+    });
+
+    test('should settle with the commission fixed on the ride', async () => {
+        await walletService.settleRide(ride({ earnings: { commission: 25 } }), payment(), 'session');
+
+        expect(ledger.balanceOf('captain', 'captain-1')).toBe(225);
+        expect(ledger.balanceOf('system', 'platform_revenue')).toBe(25);
+    });
+
+    test('should derive the balance from the ledger entries', async () => {
+        ledgerEntryModel.aggregate.mockResolvedValue([ { _id: null, balance: 199.999 } ]);
+
+        await expect(walletService.deriveBalance('64b7f0c2a1b2c3d4e5f60718')).resolves.toBe(200);
+    });
+});
@@ -0,0 +1,10 @@
+// Operational error carrying the HTTP status the controllers/errorHandler should respond with
+class AppError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = AppError;
@@ -0,0 +1,114 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters between two { ltd, lng } points
+function haversineDistance(from, to) {
+    const dLat = toRadians(to.ltd - from.ltd);
+    const dLng = toRadians(to.lng - from.lng);
+
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.ltd)) * Math.cos(toRadians(to.ltd)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Standard geohash of a { ltd, lng } point; precision 5 is a ~4.9km cell, 6 ~1.2km x 0.6km
+function encodeGeohash({ ltd, lng }, precision = 6) {
+    const latRange = [ -90, 90 ];
+    const lngRange = [ -180, 180 ];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? lng : ltd;
+        const mid = (range[ 0 ] + range[ 1 ]) / 2;
+
+        bits <<= 1;
+        if (value >= mid) {
+            bits |= 1;
+            range[ 0 ] = mid;
+        } else {
+            range[ 1 ] = mid;
+        }
+
+        evenBit = !evenBit;
+
+        if (++bitCount === 5) {
+            hash += GEOHASH_ALPHABET[ bits ];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return hash;
+}
+
+// Google's encoded polyline format for a list of { ltd, lng } points; precision 5 is ~1m
+function encodePolyline(points, precision = 5) {
+    const factor = 10 ** precision;
+    let previousLat = 0;
+    let previousLng = 0;
+    let encoded = '';
+
+    const encodeValue = (value) => {
+        let remaining = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (remaining >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+            remaining >>= 5;
+        }
+        return chunk + String.fromCharCode(remaining + 63);
+    };
+
+    for (const { ltd, lng } of points) {
+        const lat = Math.round(ltd * factor);
+        const lon = Math.round(lng * factor);
+        encoded += encodeValue(lat - previousLat) + encodeValue(lon - previousLng);
+        previousLat = lat;
+        previousLng = lon;
+    }
+
+    return encoded;
+}
+
+function decodePolyline(encoded, precision = 5) {
+    const factor = 10 ** precision;
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lng += decodeValue();
+        points.push({ ltd: lat / factor, lng: lng / factor });
+    }
+
+    return points;
+}
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    haversineDistance,
+    encodeGeohash,
+    encodePolyline,
+    decodePolyline
+};